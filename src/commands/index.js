@@ -1,7 +1,18 @@
 // Command handlers for the TraderTony v3 bot
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const keyboards = require('../keyboards');
 const logger = require('../utils/logger');
 const solanaClient = require('../utils/solana');
+const database = require('../utils/database');
+const riskPolicy = require('../trading/risk-policy');
+const keystore = require('../utils/keystore');
+const accessControl = require('../utils/access-control');
+const withdrawalPolicy = require('../utils/withdrawal-policy');
+const ledger = require('../utils/ledger');
+const feeOracle = require('../utils/fee-oracle');
+
+// How long an exported key stays in the chat before it is deleted
+const EXPORTED_KEY_TTL_MS = 60000;
 
 /**
  * Creates the welcome message text
@@ -46,6 +57,311 @@ Active Orders: ${ctx.session.activeOrders.length}
 Security Status: 🔒 Secure`;
 };
 
+/**
+ * Check that a user may manage the trading key from this chat
+ * Replies with the reason when they may not.
+ * @param {Object} ctx - Telegram context
+ * @returns {Promise<boolean>} True if the key can be managed
+ */
+const canManageTradingKey = async (ctx) => {
+  if (!ctx.state.isAdmin) {
+    await ctx.reply('🚫 This command is restricted to bot administrators only.');
+    return false;
+  }
+  if (ctx.chat.type !== 'private') {
+    await ctx.reply('🔒 Trading key commands only work in a private chat with the bot.');
+    return false;
+  }
+  if (!keystore.isUnlocked()) {
+    await ctx.reply('🔒 The keystore is not unlocked. Set KEYSTORE_PASSPHRASE (or enter it at startup) and restart the bot.');
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check that a user may manage a strategy
+ * Traders manage their own strategies, owners manage all of them.
+ * @param {Object} ctx - Telegram context
+ * @param {Object} strategy - AutoTrader strategy
+ * @returns {Promise<boolean>} True if the strategy can be managed
+ */
+const canManageStrategy = async (ctx, strategy) => {
+  if (strategy.ownerId === ctx.from.id || accessControl.hasRole(ctx.from.id, 'owner')) {
+    return true;
+  }
+  await ctx.reply('🚫 This strategy belongs to another user.');
+  return false;
+};
+
+/**
+ * Check that a user may withdraw
+ * Without per-user wallets everyone shares the bot wallet, so only owners may withdraw from it.
+ * @param {Object} ctx - Telegram context
+ * @returns {Promise<boolean>} True if the user can withdraw
+ */
+const canWithdraw = async (ctx) => {
+  const userWalletsEnabled = Boolean(solanaClient.userWallets && solanaClient.userWallets.isEnabled());
+  if (userWalletsEnabled || accessControl.hasRole(ctx.from.id, 'owner')) {
+    return true;
+  }
+  await ctx.reply('🚫 Withdrawals from the shared bot wallet are restricted to owners.');
+  return false;
+};
+
+/**
+ * Start tracking a Solana Pay deposit reference for the user
+ * @param {Object} ctx - Telegram context
+ * @param {string} reference - Reference public key of the transfer request
+ * @param {string} recipient - Wallet address receiving the deposit
+ * @returns {Object|null} The tracked request, or null if tracking is unavailable
+ */
+const trackDeposit = (ctx, reference, recipient) => {
+  if (!solanaClient.depositTracker) return null;
+  return solanaClient.depositTracker.track({
+    reference,
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    recipient
+  });
+};
+
+/**
+ * Describe how a tracked deposit will be confirmed
+ * @param {Object|null} request - Tracked deposit request
+ * @returns {string} Text to append to the deposit message
+ */
+const formatDepositTracking = (request) => {
+  if (!request) return '';
+  const minutes = Math.round((request.expiresAt - request.createdAt) / 60000);
+  return `\n\nYou'll get a message here once the deposit confirms. This request is valid for ${minutes} minutes.`;
+};
+
+/**
+ * Describe the amount of a withdrawal
+ * @param {Object} request - Withdrawal request, or anything with amount and mint
+ * @returns {string} e.g. "1.5 SOL" or "100 of token `mint`"
+ */
+const formatWithdrawalAmount = ({ amount, mint }) => {
+  return mint ? `${amount} of token \`${mint}\`` : `${amount} SOL`;
+};
+
+/**
+ * Ask the user where to send a withdrawal
+ * Offers the allowlisted addresses that are past their cool-down as buttons.
+ * @param {Object} ctx - Telegram context
+ */
+const promptWithdrawalRecipient = async (ctx) => {
+  const addressButtons = withdrawalPolicy.getAllowlist(ctx.from.id)
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => entry.usable)
+    .map(({ entry, index }) => [{
+      text: entry.label || `${entry.address.slice(0, 6)}...${entry.address.slice(-4)}`,
+      callback_data: `withdraw_to_${index}`
+    }]);
+  
+  await ctx.reply(
+    `🔍 *Choose Recipient*\n\n` +
+    `Select an allowlisted address or enter the Phantom wallet address to withdraw ` +
+    `${formatWithdrawalAmount({ amount: ctx.session.withdrawAmount, mint: ctx.session.withdrawMint })} to:`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [...addressButtons, [{ text: '❌ Cancel', callback_data: 'fund' }]]
+      }
+    }
+  );
+  
+  ctx.session.state = 'WAITING_FOR_WITHDRAW_ADDRESS';
+};
+
+/**
+ * Create a withdrawal request to an address and ask the user to confirm it
+ * @param {Object} ctx - Telegram context
+ * @param {string} address - Destination address
+ */
+const promptWithdrawalRequest = async (ctx, address) => {
+  const onAllowlist = withdrawalPolicy.getAllowlist(ctx.from.id).some(entry => entry.address === address);
+  if (!onAllowlist) {
+    ctx.session.pendingAllowlistAddress = address;
+    return ctx.reply(
+      `🔒 \`${address}\` is not on your withdrawal allowlist.\n\n` +
+      `New addresses can receive withdrawals ${withdrawalPolicy.addressCooldownHours} hours after they are added.`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '➕ Add to Allowlist', callback_data: 'allowlist_add' },
+              { text: '❌ Cancel', callback_data: 'fund' }
+            ]
+          ]
+        }
+      }
+    );
+  }
+  
+  const mint = ctx.session.withdrawMint || null;
+  
+  // Check the token transfer can be built before creating the request
+  let transferNote = '';
+  let valueSol = null;
+  if (mint) {
+    // Token withdrawals count toward the SOL limits at what selling the exact amount would return
+    const quote = solanaClient.jupiterClient
+      ? await solanaClient.jupiterClient.getQuote(mint, 'SOL', ctx.session.withdrawAmount)
+      : { success: false };
+    valueSol = quote.success ? Number(quote.outAmount) / LAMPORTS_PER_SOL : null;
+    
+    const details = await solanaClient.transactionUtility.getTokenTransferDetails(
+      address, mint, ctx.session.withdrawAmount, { userId: ctx.from.id }
+    );
+    if (details.fee > 0) {
+      transferNote += `The token charges a transfer fee of ${details.fee}, the recipient receives ${details.received}.\n`;
+    }
+    if (details.createsRecipientAccount) {
+      transferNote += `The recipient has no account for this token yet. Creating it costs about 0.002 SOL from your wallet.\n`;
+    }
+    if (transferNote) transferNote += '\n';
+  }
+  
+  const request = withdrawalPolicy.createRequest({
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    address,
+    amount: ctx.session.withdrawAmount,
+    mint,
+    valueSol
+  });
+  delete ctx.session.withdrawAmount;
+  delete ctx.session.withdrawMint;
+  
+  const reason = mint ? 'Token withdrawals need an extra check' : `This withdrawal is above ${withdrawalPolicy.confirmAboveSol} SOL`;
+  let nextStep = '';
+  if (request.status === 'awaiting_code') {
+    nextStep = `${reason}. After confirming, enter the code from your authenticator app.\n\n`;
+  } else if (request.status === 'awaiting_approval') {
+    nextStep = `${reason}. After confirming, another owner has to approve it.\n\n`;
+  }
+  
+  return ctx.reply(
+    `⚠️ *Confirm Withdrawal*\n\n` +
+    `You are about to withdraw ${formatWithdrawalAmount(request)} to${request.label ? ` ${request.label}` : ''}:\n` +
+    `\`${request.address}\`\n\n` +
+    transferNote +
+    nextStep +
+    `Are you sure you want to proceed?`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '✅ Confirm', callback_data: `confirm_withdraw_${request.id}` },
+            { text: '❌ Cancel', callback_data: `cancel_withdraw_${request.id}` }
+          ]
+        ]
+      }
+    }
+  );
+};
+
+/**
+ * Send an approved withdrawal and report the outcome to the requester
+ * @param {Object} telegram - Telegram API client
+ * @param {string} requestId - Withdrawal request ID
+ * @returns {Promise<Object>} The transaction result
+ */
+const executeWithdrawal = async (telegram, requestId) => {
+  const { request, result } = await solanaClient.phantomConnectManager.executeWithdrawal(requestId);
+  
+  if (result.success) {
+    await telegram.sendMessage(
+      request.chatId,
+      `✅ *Withdrawal Successful*\n\n` +
+      `Successfully withdrew ${formatWithdrawalAmount(request)} to:\n` +
+      `\`${request.address}\`\n\n` +
+      `Transaction ID: \`${result.signature}\``,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '🔍 View on Solscan', url: `https://solscan.io/tx/${result.signature}` }
+            ],
+            [
+              { text: '« Back to Main Menu', callback_data: 'refresh' }
+            ]
+          ]
+        }
+      }
+    );
+  } else {
+    await telegram.sendMessage(
+      request.chatId,
+      `❌ *Withdrawal Failed*\n\n` +
+      `Error: ${result.error || 'Unknown error'}\n\n` +
+      `Please try again later.`,
+      {
+        parse_mode: 'Markdown',
+        ...keyboards.backToMainKeyboard
+      }
+    );
+  }
+  
+  return result;
+};
+
+/**
+ * Ask the other owners to approve a withdrawal
+ * @param {Object} ctx - Telegram context
+ * @param {Object} request - Withdrawal request awaiting approval
+ * @returns {Promise<number>} Number of owners the request reached
+ */
+const requestWithdrawalApproval = async (ctx, request) => {
+  const requester = ctx.from.username ? `@${ctx.from.username}` : `user ${ctx.from.id}`;
+  let delivered = 0;
+  
+  for (const approverId of withdrawalPolicy.getApprovers(request.userId)) {
+    try {
+      await ctx.telegram.sendMessage(
+        approverId,
+        `🔐 *Withdrawal Approval Needed*\n\n` +
+        `${requester} wants to withdraw ${formatWithdrawalAmount(request)} to:\n` +
+        `\`${request.address}\`\n\n` +
+        `The request expires ${new Date(request.expiresAt).toLocaleTimeString()}.`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: '✅ Approve', callback_data: `approve_withdraw_${request.id}` },
+                { text: '❌ Reject', callback_data: `reject_withdraw_${request.id}` }
+              ]
+            ]
+          }
+        }
+      );
+      delivered++;
+    } catch (error) {
+      logger.warn(`Could not send withdrawal approval to ${approverId}: ${error.message}`);
+    }
+  }
+  
+  return delivered;
+};
+
+/**
+ * Describe where the bot trades from after a key change
+ * @param {Object} reload - Result of solanaClient.reloadTradingKey
+ * @returns {string} Message lines
+ */
+const formatKeyReload = (reload) => {
+  return `New trading address: \`${reload.publicKey}\`\n\n` +
+    (reload.restartRequired
+      ? '⚠️ The bot is running in demo mode. Restart it to trade with this key.'
+      : 'The bot now trades with this key.');
+};
+
 /**
  * Handle /positions command
  * @param {Object} ctx - Telegram context
@@ -54,7 +370,7 @@ const handlePositions = async (ctx) => {
   try {
     // Get all open positions
     logger.info('Handling positions command - requesting open positions from Solana client');
-    const openPositions = solanaClient.getOpenPositions();
+    const openPositions = solanaClient.getOpenPositions(ctx.from.id);
     logger.info(`Retrieved ${openPositions.length} open positions from Solana client`);
     
     if (openPositions.length === 0) {
@@ -121,6 +437,13 @@ const formatPositions = async (positions) => {
       message += `*Current Price:* ${currentPrice.toFixed(6)} SOL\n`;
       message += `*P/L:* ${plEmoji} ${plPercentage.toFixed(2)}%\n`;
       
+      // Cost basis and PnL in SOL from the ledger, for positions opened since it exists
+      const pnl = ledger.getPnL({ positionId: position.id }, { [position.tokenAddress]: currentPrice });
+      if (pnl.trades > 0) {
+        message += `*Cost Basis:* ${pnl.costBasis.toFixed(4)} SOL\n`;
+        message += `*Unrealized:* ${formatSol(pnl.unrealizedPnl)} | *Realized:* ${formatSol(pnl.realizedPnl)}\n`;
+      }
+      
       // Add risk management settings if set
       const riskSettings = [];
       if (position.stopLoss) riskSettings.push(`SL: -${position.stopLoss}%`);
@@ -146,15 +469,89 @@ const formatPositions = async (positions) => {
   }
 };
 
+/**
+ * Format a SOL amount with its sign
+ * @param {number} amount - Amount in SOL
+ * @returns {string} e.g. "+0.1234 SOL"
+ */
+const formatSol = (amount) => `${amount >= 0 ? '+' : ''}${amount.toFixed(4)} SOL`;
+
+/**
+ * Format a PnL summary from the ledger
+ * @param {Object} pnl - Result of ledger.getPnL
+ * @returns {string} Formatted lines
+ */
+const formatPnL = (pnl) => {
+  return `*Realized:* ${formatSol(pnl.realizedPnl)}\n` +
+    `*Unrealized:* ${formatSol(pnl.unrealizedPnl)}\n` +
+    `*Fees Paid:* ${pnl.feesPaid.toFixed(6)} SOL\n` +
+    `*Net:* ${formatSol(pnl.netPnl)}\n`;
+};
+
+/**
+ * Handle /pnl command
+ * Shows realized and unrealized PnL, cost basis and fees paid from the ledger,
+ * in total and per strategy.
+ * @param {Object} ctx - Telegram context
+ */
+const handlePnL = async (ctx) => {
+  try {
+    const userId = ctx.from.id;
+    
+    // Price every token still held for unrealized PnL
+    const prices = {};
+    for (const holding of ledger.getPnL({ userId }).holdings) {
+      try {
+        const price = await solanaClient.positionManager.getTokenPrice(holding.mint);
+        if (price > 0) prices[holding.mint] = price;
+      } catch (error) {
+        logger.warn(`Could not price ${holding.mint} for PnL: ${error.message}`);
+      }
+    }
+    
+    const pnl = ledger.getPnL({ userId }, prices);
+    if (pnl.trades === 0 && pnl.deposited === 0 && pnl.withdrawn === 0) {
+      return ctx.reply('📈 *No ledger activity yet*\n\nTrades, deposits and withdrawals show up here once they confirm.', {
+        parse_mode: 'Markdown'
+      });
+    }
+    
+    let message = '📈 *Your PnL*\n\n' + formatPnL(pnl);
+    message += `*Cost Basis (open):* ${pnl.costBasis.toFixed(4)} SOL\n`;
+    message += `*Deposited:* ${pnl.deposited.toFixed(4)} SOL | *Withdrawn:* ${pnl.withdrawn.toFixed(4)} SOL\n`;
+    
+    if (pnl.holdings.length > 0) {
+      message += '\n*Holdings*\n';
+      for (const holding of pnl.holdings) {
+        const shortMint = `${holding.mint.substring(0, 4)}...${holding.mint.substring(holding.mint.length - 4)}`;
+        message += `• ${shortMint}: ${holding.amount.toFixed(4)} at ${holding.averageCost.toFixed(9)} SOL avg` +
+          (holding.unrealizedPnl === null ? ' (no price)\n' : `, ${formatSol(holding.unrealizedPnl)}\n`);
+      }
+    }
+    
+    const strategyIds = ledger.getStrategyIds(userId);
+    for (const strategyId of strategyIds) {
+      const strategy = solanaClient.autoTrader && solanaClient.autoTrader.getStrategy(strategyId);
+      message += `\n*Strategy: ${strategy ? strategy.name : strategyId}*\n` +
+        formatPnL(ledger.getPnL({ userId, strategyId }, prices));
+    }
+    
+    return ctx.reply(message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error(`Error in handlePnL: ${error.message}`);
+    return ctx.reply('❌ Error calculating PnL. Please try again later.');
+  }
+};
+
 /**
  * Updates all monitored tokens and notifies users of significant changes
  * @param {Object} bot - Telegram bot instance
+ * @param {Object} sessionStore - Session store holding every user's session
  */
-async function updateMonitoredTokens(bot) {
+async function updateMonitoredTokens(bot, sessionStore) {
   try {
-    // Get all active sessions
-    const sessions = Object.entries(bot.context.session || {});
-    for (const [userId, session] of sessions) {
+    // Sessions are keyed by Telegram user ID
+    for (const [userId, session] of sessionStore.entries()) {
       if (!session || !session.monitoring) continue;
       
       // For each monitored token in the session
@@ -242,6 +639,9 @@ async function updateMonitoredTokens(bot) {
           logger.error(`Error updating monitored token ${tokenAddress}: ${error.message}`);
         }
       }
+      
+      // Persist last prices and triggered alerts
+      sessionStore.set(userId, session);
     }
   } catch (error) {
     logger.error(`Error in updateMonitoredTokens: ${error.message}`);
@@ -364,6 +764,7 @@ const handleStrategyNameInput = async (ctx, text) => {
     // Initialize strategy setup in session
     ctx.session.strategySetup = {
       name: text.trim(),
+      ownerId: ctx.from.id,
       // Default config values
       maxPositionSizeSOL: 0.1,
       totalBudgetSOL: 0.5,
@@ -657,12 +1058,13 @@ const handleManageStrategy = async (ctx, strategyId) => {
     if (!strategy) {
       return ctx.reply('❌ Strategy not found. It may have been deleted.');
     }
+    if (!(await canManageStrategy(ctx, strategy))) return;
     
     // Format message
     const statusEmoji = strategy.enabled ? '✅ ENABLED' : '❌ DISABLED';
     let message = `📊 *Strategy: ${strategy.name}*\n\n`;
     message += `*Status:* ${statusEmoji}\n`;
-    message += `*Budget:* ${strategy.config.totalBudgetSOL} SOL\n`;
+    message += `*Budget:* ${strategy.config.totalBudgetSOL} SOL (${autoTrader.getRemainingBudget(strategy).toFixed(4)} SOL left)\n`;
     message += `*Max Position Size:* ${strategy.config.maxPositionSizeSOL} SOL\n`;
     message += `*Stop-Loss:* ${strategy.config.stopLoss}%\n`;
     message += `*Take-Profit:* ${strategy.config.takeProfit}%\n`;
@@ -725,6 +1127,7 @@ const handleToggleStrategy = async (ctx, strategyId) => {
     if (!strategy) {
       return ctx.reply('❌ Strategy not found. It may have been deleted.');
     }
+    if (!(await canManageStrategy(ctx, strategy))) return;
     
     // Toggle enabled status
     const newStatus = !strategy.enabled;
@@ -760,6 +1163,7 @@ const handleDeleteStrategy = async (ctx, strategyId) => {
     if (!strategy) {
       return ctx.reply('❌ Strategy not found. It may have been already deleted.');
     }
+    if (!(await canManageStrategy(ctx, strategy))) return;
     
     const strategyName = strategy.name;
     
@@ -852,25 +1256,17 @@ const processTokenAddress = async (ctx, text) => {
         return;
       }
       
-      // Store the analysis in session for later reference
-      if (!ctx.session.recentAnalyses) {
-        ctx.session.recentAnalyses = [];
-      }
-      ctx.session.recentAnalyses.unshift({
+      // Store the analysis in the user's persistent history
+      database.recordTokenAnalysis(ctx.from.id, {
         tokenAddress,
         tokenName: tokenAnalysis.name,
         tokenSymbol: tokenAnalysis.symbol,
         riskScore: tokenAnalysis.potentialRisk,
-        timestamp: Date.now()
+        cached: tokenAnalysis.cached === true
       });
       
-      // Keep only the 10 most recent analyses
-      if (ctx.session.recentAnalyses.length > 10) {
-        ctx.session.recentAnalyses = ctx.session.recentAnalyses.slice(0, 10);
-      }
-      
       // Format the analysis report
-      const reportText = formatTokenAnalysisReport(tokenAnalysis);
+      const reportText = formatTokenAnalysisReport(tokenAnalysis, riskPolicy.getSettings(ctx.from.id));
       
       // Create keyboard for further actions
       const actionsKeyboard = {
@@ -921,9 +1317,10 @@ const processTokenAddress = async (ctx, text) => {
 /**
  * Format token analysis report
  * @param {Object} analysis - Token analysis data
+ * @param {Object} riskSettings - User's risk settings to check the token against
  * @returns {string} Formatted report
  */
-const formatTokenAnalysisReport = (analysis) => {
+const formatTokenAnalysisReport = (analysis, riskSettings = riskPolicy.getDefaultSettings()) => {
   try {
     let riskLevel = 'Unknown';
     let riskEmoji = '❓';
@@ -963,7 +1360,11 @@ const formatTokenAnalysisReport = (analysis) => {
     report += `*Symbol:* ${analysis.symbol}\n`;
     report += `*Address:* \`${analysis.address}\`\n\n`;
     
-    report += `*RISK ASSESSMENT:* ${riskEmoji} ${riskLevel} (${analysis.potentialRisk}/100)\n\n`;
+    report += `*RISK ASSESSMENT:* ${riskEmoji} ${riskLevel} (${analysis.potentialRisk}/100)\n`;
+    if (analysis.cached && analysis.analyzedAt) {
+      report += `_Cached result from ${new Date(analysis.analyzedAt).toLocaleString()}, token unchanged since_\n`;
+    }
+    report += '\n';
     
     report += `*🧪 TOKEN DETAILS:*\n`;
     report += `• Age: ${ageText}\n`;
@@ -974,16 +1375,49 @@ const formatTokenAnalysisReport = (analysis) => {
     report += `*💰 MARKET DATA:*\n`;
     report += `• Price: $${analysis.priceUsd ? analysis.priceUsd.toFixed(12) : 'Unknown'}\n`;
     report += `• Liquidity: ${analysis.initialLiquiditySOL ? analysis.initialLiquiditySOL.toFixed(2) + ' SOL' : 'Unknown'}\n`;
+    if (analysis.viableExitSizeSOL !== null && analysis.viableExitSizeSOL !== undefined) {
+      report += `• Max Exit (<${analysis.maxExitImpactPct}% impact): ${analysis.viableExitSizeSOL} SOL\n`;
+    }
     report += `• Holders: ${analysis.holderCount || 'Unknown'}\n\n`;
     
     report += `*⚠️ SECURITY CHECKS:*\n`;
     report += `• Mint Authority: ${!analysis.hasMintAuthority ? '✅ None' : '⚠️ Active'}\n`;
     report += `• Freeze Authority: ${!analysis.hasFreezeAuthority ? '✅ None' : '⚠️ Active'}\n`;
     report += `• Transfer Tax: ${analysis.transferTaxBps === 0 ? '✅ None' : `⚠️ ${analysis.transferTaxBps / 100}%`}\n`;
+    if (analysis.tokenProgram === 'token-2022') {
+      report += `• Permanent Delegate: ${!analysis.permanentDelegate ? '✅ None' : '⚠️ Active'}\n`;
+      report += `• Transfer Hook: ${!analysis.transferHookProgramId ? '✅ None' : '⚠️ Active'}\n`;
+      report += `• Default Frozen: ${!analysis.defaultFrozen ? '✅ No' : '⚠️ Yes'}\n`;
+    }
     report += `• LP Tokens Burned: ${analysis.lpTokensBurned ? '✅ Yes' : '⚠️ No'}\n`;
     report += `• Can Sell: ${analysis.canSell ? '✅ Yes' : '❌ NO (HONEYPOT)'}\n`;
     report += `• Top Wallet: ${analysis.topHolderPercentage ? analysis.topHolderPercentage.toFixed(1) + '%' : 'Unknown'}\n\n`;
     
+    report += `*👤 CREATOR:*\n`;
+    if (analysis.creator) {
+      const { stats } = analysis.creator;
+      const rugs = stats.rugged + stats.lpPulled;
+      report += `• Deployer: \`${analysis.creator.deployer}\`\n`;
+      report += `• Funded By: ${analysis.creator.funder ? `\`${analysis.creator.funder}\`` : 'Unknown'}\n`;
+      report += `• Previous Launches: ${stats.total}\n`;
+      if (stats.total > 0) {
+        report += `• Rugged / LP Pulled: ${rugs === 0 ? '✅ 0' : `${rugs >= 2 ? '❌' : '⚠️'} ${stats.rugged} / ${stats.lpPulled}`}\n`;
+        report += `• Abandoned: ${stats.abandoned}, Still Active: ${stats.active}\n`;
+      }
+      report += '\n';
+    } else {
+      report += `• Deployer could not be identified\n\n`;
+    }
+    
+    const violations = riskPolicy.evaluate(analysis.riskAnalysis || {}, riskSettings);
+    if (violations.length > 0) {
+      report += `*🚫 FAILS YOUR RISK SETTINGS:*\n`;
+      violations.forEach(violation => {
+        report += `• ${violation.message}\n`;
+      });
+      report += '\n';
+    }
+    
     report += `*SUMMARY:*\n`;
     
     // Generate quick summary based on risk factors
@@ -1012,8 +1446,11 @@ const handleRecentAnalyses = async (ctx) => {
   try {
     logger.info('Recent token analyses requested');
     
+    const history = database.getTokenAnalysisHistory(ctx.from.id);
+    const recentAnalyses = history.slice(0, 10);
+    
     // Check if user has any recent analyses
-    if (!ctx.session.recentAnalyses || ctx.session.recentAnalyses.length === 0) {
+    if (recentAnalyses.length === 0) {
       return ctx.editMessageText('📖 *Recent Analyses*\n\nYou haven\'t analyzed any tokens yet.', {
         parse_mode: 'Markdown',
         ...keyboards.tokenAnalysisKeyboard
@@ -1023,19 +1460,24 @@ const handleRecentAnalyses = async (ctx) => {
     // Format recent analyses list
     let message = '📖 *Recent Analyses*\n\n';
     
-    ctx.session.recentAnalyses.forEach((analysis, index) => {
+    recentAnalyses.forEach((analysis, index) => {
       const date = new Date(analysis.timestamp).toLocaleString();
       const riskEmoji = analysis.riskScore < 20 ? '🟢' : 
                         analysis.riskScore < 50 ? '🟡' : 
                         analysis.riskScore < 80 ? '🟠' : '🔴';
       
+      // Compare with the user's previous analysis of the same token
+      const previous = history.slice(index + 1).find(entry => entry.tokenAddress === analysis.tokenAddress);
+      const change = previous ? analysis.riskScore - previous.riskScore : 0;
+      const changeText = change > 0 ? ` (▲ ${change})` : change < 0 ? ` (▼ ${-change})` : '';
+      
       message += `${index + 1}. ${analysis.tokenName} (${analysis.tokenSymbol})\n`;
-      message += `   Risk: ${riskEmoji} ${analysis.riskScore}/100\n`;
-      message += `   Date: ${date}\n\n`;
+      message += `   Risk: ${riskEmoji} ${analysis.riskScore}/100${changeText}\n`;
+      message += `   Date: ${date}${analysis.cached ? ' (cached)' : ''}\n\n`;
     });
     
     // Create keyboard with options to view detailed reports
-    const inlineKeyboard = ctx.session.recentAnalyses.map((analysis, index) => {
+    const inlineKeyboard = recentAnalyses.map((analysis, index) => {
       return [{
         text: `View ${analysis.tokenSymbol} Analysis`,
         callback_data: `view_analysis_${analysis.tokenAddress}`
@@ -1068,57 +1510,20 @@ const handleRiskSettings = async (ctx) => {
   try {
     logger.info('Token risk settings requested');
     
-    // Initialize risk settings if not present
-    if (!ctx.session.riskSettings) {
-      ctx.session.riskSettings = {
-        maxRiskScore: 50,
-        requireLpBurned: true,
-        allowMintAuthority: false,
-        allowFreezeAuthority: false,
-        allowTransferTax: false,
-        minLiquiditySol: 5
-      };
-    }
-    
-    const settings = ctx.session.riskSettings;
-    
-    // Format settings message
-    let message = '⚠️ *Risk Analysis Settings*\n\n';
-    message += 'Configure your token risk analysis preferences:\n\n';
-    message += `• Max Risk Score: ${settings.maxRiskScore}/100\n`;
-    message += `• Require LP Burned: ${settings.requireLpBurned ? '✅' : '❌'}\n`;
-    message += `• Allow Mint Authority: ${settings.allowMintAuthority ? '✅' : '❌'}\n`;
-    message += `• Allow Freeze Authority: ${settings.allowFreezeAuthority ? '✅' : '❌'}\n`;
-    message += `• Allow Transfer Tax: ${settings.allowTransferTax ? '✅' : '❌'}\n`;
-    message += `• Min Liquidity: ${settings.minLiquiditySol} SOL\n\n`;
-    message += 'Select an option to change:';
+    const settings = riskPolicy.getSettings(ctx.from.id);
+    const message = formatRiskSettings(settings) + 'Select an option to change:';
     
-    // Create settings keyboard
-    const settingsKeyboard = {
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { text: 'Max Risk Score', callback_data: 'set_max_risk' },
-            { text: 'LP Burned', callback_data: 'set_lp_burned' }
-          ],
-          [
-            { text: 'Mint Authority', callback_data: 'set_mint_auth' },
-            { text: 'Freeze Authority', callback_data: 'set_freeze_auth' }
-          ],
-          [
-            { text: 'Transfer Tax', callback_data: 'set_transfer_tax' },
-            { text: 'Min Liquidity', callback_data: 'set_min_liquidity' }
-          ],
-          [
-            { text: '« Back to Token Analysis', callback_data: 'token_analysis' }
-          ]
-        ]
-      }
-    };
+    // Text input flows reply with a new message, button presses edit in place
+    if (!ctx.callbackQuery) {
+      return ctx.reply(message, {
+        parse_mode: 'Markdown',
+        ...keyboards.riskSettingsKeyboard
+      });
+    }
     
     return ctx.editMessageText(message, {
       parse_mode: 'Markdown',
-      ...settingsKeyboard
+      ...keyboards.riskSettingsKeyboard
     });
   } catch (error) {
     logger.error(`Error in handleRiskSettings: ${error.message}`);
@@ -1127,61 +1532,290 @@ const handleRiskSettings = async (ctx) => {
 };
 
 /**
- * Handle token_risk callback
+ * Format a user's risk settings
+ * @param {Object} settings - Risk settings
+ * @returns {string} Formatted settings
+ */
+const formatRiskSettings = (settings) => {
+  let message = '⚠️ *Risk Analysis Settings*\n\n';
+  message += 'Configure your token risk analysis preferences:\n\n';
+  message += `• Max Risk Score: ${settings.maxRiskScore}/100\n`;
+  message += `• Require LP Burned: ${settings.requireLpBurned ? '✅' : '❌'}\n`;
+  message += `• Allow Mint Authority: ${settings.allowMintAuthority ? '✅' : '❌'}\n`;
+  message += `• Allow Freeze Authority: ${settings.allowFreezeAuthority ? '✅' : '❌'}\n`;
+  message += `• Allow Transfer Tax: ${settings.allowTransferTax ? '✅' : '❌'}\n`;
+  message += `• Min Liquidity: ${settings.minLiquiditySol} SOL\n`;
+  const weights = Object.entries(settings.ruleWeights || {});
+  message += `• Rule Weights: ${weights.length > 0 ? weights.map(([id, weight]) => `${id} ${weight}`).join(', ') : 'default'}\n\n`;
+  return message;
+};
+
+// Risk settings toggled directly by their buttons
+const RISK_SETTING_TOGGLES = {
+  set_lp_burned: 'requireLpBurned',
+  set_mint_auth: 'allowMintAuthority',
+  set_freeze_auth: 'allowFreezeAuthority',
+  set_transfer_tax: 'allowTransferTax'
+};
+
+/**
+ * Handle set_lp_burned, set_mint_auth, set_freeze_auth and set_transfer_tax callbacks
  * @param {Object} ctx - Telegram context
  */
-const handleTokenRiskDetail = async (ctx) => {
+const handleRiskSettingToggle = async (ctx) => {
   try {
-    // Extract token address from callback data
-    const callbackData = ctx.callbackQuery.data;
-    const tokenAddress = callbackData.replace('token_risk_', '');
+    const key = RISK_SETTING_TOGGLES[ctx.callbackQuery.data];
+    const settings = riskPolicy.getSettings(ctx.from.id);
     
-    logger.info(`Detailed risk analysis requested for token: ${tokenAddress}`);
+    riskPolicy.updateSettings(ctx.from.id, { [key]: !settings[key] });
+    await ctx.answerCbQuery('Risk settings updated');
     
-    // Show loading message
-    await ctx.editMessageText('⏳ Generating detailed risk report...');
+    return handleRiskSettings(ctx);
+  } catch (error) {
+    logger.error(`Error in handleRiskSettingToggle: ${error.message}`);
+    return ctx.reply('❌ Error updating risk settings. Please try again later.');
+  }
+};
+
+/**
+ * Handle set_max_risk callback
+ * @param {Object} ctx - Telegram context
+ */
+const handleSetMaxRiskScore = async (ctx) => {
+  try {
+    ctx.session.state = 'WAITING_FOR_MAX_RISK_SCORE';
+    await ctx.answerCbQuery();
     
-    try {
-      // Re-analyze token to get latest data
-      const tokenAnalysis = await solanaClient.autoTrader.analyzeToken(tokenAddress);
-      
-      if (!tokenAnalysis) {
-        return ctx.editMessageText('❌ Failed to analyze token for detailed risk report.', 
-          keyboards.backToMainKeyboard);
-      }
-      
-      // Format detailed risk report
-      let report = `🛡️ *Detailed Risk Analysis*\n\n`;
-      report += `*Token:* ${tokenAnalysis.name} (${tokenAnalysis.symbol})\n`;
-      report += `*Overall Risk Score:* ${tokenAnalysis.potentialRisk}/100\n\n`;
-      
-      report += `*RISK BREAKDOWN:*\n\n`;
-      
-      // Mint Authority Risk
-      report += `*Mint Authority:* ${!tokenAnalysis.hasMintAuthority ? '✅ Safe' : '⚠️ Risk'}\n`;
-      if (tokenAnalysis.hasMintAuthority) {
-        report += '• The token creator can mint unlimited new tokens\n';
-        report += '• This can dilute your holdings and crash the price\n';
-        report += '• High risk of "rug pull" through inflation\n\n';
-      } else {
-        report += '• No one can create additional tokens\n';
-        report += '• Token supply is fixed and cannot be inflated\n\n';
-      }
-      
-      // Freeze Authority Risk
-      report += `*Freeze Authority:* ${!tokenAnalysis.hasFreezeAuthority ? '✅ Safe' : '⚠️ Risk'}\n`;
-      if (tokenAnalysis.hasFreezeAuthority) {
-        report += '• Token creator can freeze any wallet\'s tokens\n';
-        report += '• Your tokens could be locked and become untradeable\n';
-        report += '• Significant control risk\n\n';
-      } else {
-        report += '• No one can freeze token transfers\n';
-        report += '• Your tokens cannot be locked by the developer\n\n';
-      }
-      
-      // LP Token Risk
-      report += `*LP Tokens:* ${tokenAnalysis.lpTokensBurned ? '✅ Burned' : '⚠️ Not Burned'}\n`;
-      if (tokenAnalysis.lpTokensBurned) {
+    return ctx.reply(
+      'Enter the maximum risk score (0-100) a token may have before buys are blocked:',
+      keyboards.backToMainKeyboard
+    );
+  } catch (error) {
+    logger.error(`Error in handleSetMaxRiskScore: ${error.message}`);
+    return ctx.reply('❌ Error updating risk settings. Please try again later.');
+  }
+};
+
+/**
+ * Handle max risk score text input
+ * @param {Object} ctx - Telegram context
+ * @param {string} text - Max risk score
+ */
+const handleMaxRiskScoreInput = async (ctx, text) => {
+  try {
+    const maxRiskScore = Number(text.trim());
+    
+    if (!Number.isInteger(maxRiskScore) || maxRiskScore < 0 || maxRiskScore > 100) {
+      return ctx.reply('❌ Please enter a whole number between 0 and 100:');
+    }
+    
+    ctx.session.state = null;
+    riskPolicy.updateSettings(ctx.from.id, { maxRiskScore });
+    
+    return handleRiskSettings(ctx);
+  } catch (error) {
+    logger.error(`Error in handleMaxRiskScoreInput: ${error.message}`);
+    ctx.session.state = null;
+    return ctx.reply('❌ Error updating risk settings. Please try again later.');
+  }
+};
+
+/**
+ * Handle set_min_liquidity callback
+ * @param {Object} ctx - Telegram context
+ */
+const handleSetMinLiquidity = async (ctx) => {
+  try {
+    ctx.session.state = 'WAITING_FOR_MIN_LIQUIDITY';
+    await ctx.answerCbQuery();
+    
+    return ctx.reply(
+      'Enter the minimum pool liquidity in SOL a token needs (0 to disable):',
+      keyboards.backToMainKeyboard
+    );
+  } catch (error) {
+    logger.error(`Error in handleSetMinLiquidity: ${error.message}`);
+    return ctx.reply('❌ Error updating risk settings. Please try again later.');
+  }
+};
+
+/**
+ * Handle min liquidity text input
+ * @param {Object} ctx - Telegram context
+ * @param {string} text - Min liquidity in SOL
+ */
+const handleMinLiquidityInput = async (ctx, text) => {
+  try {
+    const minLiquiditySol = parseFloat(text.trim());
+    
+    if (isNaN(minLiquiditySol) || minLiquiditySol < 0) {
+      return ctx.reply('❌ Please enter zero or a positive number of SOL:');
+    }
+    
+    ctx.session.state = null;
+    riskPolicy.updateSettings(ctx.from.id, { minLiquiditySol });
+    
+    return handleRiskSettings(ctx);
+  } catch (error) {
+    logger.error(`Error in handleMinLiquidityInput: ${error.message}`);
+    ctx.session.state = null;
+    return ctx.reply('❌ Error updating risk settings. Please try again later.');
+  }
+};
+
+/**
+ * Handle set_rule_weights callback
+ * @param {Object} ctx - Telegram context
+ */
+const handleSetRuleWeights = async (ctx) => {
+  try {
+    ctx.session.state = 'WAITING_FOR_RULE_WEIGHTS';
+    await ctx.answerCbQuery();
+    
+    const custom = riskPolicy.getSettings(ctx.from.id).ruleWeights;
+    const rules = solanaClient.riskAnalyzer ? solanaClient.riskAnalyzer.getRules() : [];
+    let message = 'Risk rules and their weights in your risk score:\n\n';
+    rules.forEach(rule => {
+      message += `• ${rule.id} (${rule.name}): ${custom[rule.id] ?? rule.weight}\n`;
+    });
+    message += '\nEnter new weights as rule=weight, e.g. `creator=0.4 holders=0.1`, or `reset` for the defaults:';
+    
+    return ctx.reply(message, { parse_mode: 'Markdown', ...keyboards.backToMainKeyboard });
+  } catch (error) {
+    logger.error(`Error in handleSetRuleWeights: ${error.message}`);
+    return ctx.reply('❌ Error updating risk settings. Please try again later.');
+  }
+};
+
+/**
+ * Handle rule weights text input
+ * @param {Object} ctx - Telegram context
+ * @param {string} text - rule=weight pairs, or reset
+ */
+const handleRuleWeightsInput = async (ctx, text) => {
+  try {
+    let ruleWeights = {};
+    
+    if (text.trim().toLowerCase() !== 'reset') {
+      const ruleIds = solanaClient.riskAnalyzer ? solanaClient.riskAnalyzer.getRules().map(rule => rule.id) : [];
+      ruleWeights = { ...riskPolicy.getSettings(ctx.from.id).ruleWeights };
+      
+      for (const pair of text.trim().split(/[\s,]+/)) {
+        const [ruleId, value] = pair.split('=');
+        const weight = Number(value);
+        if (!ruleIds.includes(ruleId)) {
+          return ctx.reply(`❌ Unknown rule "${ruleId}". Rules: ${ruleIds.join(', ')}`);
+        }
+        if (value === undefined || value === '' || !(weight >= 0) || !Number.isFinite(weight)) {
+          return ctx.reply(`❌ The weight of ${ruleId} must be zero or a positive number:`);
+        }
+        ruleWeights[ruleId] = weight;
+      }
+    }
+    
+    ctx.session.state = null;
+    riskPolicy.updateSettings(ctx.from.id, { ruleWeights });
+    
+    return handleRiskSettings(ctx);
+  } catch (error) {
+    logger.error(`Error in handleRuleWeightsInput: ${error.message}`);
+    ctx.session.state = null;
+    return ctx.reply('❌ Error updating risk settings. Please try again later.');
+  }
+};
+
+// Emoji shown for each risk rule severity
+const SEVERITY_EMOJI = {
+  none: '✅',
+  low: '🟢',
+  medium: '🟡',
+  high: '🟠',
+  critical: '🔴'
+};
+
+/**
+ * Handle token_risk callback
+ * @param {Object} ctx - Telegram context
+ */
+const handleTokenRiskDetail = async (ctx) => {
+  try {
+    // Extract token address from callback data
+    const callbackData = ctx.callbackQuery.data;
+    const tokenAddress = callbackData.replace('token_risk_', '');
+    
+    logger.info(`Detailed risk analysis requested for token: ${tokenAddress}`);
+    
+    // Show loading message
+    await ctx.editMessageText('⏳ Generating detailed risk report...');
+    
+    try {
+      // Re-analyze token to get latest data
+      const tokenAnalysis = await solanaClient.autoTrader.analyzeToken(tokenAddress);
+      
+      if (!tokenAnalysis) {
+        return ctx.editMessageText('❌ Failed to analyze token for detailed risk report.', 
+          keyboards.backToMainKeyboard);
+      }
+      
+      // Format detailed risk report
+      let report = `🛡️ *Detailed Risk Analysis*\n\n`;
+      report += `*Token:* ${tokenAnalysis.name} (${tokenAnalysis.symbol})\n`;
+      report += `*Overall Risk Score:* ${tokenAnalysis.potentialRisk}/100\n\n`;
+      
+      // Per-rule score breakdown from the risk rule engine
+      const breakdown = tokenAnalysis.riskAnalysis?.breakdown || [];
+      if (breakdown.length > 0) {
+        report += `*SCORE BREAKDOWN:*\n`;
+        breakdown.forEach(item => {
+          report += `${SEVERITY_EMOJI[item.severity] || '❓'} *${item.name}:* ${item.score}/100 ` +
+            `(weight ${item.weight}, +${item.contribution.toFixed(1)})\n`;
+          report += `   ${item.reason}\n`;
+        });
+        report += '\n';
+      }
+      
+      report += `*RISK BREAKDOWN:*\n\n`;
+      
+      // Mint Authority Risk
+      report += `*Mint Authority:* ${!tokenAnalysis.hasMintAuthority ? '✅ Safe' : '⚠️ Risk'}\n`;
+      if (tokenAnalysis.hasMintAuthority) {
+        report += '• The token creator can mint unlimited new tokens\n';
+        report += '• This can dilute your holdings and crash the price\n';
+        report += '• High risk of "rug pull" through inflation\n\n';
+      } else {
+        report += '• No one can create additional tokens\n';
+        report += '• Token supply is fixed and cannot be inflated\n\n';
+      }
+      
+      // Freeze Authority Risk
+      report += `*Freeze Authority:* ${!tokenAnalysis.hasFreezeAuthority ? '✅ Safe' : '⚠️ Risk'}\n`;
+      if (tokenAnalysis.hasFreezeAuthority) {
+        report += '• Token creator can freeze any wallet\'s tokens\n';
+        report += '• Your tokens could be locked and become untradeable\n';
+        report += '• Significant control risk\n\n';
+      } else {
+        report += '• No one can freeze token transfers\n';
+        report += '• Your tokens cannot be locked by the developer\n\n';
+      }
+      
+      // Token-2022 extension risks
+      if (tokenAnalysis.tokenProgram === 'token-2022') {
+        report += `*Token-2022 Extensions:* ${tokenAnalysis.extensions.length > 0 ? tokenAnalysis.extensions.join(', ') : 'None'}\n`;
+        if (tokenAnalysis.permanentDelegate) {
+          report += '• ⚠️ Permanent delegate can move or burn tokens from any wallet\n';
+        }
+        if (tokenAnalysis.transferHookProgramId) {
+          report += `• ⚠️ Transfer hook program \`${tokenAnalysis.transferHookProgramId}\` runs on every transfer\n`;
+        }
+        if (tokenAnalysis.defaultFrozen) {
+          report += '• ⚠️ New token accounts start frozen\n';
+        }
+        report += '\n';
+      }
+      
+      // LP Token Risk
+      report += `*LP Tokens:* ${tokenAnalysis.lpTokensBurned ? '✅ Burned' : '⚠️ Not Burned'}\n`;
+      if (tokenAnalysis.lpTokensBurned) {
         report += '• Liquidity pool tokens have been burned\n';
         report += '• Developers cannot remove liquidity (good)\n';
         report += '• Lower risk of liquidity-based "rug pull"\n\n';
@@ -1196,6 +1830,12 @@ const handleTokenRiskDetail = async (ctx) => {
       if (tokenAnalysis.canSell) {
         report += '• Tokens can be sold on DEX\n';
         report += '• Not detected as a honeypot\n';
+        if (tokenAnalysis.sellSimulated && typeof tokenAnalysis.roundTripLossPct === 'number') {
+          report += `• Simulated round-trip loss: ${tokenAnalysis.roundTripLossPct.toFixed(2)}%\n`;
+          report += `• Effective tax: ${(tokenAnalysis.buyTaxPct || 0).toFixed(1)}% buy / ${(tokenAnalysis.sellTaxPct || 0).toFixed(1)}% sell\n`;
+        } else if (!tokenAnalysis.sellSimulated) {
+          report += '• ⚠️ Sell could not be simulated\n';
+        }
         if (tokenAnalysis.sellImpactPercentage) {
           report += `• Sell impact: ${tokenAnalysis.sellImpactPercentage.toFixed(2)}%\n\n`;
         } else {
@@ -1281,6 +1921,44 @@ const handleTokenRiskDetail = async (ctx) => {
 };
 
 // Command handlers
+/**
+ * Format a limit order for display
+ * @param {Object} order - Limit order
+ * @returns {string} Order summary
+ */
+const formatLimitOrder = (order) => {
+  const amountText = order.type === 'buy'
+    ? `${order.amount} SOL`
+    : order.sellPercentage ? `${order.sellPercentage}% of balance` : `${order.amount} tokens`;
+  const expiryText = order.expiresAt ? new Date(order.expiresAt).toLocaleString() : 'Good til cancelled';
+  
+  return `${order.type.toUpperCase()} ${amountText} of ${order.tokenAddress.slice(0, 8)}... at ${order.price} SOL\n` +
+    `   Expires: ${expiryText}`;
+};
+
+/**
+ * Format a DCA order for display
+ * @param {Object} order - DCA order
+ * @returns {string} Order summary
+ */
+const formatDCAOrder = (order) => {
+  const averageCost = solanaClient.dcaManager ? solanaClient.dcaManager.getAverageCost(order) : null;
+  const remaining = solanaClient.dcaManager ? solanaClient.dcaManager.getRemainingBudget(order) : order.totalBudget - order.spentSol;
+  
+  let text = `Buy ${order.amountPerBuy} SOL of ${order.tokenAddress.slice(0, 8)}... every ${order.intervalHours} hours\n`;
+  text += `   Status: ${order.status === 'active' ? '🟢 Active' : `⏸ Paused${order.pauseReason ? ` (${order.pauseReason})` : ''}`}\n`;
+  text += `   Fills: ${order.fills.length}, Spent: ${order.spentSol} / ${order.totalBudget} SOL (${remaining} left)\n`;
+  if (averageCost !== null) {
+    text += `   Avg Cost: ${averageCost.toFixed(12)} SOL (${order.tokensAcquired} tokens)\n`;
+  }
+  if (order.status === 'active') {
+    text += `   Next Buy: ${new Date(order.nextExecution).toLocaleString()}\n`;
+  }
+  text += `   Missed Buys: ${order.missedSlotPolicy === 'catch_up' ? 'Catch up' : 'Skip'}`;
+  
+  return text;
+};
+
 module.exports = {
   /**
    * Handle the /start command
@@ -1288,8 +1966,19 @@ module.exports = {
    */
   handleStart: async (ctx) => {
     try {
-      // Simulate fetching balance
-      ctx.session.wallet.balance = await solanaClient.getBalance();
+      // Users need a role before they get a wallet
+      if (!accessControl.getRole(ctx.from.id)) {
+        logger.info(`User ${ctx.from.id} started the bot without a role`);
+        return ctx.reply(
+          `Welcome to TraderTony! 🚀\n\n` +
+          `This bot is invite-only. Ask an owner to grant you access with:\n` +
+          `/grant ${ctx.from.id} trader`
+        );
+      }
+      
+      // Every user trades from their own wallet, created on first start
+      ctx.session.wallet.address = solanaClient.ensureUserWallet(ctx.from.id);
+      ctx.session.wallet.balance = await solanaClient.getBalance(ctx.from.id);
       
       await ctx.reply(
         getWelcomeMessage(ctx),
@@ -1316,7 +2005,14 @@ module.exports = {
       `• /buy - Enter a token to buy\n` +
       `• /fund - View wallet funding options\n` +
       `• /wallet - View wallet information\n` +
-      `• /refresh - Update wallet balance\n\n` +
+      `• /refresh - Update wallet balance\n` +
+      `• /pnl - Show your profit and loss\n` +
+      `• /maxfee [SOL] - Show or change your maximum priority fee\n` +
+      (ctx.state.role === 'owner'
+        ? `• /grant <user ID> <role> - Give a user the viewer, trader or owner role\n` +
+          `• /revoke <user ID> - Remove a user's role\n`
+        : '') +
+      `\nYour role: ${ctx.state.role || 'none'}\n\n` +
       `Use the buttons below for additional trading functions:`
     );
   },
@@ -1329,7 +2025,7 @@ module.exports = {
     try {
       // Try to get real balance, fall back to mock if it fails
       try {
-        ctx.session.wallet.balance = await solanaClient.getBalance();
+        ctx.session.wallet.balance = await solanaClient.getBalance(ctx.from.id);
       } catch (error) {
         logger.warn(`Could not fetch real balance: ${error.message}`);
         ctx.session.wallet.balance = 0; // Demo mode
@@ -1434,7 +2130,7 @@ module.exports = {
       // Get the current wallet balance
       let balance = 0;
       try {
-        balance = await solanaClient.getBalance();
+        balance = await solanaClient.getBalance(ctx.from.id);
       } catch (error) {
         logger.warn(`Could not fetch wallet balance: ${error.message}`);
       }
@@ -1471,7 +2167,7 @@ module.exports = {
       await ctx.reply(
         `💳 *Funding Options:*\n\n` +
         `To fund your account, send SOL to the following address:\n\n` +
-        `\`${ctx.session.wallet.address}\`\n\n` +
+        `\`${solanaClient.getWalletAddress(ctx.from.id) || 'No wallet yet - send /start to create one'}\`\n\n` +
         `Your current balance: ${ctx.session.wallet.balance} SOL\n\n` +
         `Use the Phantom Wallet options below for easy deposits and withdrawals.`,
         {
@@ -1531,12 +2227,11 @@ module.exports = {
     try {
       await ctx.answerCbQuery();
       
-      // Initialize if not already done
-      if (!ctx.session.limitOrders) {
-        ctx.session.limitOrders = [];
-      }
+      const orders = solanaClient.limitOrderManager
+        ? solanaClient.limitOrderManager.getOrders(ctx.from.id, { status: 'active' })
+        : [];
       
-      if (ctx.session.limitOrders.length === 0) {
+      if (orders.length === 0) {
         await ctx.reply(
           `🎯 Limit Orders\n\n` +
           `You have no active limit orders.\n\n` +
@@ -1545,15 +2240,22 @@ module.exports = {
         );
       } else {
         // Format the limit orders list
-        const ordersList = ctx.session.limitOrders.map((order, index) => {
-          return `${index + 1}. ${order.type.toUpperCase()} ${order.amount} SOL of ${order.tokenAddress.slice(0, 8)}... at ${order.price} SOL`;
-        }).join('\n');
+        const ordersList = orders.map((order, index) => {
+          return `${index + 1}. ${formatLimitOrder(order)}`;
+        }).join('\n\n');
+        
+        // Edit and cancel buttons for each order
+        const inlineKeyboard = orders.map((order, index) => [
+          { text: `✏️ Edit #${index + 1}`, callback_data: `edit_limit_${order.id}` },
+          { text: `❌ Cancel #${index + 1}`, callback_data: `cancel_limit_${order.id}` }
+        ]);
+        inlineKeyboard.push(...keyboards.limitOrderKeyboard.reply_markup.inline_keyboard);
         
         await ctx.reply(
           `🎯 Your Limit Orders\n\n` +
           ordersList + `\n\n` +
           `To create a new limit order, use the buttons below:`,
-          keyboards.limitOrderKeyboard
+          { reply_markup: { inline_keyboard: inlineKeyboard } }
         );
       }
     } catch (error) {
@@ -1572,10 +2274,10 @@ module.exports = {
       
       // Try to get real balance and tokens
       try {
-        ctx.session.wallet.balance = await solanaClient.getBalance();
+        ctx.session.wallet.balance = await solanaClient.getBalance(ctx.from.id);
         // Get token balances if not in demo mode
         if (!solanaClient.demoMode) {
-          ctx.session.wallet.tokens = await solanaClient.getTokenBalances();
+          ctx.session.wallet.tokens = await solanaClient.getTokenBalances(ctx.from.id);
         }
       } catch (error) {
         logger.warn(`Could not fetch wallet data: ${error.message}`);
@@ -1591,7 +2293,7 @@ module.exports = {
       
       await ctx.reply(
         `👛 Wallet Information\n\n` +
-        `Address: ${solanaClient.getWalletAddress()}\n` +
+        `Address: ${solanaClient.getWalletAddress(ctx.from.id) || 'No wallet yet - send /start to create one'}\n` +
         `Balance: ${ctx.session.wallet.balance} SOL\n\n` +
         `Tokens:\n${tokenDisplay}`,
         keyboards.mainKeyboard
@@ -1631,12 +2333,11 @@ module.exports = {
     try {
       await ctx.answerCbQuery();
       
-      // Initialize if not already done
-      if (!ctx.session.dcaOrders) {
-        ctx.session.dcaOrders = [];
-      }
+      const orders = solanaClient.dcaManager
+        ? solanaClient.dcaManager.getOrders(ctx.from.id, { statuses: ['active', 'paused'] })
+        : [];
       
-      if (ctx.session.dcaOrders.length === 0) {
+      if (orders.length === 0) {
         await ctx.reply(
           `📋 DCA Orders\n\n` +
           `You have no active DCA orders.\n\n` +
@@ -1645,15 +2346,24 @@ module.exports = {
         );
       } else {
         // Format the DCA orders list
-        const ordersList = ctx.session.dcaOrders.map((order, index) => {
-          return `${index + 1}. Buy ${order.amount} SOL of ${order.tokenAddress.slice(0, 8)}... every ${order.interval} hours`;
-        }).join('\n');
+        const ordersList = orders.map((order, index) => {
+          return `${index + 1}. ${formatDCAOrder(order)}`;
+        }).join('\n\n');
+        
+        // Pause/resume and cancel buttons for each order
+        const inlineKeyboard = orders.map((order, index) => [
+          order.status === 'active'
+            ? { text: `⏸ Pause #${index + 1}`, callback_data: `dca_pause_${order.id}` }
+            : { text: `▶️ Resume #${index + 1}`, callback_data: `dca_resume_${order.id}` },
+          { text: `❌ Cancel #${index + 1}`, callback_data: `dca_cancel_${order.id}` }
+        ]);
+        inlineKeyboard.push(...keyboards.dcaOrderKeyboard.reply_markup.inline_keyboard);
         
         await ctx.reply(
           `📋 Your DCA Orders\n\n` +
           ordersList + `\n\n` +
           `To create a new DCA order, use the button below:`,
-          keyboards.dcaOrderKeyboard
+          { reply_markup: { inline_keyboard: inlineKeyboard } }
         );
       }
     } catch (error) {
@@ -1662,6 +2372,39 @@ module.exports = {
     }
   },
   
+  /**
+   * Handle the pause, resume and cancel buttons of a DCA order
+   * @param {Object} ctx - Telegram context
+   * @param {string} action - 'pause', 'resume' or 'cancel'
+   * @param {string} orderId - Order ID
+   */
+  handleDCAOrderAction: async (ctx, action, orderId) => {
+    try {
+      const order = solanaClient.dcaManager?.getOrder(orderId);
+      if (!order || order.ownerId !== ctx.from.id) {
+        return ctx.answerCbQuery('Order not found');
+      }
+      
+      const actions = {
+        pause: { run: id => solanaClient.dcaManager.pauseOrder(id), title: '⏸ DCA Order Paused' },
+        resume: { run: id => solanaClient.dcaManager.resumeOrder(id), title: '▶️ DCA Order Resumed' },
+        cancel: { run: id => solanaClient.dcaManager.cancelOrder(id), title: '❌ DCA Order Cancelled' }
+      };
+      
+      const updated = actions[action].run(orderId);
+      await ctx.answerCbQuery();
+      
+      await ctx.reply(
+        `${actions[action].title}\n\n` +
+        formatDCAOrder(updated),
+        keyboards.dcaOrderKeyboard
+      );
+    } catch (error) {
+      logger.error(`Error in handleDCAOrderAction: ${error.message}`);
+      ctx.reply(`Error updating DCA order: ${error.message}`);
+    }
+  },
+  
   /**
    * Handle the Refer Friends button
    * @param {Object} ctx - Telegram context
@@ -1691,14 +2434,14 @@ module.exports = {
       
       // Update wallet balance
       try {
-        ctx.session.wallet.balance = await solanaClient.getBalance();
+        ctx.session.wallet.balance = await solanaClient.getBalance(ctx.from.id);
       } catch (error) {
         logger.warn(`Could not fetch real balance: ${error.message}`);
       }
       
       await ctx.reply(
         `✅ Data refreshed\n\n` +
-        `Wallet: ${ctx.session.wallet.address}\n` +
+        `Wallet: ${solanaClient.getWalletAddress(ctx.from.id) || 'No wallet yet - send /start to create one'}\n` +
         `Balance: ${ctx.session.wallet.balance} SOL`,
         keyboards.mainKeyboard
       );
@@ -1723,7 +2466,7 @@ module.exports = {
       // If risk level is high (>70), use the handleTokenSnipe function instead
       // which will show additional warnings
       if (ctx.session.snipe.riskAnalysis && ctx.session.snipe.riskAnalysis.riskLevel > 70) {
-        return await exports.handleTokenSnipe(ctx, token, amount, slippage);
+        return await module.exports.handleTokenSnipe(ctx, token, amount, slippage);
       }
       
       // Send status message
@@ -1733,7 +2476,8 @@ module.exports = {
       const result = await solanaClient.snipeToken(token, amount, {
         slippage,
         stopLoss: ctx.session.settings.stopLoss,
-        takeProfit: ctx.session.settings.takeProfit
+        takeProfit: ctx.session.settings.takeProfit,
+        userId: ctx.from.id
       });
       
       if (result.success) {
@@ -1859,7 +2603,7 @@ module.exports = {
    * @param {number} amount - Amount of SOL to spend
    * @param {number} slippage - Slippage percentage
    */
-  handleTokenSnipe: async (ctx, tokenAddress, amount, slippage) => {
+  handleTokenSnipe: async (ctx, tokenAddress, amount, slippage, options = {}) => {
     try {
       // Send initial status message
       const statusMsg = await ctx.reply(
@@ -1867,20 +2611,22 @@ module.exports = {
         `This may take a few moments.`
       );
       
-      // Analyze token risk
+      // Analyze token risk and check it against the user's risk settings
       const riskAnalysis = await solanaClient.analyzeTokenRisk(tokenAddress);
+      const riskSettings = riskPolicy.getSettings(ctx.from.id);
+      const violations = riskPolicy.evaluate(riskAnalysis, riskSettings);
       
-      // If risk analysis failed or risk is too high, warn the user
-      if (!riskAnalysis.success || riskAnalysis.riskLevel > 70) {
-        const warnings = riskAnalysis.warnings ? riskAnalysis.warnings.join('\n• ') : 'Unknown risk';
+      // If the token breaks any of the user's rules, warn the user unless they already confirmed the buy
+      if (!options.force && violations.length > 0) {
+        const violatedRules = violations.map(violation => violation.message).join('\n• ');
         
         await ctx.telegram.editMessageText(
           ctx.chat.id,
           statusMsg.message_id,
           null,
-          `⚠️ High Risk Token Detected!\n\n` +
+          `${riskAnalysis.honeypot ? '🍯 Possible Honeypot - Sell Check Failed!' : '⚠️ Token Fails Your Risk Settings!'}\n\n` +
           `Risk Level: ${riskAnalysis.riskLevel}%\n\n` +
-          `Warnings:\n• ${warnings}\n\n` +
+          `Violated rules:\n• ${violatedRules}\n\n` +
           `Do you still want to proceed with the purchase?`,
           {
             reply_markup: {
@@ -1896,6 +2642,10 @@ module.exports = {
         return;
       }
       
+      if (violations.length > 0) {
+        logger.warn(`User ${ctx.from.id} forced buy of ${tokenAddress} overriding: ${violations.map(v => v.rule).join(', ')}`);
+      }
+      
       // Update status message with risk analysis
       await ctx.telegram.editMessageText(
         ctx.chat.id,
@@ -1913,7 +2663,10 @@ module.exports = {
       const snipeResult = await solanaClient.snipeToken(tokenAddress, amount, {
         slippage,
         stopLoss: ctx.session.settings.stopLoss,
-        takeProfit: ctx.session.settings.takeProfit
+        takeProfit: ctx.session.settings.takeProfit,
+        riskSettings,
+        force: options.force === true,
+        userId: ctx.from.id
       });
       
       if (snipeResult.success) {
@@ -1964,8 +2717,8 @@ module.exports = {
       
       await ctx.answerCbQuery('Proceeding with purchase despite high risk');
       
-      // Proceed with snipe
-      await exports.handleTokenSnipe(ctx, tokenAddress, amount, slippage);
+      // Proceed with snipe, the user has accepted the risk
+      await module.exports.handleTokenSnipe(ctx, tokenAddress, amount, slippage, { force: true });
     } catch (error) {
       logger.error(`Error in handleForceBuy: ${error.message}`);
       ctx.reply('Error processing purchase. Please try again.', keyboards.mainKeyboard);
@@ -2068,13 +2821,14 @@ module.exports = {
       };
       
       // Run token analysis and proceed with snipe
-      await exports.handleTokenSnipe(ctx, tokenAddress, amount, slippage);
+      await module.exports.handleTokenSnipe(ctx, tokenAddress, amount, slippage);
     } catch (error) {
       logger.error(`Error in handleSnipe: ${error.message}`);
       ctx.reply('Error processing snipe command. Please try again.', keyboards.mainKeyboard);
     }
   },
   handlePositions,
+  handlePnL,
   
   /**
    * Handle token address input for monitoring
@@ -2336,6 +3090,40 @@ module.exports = {
     }
   },
   
+  /**
+   * Handle the Create Limit Sell button
+   * @param {Object} ctx - Telegram context
+   */
+  handleCreateLimitSell: async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      
+      // Check if we can execute real transactions
+      if (solanaClient.demoMode || solanaClient.readOnlyMode) {
+        return ctx.reply(
+          `ℹ️ Limit Orders\n\n` +
+          `This feature requires a wallet with a private key to execute transactions.\n\n` +
+          `Currently the bot is in ${solanaClient.demoMode ? 'demo mode' : 'read-only mode'}. ` +
+          `To enable real trading, please update your .env file with your PRIVATE_KEY.`,
+          keyboards.backToMainKeyboard
+        );
+      }
+      
+      // Ask for token address
+      await ctx.reply(
+        `🎯 Create Limit Sell Order\n\n` +
+        `Enter the token address you want to sell:`,
+        { reply_markup: { force_reply: true } }
+      );
+      
+      // Set state to wait for token address
+      ctx.session.state = 'WAITING_FOR_LIMIT_SELL_TOKEN';
+    } catch (error) {
+      logger.error(`Error in handleCreateLimitSell: ${error.message}`);
+      ctx.reply('Error creating limit sell. Please try again.');
+    }
+  },
+  
   /**
    * Handle limit buy token input
    * @param {Object} ctx - Telegram context 
@@ -2361,13 +3149,14 @@ module.exports = {
       }
       
       // Store token in session for next step
-      ctx.session.limitBuySetup = {
+      ctx.session.limitOrderSetup = {
+        type: 'buy',
         tokenAddress,
         riskLevel: riskAnalysis.riskLevel
       };
       
       // Update state
-      ctx.session.state = 'WAITING_FOR_LIMIT_BUY_PRICE';
+      ctx.session.state = 'WAITING_FOR_LIMIT_PRICE';
       
       // Send analysis result and ask for price
       let message = `${riskLevelEmoji} ${riskDescription} Risk Token (${riskAnalysis.riskLevel}%)\n\n`;
@@ -2388,11 +3177,55 @@ module.exports = {
   },
   
   /**
-   * Handle limit buy price input
+   * Handle limit sell token input
+   * @param {Object} ctx - Telegram context
+   * @param {string} tokenAddress - Token address
+   */
+  handleLimitSellTokenInput: async (ctx, tokenAddress) => {
+    try {
+      tokenAddress = tokenAddress.trim();
+      
+      // Check the wallet holds the token
+      const balances = await solanaClient.getTokenBalances(ctx.from.id);
+      const holding = balances.find(balance => balance.mint === tokenAddress);
+      
+      if (!holding || !(holding.balance > 0)) {
+        ctx.session.state = null;
+        return ctx.reply(
+          `❌ Your wallet doesn't hold any of this token.\n\n` +
+          `Token: ${tokenAddress}`,
+          keyboards.limitOrderKeyboard
+        );
+      }
+      
+      // Store token in session for next step
+      ctx.session.limitOrderSetup = {
+        type: 'sell',
+        tokenAddress,
+        balance: holding.balance
+      };
+      
+      // Update state
+      ctx.session.state = 'WAITING_FOR_LIMIT_PRICE';
+      
+      await ctx.reply(
+        `Token: ${tokenAddress}\n` +
+        `Balance: ${holding.balance}\n\n` +
+        `Enter the price (in SOL) at which you want to sell this token:`
+      );
+    } catch (error) {
+      logger.error(`Error in handleLimitSellTokenInput: ${error.message}`);
+      ctx.session.state = null;
+      ctx.reply('Error validating token. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle limit order price input
    * @param {Object} ctx - Telegram context
    * @param {string} priceText - Price input text
    */
-  handleLimitBuyPriceInput: async (ctx, priceText) => {
+  handleLimitPriceInput: async (ctx, priceText) => {
     try {
       // Parse price input
       const price = parseFloat(priceText);
@@ -2403,74 +3236,222 @@ module.exports = {
       }
       
       // Store price in session
-      ctx.session.limitBuySetup.price = price;
+      ctx.session.limitOrderSetup.price = price;
       
       // Update state
-      ctx.session.state = 'WAITING_FOR_LIMIT_BUY_AMOUNT';
+      ctx.session.state = 'WAITING_FOR_LIMIT_AMOUNT';
       
       // Ask for amount
-      await ctx.reply(
-        `How much SOL would you like to spend when this order executes?\n\n` +
-        `Current wallet balance: ${ctx.session.wallet.balance} SOL`
-      );
+      if (ctx.session.limitOrderSetup.type === 'buy') {
+        await ctx.reply(
+          `How much SOL would you like to spend when this order executes?\n\n` +
+          `Current wallet balance: ${ctx.session.wallet.balance} SOL`
+        );
+      } else {
+        await ctx.reply(
+          `How many tokens would you like to sell when this order executes?\n\n` +
+          `Enter an amount, or a percentage of your balance at execution time (e.g. 50%).\n` +
+          `Current balance: ${ctx.session.limitOrderSetup.balance}`
+        );
+      }
     } catch (error) {
-      logger.error(`Error in handleLimitBuyPriceInput: ${error.message}`);
+      logger.error(`Error in handleLimitPriceInput: ${error.message}`);
       ctx.session.state = null;
       ctx.reply('Error setting price. Please try again.');
     }
   },
   
   /**
-   * Handle limit buy amount input
+   * Handle limit order amount input
    * @param {Object} ctx - Telegram context
    * @param {string} amountText - Amount input text
    */
-  handleLimitBuyAmountInput: async (ctx, amountText) => {
+  handleLimitAmountInput: async (ctx, amountText) => {
     try {
-      // Parse amount input
-      const amount = parseFloat(amountText);
-      
-      if (isNaN(amount) || amount <= 0) {
-        await ctx.reply('Invalid amount. Please enter a valid positive number.');
-        return;
+      const setup = ctx.session.limitOrderSetup;
+      const text = amountText.trim();
+      
+      // Sell orders accept a percentage of the balance
+      if (setup.type === 'sell' && text.endsWith('%')) {
+        const percentage = parseFloat(text);
+        if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+          await ctx.reply('Invalid percentage. Please enter a number between 0 and 100, e.g. 50%.');
+          return;
+        }
+        setup.sellPercentage = percentage;
+      } else {
+        const amount = parseFloat(text);
+        if (isNaN(amount) || amount <= 0) {
+          await ctx.reply('Invalid amount. Please enter a valid positive number.');
+          return;
+        }
+        setup.amount = amount;
       }
       
-      // Complete setup
-      const limitBuyOrder = {
-        id: `limit_${Date.now()}`,
-        type: 'buy',
-        tokenAddress: ctx.session.limitBuySetup.tokenAddress,
-        price: ctx.session.limitBuySetup.price,
-        amount: amount,
-        createdAt: new Date(),
-        status: 'active'
-      };
+      // Update state
+      ctx.session.state = 'WAITING_FOR_LIMIT_EXPIRY';
+      
+      await ctx.reply(
+        `How long should this order stay open?\n\n` +
+        `Enter a number of hours (e.g. 24), or GTC to keep it until you cancel it.`
+      );
+    } catch (error) {
+      logger.error(`Error in handleLimitAmountInput: ${error.message}`);
+      ctx.session.state = null;
+      ctx.reply('Error setting amount. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle limit order expiry input and create the order
+   * @param {Object} ctx - Telegram context
+   * @param {string} expiryText - Hours until expiry or GTC
+   */
+  handleLimitExpiryInput: async (ctx, expiryText) => {
+    try {
+      const text = expiryText.trim().toUpperCase();
+      let expiresAt = null;
+      
+      if (text !== 'GTC') {
+        const hours = parseFloat(text);
+        if (isNaN(hours) || hours <= 0) {
+          await ctx.reply('Invalid expiry. Please enter a positive number of hours, or GTC.');
+          return;
+        }
+        expiresAt = Date.now() + hours * 60 * 60 * 1000;
+      }
       
-      // Initialize limit orders if not exist
-      if (!ctx.session.limitOrders) {
-        ctx.session.limitOrders = [];
+      if (!solanaClient.limitOrderManager) {
+        ctx.session.state = null;
+        return ctx.reply('❌ Limit orders are not available right now. Please try again later.');
       }
       
-      // Add to limit orders
-      ctx.session.limitOrders.push(limitBuyOrder);
+      const setup = ctx.session.limitOrderSetup;
+      const order = solanaClient.limitOrderManager.createOrder({
+        ownerId: ctx.from.id,
+        chatId: ctx.chat.id,
+        type: setup.type,
+        tokenAddress: setup.tokenAddress,
+        price: setup.price,
+        amount: setup.amount,
+        sellPercentage: setup.sellPercentage,
+        expiresAt
+      });
       
       // Reset state
       ctx.session.state = null;
-      delete ctx.session.limitBuySetup;
+      delete ctx.session.limitOrderSetup;
       
       // Confirm order
       await ctx.reply(
-        `✅ Limit Buy Order Created\n\n` +
-        `Token: ${limitBuyOrder.tokenAddress.substring(0, 8)}...\n` +
-        `Price: ${limitBuyOrder.price} SOL\n` +
-        `Amount: ${limitBuyOrder.amount} SOL\n\n` +
+        `✅ Limit ${order.type === 'buy' ? 'Buy' : 'Sell'} Order Created\n\n` +
+        formatLimitOrder(order) + `\n\n` +
         `Your order will execute automatically when the token reaches the target price.`,
         keyboards.mainKeyboard
       );
     } catch (error) {
-      logger.error(`Error in handleLimitBuyAmountInput: ${error.message}`);
+      logger.error(`Error in handleLimitExpiryInput: ${error.message}`);
+      ctx.session.state = null;
+      ctx.reply(`Error creating limit order: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the cancel button of a limit order
+   * @param {Object} ctx - Telegram context
+   * @param {string} orderId - Order ID
+   */
+  handleCancelLimitOrder: async (ctx, orderId) => {
+    try {
+      const order = solanaClient.limitOrderManager?.getOrder(orderId);
+      if (!order || order.ownerId !== ctx.from.id) {
+        return ctx.answerCbQuery('Order not found');
+      }
+      
+      solanaClient.limitOrderManager.cancelOrder(orderId);
+      await ctx.answerCbQuery('Order cancelled');
+      
+      await ctx.reply(
+        `❌ Limit Order Cancelled\n\n` +
+        formatLimitOrder(order),
+        keyboards.limitOrderKeyboard
+      );
+    } catch (error) {
+      logger.error(`Error in handleCancelLimitOrder: ${error.message}`);
+      ctx.reply(`Error cancelling limit order: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the edit button of a limit order
+   * @param {Object} ctx - Telegram context
+   * @param {string} orderId - Order ID
+   */
+  handleEditLimitOrder: async (ctx, orderId) => {
+    try {
+      const order = solanaClient.limitOrderManager?.getOrder(orderId);
+      if (!order || order.ownerId !== ctx.from.id) {
+        return ctx.answerCbQuery('Order not found');
+      }
+      
+      await ctx.answerCbQuery();
+      
+      ctx.session.limitEdit = { orderId };
+      ctx.session.state = 'WAITING_FOR_LIMIT_EDIT';
+      
+      await ctx.reply(
+        `✏️ Edit Limit Order\n\n` +
+        formatLimitOrder(order) + `\n\n` +
+        `Enter the new price and amount separated by a space (e.g. 0.0002 0.5).\n` +
+        `Use - to keep a value, e.g. "- 0.5" only changes the amount.`,
+        { reply_markup: { force_reply: true } }
+      );
+    } catch (error) {
+      logger.error(`Error in handleEditLimitOrder: ${error.message}`);
+      ctx.reply('Error editing limit order. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle limit order edit input
+   * @param {Object} ctx - Telegram context
+   * @param {string} text - New price and amount
+   */
+  handleLimitEditInput: async (ctx, text) => {
+    try {
+      const { orderId } = ctx.session.limitEdit;
+      const order = solanaClient.limitOrderManager.getOrder(orderId);
+      const [priceText, amountText] = text.trim().split(/\s+/);
+      const updates = {};
+      
+      if (priceText && priceText !== '-') {
+        updates.price = parseFloat(priceText);
+      }
+      if (amountText && amountText !== '-') {
+        if (order.type === 'sell' && amountText.endsWith('%')) {
+          updates.sellPercentage = parseFloat(amountText);
+          updates.amount = null;
+        } else {
+          updates.amount = parseFloat(amountText);
+          updates.sellPercentage = null;
+        }
+      }
+      
+      const updated = solanaClient.limitOrderManager.updateOrder(orderId, updates);
+      
+      ctx.session.state = null;
+      delete ctx.session.limitEdit;
+      
+      await ctx.reply(
+        `✅ Limit Order Updated\n\n` +
+        formatLimitOrder(updated),
+        keyboards.limitOrderKeyboard
+      );
+    } catch (error) {
+      logger.error(`Error in handleLimitEditInput: ${error.message}`);
       ctx.session.state = null;
-      ctx.reply('Error creating limit order. Please try again.');
+      delete ctx.session.limitEdit;
+      ctx.reply(`Error updating limit order: ${error.message}`);
     }
   },
   
@@ -2603,49 +3584,105 @@ module.exports = {
   handleDCAIntervalInput: async (ctx, intervalText) => {
     try {
       // Parse interval input
-      const interval = parseInt(intervalText);
+      const interval = parseFloat(intervalText);
       
       if (isNaN(interval) || interval <= 0) {
         await ctx.reply('Invalid interval. Please enter a valid positive number.');
         return;
       }
       
-      // Complete setup
-      const dcaOrder = {
-        id: `dca_${Date.now()}`,
-        tokenAddress: ctx.session.dcaSetup.tokenAddress,
-        amount: ctx.session.dcaSetup.amount,
-        interval: interval,
-        nextExecution: Date.now() + interval * 3600000, // Convert hours to milliseconds
-        createdAt: new Date(),
-        status: 'active'
-      };
+      // Store interval in session
+      ctx.session.dcaSetup.interval = interval;
+      
+      // Update state
+      ctx.session.state = 'WAITING_FOR_DCA_BUDGET';
+      
+      // Ask for total budget
+      await ctx.reply(
+        `What is the total budget for this order? (in SOL)\n\n` +
+        `Buys stop once this much has been spent. ` +
+        `For example, ${ctx.session.dcaSetup.amount * 10} SOL covers 10 buys.`
+      );
+    } catch (error) {
+      logger.error(`Error in handleDCAIntervalInput: ${error.message}`);
+      ctx.session.state = null;
+      ctx.reply('Error setting interval. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle DCA budget input
+   * @param {Object} ctx - Telegram context
+   * @param {string} budgetText - Budget input text
+   */
+  handleDCABudgetInput: async (ctx, budgetText) => {
+    try {
+      // Parse budget input
+      const budget = parseFloat(budgetText);
       
-      // Initialize DCA orders if not exist
-      if (!ctx.session.dcaOrders) {
-        ctx.session.dcaOrders = [];
+      if (isNaN(budget) || budget < ctx.session.dcaSetup.amount) {
+        await ctx.reply(`Invalid budget. Please enter at least ${ctx.session.dcaSetup.amount} SOL (one buy).`);
+        return;
       }
       
-      // Add to DCA orders
-      ctx.session.dcaOrders.push(dcaOrder);
+      // Store budget in session
+      ctx.session.dcaSetup.budget = budget;
+      ctx.session.state = null;
       
-      // Reset state
+      // Ask what to do with buys missed while the bot is offline
+      await ctx.reply(
+        `If the bot is offline when buys are due, should it catch up on the missed buys ` +
+        `(up to ${solanaClient.dcaManager ? solanaClient.dcaManager.maxCatchUpBuys : 5} at once) or skip them?`,
+        keyboards.dcaPolicyKeyboard
+      );
+    } catch (error) {
+      logger.error(`Error in handleDCABudgetInput: ${error.message}`);
       ctx.session.state = null;
+      ctx.reply('Error setting budget. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle DCA missed buy policy selection and create the order
+   * @param {Object} ctx - Telegram context
+   * @param {string} policy - 'catch_up' or 'skip'
+   */
+  handleDCAPolicySelection: async (ctx, policy) => {
+    try {
+      await ctx.answerCbQuery();
+      
+      const setup = ctx.session.dcaSetup;
+      if (!setup || !setup.budget) {
+        return ctx.reply('This DCA setup has expired. Please create the order again.', keyboards.dcaOrderKeyboard);
+      }
+      
+      if (!solanaClient.dcaManager) {
+        return ctx.reply('❌ DCA orders are not available right now. Please try again later.');
+      }
+      
+      const dcaOrder = solanaClient.dcaManager.createOrder({
+        ownerId: ctx.from.id,
+        chatId: ctx.chat.id,
+        tokenAddress: setup.tokenAddress,
+        amountPerBuy: setup.amount,
+        intervalHours: setup.interval,
+        totalBudget: setup.budget,
+        missedSlotPolicy: policy
+      });
+      
+      // Reset state
       delete ctx.session.dcaSetup;
       
       // Confirm order
       await ctx.reply(
         `✅ DCA Order Created\n\n` +
-        `Token: ${dcaOrder.tokenAddress.substring(0, 8)}...\n` +
-        `Amount: ${dcaOrder.amount} SOL\n` +
-        `Interval: Every ${dcaOrder.interval} hours\n\n` +
-        `Your first purchase will execute in ${dcaOrder.interval} hours.`,
+        formatDCAOrder(dcaOrder) + `\n\n` +
+        `Your first purchase will execute in ${dcaOrder.intervalHours} hours.`,
         keyboards.mainKeyboard
       );
     } catch (error) {
-      logger.error(`Error in handleDCAIntervalInput: ${error.message}`);
-      ctx.session.state = null;
-      ctx.reply('Error creating DCA order. Please try again.');
+      logger.error(`Error in handleDCAPolicySelection: ${error.message}`);
+      ctx.reply(`Error creating DCA order: ${error.message}`);
     }
   },
   
@@ -2659,7 +3696,7 @@ module.exports = {
       await ctx.answerCbQuery();
       
       // Get wallet address
-      const walletAddress = solanaClient.getWalletAddress();
+      const walletAddress = solanaClient.getWalletAddress(ctx.from.id);
       
       if (!walletAddress) {
         return ctx.reply('No wallet address available. Please set up a wallet first.');
@@ -2693,7 +3730,7 @@ module.exports = {
       const loadingMsg = await ctx.reply('Generating QR code...');
       
       // Get wallet address
-      const walletAddress = solanaClient.getWalletAddress();
+      const walletAddress = solanaClient.getWalletAddress(ctx.from.id);
       
       if (!walletAddress) {
         return ctx.reply('No wallet address available. Please set up a wallet first.');
@@ -2708,6 +3745,9 @@ module.exports = {
         'Fund your trading bot'
       );
       
+      // Watch the reference so the deposit is credited once it confirms
+      const depositRequest = trackDeposit(ctx, transferRequest.reference, walletAddress);
+      
       // Generate QR code
       const qrCode = await solanaClient.phantomConnectManager.generateQRCode(transferRequest.url);
       
@@ -2720,18 +3760,13 @@ module.exports = {
         {
           caption: `📱 *Scan with Phantom Wallet*\n\n` +
                   `Scan this QR code with your Phantom wallet to deposit SOL to your trading bot.\n\n` +
-                  `Wallet address: \`${walletAddress}\``,
+                  `Wallet address: \`${walletAddress}\`` +
+                  formatDepositTracking(depositRequest),
           parse_mode: 'Markdown',
           ...keyboards.phantomDepositKeyboard
         }
       );
       
-      // Store reference in session for monitoring
-      ctx.session.pendingDeposit = {
-        reference: transferRequest.reference,
-        timestamp: Date.now()
-      };
-      
     } catch (error) {
       logger.error(`Error in handleGenerateQR: ${error.message}`);
       ctx.reply('Error generating QR code. Please try again.');
@@ -2747,7 +3782,7 @@ module.exports = {
       await ctx.answerCbQuery();
       
       // Get wallet address
-      const walletAddress = solanaClient.getWalletAddress();
+      const walletAddress = solanaClient.getWalletAddress(ctx.from.id);
       
       if (!walletAddress) {
         return ctx.reply('No wallet address available. Please set up a wallet first.');
@@ -2762,24 +3797,22 @@ module.exports = {
         'Fund your trading bot'
       );
       
+      // Watch the reference so the deposit is credited once it confirms
+      const depositRequest = trackDeposit(ctx, transferRequest.reference, walletAddress);
+      
       // Send URL to user
       await ctx.reply(
         `🔗 *Solana Pay Link*\n\n` +
         `Use this link to deposit SOL from your Phantom wallet:\n\n` +
         `\`${transferRequest.url}\`\n\n` +
-        `Click the link to open in Phantom or copy it to your clipboard.`,
+        `Click the link to open in Phantom or copy it to your clipboard.` +
+        formatDepositTracking(depositRequest),
         {
           parse_mode: 'Markdown',
           ...keyboards.phantomDepositKeyboard
         }
       );
       
-      // Store reference in session for monitoring
-      ctx.session.pendingDeposit = {
-        reference: transferRequest.reference,
-        timestamp: Date.now()
-      };
-      
     } catch (error) {
       logger.error(`Error in handleCopyPayLink: ${error.message}`);
       ctx.reply('Error generating Solana Pay link. Please try again.');
@@ -2793,6 +3826,7 @@ module.exports = {
   handleWithdrawPhantom: async (ctx) => {
     try {
       await ctx.answerCbQuery();
+      if (!(await canWithdraw(ctx))) return;
       
       // Check if we can execute real transactions
       if (solanaClient.demoMode) {
@@ -2808,11 +3842,14 @@ module.exports = {
       }
       
       // Get current wallet balance
-      const balance = await solanaClient.getBalance();
+      const balance = await solanaClient.getBalance(ctx.from.id);
       
       await ctx.reply(
         `💸 *Withdraw to Phantom Wallet*\n\n` +
-        `Current balance: ${balance} SOL\n\n` +
+        `Current balance: ${balance} SOL\n` +
+        `Limits: ${withdrawalPolicy.maxPerTxSol} SOL per withdrawal, ${withdrawalPolicy.dailyLimitSol} SOL per 24 hours ` +
+        `(${withdrawalPolicy.getAvailableToWithdraw(ctx.from.id)} SOL available now)\n\n` +
+        `Withdrawals only go to addresses on your allowlist, see /allowlist.\n\n` +
         `Select an amount to withdraw or enter a custom amount:`,
         {
           parse_mode: 'Markdown',
@@ -2837,6 +3874,7 @@ module.exports = {
   handleWithdrawalAmount: async (ctx, amount) => {
     try {
       await ctx.answerCbQuery();
+      if (!(await canWithdraw(ctx))) return;
       
       // Check for valid amount
       const withdrawAmount = parseFloat(amount);
@@ -2845,24 +3883,140 @@ module.exports = {
       }
       
       // Check if we have enough balance
-      const balance = await solanaClient.getBalance();
+      const balance = await solanaClient.getBalance(ctx.from.id);
       if (withdrawAmount > balance) {
         return ctx.reply(`Insufficient balance. You only have ${balance} SOL available.`);
       }
       
-      // Ask for recipient address
+      // Check the withdrawal limits before asking for an address
+      const available = withdrawalPolicy.getAvailableToWithdraw(ctx.from.id);
+      if (withdrawAmount > available) {
+        return ctx.reply(`Withdrawal limits allow at most ${available} SOL right now.`);
+      }
+      
+      ctx.session.withdrawAmount = withdrawAmount;
+      ctx.session.withdrawMint = null;
+      await promptWithdrawalRecipient(ctx);
+      
+    } catch (error) {
+      logger.error(`Error in handleWithdrawalAmount: ${error.message}`);
+      ctx.reply('Error processing withdrawal amount. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle the withdraw token button - list the tokens held in the wallet
+   * @param {Object} ctx - Telegram context
+   */
+  handleWithdrawToken: async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      if (!(await canWithdraw(ctx))) return;
+      
+      if (solanaClient.demoMode) {
+        return ctx.reply('Token withdrawals are not available in demo mode.', keyboards.backToMainKeyboard);
+      }
+      
+      const tokens = (await solanaClient.getTokenBalances(ctx.from.id))
+        .filter(token => token.tokenAccount && token.balance > 0);
+      if (tokens.length === 0) {
+        return ctx.reply('Your wallet holds no tokens to withdraw.', keyboards.backToMainKeyboard);
+      }
+      
+      // Buttons carry an index into this list, mint addresses don't fit in callback data with a prefix
+      ctx.session.withdrawTokens = tokens.map(({ mint, balance, decimals, amount, tokenAccount }) => ({
+        mint, balance, decimals, amount, tokenAccount
+      }));
+      
+      const tokenButtons = ctx.session.withdrawTokens.map((token, index) => [{
+        text: `${token.mint.slice(0, 4)}...${token.mint.slice(-4)}: ${token.balance}`,
+        callback_data: `withdraw_token_${index}`
+      }]);
+      
       await ctx.reply(
-        `🔍 *Enter Recipient Address*\n\n` +
-        `Please enter the Phantom wallet address to withdraw ${withdrawAmount} SOL to:`,
+        `🪙 *Withdraw Token*\n\n` +
+        `Select the token to withdraw:`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [...tokenButtons, [{ text: '« Back to Funding Options', callback_data: 'fund' }]]
+          }
+        }
+      );
+    } catch (error) {
+      logger.error(`Error in handleWithdrawToken: ${error.message}`);
+      ctx.reply('Error loading your tokens. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle picking a token to withdraw
+   * @param {Object} ctx - Telegram context
+   * @param {string} index - Position of the token in the listed balances
+   */
+  handleWithdrawTokenSelection: async (ctx, index) => {
+    try {
+      await ctx.answerCbQuery();
+      
+      const token = (ctx.session.withdrawTokens || [])[parseInt(index)];
+      if (!token) {
+        return ctx.reply('Token list expired. Please start over.');
+      }
+      
+      ctx.session.withdrawMint = token.mint;
+      ctx.session.state = 'WAITING_FOR_WITHDRAW_TOKEN_AMOUNT';
+      
+      await ctx.reply(
+        `Token: \`${token.mint}\`\n` +
+        `Balance: ${token.balance}\n\n` +
+        `Enter the amount to withdraw, or "max" for the whole balance:`,
         { parse_mode: 'Markdown' }
       );
+    } catch (error) {
+      logger.error(`Error in handleWithdrawTokenSelection: ${error.message}`);
+      ctx.reply('Error selecting token. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle the amount of a token withdrawal
+   * @param {Object} ctx - Telegram context
+   * @param {string} text - Amount in whole tokens, or "max"
+   */
+  handleWithdrawTokenAmountInput: async (ctx, text) => {
+    try {
+      const token = (ctx.session.withdrawTokens || []).find(item => item.mint === ctx.session.withdrawMint);
+      if (!token) {
+        ctx.session.state = null;
+        return ctx.reply('Token list expired. Please start over.');
+      }
       
-      // Store amount and set state
-      ctx.session.withdrawAmount = withdrawAmount;
-      ctx.session.state = 'WAITING_FOR_WITHDRAW_ADDRESS';
+      // Amounts stay decimal strings so large balances don't lose precision
+      const raw = BigInt(token.amount);
+      const scale = 10n ** BigInt(token.decimals);
+      const maxAmount = token.decimals > 0
+        ? `${raw / scale}.${(raw % scale).toString().padStart(token.decimals, '0')}`.replace(/\.?0+$/, '')
+        : raw.toString();
+      
+      const amount = text.trim().toLowerCase() === 'max' ? maxAmount : text.trim();
+      const [whole, fraction = ''] = amount.split('.');
+      if (!/^\d+(\.\d+)?$/.test(amount) || fraction.length > token.decimals) {
+        return ctx.reply(`Please enter a number with at most ${token.decimals} decimal places, or "max".`);
+      }
+      
+      const rawAmount = BigInt(whole + fraction.padEnd(token.decimals, '0'));
+      if (rawAmount <= 0n) {
+        return ctx.reply('Please enter an amount greater than zero.');
+      }
+      if (rawAmount > raw) {
+        return ctx.reply(`Insufficient balance. You only have ${maxAmount} of this token.`);
+      }
       
+      ctx.session.withdrawAmount = amount;
+      delete ctx.session.withdrawTokens;
+      await promptWithdrawalRecipient(ctx);
     } catch (error) {
-      logger.error(`Error in handleWithdrawalAmount: ${error.message}`);
+      logger.error(`Error in handleWithdrawTokenAmountInput: ${error.message}`);
       ctx.reply('Error processing withdrawal amount. Please try again.');
     }
   },
@@ -2874,119 +4028,564 @@ module.exports = {
    */
   handleWithdrawAddressInput: async (ctx, address) => {
     try {
+      ctx.session.state = null;
+      
+      if (!ctx.session.withdrawAmount) {
+        return ctx.reply('Withdrawal amount not set. Please start over.');
+      }
+      
       // Validate the address
       try {
         new solanaClient.connection.constructor.PublicKey(address);
       } catch (error) {
+        ctx.session.state = 'WAITING_FOR_WITHDRAW_ADDRESS';
         return ctx.reply('Invalid Solana address. Please enter a valid address.');
       }
       
-      // Send confirmation message
+      await promptWithdrawalRequest(ctx, address.trim());
+    } catch (error) {
+      logger.error(`Error in handleWithdrawAddressInput: ${error.message}`);
+      ctx.reply(`❌ Withdrawal not possible: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle picking an allowlisted address for a withdrawal
+   * @param {Object} ctx - Telegram context
+   * @param {string} index - Position of the address on the user's allowlist
+   */
+  handleWithdrawToAllowlisted: async (ctx, index) => {
+    try {
+      await ctx.answerCbQuery();
+      ctx.session.state = null;
+      
+      const entry = withdrawalPolicy.getAllowlist(ctx.from.id)[parseInt(index)];
+      if (!entry || !ctx.session.withdrawAmount) {
+        return ctx.reply('Withdrawal expired. Please start over.');
+      }
+      
+      await promptWithdrawalRequest(ctx, entry.address);
+    } catch (error) {
+      logger.error(`Error in handleWithdrawToAllowlisted: ${error.message}`);
+      ctx.reply(`❌ Withdrawal not possible: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle withdrawal confirmation
+   * Approved requests are sent right away, larger ones first need a code or a second owner.
+   * @param {Object} ctx - Telegram context
+   * @param {string} requestId - Withdrawal request ID
+   */
+  handleConfirmWithdrawal: async (ctx, requestId) => {
+    try {
+      await ctx.answerCbQuery();
+      if (!(await canWithdraw(ctx))) return;
+      
+      const request = withdrawalPolicy.getRequest(requestId);
+      if (!request || request.userId !== String(ctx.from.id)) {
+        return ctx.reply('Withdrawal request not found. Please start over.');
+      }
+      
+      if (request.status === 'awaiting_code') {
+        ctx.session.state = 'WAITING_FOR_WITHDRAW_CODE';
+        ctx.session.withdrawRequestId = request.id;
+        return ctx.reply('🔐 Enter the 6-digit code from your authenticator app:');
+      }
+      
+      if (request.status === 'awaiting_approval') {
+        const delivered = await requestWithdrawalApproval(ctx, request);
+        if (delivered === 0) {
+          withdrawalPolicy.cancel(request.id, ctx.from.id);
+          return ctx.reply('❌ No owner could be reached to approve this withdrawal. Set up an authenticator with /authenticator instead.');
+        }
+        return ctx.reply(`⏳ Sent to ${delivered} owner${delivered === 1 ? '' : 's'} for approval. You'll be notified when it is approved.`);
+      }
+      
+      if (request.status !== 'approved') {
+        return ctx.reply(`Withdrawal request is ${request.status.replace('_', ' ')}. Please start over.`);
+      }
+      
+      const processingMsg = await ctx.reply('Processing withdrawal...');
+      await executeWithdrawal(ctx.telegram, request.id);
+      await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id);
+    } catch (error) {
+      logger.error(`Error in handleConfirmWithdrawal: ${error.message}`);
+      ctx.reply(`❌ Withdrawal failed: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the authenticator code for a large withdrawal
+   * @param {Object} ctx - Telegram context
+   * @param {string} code - Authenticator code
+   */
+  handleWithdrawCodeInput: async (ctx, code) => {
+    const requestId = ctx.session.withdrawRequestId;
+    ctx.session.state = null;
+    delete ctx.session.withdrawRequestId;
+    
+    try {
+      withdrawalPolicy.verifyCode(requestId, ctx.from.id, code);
+      
+      const processingMsg = await ctx.reply('Processing withdrawal...');
+      await executeWithdrawal(ctx.telegram, requestId);
+      await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id);
+    } catch (error) {
+      logger.error(`Error in handleWithdrawCodeInput: ${error.message}`);
+      // A mistyped code can be retried while the request is open
+      if (withdrawalPolicy.getRequest(requestId)?.status === 'awaiting_code') {
+        ctx.session.state = 'WAITING_FOR_WITHDRAW_CODE';
+        ctx.session.withdrawRequestId = requestId;
+        return ctx.reply(`❌ ${error.message}. Enter the code again:`);
+      }
+      ctx.reply(`❌ Withdrawal failed: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle cancelling a withdrawal request
+   * @param {Object} ctx - Telegram context
+   * @param {string} requestId - Withdrawal request ID
+   */
+  handleCancelWithdrawal: async (ctx, requestId) => {
+    try {
+      await ctx.answerCbQuery('Cancelled');
+      withdrawalPolicy.cancel(requestId, ctx.from.id);
+      await ctx.editMessageText('Withdrawal cancelled.');
+    } catch (error) {
+      logger.error(`Error in handleCancelWithdrawal: ${error.message}`);
+      ctx.reply(`❌ ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle a second owner approving a withdrawal
+   * @param {Object} ctx - Telegram context
+   * @param {string} requestId - Withdrawal request ID
+   */
+  handleApproveWithdrawal: async (ctx, requestId) => {
+    try {
+      await ctx.answerCbQuery();
+      const request = withdrawalPolicy.approve(requestId, ctx.from.id);
+      
+      await ctx.editMessageText(`✅ You approved the withdrawal of ${formatWithdrawalAmount(request)} to \`${request.address}\`.`, { parse_mode: 'Markdown' });
+      const result = await executeWithdrawal(ctx.telegram, requestId);
+      await ctx.reply(result.success ? `Withdrawal sent: \`${result.signature}\`` : `Withdrawal failed: ${result.error}`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in handleApproveWithdrawal: ${error.message}`);
+      ctx.reply(`❌ Approval failed: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle a second owner rejecting a withdrawal
+   * @param {Object} ctx - Telegram context
+   * @param {string} requestId - Withdrawal request ID
+   */
+  handleRejectWithdrawal: async (ctx, requestId) => {
+    try {
+      await ctx.answerCbQuery();
+      const request = withdrawalPolicy.reject(requestId, ctx.from.id);
+      
+      await ctx.editMessageText(`❌ You rejected the withdrawal of ${formatWithdrawalAmount(request)} to \`${request.address}\`.`, { parse_mode: 'Markdown' });
+      await ctx.telegram.sendMessage(request.chatId, `❌ Your withdrawal of ${formatWithdrawalAmount(request)} was rejected by an owner.`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in handleRejectWithdrawal: ${error.message}`);
+      ctx.reply(`❌ Rejection failed: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the /allowlist command
+   * /allowlist lists addresses, /allowlist add <address> [label] and /allowlist remove <address> change them.
+   * @param {Object} ctx - Telegram context
+   */
+  handleAllowlist: async (ctx) => {
+    try {
+      const [action, address, ...labelWords] = ctx.message.text.split(/\s+/).slice(1);
+      
+      if (action === 'add' && address) {
+        const entry = withdrawalPolicy.addAddress(ctx.from.id, address, labelWords.join(' ') || null);
+        return ctx.reply(
+          `✅ Added \`${entry.address}\` to your withdrawal allowlist.\n\n` +
+          (entry.usable ? 'It can be used right away.' : `It can receive withdrawals from ${new Date(entry.usableAt).toLocaleString()}.`),
+          { parse_mode: 'Markdown' }
+        );
+      }
+      
+      if (action === 'remove' && address) {
+        const removed = withdrawalPolicy.removeAddress(ctx.from.id, address);
+        return ctx.reply(removed ? '✅ Address removed from your allowlist.' : 'That address is not on your allowlist.');
+      }
+      
+      const entries = withdrawalPolicy.getAllowlist(ctx.from.id);
+      const lines = entries.map(entry =>
+        `• ${entry.label ? `${entry.label}: ` : ''}\`${entry.address}\`` +
+        (entry.usable ? '' : ` (usable from ${new Date(entry.usableAt).toLocaleString()})`)
+      );
+      
+      return ctx.reply(
+        `📒 *Withdrawal Allowlist*\n\n` +
+        `${lines.join('\n') || 'No addresses yet.'}\n\n` +
+        `Add: /allowlist add <address> [label]\n` +
+        `Remove: /allowlist remove <address>\n\n` +
+        `New addresses can be used after ${withdrawalPolicy.addressCooldownHours} hours.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logger.error(`Error in handleAllowlist: ${error.message}`);
+      ctx.reply(`❌ ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the /maxfee command
+   * /maxfee shows the fee profiles and the user's maximum priority fee, /maxfee <SOL> changes the maximum.
+   * @param {Object} ctx - Telegram context
+   */
+  handleMaxFee: async (ctx) => {
+    try {
+      const [amountText] = ctx.message.text.split(/\s+/).slice(1);
+      
+      if (amountText) {
+        const amountSol = parseFloat(amountText);
+        if (isNaN(amountSol) || amountSol < 0) {
+          return ctx.reply('❌ Please enter the maximum priority fee in SOL, e.g. /maxfee 0.005');
+        }
+        
+        feeOracle.setMaxFee(ctx.from.id, Math.round(amountSol * LAMPORTS_PER_SOL));
+        return ctx.reply(`✅ Priority fees are now capped at ${amountSol} SOL per transaction.`);
+      }
+      
+      const profiles = Object.entries(feeOracle.getProfiles()).map(([name, profile]) =>
+        `• ${name}: ${profile.percentile}th percentile of recent fees, at least ${profile.minMicroLamports} microLamports/CU, x${profile.escalation} per retry`
+      );
+      
+      return ctx.reply(
+        `⛽ *Priority Fees*\n\n` +
+        `Max per transaction: ${feeOracle.getMaxFee(ctx.from.id) / LAMPORTS_PER_SOL} SOL\n\n` +
+        `${profiles.join('\n')}\n\n` +
+        `Change the max: /maxfee <SOL>`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logger.error(`Error in handleMaxFee: ${error.message}`);
+      ctx.reply(`❌ ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle adding the address from a rejected withdrawal to the allowlist
+   * @param {Object} ctx - Telegram context
+   */
+  handleAllowlistAdd: async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      
+      const address = ctx.session.pendingAllowlistAddress;
+      if (!address) {
+        return ctx.reply('No address to add. Use /allowlist add <address>.');
+      }
+      delete ctx.session.pendingAllowlistAddress;
+      
+      const entry = withdrawalPolicy.addAddress(ctx.from.id, address);
+      await ctx.editMessageText(
+        `✅ Added \`${entry.address}\` to your withdrawal allowlist.\n\n` +
+        (entry.usable ? 'It can be used right away.' : `It can receive withdrawals from ${new Date(entry.usableAt).toLocaleString()}.`),
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logger.error(`Error in handleAllowlistAdd: ${error.message}`);
+      ctx.reply(`❌ ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the /authenticator command - set up codes for large withdrawals
+   * @param {Object} ctx - Telegram context
+   */
+  handleAuthenticator: async (ctx) => {
+    try {
+      if (withdrawalPolicy.hasAuthenticator(ctx.from.id)) {
+        return ctx.reply(`🔐 Your authenticator is set up. Withdrawals above ${withdrawalPolicy.confirmAboveSol} SOL ask for a code from it.`);
+      }
+      if (ctx.chat.type !== 'private') {
+        return ctx.reply('🔒 Set up your authenticator in a private chat with the bot.');
+      }
+      
+      const { secret, uri } = withdrawalPolicy.setupAuthenticator(ctx.from.id);
+      ctx.session.state = 'WAITING_FOR_AUTHENTICATOR_CODE';
+      
       await ctx.reply(
-        `⚠️ *Confirm Withdrawal*\n\n` +
-        `You are about to withdraw ${ctx.session.withdrawAmount} SOL to:\n` +
-        `\`${address}\`\n\n` +
-        `Are you sure you want to proceed?`,
+        `🔐 *Set Up Authenticator*\n\n` +
+        `Add this key to an authenticator app (Google Authenticator, Authy, 1Password...):\n\n` +
+        `\`${secret}\`\n\n` +
+        `or open this link on your phone:\n\`${uri}\`\n\n` +
+        `Then send the 6-digit code the app shows to finish. Delete this message afterwards.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logger.error(`Error in handleAuthenticator: ${error.message}`);
+      ctx.reply(`❌ ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the code confirming authenticator setup
+   * @param {Object} ctx - Telegram context
+   * @param {string} code - Authenticator code
+   */
+  handleAuthenticatorCodeInput: async (ctx, code) => {
+    try {
+      withdrawalPolicy.confirmAuthenticator(ctx.from.id, code);
+      ctx.session.state = null;
+      await ctx.reply(`✅ Authenticator set up. Withdrawals above ${withdrawalPolicy.confirmAboveSol} SOL will ask for a code from it.`);
+    } catch (error) {
+      logger.error(`Error in handleAuthenticatorCodeInput: ${error.message}`);
+      ctx.reply(`❌ ${error.message}. Send the current code from your app, or /authenticator to start over.`);
+    }
+  },
+  
+  // Trading key management (admin only)
+  /**
+   * Handle the /importkey command
+   * @param {Object} ctx - Telegram context
+   */
+  handleImportKey: async (ctx) => {
+    try {
+      if (!(await canManageTradingKey(ctx))) return;
+      
+      ctx.session.state = 'WAITING_FOR_IMPORT_KEY';
+      await ctx.reply(
+        `🔑 *Import Trading Key*\n\n` +
+        `Send the secret key as base58 or as a JSON byte array. ` +
+        `Your message is deleted as soon as it is received.\n\n` +
+        `The current key is kept in the keystore as a retired key.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logger.error(`Error in handleImportKey: ${error.message}`);
+      ctx.reply('Error starting key import. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle the secret key sent for /importkey
+   * @param {Object} ctx - Telegram context
+   * @param {string} text - Secret key
+   */
+  handleImportKeyInput: async (ctx, text) => {
+    ctx.session.state = null;
+    
+    // Never leave the key in the chat history, whatever happens next
+    try {
+      await ctx.deleteMessage();
+    } catch (error) {
+      logger.warn(`Could not delete imported key message: ${error.message}`);
+    }
+    
+    try {
+      if (!(await canManageTradingKey(ctx))) return;
+      
+      keystore.importKey(text);
+      const reload = solanaClient.reloadTradingKey();
+      logger.info(`Admin ${ctx.from.id} imported trading key ${reload.publicKey}`);
+      
+      await ctx.reply(`✅ *Trading Key Imported*\n\n${formatKeyReload(reload)}`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in handleImportKeyInput: ${error.message}`);
+      ctx.reply(`❌ Key import failed: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the /exportkey command
+   * @param {Object} ctx - Telegram context
+   */
+  handleExportKey: async (ctx) => {
+    try {
+      if (!(await canManageTradingKey(ctx))) return;
+      if (!keystore.hasKey()) {
+        return ctx.reply('No trading key is stored in the keystore.');
+      }
+      
+      await ctx.reply(
+        `⚠️ *Export Trading Key*\n\n` +
+        `Anyone with this key controls the bot wallet. ` +
+        `The key message is deleted after ${EXPORTED_KEY_TTL_MS / 1000} seconds.\n\n` +
+        `Show the key?`,
         {
           parse_mode: 'Markdown',
           reply_markup: {
             inline_keyboard: [
               [
-                { text: '✅ Confirm', callback_data: `confirm_withdraw_${address}` },
-                { text: '❌ Cancel', callback_data: 'fund' }
+                { text: '✅ Show Key', callback_data: 'confirm_export_key' },
+                { text: '❌ Cancel', callback_data: 'cancel_key_action' }
               ]
             ]
           }
         }
       );
+    } catch (error) {
+      logger.error(`Error in handleExportKey: ${error.message}`);
+      ctx.reply('Error starting key export. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle export confirmation - send the key and delete it after a delay
+   * @param {Object} ctx - Telegram context
+   */
+  handleConfirmExportKey: async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      if (!(await canManageTradingKey(ctx))) return;
       
-      // Reset state
-      ctx.session.state = null;
+      const secretKey = keystore.exportKey();
+      await ctx.deleteMessage();
       
+      const keyMessage = await ctx.reply(
+        `🔑 *Trading Key*\n\n\`${secretKey}\`\n\n` +
+        `_This message is deleted in ${EXPORTED_KEY_TTL_MS / 1000} seconds._`,
+        { parse_mode: 'Markdown' }
+      );
+      logger.warn(`Admin ${ctx.from.id} exported the trading key`);
+      
+      setTimeout(() => {
+        ctx.telegram.deleteMessage(ctx.chat.id, keyMessage.message_id).catch(error => {
+          logger.error(`Failed to delete exported key message: ${error.message}`);
+        });
+      }, EXPORTED_KEY_TTL_MS);
     } catch (error) {
-      logger.error(`Error in handleWithdrawAddressInput: ${error.message}`);
-      ctx.reply('Error processing withdrawal address. Please try again.');
-      ctx.session.state = null;
+      logger.error(`Error in handleConfirmExportKey: ${error.message}`);
+      ctx.reply(`❌ Key export failed: ${error.message}`);
     }
   },
   
   /**
-   * Handle withdrawal confirmation
+   * Handle the /rotatekey command
    * @param {Object} ctx - Telegram context
-   * @param {string} address - Recipient address
    */
-  handleConfirmWithdrawal: async (ctx, address) => {
+  handleRotateKey: async (ctx) => {
+    try {
+      if (!(await canManageTradingKey(ctx))) return;
+      
+      await ctx.reply(
+        `🔄 *Rotate Trading Key*\n\n` +
+        `A new key is generated and the bot trades from its address. ` +
+        `Funds are *not* moved - the current key is kept in the keystore as a retired key ` +
+        `and its balance has to be transferred separately.\n\n` +
+        `Rotate the key?`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: '✅ Rotate', callback_data: 'confirm_rotate_key' },
+                { text: '❌ Cancel', callback_data: 'cancel_key_action' }
+              ]
+            ]
+          }
+        }
+      );
+    } catch (error) {
+      logger.error(`Error in handleRotateKey: ${error.message}`);
+      ctx.reply('Error starting key rotation. Please try again.');
+    }
+  },
+  
+  /**
+   * Handle rotation confirmation
+   * @param {Object} ctx - Telegram context
+   */
+  handleConfirmRotateKey: async (ctx) => {
     try {
       await ctx.answerCbQuery();
+      if (!(await canManageTradingKey(ctx))) return;
       
-      // Check if withdrawal amount is set
-      if (!ctx.session.withdrawAmount) {
-        return ctx.reply('Withdrawal amount not set. Please start over.');
-      }
+      const { previousPublicKey } = keystore.rotate();
+      const reload = solanaClient.reloadTradingKey();
+      logger.warn(`Admin ${ctx.from.id} rotated the trading key from ${previousPublicKey} to ${reload.publicKey}`);
       
-      // Send processing message
-      const processingMsg = await ctx.reply('Processing withdrawal...');
+      await ctx.editMessageText(
+        `✅ *Trading Key Rotated*\n\n` +
+        (previousPublicKey ? `Retired address: \`${previousPublicKey}\`\n` : '') +
+        formatKeyReload(reload),
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logger.error(`Error in handleConfirmRotateKey: ${error.message}`);
+      ctx.reply(`❌ Key rotation failed: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle cancelling a key export or rotation
+   * @param {Object} ctx - Telegram context
+   */
+  handleCancelKeyAction: async (ctx) => {
+    try {
+      await ctx.answerCbQuery('Cancelled');
+      await ctx.deleteMessage();
+    } catch (error) {
+      logger.error(`Error in handleCancelKeyAction: ${error.message}`);
+    }
+  },
+  
+  // Role management (owner only)
+  /**
+   * Handle the /grant command - /grant <user ID> <role>
+   * Without arguments, lists the users who have a role.
+   * @param {Object} ctx - Telegram context
+   */
+  handleGrant: async (ctx) => {
+    try {
+      const [userId, role] = ctx.message.text.split(/\s+/).slice(1);
       
-      // Generate and execute withdrawal transaction
-      try {
-        // Generate transaction
-        const transaction = await solanaClient.phantomConnectManager.generateWithdrawalTransaction(
-          address,
-          ctx.session.withdrawAmount
+      if (!userId) {
+        const lines = accessControl.listRoles().map(entry =>
+          `• \`${entry.userId}\` - ${entry.role}${entry.permanent ? ' (ADMIN_TELEGRAM_IDS)' : ''}`
         );
-        
-        // Execute transaction
-        const txResult = await solanaClient.transactionUtility.sendTransaction(transaction);
-        
-        // Delete processing message
-        await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id);
-        
-        if (txResult.success) {
-          // Send success message
-          await ctx.reply(
-            `✅ *Withdrawal Successful*\n\n` +
-            `Successfully withdrew ${ctx.session.withdrawAmount} SOL to:\n` +
-            `\`${address}\`\n\n` +
-            `Transaction ID: \`${txResult.signature}\``,
-            {
-              parse_mode: 'Markdown',
-              reply_markup: {
-                inline_keyboard: [
-                  [
-                    { text: '🔍 View on Solscan', url: `https://solscan.io/tx/${txResult.signature}` }
-                  ],
-                  [
-                    { text: '« Back to Main Menu', callback_data: 'refresh' }
-                  ]
-                ]
-              }
-            }
-          );
-        } else {
-          throw new Error(txResult.error || 'Unknown error');
-        }
-      } catch (error) {
-        // Delete processing message
-        await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id);
-        
-        // Send error message
-        await ctx.reply(
-          `❌ *Withdrawal Failed*\n\n` +
-          `Error: ${error.message}\n\n` +
-          `Please try again later.`,
-          {
-            parse_mode: 'Markdown',
-            ...keyboards.backToMainKeyboard
-          }
+        return ctx.reply(
+          `👥 *User Roles*\n\n${lines.join('\n') || 'No roles granted yet.'}\n\n` +
+          `Usage: /grant <user ID> <${accessControl.getRoles().join('|')}>\n` +
+          `Users find their ID by sending /start.`,
+          { parse_mode: 'Markdown' }
         );
       }
       
-      // Clear withdrawal data
-      delete ctx.session.withdrawAmount;
+      accessControl.grant(userId, (role || '').toLowerCase(), ctx.from.id);
+      await ctx.reply(`✅ User ${userId} is now a ${role.toLowerCase()}.`);
       
+      ctx.telegram.sendMessage(userId, `✅ You have been granted the ${role.toLowerCase()} role. Send /start to begin.`)
+        .catch(error => logger.warn(`Could not notify user ${userId} of their role: ${error.message}`));
     } catch (error) {
-      logger.error(`Error in handleConfirmWithdrawal: ${error.message}`);
-      ctx.reply('Error processing withdrawal. Please try again.');
+      logger.error(`Error in handleGrant: ${error.message}`);
+      ctx.reply(`❌ Grant failed: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Handle the /revoke command - /revoke <user ID>
+   * @param {Object} ctx - Telegram context
+   */
+  handleRevoke: async (ctx) => {
+    try {
+      const [userId] = ctx.message.text.split(/\s+/).slice(1);
+      if (!userId) {
+        return ctx.reply('Usage: /revoke <user ID>');
+      }
+      
+      const role = accessControl.revoke(userId, ctx.from.id);
+      if (!role) {
+        return ctx.reply(`User ${userId} has no role.`);
+      }
+      
+      await ctx.reply(`✅ Revoked the ${role} role from user ${userId}. Their wallet and open orders are kept.`);
+    } catch (error) {
+      logger.error(`Error in handleRevoke: ${error.message}`);
+      ctx.reply(`❌ Revoke failed: ${error.message}`);
     }
   },
   
@@ -3010,5 +4609,12 @@ module.exports = {
   processTokenAddress,
   handleRecentAnalyses,
   handleRiskSettings,
+  handleRiskSettingToggle,
+  handleSetMaxRiskScore,
+  handleMaxRiskScoreInput,
+  handleSetMinLiquidity,
+  handleMinLiquidityInput,
+  handleSetRuleWeights,
+  handleRuleWeightsInput,
   handleTokenRiskDetail
 };
\ No newline at end of file
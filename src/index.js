@@ -16,9 +16,13 @@ const solanaClient = require('./utils/solana');
 const RiskAnalyzer = require('./trading/risk-analyzer');
 const TokenSniper = require('./trading/sniper');
 const PositionManager = require('./trading/position-manager');
-const JupiterClient = require('./utils/jupiter');
 const database = require('./utils/database');
+const sessionStore = require('./utils/session-store');
+const accessControl = require('./utils/access-control');
+const ledger = require('./utils/ledger');
 const AutoTrader = require('./trading/auto-trader');
+const LimitOrderManager = require('./trading/limit-order-manager');
+const DCAManager = require('./trading/dca-manager');
 
 // Constants for intervals
 const MONITORING_UPDATE_INTERVAL = 60000; // 1 minute
@@ -34,26 +38,68 @@ const MONITORING_UPDATE_INTERVAL = 60000; // 1 minute
 // Initialize the bot
 const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN);
 
-// Set up session middleware
-bot.use(session());
+// Set up session middleware - one durable session per Telegram user
+bot.use(session({
+  store: sessionStore,
+  getSessionKey: (ctx) => (ctx.from ? String(ctx.from.id) : undefined)
+}));
 
 // Set up monitoring interval
 setInterval(async () => {
   try {
     // Update token prices and inform users of changes
-    await commands.updateMonitoredTokens(bot);
+    await commands.updateMonitoredTokens(bot, sessionStore);
   } catch (error) {
     logger.error(`Error in monitoring update: ${error.message}`);
   }
 }, MONITORING_UPDATE_INTERVAL);
 
-// Initialize session data for new users
+// Role-based access middleware
+const accessMiddleware = async (ctx, next) => {
+  // Updates without a sender (channel posts etc.) can't be authorized
+  if (!ctx.from) return;
+  
+  const role = accessControl.getRole(ctx.from.id);
+  ctx.state.role = role;
+  ctx.state.isAdmin = role === 'owner'; // Owners manage the trading key
+  
+  const requiredRole = accessControl.getRequiredRole(ctx);
+  if (accessControl.hasRole(ctx.from.id, requiredRole)) {
+    return next();
+  }
+  
+  logger.warn(`User ${ctx.from.id} (${role || 'no role'}) denied access needing ${requiredRole}`);
+  
+  // Don't leave the user in a flow they can no longer finish
+  if (ctx.session && ctx.session.state) {
+    if (ctx.session.state === 'WAITING_FOR_IMPORT_KEY' && ctx.message) {
+      await ctx.deleteMessage().catch(() => {});
+    }
+    ctx.session.state = null;
+  }
+  
+  const denial = role
+    ? `🚫 This requires the ${requiredRole} role. Your role is ${role}.`
+    : `🚫 You don't have access to this bot yet. Ask an owner to grant you a role with your user ID ${ctx.from.id}.`;
+  
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery(denial, { show_alert: true });
+  }
+  return ctx.reply(denial);
+};
+
+// Apply access middleware to all updates
+bot.use(accessMiddleware);
+
+// Initialize session data for users past the access check
+// Wallets are only created by /start, so this reads the address without creating one
 bot.use(async (ctx, next) => {
   if (!ctx.session) {
     // Initialize default session structure
+    const address = solanaClient.getWalletAddress(ctx.from.id);
     ctx.session = {
       wallet: {
-        address: solanaClient.getWalletAddress() || process.env.DEMO_WALLET_ADDRESS || '2PS57B26Sh5Xa22dPSEt9bRgP5FhNsoyFvGUV8t5X232',
+        address: address || process.env.DEMO_WALLET_ADDRESS || '2PS57B26Sh5Xa22dPSEt9bRgP5FhNsoyFvGUV8t5X232',
         balance: 0,
         tokens: []
       },
@@ -72,12 +118,12 @@ bot.use(async (ctx, next) => {
     
     // Try to fetch initial wallet data
     try {
-      // Only if Solana client is initialized
-      if (solanaClient.initialized) {
-        ctx.session.wallet.balance = await solanaClient.getBalance();
+      // Only if Solana client is initialized and the user has a wallet
+      if (solanaClient.initialized && address) {
+        ctx.session.wallet.balance = await solanaClient.getBalance(ctx.from.id);
         // Get token balances if not in demo mode
         if (!solanaClient.demoMode) {
-          ctx.session.wallet.tokens = await solanaClient.getTokenBalances();
+          ctx.session.wallet.tokens = await solanaClient.getTokenBalances(ctx.from.id);
         }
       }
     } catch (error) {
@@ -87,33 +133,6 @@ bot.use(async (ctx, next) => {
   return next();
 });
 
-// Admin authentication middleware
-const adminMiddleware = (ctx, next) => {
-  // Get admin IDs from environment variable
-  const adminIds = (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(id => Number(id.trim()));
-  
-  // Check if this is a private chat from an admin (for sensitive operations)
-  const isAdmin = adminIds.includes(ctx.from.id);
-  ctx.state.isAdmin = isAdmin; // Store admin status in context state
-
-  // For sensitive commands that should be admin-only
-  const adminOnlyCommands = []; // Add sensitive commands here if needed
-  
-  // If it's an admin-only command, check if user is admin
-  if (ctx.message && ctx.message.text && adminOnlyCommands.some(cmd => 
-      ctx.message.text.startsWith('/' + cmd))) {
-    if (!isAdmin) {
-      return ctx.reply('🚫 This command is restricted to bot administrators only.');
-    }
-  }
-
-  // Allow all users to access basic functionality
-  return next();
-};
-
-// Apply admin middleware to all messages
-bot.use(adminMiddleware);
-
 // BOOTSTRAP: Set up all command handlers
 // Core commands
 bot.command('start', commands.handleStart);
@@ -133,11 +152,24 @@ bot.command('addstrategy', commands.handleAddStrategy);
 bot.command('snipe', commands.handleSnipe);
 bot.command('buy', commands.handleBuy);
 bot.command('positions', commands.handlePositions);
+bot.command('pnl', commands.handlePnL);
 
 // Wallet commands
 bot.command('fund', commands.handleFund);
 bot.command('wallet', commands.handleWallet);
 bot.command('refresh', commands.handleRefresh);
+bot.command('allowlist', commands.handleAllowlist);
+bot.command('authenticator', commands.handleAuthenticator);
+bot.command('maxfee', commands.handleMaxFee);
+
+// Trading key commands (admin only, private chat)
+bot.command('importkey', commands.handleImportKey);
+bot.command('exportkey', commands.handleExportKey);
+bot.command('rotatekey', commands.handleRotateKey);
+
+// Role management (owner only)
+bot.command('grant', commands.handleGrant);
+bot.command('revoke', commands.handleRevoke);
 
 // BOOTSTRAP: Set up button click handlers
 // Main menu buttons
@@ -159,12 +191,28 @@ bot.action('withdraw_phantom', commands.handleWithdrawPhantom);
 bot.action('generate_qr', commands.handleGenerateQR);
 bot.action('copy_pay_link', commands.handleCopyPayLink);
 bot.action(/^withdraw_([0-9.]+)$/, (ctx) => commands.handleWithdrawalAmount(ctx, ctx.match[1]));
+bot.action('withdraw_token', commands.handleWithdrawToken);
+bot.action(/^withdraw_token_([0-9]+)$/, (ctx) => commands.handleWithdrawTokenSelection(ctx, ctx.match[1]));
+bot.action(/^withdraw_to_([0-9]+)$/, (ctx) => commands.handleWithdrawToAllowlisted(ctx, ctx.match[1]));
 bot.action(/^confirm_withdraw_(.+)$/, (ctx) => commands.handleConfirmWithdrawal(ctx, ctx.match[1]));
+bot.action(/^cancel_withdraw_(.+)$/, (ctx) => commands.handleCancelWithdrawal(ctx, ctx.match[1]));
+bot.action(/^approve_withdraw_(.+)$/, (ctx) => commands.handleApproveWithdrawal(ctx, ctx.match[1]));
+bot.action(/^reject_withdraw_(.+)$/, (ctx) => commands.handleRejectWithdrawal(ctx, ctx.match[1]));
+bot.action('allowlist_add', commands.handleAllowlistAdd);
+
+// Trading key actions
+bot.action('confirm_export_key', commands.handleConfirmExportKey);
+bot.action('confirm_rotate_key', commands.handleConfirmRotateKey);
+bot.action('cancel_key_action', commands.handleCancelKeyAction);
 
 // Order creation buttons
 bot.action('create_limit_buy', commands.handleCreateLimitBuy);
-bot.action('create_limit_sell', (ctx) => ctx.reply('Limit sell functionality coming soon!'));
+bot.action('create_limit_sell', commands.handleCreateLimitSell);
+bot.action(/^edit_limit_(.+)$/, (ctx) => commands.handleEditLimitOrder(ctx, ctx.match[1]));
+bot.action(/^cancel_limit_(.+)$/, (ctx) => commands.handleCancelLimitOrder(ctx, ctx.match[1]));
 bot.action('create_dca', commands.handleCreateDCA);
+bot.action(/^dca_policy_(catch_up|skip)$/, (ctx) => commands.handleDCAPolicySelection(ctx, ctx.match[1]));
+bot.action(/^dca_(pause|resume|cancel)_(.+)$/, (ctx) => commands.handleDCAOrderAction(ctx, ctx.match[1], ctx.match[2]));
 
 // BOOTSTRAP: Set up special action handlers
 // Trading setup actions
@@ -208,6 +256,10 @@ bot.action('token_analysis', commands.handleTokenAnalysis);
 bot.action('analyze_token', commands.handleAnalyzeToken);
 bot.action('recent_analyses', commands.handleRecentAnalyses);
 bot.action('risk_settings', commands.handleRiskSettings);
+bot.action('set_max_risk', commands.handleSetMaxRiskScore);
+bot.action('set_min_liquidity', commands.handleSetMinLiquidity);
+bot.action('set_rule_weights', commands.handleSetRuleWeights);
+bot.action(['set_lp_burned', 'set_mint_auth', 'set_freeze_auth', 'set_transfer_tax'], commands.handleRiskSettingToggle);
 bot.action(/token_risk_(.+)/, commands.handleTokenRiskDetail);
 bot.action(/view_analysis_(.+)/, (ctx) => {
   const tokenAddress = ctx.match[1];
@@ -357,11 +409,29 @@ bot.on(message('text'), async (ctx) => {
   
   // Handle the current user state if available
   if (ctx.session.state) {
+    // Handle a secret key for import - checked first so it never reaches another handler
+    if (ctx.session.state === 'WAITING_FOR_IMPORT_KEY') {
+      return commands.handleImportKeyInput(ctx, text);
+    }
+    
     // Handle waiting for a token address for analyzing
     if (ctx.session.state === 'waiting_for_token_address') {
       return commands.processTokenAddress(ctx, text);
     }
     
+    // Handle risk settings inputs
+    if (ctx.session.state === 'WAITING_FOR_MAX_RISK_SCORE') {
+      return commands.handleMaxRiskScoreInput(ctx, text);
+    }
+    
+    if (ctx.session.state === 'WAITING_FOR_MIN_LIQUIDITY') {
+      return commands.handleMinLiquidityInput(ctx, text);
+    }
+    
+    if (ctx.session.state === 'WAITING_FOR_RULE_WEIGHTS') {
+      return commands.handleRuleWeightsInput(ctx, text);
+    }
+    
     // Handle waiting for a token address for monitoring
     if (ctx.session.state === 'WAITING_FOR_MONITOR_TOKEN') {
       ctx.session.state = null; // Reset state
@@ -381,19 +451,49 @@ bot.on(message('text'), async (ctx) => {
       return commands.handleWithdrawAddressInput(ctx, text);
     }
     
+    // Handle waiting for the amount of a token withdrawal
+    if (ctx.session.state === 'WAITING_FOR_WITHDRAW_TOKEN_AMOUNT') {
+      return commands.handleWithdrawTokenAmountInput(ctx, text);
+    }
+    
+    // Handle waiting for the authenticator code of a large withdrawal
+    if (ctx.session.state === 'WAITING_FOR_WITHDRAW_CODE') {
+      return commands.handleWithdrawCodeInput(ctx, text);
+    }
+    
+    // Handle waiting for the code confirming authenticator setup
+    if (ctx.session.state === 'WAITING_FOR_AUTHENTICATOR_CODE') {
+      return commands.handleAuthenticatorCodeInput(ctx, text);
+    }
+    
     // Handle waiting for a token address for limit buy
     if (ctx.session.state === 'WAITING_FOR_LIMIT_BUY_TOKEN') {
       return commands.handleLimitBuyTokenInput(ctx, text);
     }
     
-    // Handle waiting for limit buy price
-    if (ctx.session.state === 'WAITING_FOR_LIMIT_BUY_PRICE' && ctx.session.limitBuySetup) {
-      return commands.handleLimitBuyPriceInput(ctx, text);
+    // Handle waiting for a token address for limit sell
+    if (ctx.session.state === 'WAITING_FOR_LIMIT_SELL_TOKEN') {
+      return commands.handleLimitSellTokenInput(ctx, text);
+    }
+    
+    // Handle waiting for limit order price
+    if (ctx.session.state === 'WAITING_FOR_LIMIT_PRICE' && ctx.session.limitOrderSetup) {
+      return commands.handleLimitPriceInput(ctx, text);
+    }
+    
+    // Handle waiting for limit order amount
+    if (ctx.session.state === 'WAITING_FOR_LIMIT_AMOUNT' && ctx.session.limitOrderSetup) {
+      return commands.handleLimitAmountInput(ctx, text);
     }
     
-    // Handle waiting for limit buy amount
-    if (ctx.session.state === 'WAITING_FOR_LIMIT_BUY_AMOUNT' && ctx.session.limitBuySetup) {
-      return commands.handleLimitBuyAmountInput(ctx, text);
+    // Handle waiting for limit order expiry
+    if (ctx.session.state === 'WAITING_FOR_LIMIT_EXPIRY' && ctx.session.limitOrderSetup) {
+      return commands.handleLimitExpiryInput(ctx, text);
+    }
+    
+    // Handle waiting for limit order edits
+    if (ctx.session.state === 'WAITING_FOR_LIMIT_EDIT' && ctx.session.limitEdit) {
+      return commands.handleLimitEditInput(ctx, text);
     }
     
     // Handle waiting for a token address for DCA
@@ -411,6 +511,11 @@ bot.on(message('text'), async (ctx) => {
       return commands.handleDCAIntervalInput(ctx, text);
     }
     
+    // Handle waiting for DCA budget
+    if (ctx.session.state === 'WAITING_FOR_DCA_BUDGET' && ctx.session.dcaSetup) {
+      return commands.handleDCABudgetInput(ctx, text);
+    }
+    
     // Handle strategy setup states
     if (ctx.session.state === 'WAITING_FOR_STRATEGY_NAME') {
       return commands.handleStrategyNameInput(ctx, text);
@@ -512,16 +617,21 @@ const initTradingComponents = async () => {
       throw new Error('Solana connection not initialized');
     }
     
-    const riskAnalyzer = new RiskAnalyzer(connection);
-    
-    // Initialize position manager
-    const positionManager = new PositionManager(connection, wallet);
+    const riskAnalyzer = solanaClient.riskAnalyzer || new RiskAnalyzer(connection);
     
-    // Load any existing positions from database
-    await positionManager.loadPositions();
+    // Share the Solana client's position manager so AutoTrader positions show up in /positions
+    let positionManager = solanaClient.positionManager;
+    if (!positionManager) {
+      positionManager = new PositionManager(connection, wallet);
+      positionManager.setUserWallets(solanaClient.userWallets);
+      
+      // Load any existing positions from database
+      await positionManager.loadPositions();
+    }
     
     // Initialize token sniper with position manager
     const tokenSniper = new TokenSniper(connection, wallet, riskAnalyzer, positionManager);
+    tokenSniper.setUserWallets(solanaClient.userWallets);
     
     // Initialize AutoTrader with all required components
     const autoTrader = new AutoTrader(
@@ -533,8 +643,14 @@ const initTradingComponents = async () => {
       solanaClient.jupiterClient
     );
     
+    // Limit orders share the position manager's price polling
+    const limitOrderManager = new LimitOrderManager(tokenSniper, positionManager);
+    
+    // Initialize the DCA scheduler, resuming persisted orders
+    const dcaManager = new DCAManager(tokenSniper);
+    
     logger.info('Trading components initialized successfully');
-    return { riskAnalyzer, tokenSniper, positionManager, autoTrader };
+    return { riskAnalyzer, tokenSniper, positionManager, autoTrader, limitOrderManager, dcaManager };
   } catch (error) {
     logger.error(`Error initializing trading components: ${error.message}`);
     throw error; // Rethrow the error to handle it in the startBot function
@@ -565,11 +681,16 @@ const startBot = async () => {
       const connection = solanaClient.connection || null;
       const wallet = solanaClient.walletManager || { demoMode: true };
       
+      const positionManager = new PositionManager(connection, wallet);
+      positionManager.setUserWallets(solanaClient.userWallets);
+      
       tradingComponents = {
         riskAnalyzer: new RiskAnalyzer(connection),
-        positionManager: new PositionManager(connection, wallet),
+        positionManager,
         tokenSniper: null,  // Will be created later if needed
-        autoTrader: null  // Will be created later if needed
+        autoTrader: null,  // Will be created later if needed
+        limitOrderManager: null,  // Will be created later if needed
+        dcaManager: null  // Will be created later if needed
       };
     }
     
@@ -587,6 +708,7 @@ const startBot = async () => {
           tradingComponents.riskAnalyzer, 
           tradingComponents.positionManager
         );
+        tradingComponents.tokenSniper.setUserWallets(solanaClient.userWallets);
       }
     }
     
@@ -606,6 +728,59 @@ const startBot = async () => {
       }
     }
     
+    // Create LimitOrderManager if it doesn't exist yet
+    if (!tradingComponents.limitOrderManager && tradingComponents.tokenSniper && tradingComponents.positionManager) {
+      tradingComponents.limitOrderManager = new LimitOrderManager(
+        tradingComponents.tokenSniper,
+        tradingComponents.positionManager
+      );
+    }
+    
+    // Create DCAManager if it doesn't exist yet
+    if (!tradingComponents.dcaManager && tradingComponents.tokenSniper) {
+      tradingComponents.dcaManager = new DCAManager(tradingComponents.tokenSniper);
+    }
+    
+    // Token analysis handlers reach the AutoTrader through the Solana client
+    solanaClient.autoTrader = tradingComponents.autoTrader;
+    solanaClient.limitOrderManager = tradingComponents.limitOrderManager;
+    solanaClient.dcaManager = tradingComponents.dcaManager;
+    
+    // Notify order owners when their limit orders fill, fail or expire
+    if (tradingComponents.limitOrderManager) {
+      const notifyOrderOwner = async (order, text) => {
+        try {
+          await bot.telegram.sendMessage(order.chatId, text, { parse_mode: 'Markdown' });
+        } catch (notifyError) {
+          logger.error(`Failed to notify user ${order.ownerId} about order ${order.id}: ${notifyError.message}`);
+        }
+      };
+      
+      tradingComponents.limitOrderManager.on('orderFilled', (order) => notifyOrderOwner(order,
+        `✅ *Limit ${order.type === 'buy' ? 'Buy' : 'Sell'} Filled*\n\n` +
+        `*Token:* \`${order.tokenAddress}\`\n` +
+        `*Limit Price:* ${order.price} SOL\n` +
+        `*Triggered At:* ${order.triggerPrice} SOL\n` +
+        (order.type === 'buy'
+          ? `*Spent:* ${order.amount} SOL\n`
+          : `*Sold:* ${order.tokenAmount} tokens for ${order.amountSol} SOL\n`) +
+        `*Transaction:* ${order.signature}`
+      ));
+      
+      tradingComponents.limitOrderManager.on('orderFailed', (order) => notifyOrderOwner(order,
+        `❌ *Limit ${order.type === 'buy' ? 'Buy' : 'Sell'} Failed*\n\n` +
+        `*Token:* \`${order.tokenAddress}\`\n` +
+        `*Limit Price:* ${order.price} SOL\n` +
+        `*Error:* ${order.error}`
+      ));
+      
+      tradingComponents.limitOrderManager.on('orderExpired', (order) => notifyOrderOwner(order,
+        `⌛ *Limit ${order.type === 'buy' ? 'Buy' : 'Sell'} Expired*\n\n` +
+        `*Token:* \`${order.tokenAddress}\`\n` +
+        `*Limit Price:* ${order.price} SOL`
+      ));
+    }
+    
     // Add AutoTrader event listeners for notifications
     if (tradingComponents.autoTrader) {
       tradingComponents.autoTrader.on('tradeExecuted', async (data) => {
@@ -674,12 +849,87 @@ const startBot = async () => {
       });
     }
     
+    // Notify order owners about DCA buys
+    if (tradingComponents.dcaManager) {
+      const notifyDCAOwner = async (order, text) => {
+        try {
+          await bot.telegram.sendMessage(order.chatId, text, { parse_mode: 'Markdown' });
+        } catch (notifyError) {
+          logger.error(`Failed to notify user ${order.ownerId} about DCA order ${order.id}: ${notifyError.message}`);
+        }
+      };
+      
+      tradingComponents.dcaManager.on('buyExecuted', ({ order, fill }) => notifyDCAOwner(order,
+        `📋 *DCA Buy Filled*\n\n` +
+        `*Token:* \`${order.tokenAddress}\`\n` +
+        `*Spent:* ${fill.amountInSol} SOL for ${fill.tokenAmount} tokens\n` +
+        `*Total Spent:* ${order.spentSol} / ${order.totalBudget} SOL\n` +
+        `*Transaction:* ${fill.signature}`
+      ));
+      
+      tradingComponents.dcaManager.on('buyFailed', ({ order, error }) => notifyDCAOwner(order,
+        `❌ *DCA Buy Failed*\n\n` +
+        `*Token:* \`${order.tokenAddress}\`\n` +
+        `*Error:* ${error}`
+      ));
+      
+      tradingComponents.dcaManager.on('orderPaused', (order) => notifyDCAOwner(order,
+        `⏸ *DCA Order Paused*\n\n` +
+        `*Token:* \`${order.tokenAddress}\`\n` +
+        `*Reason:* ${order.pauseReason}\n\n` +
+        `Resume it from the DCA Orders menu once the problem is fixed.`
+      ));
+      
+      tradingComponents.dcaManager.on('orderCompleted', (order) => notifyDCAOwner(order,
+        `✅ *DCA Order Completed*\n\n` +
+        `*Token:* \`${order.tokenAddress}\`\n` +
+        `*Buys:* ${order.fills.length}\n` +
+        `*Total Spent:* ${order.spentSol} SOL for ${order.tokensAcquired} tokens`
+      ));
+    }
+    
+    // Notify users about their Solana Pay deposits
+    if (solanaClient.depositTracker) {
+      const notifyDepositor = async (request, text) => {
+        try {
+          await bot.telegram.sendMessage(request.chatId, text, { parse_mode: 'Markdown' });
+        } catch (notifyError) {
+          logger.error(`Failed to notify user ${request.userId} about deposit ${request.reference}: ${notifyError.message}`);
+        }
+      };
+      
+      solanaClient.depositTracker.on('depositConfirmed', (request) => notifyDepositor(request,
+        `✅ *Deposit Confirmed*\n\n` +
+        `*Amount:* ${request.amountSol} SOL\n` +
+        `*Ledger Balance:* ${ledger.getBalance(request.userId)} SOL\n` +
+        `*Transaction:* ${request.signature}`
+      ));
+      
+      solanaClient.depositTracker.on('depositRejected', (request) => notifyDepositor(request,
+        `❌ *Deposit Not Credited*\n\n` +
+        `A payment was found for your deposit request but it did not pass validation.\n\n` +
+        `*Reason:* ${request.error}\n` +
+        `*Transaction:* ${request.signature}`
+      ));
+      
+      solanaClient.depositTracker.on('depositExpired', (request) => notifyDepositor(request,
+        `⌛ *Deposit Request Expired*\n\n` +
+        `No payment was received for your deposit request. ` +
+        `Generate a new QR code or Solana Pay link to deposit, ` +
+        `payments to the old one still reach your wallet but are not credited automatically.`
+      ));
+    }
+    
     // Start the bot
     await bot.launch();
     
-    // Enable graceful shutdown
-    process.once('SIGINT', () => bot.stop('SIGINT'));
-    process.once('SIGTERM', () => bot.stop('SIGTERM'));
+    // Enable graceful shutdown, writing batched session changes before the process goes
+    const shutdown = (signal) => {
+      bot.stop(signal);
+      sessionStore.flush();
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
   } catch (error) {
     logger.error(`Error starting bot: ${error.message}`);
     process.exit(1);
@@ -106,6 +106,9 @@ const phantomWithdrawKeyboard = {
       [
         { text: '1 SOL', callback_data: 'withdraw_1' }
       ],
+      [
+        { text: '🪙 Withdraw Token', callback_data: 'withdraw_token' }
+      ],
       [
         { text: '« Back to Funding Options', callback_data: 'fund' }
       ]
@@ -185,6 +188,20 @@ const dcaOrderKeyboard = {
   }
 };
 
+// DCA missed buy policy keyboard
+const dcaPolicyKeyboard = {
+  reply_markup: {
+    inline_keyboard: [
+      [
+        { text: '⏩ Catch Up Missed Buys', callback_data: 'dca_policy_catch_up' }
+      ],
+      [
+        { text: '⏭ Skip Missed Buys', callback_data: 'dca_policy_skip' }
+      ]
+    ]
+  }
+};
+
 // Back to main keyboard
 const backToMainKeyboard = {
   reply_markup: {
@@ -258,6 +275,32 @@ const tokenAnalysisKeyboard = {
   }
 };
 
+// Token risk settings keyboard
+const riskSettingsKeyboard = {
+  reply_markup: {
+    inline_keyboard: [
+      [
+        { text: 'Max Risk Score', callback_data: 'set_max_risk' },
+        { text: 'LP Burned', callback_data: 'set_lp_burned' }
+      ],
+      [
+        { text: 'Mint Authority', callback_data: 'set_mint_auth' },
+        { text: 'Freeze Authority', callback_data: 'set_freeze_auth' }
+      ],
+      [
+        { text: 'Transfer Tax', callback_data: 'set_transfer_tax' },
+        { text: 'Min Liquidity', callback_data: 'set_min_liquidity' }
+      ],
+      [
+        { text: 'Rule Weights', callback_data: 'set_rule_weights' }
+      ],
+      [
+        { text: '« Back to Token Analysis', callback_data: 'token_analysis' }
+      ]
+    ]
+  }
+};
+
 module.exports = {
   mainKeyboard,
   slippageKeyboard,
@@ -267,9 +310,11 @@ module.exports = {
   settingsKeyboard,
   limitOrderKeyboard,
   dcaOrderKeyboard,
+  dcaPolicyKeyboard,
   backToMainKeyboard,
   phantomDepositKeyboard,
   phantomWithdrawKeyboard,
   autoTraderKeyboard,
-  tokenAnalysisKeyboard
+  tokenAnalysisKeyboard,
+  riskSettingsKeyboard
 };
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * TraderTony v3 - Bundle Submission Tests
+ * This script runs the transaction sender's bundle submission against a local
+ * stand-in for a block engine's bundle API, with an in-memory connection in
+ * place of the RPC. Nothing is sent to a real network.
+ *
+ * Usage: node src/testing/bundle-test.js
+ */
+
+const http = require('http');
+const bs58 = require('bs58');
+const { Keypair, Transaction, SystemProgram, SystemInstruction, PublicKey } = require('@solana/web3.js');
+const TransactionSender = require('../utils/transaction-sender');
+const SubmissionRouter = require('../utils/submitters');
+const { BundleSubmitter } = SubmissionRouter;
+const { run } = require('./harness');
+
+// Test configuration
+const TEST_CONFIG = {
+  tipLamports: 25000,
+  tipAccounts: [Keypair.generate().publicKey.toBase58(), Keypair.generate().publicKey.toBase58()],
+  rebroadcastIntervalMs: 20
+};
+
+/**
+ * Start a stand-in block engine serving getTipAccounts and sendBundle
+ * @param {Object} state - Shared test state: bundles received and whether to reject or drop them
+ * @returns {Promise<http.Server>} The listening server
+ */
+function startBlockEngine(state) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      const reply = (payload) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id, ...payload }));
+      };
+
+      if (req.url !== '/api/v1/bundles') {
+        res.writeHead(404);
+        return res.end();
+      }
+      if (method === 'getTipAccounts') {
+        return reply({ result: TEST_CONFIG.tipAccounts });
+      }
+      if (method === 'sendBundle') {
+        // Resubmits of a bundle already received are refused, until the blockhash expires
+        if (state.rejectResubmits && state.received > 0) {
+          state.rejectedResubmits++;
+          if (state.rejectedResubmits >= 3) state.blockHeight = 2000;
+          return reply({ error: { code: -32602, message: 'bundle already received' } });
+        }
+        state.received++;
+        if (state.reject) {
+          return reply({ error: { code: -32602, message: 'bundle rejected by stand-in' } });
+        }
+        const transactions = params[0].map(encoded => Transaction.from(bs58.decode(encoded)));
+        // A dropped bundle is accepted but no leader includes it
+        if (!state.drop) {
+          state.bundles.push(transactions);
+        }
+        return reply({ result: `bundle_${state.bundles.length}` });
+      }
+      reply({ error: { code: -32601, message: `Method ${method} not found` } });
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Create an in-memory connection
+ * Transactions settle once they reach it, through the RPC or in a bundle.
+ * @param {Object} state - Shared test state
+ * @returns {Object} Connection stand-in
+ */
+function createConnection(state) {
+  const signatureOf = transaction => bs58.encode(transaction.signature);
+  return {
+    async sendRawTransaction(raw) {
+      state.rawSends.push(Transaction.from(raw));
+    },
+    onSignature() {
+      return 1;
+    },
+    async removeSignatureListener() {},
+    async getSignatureStatuses([signature]) {
+      const landed = [...state.rawSends, ...state.bundles.flat()].some(transaction => signatureOf(transaction) === signature);
+      return { value: [landed ? { confirmationStatus: 'confirmed', slot: 42, err: null } : null] };
+    },
+    async getBlockHeight() {
+      return state.blockHeight;
+    }
+  };
+}
+
+/**
+ * Build a signed transfer, standing in for a swap
+ * @param {Keypair} payer - Signing wallet
+ * @param {number} lastValidBlockHeight - Height the blockhash expires after, the connection is at 100
+ * @returns {Object} transaction and lastValidBlockHeight
+ */
+function buildTransfer(payer, lastValidBlockHeight = 1000) {
+  const transaction = new Transaction().add(
+    SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1000 })
+  );
+  transaction.recentBlockhash = Keypair.generate().publicKey.toBase58();
+  transaction.feePayer = payer.publicKey;
+  transaction.sign(payer);
+  return { transaction, lastValidBlockHeight };
+}
+
+async function runTests(results) {
+  const state = { bundles: [], rawSends: [], reject: false, drop: false, blockHeight: 100 };
+  const server = await startBlockEngine(state);
+  const endpoint = `http://127.0.0.1:${server.address().port}`;
+  const connection = createConnection(state);
+  const payer = Keypair.generate();
+
+  try {
+    const sender = new TransactionSender(connection, { rebroadcastIntervalMs: TEST_CONFIG.rebroadcastIntervalMs });
+    const submitter = new BundleSubmitter(connection, { endpoint, tipLamports: TEST_CONFIG.tipLamports });
+
+    // 1. A bundle carries the transaction and a tip sharing its blockhash
+    const built = buildTransfer(payer);
+    const outcome = await sender.send(async () => built, { submitter, signer: payer, label: 'Bundle test' });
+    const [bundle] = state.bundles;
+    const tipTransfer = bundle && SystemInstruction.decodeTransfer(bundle[1].instructions[0]);
+
+    results.check('Transaction confirmed through the bundle', outcome.success && outcome.submittedVia === 'bundle');
+    results.check('Bundle holds the transaction and a tip', Boolean(bundle) && bundle.length === 2 &&
+      bs58.encode(bundle[0].signature) === outcome.signature);
+    results.check('Tip goes to a tip account', Boolean(tipTransfer) && TEST_CONFIG.tipAccounts.includes(tipTransfer.toPubkey.toBase58()) &&
+      Number(tipTransfer.lamports) === TEST_CONFIG.tipLamports);
+    results.check('Tip shares the blockhash', Boolean(bundle) && bundle[1].recentBlockhash === built.transaction.recentBlockhash);
+    results.check('Tip reported as landed', Boolean(outcome.tip && outcome.tip.landed));
+    results.check('Nothing sent to the RPC', state.rawSends.length === 0);
+
+    // 2. A rejected bundle falls back to the RPC, without a tip
+    state.reject = true;
+    const fallbackOutcome = await sender.send(async () => buildTransfer(payer), { submitter, signer: payer, label: 'Fallback test' });
+    results.check('Rejected bundle falls back to the RPC', fallbackOutcome.success && fallbackOutcome.submittedVia === 'rpc' && !fallbackOutcome.tip);
+
+    // 3. A bundle that expires without landing is rebuilt and sent to the RPC
+    state.reject = false;
+    state.drop = true;
+    const expiredOutcome = await sender.send(async () => buildTransfer(payer, 50), { submitter, signer: payer, label: 'Expiry test' });
+    results.check('Expired bundle is rebuilt for the RPC', expiredOutcome.success && expiredOutcome.attempts === 2 &&
+      expiredOutcome.submittedVia === 'rpc');
+    state.drop = false;
+    state.reject = true;
+
+    // 4. Without a fallback the rejection is the outcome
+    const strictSubmitter = new BundleSubmitter(connection, { endpoint, fallback: false });
+    const strictOutcome = await sender.send(async () => buildTransfer(payer), { submitter: strictSubmitter, signer: payer, label: 'Strict test' });
+    results.check('Rejected bundle fails without a fallback', !strictOutcome.success && /rejected by stand-in/.test(strictOutcome.error));
+
+    // 5. A refused rebroadcast of an accepted bundle never reaches the RPC
+    Object.assign(state, { reject: false, drop: true, rejectResubmits: true, received: 0, rejectedResubmits: 0, rawSends: [] });
+    const resubmitOutcome = await sender.send(async () => buildTransfer(payer), { submitter, signer: payer, maxAttempts: 1, label: 'Resubmit test' });
+    results.check('Refused rebroadcasts stay with the block engine', state.rejectedResubmits >= 3 && state.rawSends.length === 0 &&
+      resubmitOutcome.status === 'expired');
+    Object.assign(state, { drop: false, rejectResubmits: false, blockHeight: 100 });
+
+    // 6. Operations are routed by configuration
+    const router = new SubmissionRouter(connection, { endpoint, operations: ['snipe', 'stop-loss'] });
+    results.check('Snipes are bundled', router.forOperation('snipe').name === 'bundle');
+    results.check('DCA buys go to the RPC', router.forOperation('dca').name === 'rpc');
+    results.check('Per-call override is honoured', router.forOperation('dca', 'bundle').name === 'bundle');
+    results.check('No endpoint means RPC only', new SubmissionRouter(connection, { endpoint: '' }).forOperation('snipe').name === 'rpc');
+  } finally {
+    server.close();
+  }
+}
+
+run('Bundle', runTests);
@@ -0,0 +1,54 @@
+/**
+ * TraderTony v3 - Test Harness
+ * Shared by the runnable test scripts in this folder: records each check,
+ * prints a summary and exits with a status CI can read.
+ */
+
+/**
+ * Checks recorded by one test script
+ */
+class TestResults {
+  constructor() {
+    this.results = [];
+  }
+
+  /**
+   * Check a condition and record the result
+   * @param {string} name - What was checked
+   * @param {boolean} passed - Whether it held
+   */
+  check(name, passed) {
+    this.results.push({ name, passed: Boolean(passed) });
+    console.log(`${passed ? '✅' : '❌'} ${name}`);
+  }
+
+  /**
+   * Print how many checks passed
+   * @returns {boolean} True if every check passed
+   */
+  report() {
+    const failed = this.results.filter(result => !result.passed);
+    console.log(`\n${this.results.length - failed.length}/${this.results.length} checks passed`);
+    return failed.length === 0;
+  }
+}
+
+/**
+ * Run a test script's checks and exit with 0 if they all passed
+ * @param {string} label - Name used when the script throws
+ * @param {Function} runTests - Async function given a TestResults to record into
+ */
+function run(label, runTests) {
+  const results = new TestResults();
+  runTests(results)
+    .then(() => process.exit(results.report() ? 0 : 1))
+    .catch(error => {
+      console.error(`${label} tests failed:`, error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  TestResults,
+  run
+};
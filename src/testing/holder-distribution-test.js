@@ -0,0 +1,130 @@
+/**
+ * TraderTony v3 - Holder Distribution Tests
+ * This script runs the risk analyzer's holder distribution checks against
+ * stubbed getTokenSupply and getTokenLargestAccounts results, with an
+ * in-memory connection in place of the RPC. Nothing is sent to a real network.
+ *
+ * Usage: node src/testing/holder-distribution-test.js
+ */
+
+const { Keypair, PublicKey, SystemProgram } = require('@solana/web3.js');
+const RiskAnalyzer = require('../trading/risk-analyzer');
+const { run } = require('./harness');
+
+// Test configuration
+const TEST_CONFIG = {
+  supply: 1000000n,
+  raydiumAmmProgram: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  incinerator: '1nc1nerator11111111111111111111111111111111'
+};
+
+/**
+ * Create a token account held by an owner
+ * @param {string} owner - Owner address
+ * @param {bigint} amount - Balance in base units
+ * @returns {Object} Account ({address, owner, amount})
+ */
+function createAccount(owner, amount) {
+  return { address: Keypair.generate().publicKey, owner, amount };
+}
+
+/**
+ * Create an in-memory connection serving a mint's supply and largest accounts
+ * @param {Object} state - Shared test state: supply, accounts and the programs owning each owner
+ * @returns {Object} Connection stand-in
+ */
+function createConnection(state) {
+  return {
+    async getTokenSupply() {
+      return { value: { amount: state.supply.toString(), decimals: 6 } };
+    },
+    async getTokenLargestAccounts() {
+      return {
+        value: state.accounts.map(account => ({ address: account.address, amount: account.amount.toString() }))
+      };
+    },
+    async getMultipleParsedAccounts(addresses) {
+      return {
+        value: addresses.map(address => {
+          const account = state.accounts.find(candidate => candidate.address.equals(address));
+          return account ? { data: { parsed: { info: { owner: account.owner } } } } : null;
+        })
+      };
+    },
+    async getMultipleAccountsInfo(owners) {
+      state.ownerLookups.push(...owners.map(owner => owner.toBase58()));
+      return owners.map(owner => ({
+        owner: new PublicKey(state.ownerPrograms[owner.toBase58()] || SystemProgram.programId)
+      }));
+    }
+  };
+}
+
+async function runTests(results) {
+  const mint = Keypair.generate().publicKey;
+  const poolPda = Keypair.generate().publicKey.toBase58();
+  const whale = createAccount(Keypair.generate().publicKey.toBase58(), 300000n);
+  const pool = createAccount(poolPda, 400000n);
+  const burned = createAccount(TEST_CONFIG.incinerator, 100000n);
+  const state = {
+    supply: TEST_CONFIG.supply,
+    accounts: [
+      pool,
+      whale,
+      burned,
+      createAccount(Keypair.generate().publicKey.toBase58(), 100000n),
+      createAccount(Keypair.generate().publicKey.toBase58(), 50000n),
+      createAccount(Keypair.generate().publicKey.toBase58(), 50000n)
+    ],
+    ownerPrograms: { [poolPda]: TEST_CONFIG.raydiumAmmProgram },
+    ownerLookups: []
+  };
+  const analyzer = new RiskAnalyzer(createConnection(state));
+
+  // 1. Accounts owned by pool PDAs and burn addresses are labelled
+  const labels = await analyzer.classifyTokenAccounts(state.accounts.map(account => account.address));
+  const poolLabel = labels.get(pool.address.toBase58());
+  const burnLabel = labels.get(burned.address.toBase58());
+  results.check('Pool PDA vault labelled by its program', Boolean(poolLabel) && poolLabel.type === 'pool' &&
+    poolLabel.name === 'Raydium AMM' && poolLabel.owner === poolPda);
+  results.check('Incinerator account labelled as a burn', Boolean(burnLabel) && burnLabel.type === 'burn');
+  results.check('Wallet holders are not labelled', labels.size === 2 && !labels.has(whale.address.toBase58()));
+  results.check('Known owners are not looked up', !state.ownerLookups.includes(TEST_CONFIG.incinerator));
+
+  // 2. The pool is left out of the ranking and burned tokens out of the circulating supply
+  const distribution = await analyzer.analyzeHolderDistribution(mint);
+  results.check('Pool vault is not the top holder', distribution.topHolders[0].address === whale.address.toBase58());
+  results.check('Pool and burn listed as excluded', distribution.excludedAccounts.length === 2 &&
+    distribution.excludedAccounts.some(excluded => excluded.label === 'Raydium AMM' && excluded.percentage === 40));
+  results.check('Burned share of the total supply', distribution.burnedPercentage === 10);
+  results.check('Top holder share of circulating supply', distribution.topHolderPercentage === 33.33);
+  results.check('Top 10 share of circulating supply', distribution.top10Percentage === 55.55);
+  results.check('Short account list counts every holder', distribution.holderCount === 4);
+  results.check('Distribution scored 25 + 20 + 15', distribution.riskScore === 60 && distribution.warnings.length === 3);
+
+  // 3. A full page of largest accounts does not give a holder count
+  state.accounts = Array.from({ length: 20 }, () => createAccount(Keypair.generate().publicKey.toBase58(), 50000n));
+  const spread = await analyzer.analyzeHolderDistribution(mint);
+  results.check('Full account list leaves the holder count unknown', spread.holderCount === null);
+  results.check('Evenly spread supply scores low', spread.topHolderPercentage === 5 && spread.riskScore === 10);
+
+  // 4. Concentration thresholds
+  const score = (topHolderPercentage, top10Percentage, holderCount) =>
+    analyzer.scoreHolderDistribution({ topHolderPercentage, top10Percentage, holderCount }).riskScore;
+  results.check('Top holder over 50% scores 50', score(51, 0, null) === 50);
+  results.check('Top holder over 20% scores 25', score(21, 0, null) === 25);
+  results.check('Top holder over 10% scores 10', score(11, 0, null) === 10);
+  results.check('Top 10 over 80% scores 35', score(0, 81, null) === 35);
+  results.check('Top 10 over 50% scores 20', score(0, 51, null) === 20);
+  results.check('Top 10 over 30% scores 10', score(0, 31, null) === 10);
+  results.check('Under 10 holders scores 15', score(0, 0, 9) === 15 && score(0, 0, 10) === 0);
+  results.check('Scores are capped at 100', score(90, 100, 1) === 100);
+  results.check('Thresholds are exclusive', score(50, 80, null) === 25 + 20);
+
+  // 5. A mint with no supply
+  state.supply = 0n;
+  const empty = await analyzer.analyzeHolderDistribution(mint);
+  results.check('No supply scores 100', empty.riskScore === 100 && empty.holderCount === 0);
+}
+
+run('Holder distribution', runTests);
@@ -0,0 +1,107 @@
+/**
+ * TraderTony v3 - Journal Store Tests
+ * This script runs the journal store that holds positions and trades against
+ * a temporary directory: index lookups, recovery from a journal torn by a
+ * crash, and compaction followed by replay. Nothing outside the temporary
+ * directory is touched.
+ *
+ * Usage: node src/testing/journal-store-test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JournalStore = require('../utils/journal-store');
+const { run } = require('./harness');
+
+// Test configuration
+const TEST_CONFIG = {
+  storeName: 'positions',
+  indexes: ['status', 'ownerId'],
+  compactThreshold: 5
+};
+
+/**
+ * Open the test store
+ * @param {string} dataDir - Directory holding the store files
+ * @returns {JournalStore} The store
+ */
+function openStore(dataDir) {
+  return new JournalStore(dataDir, TEST_CONFIG.storeName, {
+    indexes: TEST_CONFIG.indexes,
+    compactThreshold: TEST_CONFIG.compactThreshold
+  });
+}
+
+/**
+ * Describe a store's records for comparison
+ * @param {JournalStore} store - Store
+ * @returns {string} Keys and records in insertion order
+ */
+function dump(store) {
+  return JSON.stringify(store.keys().map(key => [key, store.get(key)]));
+}
+
+async function runTests(results) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-store-test-'));
+  const journalPath = path.join(dataDir, `${TEST_CONFIG.storeName}.journal`);
+  const snapshotPath = path.join(dataDir, `${TEST_CONFIG.storeName}.snapshot.json`);
+
+  try {
+    // 1. Index lookups
+    let store = openStore(dataDir);
+    store.put('p1', { status: 'OPEN', ownerId: '123' });
+    store.put('p2', { status: 'OPEN', ownerId: 456 });
+    store.put('p3', { status: 'CLOSED', ownerId: '123' });
+    results.check('Numeric owner ID finds records stored with a string ID',
+      store.find({ ownerId: 123 }).length === 2);
+    results.check('String owner ID finds records stored with a numeric ID',
+      store.find({ ownerId: '456' }).length === 1);
+    results.check('Combined lookup checks every index',
+      JSON.stringify(store.find({ status: 'OPEN', ownerId: 123 })) === JSON.stringify([{ status: 'OPEN', ownerId: '123' }]));
+    results.check('Unchanged records are not written again', !store.put('p1', { status: 'OPEN', ownerId: '123' }));
+
+    // 2. A torn last line is dropped and cut off the journal
+    const validSize = fs.statSync(journalPath).size;
+    const before = dump(store);
+    fs.appendFileSync(journalPath, '{"op":"put","key":"p4","value":{"sta');
+    store = openStore(dataDir);
+    results.check('Torn entry is discarded on load', dump(store) === before && !store.has('p4'));
+    results.check('Journal is truncated to the last complete entry', fs.statSync(journalPath).size === validSize);
+
+    store.put('p4', { status: 'OPEN', ownerId: '789' });
+    store = openStore(dataDir);
+    results.check('Writes after recovery replay cleanly', store.get('p4').ownerId === '789' && store.keys().length === 4);
+
+    // 3. Compaction writes a snapshot and starts an empty journal
+    const update = { op: 'put', key: 'p1', value: { status: 'CLOSED', ownerId: '123' } };
+    const journalAtCompaction = `${fs.readFileSync(journalPath, 'utf8')}${JSON.stringify(update)}\n`;
+    store.put(update.key, update.value);
+    const stateAtCompaction = dump(store);
+    const snapshotAtCompaction = fs.readFileSync(snapshotPath);
+    results.check('Journal is compacted at the threshold',
+      fs.existsSync(snapshotPath) && fs.statSync(journalPath).size === 0);
+
+    store.delete('p2');
+    const beforeCompaction = dump(store);
+    store = openStore(dataDir);
+    results.check('Snapshot replays to the same records in the same order', dump(store) === beforeCompaction);
+    results.check('Indexes are rebuilt from the snapshot',
+      store.find({ status: 'CLOSED' }).length === 2 && store.find({ ownerId: 456 }).length === 0);
+
+    // 4. A crash between the snapshot write and the journal reset replays the old journal over the snapshot
+    fs.writeFileSync(snapshotPath, snapshotAtCompaction);
+    fs.writeFileSync(journalPath, journalAtCompaction);
+    store = openStore(dataDir);
+    results.check('Replaying a compacted journal over its snapshot changes nothing', dump(store) === stateAtCompaction);
+
+    store.put('p5', { status: 'OPEN', ownerId: '123' });
+    store = openStore(dataDir);
+    results.check('New records keep insertion order after replay',
+      store.keys()[store.keys().length - 1] === 'p5' && store.find({ ownerId: '123' }).pop().status === 'OPEN');
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+run('Journal store', runTests);
@@ -15,6 +15,7 @@ const fs = require('fs');
 const path = require('path');
 const solanaClient = require('../utils/solana');
 const logger = require('../utils/logger');
+const database = require('../utils/database');
 
 // Test configuration
 const TEST_CONFIG = {
@@ -27,7 +28,7 @@ const TEST_CONFIG = {
   ],
   
   // Position database reset
-  resetPositions: true, // Set to true to clear positions.json for fresh tests
+  resetPositions: true, // Set to true to clear stored positions for fresh tests
 };
 
 // Verify SOL balance
@@ -130,31 +131,20 @@ async function resetPositionsDatabase() {
   logger.info('Resetting positions database for fresh tests...');
   
   try {
-    // Path to positions.json
-    const positionsPath = path.join(__dirname, '..', '..', 'data', 'positions.json');
+    const positions = database.loadPositions();
     
-    // Check if file exists
-    if (fs.existsSync(positionsPath)) {
-      // Back up current file
-      const backupPath = path.join(__dirname, '..', '..', 'data', `positions-backup-${Date.now()}.json`);
-      fs.copyFileSync(positionsPath, backupPath);
+    if (positions.size > 0) {
+      // Back up current positions
+      const backupPath = path.join(database.dataDir, `positions-backup-${Date.now()}.json`);
+      fs.writeFileSync(backupPath, JSON.stringify({ positions: Array.from(positions.values()) }, null, 2));
       logger.info(`Backed up positions to ${backupPath}`);
-      
-      // Create empty positions file
-      fs.writeFileSync(positionsPath, JSON.stringify({ positions: [] }, null, 2));
-      logger.info('✅ Positions database reset successfully');
-    } else {
-      // Create directory if it doesn't exist
-      const dataDir = path.join(__dirname, '..', '..', 'data');
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-      
-      // Create empty positions file
-      fs.writeFileSync(positionsPath, JSON.stringify({ positions: [] }, null, 2));
-      logger.info('✅ Created new empty positions database');
     }
     
+    if (!database.clearPositions()) {
+      return false;
+    }
+    logger.info('✅ Positions database reset successfully');
+    
     return true;
   } catch (error) {
     logger.error('Error resetting positions database:', error);
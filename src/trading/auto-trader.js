@@ -0,0 +1,750 @@
+const crypto = require('crypto');
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const ledger = require('../utils/ledger');
+const riskPolicy = require('./risk-policy');
+
+// Raydium AMM v4 program - new pools are announced with an `initialize2` log
+const RAYDIUM_AMM_PROGRAM_ID = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * AutoTrader class for autonomous strategy-based trading
+ * Discovers new tokens, evaluates them against each enabled strategy and
+ * routes buys through TokenSniper so positions are tracked by PositionManager.
+ * Extends EventEmitter to provide `tokenDiscovered` and `tradeExecuted` events.
+ */
+class AutoTrader extends EventEmitter {
+  constructor(connection, wallet, tokenSniper, positionManager, riskAnalyzer, jupiterClient = null) {
+    super();
+    this.connection = connection;
+    this.wallet = wallet;
+    this.tokenSniper = tokenSniper;
+    this.positionManager = positionManager;
+    this.riskAnalyzer = riskAnalyzer;
+    this.jupiterClient = jupiterClient;
+
+    this.strategies = new Map();
+    this.running = false;
+    this.logSubscriptionId = null;
+
+    // Discovery queue
+    this.candidateQueue = [];
+    this.seenTokens = new Set();
+    this.processingQueue = false;
+
+    // Configuration
+    this.maxQueueSize = 50;             // Drop oldest candidates beyond this
+    this.maxSeenTokens = 5000;          // Forget old tokens beyond this
+    this.defaultMaxRiskLevel = 50;      // Used when a strategy does not set maxRiskLevel
+    this.defaultMaxConcurrentPositions = 3;
+    this.minPositionSizeSOL = 0.001;    // Don't bother buying below this
+
+    // Load strategies from database
+    this.loadStrategies();
+
+    // Keep strategy stats in sync with closed positions
+    if (this.positionManager) {
+      this.positionManager.on('positionClosed', (position) => this.handlePositionClosed(position));
+    }
+
+    logger.info('AutoTrader initialized');
+  }
+
+  /**
+   * Set the Jupiter client used for price lookups
+   * @param {Object} jupiterClient - Jupiter client instance
+   */
+  setJupiterClient(jupiterClient) {
+    this.jupiterClient = jupiterClient;
+    logger.info('Jupiter client connected to AutoTrader');
+  }
+
+  /**
+   * Load strategies from the database
+   */
+  loadStrategies() {
+    try {
+      const strategies = database.loadAutoTraderStrategies();
+      this.strategies = new Map(strategies.map(strategy => [strategy.id, strategy]));
+      logger.info(`Loaded ${this.strategies.size} AutoTrader strategies from database`);
+    } catch (error) {
+      logger.error(`Failed to load AutoTrader strategies: ${error.message}`);
+      this.strategies = new Map();
+    }
+  }
+
+  /**
+   * Save strategies to the database
+   */
+  saveStrategies() {
+    try {
+      database.saveAutoTraderStrategies(Array.from(this.strategies.values()));
+    } catch (error) {
+      logger.error(`Failed to save AutoTrader strategies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a new trading strategy
+   * @param {Object} setup - Strategy setup (name, ownerId, totalBudgetSOL, maxPositionSizeSOL, stopLoss, takeProfit, ...)
+   * @returns {Object} The created strategy
+   */
+  addStrategy(setup) {
+    const { name, ownerId = null, ...config } = setup;
+
+    if (!name) {
+      throw new Error('Strategy name is required');
+    }
+
+    const strategy = {
+      id: `strategy_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      name,
+      ownerId, // Telegram user whose risk settings the strategy trades under
+      enabled: true,
+      config: {
+        totalBudgetSOL: 0.5,
+        maxPositionSizeSOL: 0.1,
+        stopLoss: 10,
+        takeProfit: 30,
+        maxRiskLevel: this.defaultMaxRiskLevel,
+        maxConcurrentPositions: this.defaultMaxConcurrentPositions,
+        ...config
+      },
+      stats: {
+        totalTrades: 0,
+        successfulTrades: 0,
+        profit: 0,
+        spentSOL: 0,   // SOL put into every position the strategy opened
+        returnedSOL: 0 // SOL its closed positions returned
+      },
+      createdAt: new Date(),
+      lastRun: null
+    };
+
+    this.validateStrategyConfig(strategy.config);
+
+    this.strategies.set(strategy.id, strategy);
+    this.saveStrategies();
+
+    logger.info(`AutoTrader strategy created: ${strategy.id} (${strategy.name})`);
+    return strategy;
+  }
+
+  /**
+   * Validate a strategy configuration
+   * @param {Object} config - Strategy configuration
+   * @private
+   */
+  validateStrategyConfig(config) {
+    if (!(config.totalBudgetSOL > 0)) {
+      throw new Error('Total budget must be a positive number');
+    }
+    if (!(config.maxPositionSizeSOL > 0)) {
+      throw new Error('Max position size must be a positive number');
+    }
+    if (config.maxPositionSizeSOL > config.totalBudgetSOL) {
+      throw new Error('Max position size cannot be larger than total budget');
+    }
+    if (config.stopLoss !== null && !(config.stopLoss > 0 && config.stopLoss < 100)) {
+      throw new Error('Stop-loss must be between 0 and 100');
+    }
+    if (config.takeProfit !== null && !(config.takeProfit > 0)) {
+      throw new Error('Take-profit must be a positive number');
+    }
+  }
+
+  /**
+   * Get a strategy by ID
+   * @param {string} strategyId - Strategy ID
+   * @returns {Object|undefined} The strategy
+   */
+  getStrategy(strategyId) {
+    return this.strategies.get(strategyId);
+  }
+
+  /**
+   * Get all strategies
+   * @returns {Array} Array of strategies
+   */
+  getAllStrategies() {
+    return Array.from(this.strategies.values());
+  }
+
+  /**
+   * Update a strategy
+   * @param {string} strategyId - Strategy ID
+   * @param {Object} updates - Properties to update (`config` is merged)
+   * @returns {Object|null} Updated strategy or null if not found
+   */
+  updateStrategy(strategyId, updates) {
+    const strategy = this.strategies.get(strategyId);
+    if (!strategy) {
+      logger.warn(`Attempted to update non-existent strategy: ${strategyId}`);
+      return null;
+    }
+
+    const { config, ...rest } = updates;
+    const newConfig = config ? { ...strategy.config, ...config } : strategy.config;
+    this.validateStrategyConfig(newConfig);
+
+    Object.assign(strategy, rest);
+    strategy.config = newConfig;
+
+    this.saveStrategies();
+    logger.info(`AutoTrader strategy ${strategyId} updated`);
+
+    return strategy;
+  }
+
+  /**
+   * Delete a strategy
+   * @param {string} strategyId - Strategy ID
+   * @returns {boolean} Whether the strategy was deleted
+   */
+  deleteStrategy(strategyId) {
+    const deleted = this.strategies.delete(strategyId);
+    if (deleted) {
+      this.saveStrategies();
+      logger.info(`AutoTrader strategy ${strategyId} deleted`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Get open positions opened by a strategy
+   * @param {string} strategyId - Strategy ID
+   * @returns {Array} Open positions for the strategy
+   */
+  getStrategyPositions(strategyId) {
+    if (!this.positionManager) return [];
+    return this.positionManager.getOpenPositions()
+      .filter(position => position.strategyId === strategyId);
+  }
+
+  /**
+   * Get the SOL still available to a strategy
+   * The budget caps what the strategy has spent minus what its closed positions
+   * returned, so losses use it up for good and open positions hold their cost.
+   * @param {Object} strategy - Strategy
+   * @returns {number} Remaining budget in SOL
+   */
+  getRemainingBudget(strategy) {
+    this.initBudgetStats(strategy);
+    const netSpent = Math.max(0, strategy.stats.spentSOL - strategy.stats.returnedSOL);
+    return Math.max(0, strategy.config.totalBudgetSOL - netSpent);
+  }
+
+  /**
+   * Start budget tracking for strategies saved before it existed
+   * Their open positions count as spent.
+   * @param {Object} strategy - Strategy
+   * @private
+   */
+  initBudgetStats(strategy) {
+    if (strategy.stats.spentSOL !== undefined) return;
+
+    strategy.stats.spentSOL = this.getStrategyPositions(strategy.id)
+      .reduce((sum, position) => sum + (position.amountInSol || 0), 0);
+    strategy.stats.returnedSOL = 0;
+  }
+
+  /**
+   * Check whether a strategy can open another position
+   * @param {Object} strategy - Strategy
+   * @returns {{allowed: boolean, reason?: string, positionSize?: number}} Check result
+   */
+  canOpenPosition(strategy) {
+    if (!strategy.enabled) {
+      return { allowed: false, reason: 'Strategy disabled' };
+    }
+
+    const maxConcurrent = strategy.config.maxConcurrentPositions || this.defaultMaxConcurrentPositions;
+    const openPositions = this.getStrategyPositions(strategy.id);
+    if (openPositions.length >= maxConcurrent) {
+      return { allowed: false, reason: `Max concurrent positions reached (${openPositions.length}/${maxConcurrent})` };
+    }
+
+    const positionSize = Math.floor(
+      Math.min(strategy.config.maxPositionSizeSOL, this.getRemainingBudget(strategy)) * LAMPORTS_PER_SOL
+    ) / LAMPORTS_PER_SOL;
+    if (positionSize < this.minPositionSizeSOL) {
+      return { allowed: false, reason: 'Strategy budget exhausted' };
+    }
+
+    return { allowed: true, positionSize };
+  }
+
+  /**
+   * Get the risk settings a strategy trades under
+   * The owner's risk policy applies, tightened by the strategy's own max risk level.
+   * @param {Object} strategy - Strategy
+   * @returns {Object} Risk settings
+   */
+  getStrategyRiskSettings(strategy) {
+    const settings = riskPolicy.getSettings(strategy.ownerId);
+    const maxRiskLevel = strategy.config.maxRiskLevel ?? this.defaultMaxRiskLevel;
+    return {
+      ...settings,
+      maxRiskScore: Math.min(settings.maxRiskScore, maxRiskLevel)
+    };
+  }
+
+  /**
+   * Start autonomous trading
+   * @returns {boolean} Success status
+   */
+  start() {
+    if (this.running) return true;
+
+    if (!this.connection || !this.tokenSniper) {
+      logger.error('AutoTrader cannot start: connection or token sniper not available');
+      return false;
+    }
+
+    try {
+      this.logSubscriptionId = this.connection.onLogs(
+        new PublicKey(RAYDIUM_AMM_PROGRAM_ID),
+        (logs) => this.handleProgramLogs(logs),
+        'confirmed'
+      );
+    } catch (error) {
+      logger.error(`AutoTrader failed to subscribe to pool logs: ${error.message}`);
+      return false;
+    }
+
+    this.running = true;
+    logger.info('AutoTrader started');
+
+    // Pick up anything queued while stopped
+    this.processQueue();
+
+    return true;
+  }
+
+  /**
+   * Stop autonomous trading
+   */
+  stop() {
+    if (this.logSubscriptionId !== null && this.connection) {
+      this.connection.removeOnLogsListener(this.logSubscriptionId)
+        .catch(error => logger.warn(`Failed to remove AutoTrader log listener: ${error.message}`));
+    }
+
+    this.logSubscriptionId = null;
+    this.running = false;
+    logger.info('AutoTrader stopped');
+  }
+
+  /**
+   * Handle Raydium program logs and queue newly created pools
+   * @param {Object} logs - Logs notification from the connection
+   * @private
+   */
+  handleProgramLogs(logs) {
+    if (logs.err || !logs.logs.some(line => line.includes('initialize2'))) {
+      return;
+    }
+
+    this.resolvePoolMint(logs.signature)
+      .then(candidate => {
+        if (candidate) this.queueToken(candidate.tokenAddress, candidate);
+      })
+      .catch(error => logger.debug(`Could not resolve new pool ${logs.signature}: ${error.message}`));
+  }
+
+  /**
+   * Resolve the token mint and initial SOL liquidity of a pool creation transaction
+   * @param {string} signature - Pool initialization signature
+   * @returns {Promise<Object|null>} Candidate token or null
+   * @private
+   */
+  async resolvePoolMint(signature) {
+    const tx = await this.connection.getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+
+    const balances = tx?.meta?.postTokenBalances || [];
+    const tokenBalance = balances.find(balance => balance.mint !== SOL_MINT);
+    if (!tokenBalance) return null;
+
+    const liquiditySOL = balances
+      .filter(balance => balance.mint === SOL_MINT)
+      .reduce((max, balance) => Math.max(max, balance.uiTokenAmount.uiAmount || 0), 0);
+
+    return {
+      tokenAddress: tokenBalance.mint,
+      liquiditySOL,
+      discoveredAt: new Date(),
+      signature
+    };
+  }
+
+  /**
+   * Queue a token for evaluation
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} details - Discovery details (liquiditySOL, discoveredAt)
+   * @returns {boolean} Whether the token was queued
+   */
+  queueToken(tokenAddress, details = {}) {
+    if (this.seenTokens.has(tokenAddress)) return false;
+
+    this.seenTokens.add(tokenAddress);
+    if (this.seenTokens.size > this.maxSeenTokens) {
+      // Sets iterate in insertion order, so this drops the oldest entry
+      this.seenTokens.delete(this.seenTokens.values().next().value);
+    }
+
+    this.candidateQueue.push({ tokenAddress, discoveredAt: new Date(), ...details });
+    if (this.candidateQueue.length > this.maxQueueSize) {
+      this.candidateQueue.shift();
+    }
+
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Evaluate queued candidates one at a time
+   * @private
+   */
+  async processQueue() {
+    if (this.processingQueue) return;
+    this.processingQueue = true;
+
+    try {
+      while (this.candidateQueue.length > 0) {
+        const candidate = this.candidateQueue.shift();
+        try {
+          await this.evaluateToken(candidate);
+        } catch (error) {
+          logger.error(`AutoTrader failed to evaluate ${candidate.tokenAddress}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.processingQueue = false;
+    }
+  }
+
+  /**
+   * Evaluate a discovered token against every enabled strategy
+   * @param {Object} candidate - Candidate token (tokenAddress, liquiditySOL, discoveredAt)
+   * @returns {Promise<Array>} Buy results for strategies that traded
+   */
+  async evaluateToken(candidate) {
+    const { tokenAddress } = candidate;
+    const tokenInfo = await this.getTokenInfo(tokenAddress);
+
+    const ageMinutes = Math.floor((Date.now() - new Date(candidate.discoveredAt).getTime()) / 60000);
+    this.emit('tokenDiscovered', {
+      tokenAddress,
+      tokenName: tokenInfo.name,
+      tokenSymbol: tokenInfo.symbol,
+      createdAgo: ageMinutes < 1 ? 'just now' : `${ageMinutes} min ago`,
+      liquidity: candidate.liquiditySOL !== undefined ? `${candidate.liquiditySOL.toFixed(2)} SOL` : 'Unknown'
+    });
+
+    if (!this.running) return [];
+
+    const strategies = this.getAllStrategies().filter(strategy => strategy.enabled);
+    if (strategies.length === 0) return [];
+
+    // One risk analysis shared by every strategy
+    const riskResult = await this.riskAnalyzer.analyzeToken(tokenAddress);
+
+    const results = [];
+    for (const strategy of strategies) {
+      strategy.lastRun = new Date();
+
+      const violations = riskPolicy.evaluate(riskResult, this.getStrategyRiskSettings(strategy));
+      if (violations.length > 0) {
+        logger.info(`Strategy ${strategy.name} skipped ${tokenAddress}: ${violations.map(v => v.message).join('; ')}`);
+        continue;
+      }
+
+      const result = await this.executeBuy({ address: tokenAddress, ...tokenInfo }, strategy);
+      results.push(result);
+    }
+
+    this.saveStrategies();
+    return results;
+  }
+
+  /**
+   * Buy a token for a strategy, enforcing its budget and position size
+   * @param {Object} tokenMetadata - Token metadata (address, symbol, name)
+   * @param {Object} strategy - Strategy to trade for
+   * @returns {Promise<Object>} Buy result
+   */
+  async executeBuy(tokenMetadata, strategy) {
+    const tokenAddress = tokenMetadata.address;
+
+    try {
+      if (!this.tokenSniper) {
+        throw new Error('Token sniper not available');
+      }
+
+      // Strategies without an ID (ad-hoc test strategies) are not budget tracked
+      let amountInSol = strategy.config.maxPositionSizeSOL;
+      if (strategy.id) {
+        const check = this.canOpenPosition(strategy);
+        if (!check.allowed) {
+          logger.info(`Strategy ${strategy.name} cannot buy ${tokenAddress}: ${check.reason}`);
+          return { success: false, tokenAddress, error: check.reason };
+        }
+        amountInSol = check.positionSize;
+      }
+
+      if (!(amountInSol > 0)) {
+        throw new Error('Strategy has no position size configured');
+      }
+
+      logger.info(`AutoTrader buying ${tokenAddress} with ${amountInSol} SOL for strategy ${strategy.name}`);
+
+      const buyResult = await this.tokenSniper.buyToken(tokenAddress, amountInSol, {
+        riskSettings: this.getStrategyRiskSettings(strategy),
+        stopLoss: strategy.config.stopLoss,
+        takeProfit: strategy.config.takeProfit,
+        strategyId: strategy.id || null,
+        userId: strategy.ownerId // Strategies without an owner trade from the bot wallet
+      });
+
+      const trade = {
+        id: `trade_${Date.now()}`,
+        type: 'BUY',
+        userId: strategy.ownerId,
+        strategyId: strategy.id || null,
+        tokenAddress,
+        amountInSol,
+        success: buyResult.success,
+        signature: buyResult.signature || null,
+        positionId: buyResult.positionId || null,
+        feeSol: buyResult.feeSol ?? null,
+        priorityFee: buyResult.priorityFee || null,
+        error: buyResult.error || null,
+        timestamp: new Date()
+      };
+
+      database.recordTrade(trade);
+
+      // A buy that may have landed counts against the budget as well
+      if (strategy.id && (buyResult.success || buyResult.maybeSucceeded)) {
+        this.initBudgetStats(strategy);
+        strategy.stats.spentSOL += amountInSol;
+        this.saveStrategies();
+      }
+
+      if (strategy.id) {
+        this.emit('tradeExecuted', {
+          strategy,
+          tokenName: tokenMetadata.name || 'Unknown',
+          tokenSymbol: tokenMetadata.symbol || 'Unknown',
+          trade
+        });
+      }
+
+      if (!buyResult.success) {
+        return { success: false, tokenAddress, error: buyResult.error };
+      }
+
+      return {
+        success: true,
+        tokenAddress,
+        amountInSol,
+        txSignature: buyResult.signature,
+        positionId: buyResult.positionId
+      };
+    } catch (error) {
+      logger.error(`AutoTrader buy failed for ${tokenAddress}: ${error.message}`);
+      return { success: false, tokenAddress, error: error.message };
+    }
+  }
+
+  /**
+   * Update strategy stats when one of its positions closes
+   * @param {Object} position - Closed position
+   * @private
+   */
+  handlePositionClosed(position) {
+    if (!position.strategyId) return;
+
+    const strategy = this.strategies.get(position.strategyId);
+    if (!strategy) return;
+
+    // Positions opened before the ledger existed fall back to the price change
+    const profitSol = ledger.getPositionPnL(position.id)
+      ?? (position.amountInSol || 0) * ((position.profit || 0) / 100);
+
+    strategy.stats.totalTrades += 1;
+    if (profitSol > 0) strategy.stats.successfulTrades += 1;
+    strategy.stats.profit += profitSol;
+    this.initBudgetStats(strategy);
+    strategy.stats.returnedSOL += Math.max(0, (position.amountInSol || 0) + profitSol);
+
+    this.saveStrategies();
+    logger.info(`Strategy ${strategy.name} closed position ${position.id}: ${profitSol.toFixed(4)} SOL`);
+  }
+
+  /**
+   * Get aggregate performance across strategies
+   * @returns {Object} Performance stats
+   */
+  getPerformanceStats() {
+    const strategies = this.getAllStrategies();
+    const totals = strategies.reduce((acc, strategy) => {
+      acc.totalTrades += strategy.stats.totalTrades;
+      acc.successfulTrades += strategy.stats.successfulTrades;
+      acc.totalProfit += strategy.stats.profit;
+      return acc;
+    }, { totalTrades: 0, successfulTrades: 0, totalProfit: 0 });
+
+    return {
+      strategyCount: strategies.length,
+      activeStrategies: strategies.filter(strategy => strategy.enabled).length,
+      ...totals,
+      winRate: totals.totalTrades > 0 ? (totals.successfulTrades / totals.totalTrades) * 100 : 0
+    };
+  }
+
+  /**
+   * Get token name/symbol metadata
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} Token info
+   * @private
+   */
+  async getTokenInfo(tokenAddress) {
+    try {
+      // Loaded lazily, solana.js builds the trading components this module depends on
+      const solanaClient = require('../utils/solana');
+      return await solanaClient.getTokenInfo(tokenAddress);
+    } catch (error) {
+      logger.debug(`Could not fetch token info for ${tokenAddress}: ${error.message}`);
+      return {
+        address: tokenAddress,
+        symbol: 'UNKNOWN',
+        name: 'Unknown Token',
+        decimals: 9,
+        tags: []
+      };
+    }
+  }
+
+  /**
+   * Build a full token analysis report for the Token Analysis screens
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} options - Risk cache options passed to RiskAnalyzer.analyzeToken
+   * @returns {Promise<Object|null>} Analysis or null if the address is invalid
+   */
+  async analyzeToken(tokenAddress, options = {}) {
+    let tokenMint;
+    try {
+      tokenMint = new PublicKey(tokenAddress);
+    } catch (error) {
+      return null;
+    }
+
+    const [tokenInfo, riskResult, tokenAgeMinutes] = await Promise.all([
+      this.getTokenInfo(tokenAddress),
+      this.riskAnalyzer.analyzeToken(tokenAddress, options),
+      this.getTokenAgeMinutes(tokenMint)
+    ]);
+
+    const contract = riskResult.details?.contract;
+    if (!contract?.valid) {
+      return null;
+    }
+
+    const holders = riskResult.details?.holders || {};
+    const liquidity = riskResult.details?.liquidity || {};
+    const tags = tokenInfo.tags || [];
+
+    return {
+      address: tokenAddress,
+      name: tokenInfo.name,
+      symbol: tokenInfo.symbol,
+      decimals: contract.decimals,
+      supply: Number(contract.supply) / (10 ** contract.decimals),
+      tokenAgeMinutes,
+      isMemecoin: !tags.includes('verified') && !tags.includes('strict'),
+      priceUsd: await this.getTokenPriceUsd(tokenAddress),
+      initialLiquiditySOL: liquidity.liquiditySOL,
+      viableExitSizeSOL: liquidity.viableExitSizeSOL,
+      maxExitImpactPct: liquidity.maxExitImpactPct,
+      sellImpactPercentage: liquidity.priceImpactCurve?.[0]?.sellImpactPct ?? undefined,
+      holderCount: holders.holderCount,
+      topHolderPercentage: holders.topHolderPercentage,
+      top10Percentage: holders.top10Percentage,
+      hasMintAuthority: contract.mintAuthority !== null,
+      hasFreezeAuthority: contract.freezeAuthority !== null,
+      transferTaxBps: contract.transferFeeBps,
+      tokenProgram: contract.tokenProgram,
+      extensions: contract.extensions,
+      permanentDelegate: contract.permanentDelegate,
+      transferHookProgramId: contract.transferHookProgramId,
+      defaultFrozen: contract.defaultFrozen,
+      lpTokensBurned: riskResult.liquidityLocked === true,
+      lpBurnedPct: liquidity.lpBurnedPct,
+      canSell: !riskResult.honeypot,
+      sellSimulated: riskResult.details?.sellability?.simulated === true,
+      buyTaxPct: riskResult.details?.sellability?.buyTaxPct,
+      sellTaxPct: riskResult.details?.sellability?.sellTaxPct,
+      roundTripLossPct: riskResult.details?.sellability?.roundTripLossPct,
+      creator: riskResult.details?.creator || null,
+      potentialRisk: riskResult.riskLevel,
+      warnings: riskResult.warnings,
+      cached: riskResult.cached === true,
+      analyzedAt: riskResult.analyzedAt,
+      riskAnalysis: riskResult
+    };
+  }
+
+  /**
+   * Estimate a token's age from its oldest signature
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<number|undefined>} Age in minutes, undefined if unknown
+   * @private
+   */
+  async getTokenAgeMinutes(tokenMint) {
+    try {
+      const signatures = await this.connection.getSignaturesForAddress(tokenMint, { limit: 1000 });
+      // A full page means older history exists that we did not fetch
+      if (signatures.length === 0 || signatures.length === 1000) return undefined;
+
+      const oldest = signatures[signatures.length - 1];
+      if (!oldest.blockTime) return undefined;
+
+      return Math.floor((Date.now() / 1000 - oldest.blockTime) / 60);
+    } catch (error) {
+      logger.debug(`Could not determine token age: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Get a token's USD price via its SOL price and the SOL price of USDC
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<number|undefined>} Price in USD, undefined if unknown
+   * @private
+   */
+  async getTokenPriceUsd(tokenAddress) {
+    if (!this.jupiterClient) return undefined;
+
+    try {
+      const [tokenPriceSol, usdcPriceSol] = await Promise.all([
+        this.jupiterClient.getTokenPrice(tokenAddress),
+        this.jupiterClient.getTokenPrice(this.jupiterClient.USDC_MINT)
+      ]);
+
+      if (tokenPriceSol <= 0 || usdcPriceSol <= 0) return undefined;
+      return tokenPriceSol / usdcPriceSol;
+    } catch (error) {
+      logger.debug(`Could not determine USD price for ${tokenAddress}: ${error.message}`);
+      return undefined;
+    }
+  }
+}
+
+module.exports = AutoTrader;
@@ -0,0 +1,591 @@
+const { PublicKey } = require('@solana/web3.js');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+
+// getSignaturesForAddress returns at most this many signatures per page
+const SIGNATURE_PAGE_LIMIT = 1000;
+
+// getParsedTransactions batch size
+const TRANSACTION_BATCH_SIZE = 25;
+
+// Outcomes that can't change once observed
+const FINAL_OUTCOMES = ['rugged', 'lp_pulled'];
+
+// Pools are measured by their wrapped SOL side
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * CreatorReputation class tracking the wallets behind token launches
+ * For each mint it finds the deployer (fee payer of the mint initialization
+ * transaction) and the wallet that funded the deployer, and keeps a local store
+ * of every mint linked to those wallets and what happened to it afterwards.
+ */
+class CreatorReputation {
+  constructor(connection) {
+    this.connection = connection;
+    this.store = database.loadData('creator-reputation', { mints: {}, wallets: {} });
+    this.pendingLookups = new Map(); // Creator lookups in flight, by mint
+
+    this.maxSignaturePages = 5;       // Mints older than this many pages of history are skipped
+    this.maxHistoryScan = 100;        // Deployer transactions fetched per page when scanning for other mints
+    this.maxScanPages = 5;            // Pages of new deployer transactions scanned per lookup
+    this.maxOutcomeChecks = 10;       // Previous mints re-checked per lookup
+    this.maxLaunchScan = 20;          // Earliest mint transactions searched for the launch supply and pool
+    this.outcomeRecheckMs = 6 * 60 * 60 * 1000;       // 6 hours
+    this.abandonedAfterMs = 7 * 24 * 60 * 60 * 1000;  // 7 days without activity
+    this.minMeaningfulLiquiditySOL = 1; // Pools that never held this much can't be rugged
+    this.rugDrawdownPct = 90;           // Liquidity drop from peak that counts as a rug
+    this.minLpBurnedPct = 95;
+  }
+
+  /**
+   * Get the creator reputation for a mint
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @param {Function} getLiquidity - async (PublicKey) => { liquiditySOL, lpBurnedPct }
+   * @returns {Promise<Object|null>} Deployer, funder and their previous mints, or null if the creator is unknown
+   */
+  async getReputation(tokenMint, getLiquidity) {
+    const mint = tokenMint.toString();
+    // History only grows, a mint too old to page back through stays unknown
+    if (this.store.mints[mint]?.historyTooLong) return null;
+
+    let launch = this.store.mints[mint]?.deployer ? this.store.mints[mint] : await this.lookupCreator(tokenMint);
+    if (!launch) {
+      this.save();
+      return null;
+    }
+
+    // Mints found by scanning a deployer's history don't have their funder yet
+    if (!launch.funder && !launch.funderChecked) {
+      launch = { ...launch, funder: await this.findFunder(new PublicKey(launch.deployer)), funderChecked: true };
+    }
+
+    this.recordMint(mint, launch);
+    await this.discoverMints(launch.deployer);
+
+    const previousMints = this.getLinkedMints(launch.deployer, launch.funder)
+      .filter(address => address !== mint)
+      .map(address => ({ mint: address, ...this.store.mints[address] }))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+    // Refresh the most recent launches whose outcome may still change
+    const stale = previousMints
+      .filter(record => !FINAL_OUTCOMES.includes(record.outcome))
+      .filter(record => !record.lastChecked || Date.now() - record.lastChecked > this.outcomeRecheckMs)
+      .slice(0, this.maxOutcomeChecks);
+
+    for (const record of stale) {
+      try {
+        Object.assign(record, await this.checkOutcome(record.mint, getLiquidity));
+      } catch (error) {
+        logger.debug(`Could not check outcome of ${record.mint}: ${error.message}`);
+      }
+    }
+
+    this.save();
+
+    const count = outcome => previousMints.filter(record => record.outcome === outcome).length;
+    return {
+      deployer: launch.deployer,
+      funder: launch.funder,
+      createdAt: launch.createdAt,
+      mintSignature: launch.signature,
+      previousMints,
+      stats: {
+        total: previousMints.length,
+        rugged: count('rugged'),
+        lpPulled: count('lp_pulled'),
+        abandoned: count('abandoned'),
+        active: count('active'),
+        unknown: previousMints.filter(record => !record.outcome).length
+      }
+    };
+  }
+
+  /**
+   * Get the wallet that deployed a mint
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<string|null>} Deployer address, null if unknown
+   */
+  async getDeployer(tokenMint) {
+    const mint = tokenMint.toString();
+    if (this.store.mints[mint]?.deployer) return this.store.mints[mint].deployer;
+    if (this.store.mints[mint]?.historyTooLong) return null;
+
+    const launch = await this.lookupCreator(tokenMint);
+    return launch ? launch.deployer : null;
+  }
+
+  /**
+   * Record a liquidity/supply snapshot for a mint
+   * Called after each analysis so a later drain can be measured against the peak.
+   * Launch supply and liquidity found by findLaunch take precedence, snapshots
+   * only raise the peak.
+   * @param {string} mint - Token mint address
+   * @param {Object} snapshot - liquiditySOL, lpBurnedPct, supply
+   */
+  recordSnapshot(mint, { liquiditySOL, lpBurnedPct, supply }) {
+    const record = this.store.mints[mint];
+    if (!record) return;
+
+    if (typeof liquiditySOL === 'number' && liquiditySOL >= (record.peakLiquiditySOL || 0)) {
+      record.peakLiquiditySOL = liquiditySOL;
+      // LP burn at peak decides between a pulled LP and a drained pool later
+      if (lpBurnedPct !== null && lpBurnedPct !== undefined) record.lpBurnedAtPeakPct = lpBurnedPct;
+    }
+    if (supply !== undefined && record.initialSupply === undefined) {
+      record.initialSupply = supply;
+    }
+
+    this.save();
+  }
+
+  /**
+   * Get what is known about a wallet
+   * @param {string} address - Wallet address
+   * @returns {Object} Mints it deployed and funded
+   */
+  getWallet(address) {
+    return this.store.wallets[address] || { deployed: [], funded: [] };
+  }
+
+  /**
+   * Find the creator of a mint, sharing the lookup with concurrent callers
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<Object|null>} deployer, funder, signature and createdAt
+   * @private
+   */
+  lookupCreator(tokenMint) {
+    const mint = tokenMint.toString();
+    if (!this.pendingLookups.has(mint)) {
+      const lookup = this.findCreator(tokenMint).finally(() => this.pendingLookups.delete(mint));
+      this.pendingLookups.set(mint, lookup);
+    }
+    return this.pendingLookups.get(mint);
+  }
+
+  /**
+   * Find the deployer and funder of a mint from its oldest transaction
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<Object|null>} deployer, funder, signature and createdAt
+   * @private
+   */
+  async findCreator(tokenMint) {
+    const oldest = await this.getOldestSignature(tokenMint);
+    if (!oldest) {
+      if (oldest === null) {
+        this.store.mints[tokenMint.toString()] = { ...this.store.mints[tokenMint.toString()], historyTooLong: true };
+      }
+      return null;
+    }
+
+    const transaction = await this.connection.getParsedTransaction(oldest.signature, {
+      maxSupportedTransactionVersion: 0
+    });
+    if (!transaction) return null;
+
+    const mint = tokenMint.toString();
+    if (!this.findInitializedMints(transaction).includes(mint)) {
+      logger.debug(`Oldest transaction of ${mint} does not initialize it`);
+      return null;
+    }
+
+    const deployer = transaction.transaction.message.accountKeys[0].pubkey.toString();
+    return {
+      deployer,
+      funder: await this.findFunder(new PublicKey(deployer)),
+      signature: oldest.signature,
+      createdAt: oldest.blockTime ? oldest.blockTime * 1000 : undefined
+    };
+  }
+
+  /**
+   * Find the wallet whose transfer first funded a deployer
+   * @param {PublicKey} deployer - Deployer wallet
+   * @returns {Promise<string|null>} Funder address, null if unknown
+   * @private
+   */
+  async findFunder(deployer) {
+    try {
+      const oldest = await this.getOldestSignature(deployer);
+      if (!oldest) return null;
+
+      const transaction = await this.connection.getParsedTransaction(oldest.signature, {
+        maxSupportedTransactionVersion: 0
+      });
+      if (!transaction) return null;
+
+      const address = deployer.toString();
+      const funding = this.getAllInstructions(transaction).find(instruction =>
+        instruction.program === 'system' &&
+        ['transfer', 'createAccount'].includes(instruction.parsed?.type) &&
+        (instruction.parsed.info.destination || instruction.parsed.info.newAccount) === address
+      );
+
+      return funding ? funding.parsed.info.source : null;
+    } catch (error) {
+      logger.debug(`Could not find funder of ${deployer.toString()}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Scan a deployer's recent transactions for other mints it initialized
+   * The first scan covers the newest maxHistoryScan transactions. Later scans
+   * page back from the newest transaction to the last scan, up to
+   * maxScanPages pages. A gap left by a busy deployer is kept as a cursor and
+   * scanned first next time, so no transaction between scans is skipped.
+   * @param {string} deployer - Deployer wallet address
+   * @private
+   */
+  async discoverMints(deployer) {
+    const wallet = this.store.wallets[deployer] || { deployed: [], funded: [] };
+    this.store.wallets[deployer] = wallet;
+
+    try {
+      if (!wallet.scannedUntil) {
+        const signatures = await this.connection.getSignaturesForAddress(new PublicKey(deployer), {
+          limit: this.maxHistoryScan
+        });
+        await this.scanTransactions(deployer, signatures);
+        if (signatures.length > 0) wallet.scannedUntil = signatures[0].signature;
+        return;
+      }
+
+      let pagesLeft = this.maxScanPages;
+
+      // Finish a gap left by an earlier scan before starting a new one
+      if (wallet.gap) {
+        const scan = await this.scanRange(deployer, wallet.gap, pagesLeft);
+        pagesLeft -= scan.pages;
+        wallet.gap = scan.complete ? undefined : { ...wallet.gap, before: scan.oldest };
+        if (!scan.complete || pagesLeft <= 0) return;
+      }
+
+      const scan = await this.scanRange(deployer, { until: wallet.scannedUntil }, pagesLeft);
+      if (!scan.complete) {
+        wallet.gap = { before: scan.oldest, until: wallet.scannedUntil };
+      }
+      if (scan.newest) wallet.scannedUntil = scan.newest;
+    } catch (error) {
+      logger.warn(`Could not scan history of deployer ${deployer}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scan a deployer's transactions between two signatures, newest first
+   * @param {string} deployer - Deployer wallet address
+   * @param {Object} range - until (oldest signature, exclusive) and before (newest, exclusive, omitted for the latest)
+   * @param {number} maxPages - Pages of maxHistoryScan transactions to fetch at most
+   * @returns {Promise<Object>} newest and oldest signature scanned, pages fetched, and whether the range was finished
+   * @private
+   */
+  async scanRange(deployer, { before, until }, maxPages) {
+    const scan = { newest: null, oldest: before, pages: 0, complete: false };
+
+    while (scan.pages < maxPages) {
+      const signatures = await this.connection.getSignaturesForAddress(new PublicKey(deployer), {
+        limit: this.maxHistoryScan,
+        before: scan.oldest,
+        until
+      });
+      scan.pages++;
+
+      await this.scanTransactions(deployer, signatures);
+      if (signatures.length > 0) {
+        scan.newest = scan.newest || signatures[0].signature;
+        scan.oldest = signatures[signatures.length - 1].signature;
+      }
+      if (signatures.length < this.maxHistoryScan) {
+        scan.complete = true;
+        break;
+      }
+    }
+
+    return scan;
+  }
+
+  /**
+   * Record the mints a deployer initialized in a page of its transactions
+   * @param {string} deployer - Deployer wallet address
+   * @param {Array<Object>} signatures - Signature infos from getSignaturesForAddress
+   * @private
+   */
+  async scanTransactions(deployer, signatures) {
+    const successful = signatures.filter(signature => !signature.err);
+    for (let i = 0; i < successful.length; i += TRANSACTION_BATCH_SIZE) {
+      const batch = successful.slice(i, i + TRANSACTION_BATCH_SIZE);
+      const transactions = await this.connection.getParsedTransactions(
+        batch.map(signature => signature.signature),
+        { maxSupportedTransactionVersion: 0 }
+      );
+
+      transactions.forEach((transaction, index) => {
+        if (!transaction) return;
+        // Only mints the deployer paid for are its own launches
+        if (transaction.transaction.message.accountKeys[0].pubkey.toString() !== deployer) return;
+
+        this.findInitializedMints(transaction).forEach(mint => {
+          if (this.store.mints[mint]?.deployer) return;
+          this.recordMint(mint, {
+            deployer,
+            funder: null,
+            signature: batch[index].signature,
+            createdAt: batch[index].blockTime ? batch[index].blockTime * 1000 : undefined
+          });
+        });
+      });
+    }
+  }
+
+  /**
+   * Check what happened to a previous launch
+   * @param {string} mint - Token mint address
+   * @param {Function} getLiquidity - async (PublicKey) => { liquiditySOL, lpBurnedPct }
+   * @returns {Promise<Object>} Updated record fields
+   * @private
+   */
+  async checkOutcome(mint, getLiquidity) {
+    const record = this.store.mints[mint];
+    const tokenMint = new PublicKey(mint);
+
+    // Launches first seen after a drain would otherwise have a drained peak
+    if (!record.launchChecked) {
+      const launch = await this.findLaunch(tokenMint);
+      if (launch.initialSupply !== undefined) record.initialSupply = launch.initialSupply;
+      if (launch.liquiditySOL !== undefined) {
+        record.launchLiquiditySOL = launch.liquiditySOL;
+        record.peakLiquiditySOL = Math.max(record.peakLiquiditySOL || 0, launch.liquiditySOL);
+      }
+      record.launchChecked = true;
+    }
+
+    const [liquidity, { value: supply }, [latest]] = await Promise.all([
+      getLiquidity(tokenMint),
+      this.connection.getTokenSupply(tokenMint),
+      this.connection.getSignaturesForAddress(tokenMint, { limit: 1 })
+    ]);
+
+    this.recordSnapshot(mint, { ...liquidity, supply: supply.amount });
+
+    const peak = record.peakLiquiditySOL || 0;
+    const drawdownPct = peak > 0 ? (1 - (liquidity.liquiditySOL || 0) / peak) * 100 : 0;
+    const lastActivityAt = latest?.blockTime ? latest.blockTime * 1000 : record.lastActivityAt;
+
+    let outcome = 'active';
+    let reason;
+    if (record.initialSupply !== undefined && BigInt(supply.amount) > BigInt(record.initialSupply)) {
+      outcome = 'rugged';
+      reason = 'Supply was inflated after launch';
+    } else if (peak >= this.minMeaningfulLiquiditySOL && drawdownPct >= this.rugDrawdownPct) {
+      const lpWasBurned = (record.lpBurnedAtPeakPct || 0) >= this.minLpBurnedPct;
+      outcome = lpWasBurned ? 'rugged' : 'lp_pulled';
+      reason = `Liquidity fell ${drawdownPct.toFixed(0)}% from a peak of ${peak.toFixed(2)} SOL`;
+    } else if (lastActivityAt && Date.now() - lastActivityAt > this.abandonedAfterMs) {
+      outcome = 'abandoned';
+      reason = 'No activity in the last 7 days';
+    }
+
+    return Object.assign(record, {
+      outcome,
+      outcomeReason: reason,
+      lastLiquiditySOL: liquidity.liquiditySOL,
+      lastActivityAt,
+      lastChecked: Date.now()
+    });
+  }
+
+  /**
+   * Find the supply minted and the SOL deposited in the pool at launch
+   * The supply is what the first mintTo transaction minted, the liquidity is
+   * the wrapped SOL deposited in the first transaction that funds a pool vault
+   * with both the token and SOL.
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<Object>} initialSupply (raw amount string) and liquiditySOL, each undefined if not found
+   * @private
+   */
+  async findLaunch(tokenMint) {
+    const mint = tokenMint.toString();
+    const launch = {};
+
+    const page = await this.getOldestSignatures(tokenMint);
+    if (!page) return launch;
+
+    const earliest = page.slice(-this.maxLaunchScan).reverse().filter(signature => !signature.err);
+    for (let i = 0; i < earliest.length; i += TRANSACTION_BATCH_SIZE) {
+      const transactions = await this.connection.getParsedTransactions(
+        earliest.slice(i, i + TRANSACTION_BATCH_SIZE).map(signature => signature.signature),
+        { maxSupportedTransactionVersion: 0 }
+      );
+
+      for (const transaction of transactions) {
+        if (!transaction) continue;
+
+        if (launch.initialSupply === undefined) {
+          const minted = this.getAllInstructions(transaction)
+            .filter(instruction =>
+              ['spl-token', 'spl-token-2022'].includes(instruction.program) &&
+              ['mintTo', 'mintToChecked'].includes(instruction.parsed?.type) &&
+              instruction.parsed.info.mint === mint
+            )
+            .reduce((sum, instruction) => {
+              const info = instruction.parsed.info;
+              return sum + BigInt(info.amount ?? info.tokenAmount.amount);
+            }, 0n);
+          if (minted > 0n) launch.initialSupply = minted.toString();
+        }
+
+        if (launch.liquiditySOL === undefined) {
+          const deposited = this.getPoolDeposit(transaction, mint);
+          if (deposited > 0) launch.liquiditySOL = deposited;
+        }
+
+        if (launch.initialSupply !== undefined && launch.liquiditySOL !== undefined) return launch;
+      }
+    }
+
+    return launch;
+  }
+
+  /**
+   * Get the SOL a transaction deposits into a pool holding the token
+   * A pool's vaults share an owner (the pool authority) that isn't the fee payer.
+   * @param {Object} transaction - Parsed transaction
+   * @param {string} mint - Token mint address
+   * @returns {number} SOL deposited, 0 if the transaction funds no pool
+   * @private
+   */
+  getPoolDeposit(transaction, mint) {
+    const payer = transaction.transaction.message.accountKeys[0].pubkey.toString();
+    const pre = transaction.meta?.preTokenBalances || [];
+    const increases = (transaction.meta?.postTokenBalances || [])
+      .filter(balance => balance.owner && balance.owner !== payer)
+      .map(balance => {
+        const before = pre.find(item => item.accountIndex === balance.accountIndex);
+        const amount = BigInt(balance.uiTokenAmount.amount) - BigInt(before ? before.uiTokenAmount.amount : 0);
+        return { mint: balance.mint, owner: balance.owner, amount, decimals: balance.uiTokenAmount.decimals };
+      })
+      .filter(item => item.amount > 0n);
+
+    const solVault = increases.find(item =>
+      item.mint === WSOL_MINT && increases.some(other => other.mint === mint && other.owner === item.owner)
+    );
+    return solVault ? Number(solVault.amount) / 10 ** solVault.decimals : 0;
+  }
+
+  /**
+   * Page back through an address's history to its oldest signature
+   * @param {PublicKey} address - Account address
+   * @returns {Promise<Object|null|undefined>} Oldest signature info, null if history is too long, undefined without history
+   * @private
+   */
+  async getOldestSignature(address) {
+    const page = await this.getOldestSignatures(address);
+    if (!page) return page;
+    return page[page.length - 1];
+  }
+
+  /**
+   * Page back through an address's history to its oldest page of signatures
+   * @param {PublicKey} address - Account address
+   * @returns {Promise<Array|null|undefined>} Oldest page, newest first, null if history is too long, undefined without history
+   * @private
+   */
+  async getOldestSignatures(address) {
+    let previous;
+
+    for (let page = 0; page < this.maxSignaturePages; page++) {
+      const signatures = await this.connection.getSignaturesForAddress(address, {
+        limit: SIGNATURE_PAGE_LIMIT,
+        before: previous && previous[previous.length - 1].signature
+      });
+      // A full page followed by an empty one was the oldest
+      if (signatures.length === 0) return previous;
+
+      if (signatures.length < SIGNATURE_PAGE_LIMIT) {
+        return signatures;
+      }
+      previous = signatures;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the mints a transaction initializes, including CPI from launchpads
+   * @param {Object} transaction - Parsed transaction
+   * @returns {Array<string>} Mint addresses
+   * @private
+   */
+  findInitializedMints(transaction) {
+    return this.getAllInstructions(transaction)
+      .filter(instruction =>
+        ['spl-token', 'spl-token-2022'].includes(instruction.program) &&
+        ['initializeMint', 'initializeMint2'].includes(instruction.parsed?.type)
+      )
+      .map(instruction => instruction.parsed.info.mint);
+  }
+
+  /**
+   * Get top-level and inner instructions of a parsed transaction
+   * @param {Object} transaction - Parsed transaction
+   * @returns {Array<Object>} Instructions
+   * @private
+   */
+  getAllInstructions(transaction) {
+    const inner = (transaction.meta?.innerInstructions || []).flatMap(group => group.instructions);
+    return [...transaction.transaction.message.instructions, ...inner];
+  }
+
+  /**
+   * Get every mint deployed by the deployer or by other wallets with the same funder
+   * @param {string} deployer - Deployer wallet address
+   * @param {string|null} funder - Funder wallet address
+   * @returns {Array<string>} Mint addresses
+   * @private
+   */
+  getLinkedMints(deployer, funder) {
+    const mints = new Set(this.getWallet(deployer).deployed);
+    if (funder) {
+      this.getWallet(funder).funded.forEach(mint => mints.add(mint));
+    }
+    return Array.from(mints);
+  }
+
+  /**
+   * Add a mint to the store and index it under its deployer and funder
+   * @param {string} mint - Token mint address
+   * @param {Object} launch - deployer, funder, signature, createdAt
+   * @private
+   */
+  recordMint(mint, launch) {
+    const record = this.store.mints[mint] || {};
+    this.store.mints[mint] = {
+      ...record,
+      deployer: launch.deployer,
+      funder: launch.funder || record.funder || null,
+      funderChecked: launch.funderChecked || record.funderChecked || launch.funder !== undefined,
+      signature: launch.signature,
+      createdAt: launch.createdAt
+    };
+
+    const index = (address, list) => {
+      if (!address) return;
+      const wallet = this.store.wallets[address] || { deployed: [], funded: [] };
+      if (!wallet[list].includes(mint)) wallet[list].push(mint);
+      this.store.wallets[address] = wallet;
+    };
+    index(launch.deployer, 'deployed');
+    index(this.store.mints[mint].funder, 'funded');
+  }
+
+  /**
+   * Persist the reputation store
+   * @private
+   */
+  save() {
+    database.saveData('creator-reputation', this.store);
+  }
+}
+
+module.exports = CreatorReputation;
@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const riskPolicy = require('./risk-policy');
+
+// What to do with buy slots missed while the bot was down
+const MISSED_SLOT_POLICIES = ['catch_up', 'skip'];
+
+/**
+ * DCAManager class to execute recurring dollar-cost averaging buys
+ * Orders are persisted and checked on a fixed tick. Each due slot buys through
+ * TokenSniper.buyToken until the order's budget is spent.
+ * Extends EventEmitter to provide events for buys, failures and completion
+ */
+class DCAManager extends EventEmitter {
+  constructor(tokenSniper) {
+    super();
+    this.tokenSniper = tokenSniper;
+    this.orders = new Map();
+    this.running = false;
+    this.schedulerInterval = null;
+    this.processing = false;
+
+    // Configuration
+    this.checkFrequencyMs = 60000;   // Check for due buys every minute
+    this.maxCatchUpBuys = 5;         // Most missed buys made up in one go
+    this.maxConsecutiveFailures = 3; // Pause an order after this many failed buys in a row
+    this.defaultSlippage = 2;
+
+    this.loadOrders();
+
+    logger.info('DCA manager initialized');
+  }
+
+  /**
+   * Load orders from the database and start the scheduler if any are active
+   */
+  loadOrders() {
+    const orders = database.loadData('dca-orders', []);
+    orders.forEach(order => {
+      // A buy may or may not have landed before the restart, so never repeat it
+      if (order.executingSince) {
+        delete order.executingSince;
+        if (order.status === 'active') {
+          order.status = 'paused';
+          order.pausedAt = Date.now();
+          order.pauseReason = 'Bot restarted during a buy - check your wallet before resuming';
+        }
+      }
+      this.orders.set(order.id, order);
+    });
+
+    logger.info(`Loaded ${this.orders.size} DCA orders from database`);
+
+    if (this.getActiveOrders().length > 0) {
+      this.start();
+    }
+  }
+
+  /**
+   * Save orders to the database
+   */
+  saveOrders() {
+    database.saveData('dca-orders', Array.from(this.orders.values()));
+  }
+
+  /**
+   * Create a DCA order
+   * @param {Object} params - Order parameters
+   * @param {number} params.ownerId - Telegram user ID that owns the order
+   * @param {number} params.chatId - Chat to notify about buys
+   * @param {string} params.tokenAddress - Token mint address
+   * @param {number} params.amountPerBuy - SOL spent on each buy
+   * @param {number} params.intervalHours - Hours between buys
+   * @param {number} params.totalBudget - Total SOL to spend across all buys
+   * @param {string} params.missedSlotPolicy - 'catch_up' or 'skip'
+   * @returns {Object} The created order
+   */
+  createOrder({ ownerId, chatId, tokenAddress, amountPerBuy, intervalHours, totalBudget, missedSlotPolicy = 'skip', slippage }) {
+    const order = {
+      id: `dca_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      ownerId,
+      chatId,
+      tokenAddress,
+      amountPerBuy,
+      intervalHours,
+      totalBudget,
+      missedSlotPolicy,
+      slippage: slippage || this.defaultSlippage,
+      nextExecution: Date.now() + intervalHours * 3600000,
+      createdAt: Date.now(),
+      status: 'active',
+      fills: [],
+      failures: [],
+      consecutiveFailures: 0,
+      skippedSlots: 0,
+      spentSol: 0,
+      tokensAcquired: 0
+    };
+
+    this.validateOrder(order);
+
+    this.orders.set(order.id, order);
+    this.saveOrders();
+    this.start();
+
+    logger.info(`DCA order ${order.id} created: ${amountPerBuy} SOL of ${tokenAddress} every ${intervalHours} hours`);
+    return order;
+  }
+
+  /**
+   * Pause an active order
+   * @param {string} orderId - Order ID
+   * @returns {Object} The paused order
+   */
+  pauseOrder(orderId) {
+    const order = this.getExistingOrder(orderId);
+    if (order.status !== 'active') {
+      throw new Error(`Order is ${order.status} and can't be paused`);
+    }
+
+    order.status = 'paused';
+    order.pausedAt = Date.now();
+    this.saveOrders();
+
+    logger.info(`DCA order ${orderId} paused`);
+    return order;
+  }
+
+  /**
+   * Resume a paused order
+   * The next buy is scheduled one interval from now, slots while paused are not made up.
+   * @param {string} orderId - Order ID
+   * @returns {Object} The resumed order
+   */
+  resumeOrder(orderId) {
+    const order = this.getExistingOrder(orderId);
+    if (order.status !== 'paused') {
+      throw new Error(`Order is ${order.status} and can't be resumed`);
+    }
+
+    order.status = 'active';
+    order.consecutiveFailures = 0;
+    order.nextExecution = Date.now() + order.intervalHours * 3600000;
+    delete order.pausedAt;
+    delete order.pauseReason;
+    this.saveOrders();
+    this.start();
+
+    logger.info(`DCA order ${orderId} resumed`);
+    return order;
+  }
+
+  /**
+   * Cancel an order
+   * @param {string} orderId - Order ID
+   * @returns {Object} The cancelled order
+   */
+  cancelOrder(orderId) {
+    const order = this.getExistingOrder(orderId);
+    if (!['active', 'paused'].includes(order.status)) {
+      throw new Error(`Order is ${order.status} and can't be cancelled`);
+    }
+
+    order.status = 'cancelled';
+    order.closedAt = Date.now();
+    this.saveOrders();
+
+    logger.info(`DCA order ${orderId} cancelled`);
+    return order;
+  }
+
+  /**
+   * Get an order by ID
+   * @param {string} orderId - Order ID
+   * @returns {Object|null} The order or null if not found
+   */
+  getOrder(orderId) {
+    return this.orders.get(orderId) || null;
+  }
+
+  /**
+   * Get a user's orders, newest first
+   * @param {number} ownerId - Telegram user ID
+   * @param {Object} filters - Filters to apply (statuses)
+   * @returns {Array} Orders
+   */
+  getOrders(ownerId, filters = {}) {
+    return Array.from(this.orders.values())
+      .filter(order => order.ownerId === ownerId)
+      .filter(order => !filters.statuses || filters.statuses.includes(order.status))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Get all active orders
+   * @returns {Array} Active orders
+   */
+  getActiveOrders() {
+    return Array.from(this.orders.values()).filter(order => order.status === 'active');
+  }
+
+  /**
+   * Get an order's SOL budget left to spend
+   * @param {Object} order - DCA order
+   * @returns {number} Remaining budget in SOL
+   */
+  getRemainingBudget(order) {
+    return Math.max(0, Math.round((order.totalBudget - order.spentSol) * 1e9) / 1e9);
+  }
+
+  /**
+   * Get an order's average cost per token
+   * @param {Object} order - DCA order
+   * @returns {number|null} SOL per token, null before the first fill
+   */
+  getAverageCost(order) {
+    return order.tokensAcquired > 0 ? order.spentSol / order.tokensAcquired : null;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    logger.info('DCA scheduler started');
+
+    this.schedulerInterval = setInterval(() => {
+      this.processDueOrders().catch(error => {
+        logger.error(`Error processing DCA orders: ${error.message}`);
+      });
+    }, this.checkFrequencyMs);
+
+    // Pick up slots missed while the bot was down without waiting a full tick
+    this.processDueOrders().catch(error => {
+      logger.error(`Error processing DCA orders: ${error.message}`);
+    });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.schedulerInterval) {
+      clearInterval(this.schedulerInterval);
+      this.schedulerInterval = null;
+    }
+    this.running = false;
+    logger.info('DCA scheduler stopped');
+  }
+
+  /**
+   * Execute every order whose next buy is due
+   */
+  async processDueOrders() {
+    // A slow swap must not let the next tick buy the same slot again
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const activeOrders = this.getActiveOrders();
+      if (activeOrders.length === 0) {
+        this.stop();
+        return;
+      }
+
+      for (const order of activeOrders) {
+        if (Date.now() >= order.nextExecution) {
+          await this.processOrder(order);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Execute the due buys of an order and schedule the next one
+   * @param {Object} order - DCA order
+   * @private
+   */
+  async processOrder(order) {
+    const intervalMs = order.intervalHours * 3600000;
+    const dueSlots = Math.floor((Date.now() - order.nextExecution) / intervalMs) + 1;
+
+    let buys = 1;
+    if (dueSlots > 1) {
+      if (order.missedSlotPolicy === 'catch_up') {
+        buys = Math.min(dueSlots, this.maxCatchUpBuys);
+        order.skippedSlots += dueSlots - buys;
+      } else {
+        order.skippedSlots += dueSlots - 1;
+      }
+      logger.info(`DCA order ${order.id} missed ${dueSlots - 1} slots, making ${buys} buys (${order.missedSlotPolicy})`);
+    }
+
+    // Next slot stays on the original schedule, saved before buying so a crash can't repeat the slot
+    order.nextExecution += dueSlots * intervalMs;
+
+    for (let i = 0; i < buys && order.status === 'active'; i++) {
+      order.executingSince = Date.now();
+      this.saveOrders();
+
+      await this.executeBuy(order);
+
+      delete order.executingSince;
+      this.saveOrders();
+    }
+
+    this.saveOrders();
+  }
+
+  /**
+   * Execute one DCA buy through TokenSniper
+   * @param {Object} order - DCA order
+   * @returns {Promise<boolean>} Success status
+   * @private
+   */
+  async executeBuy(order) {
+    const amountInSol = Math.min(order.amountPerBuy, this.getRemainingBudget(order));
+
+    let result;
+    try {
+      if (order.decimals === undefined) {
+        const { value } = await this.tokenSniper.connection.getTokenSupply(new PublicKey(order.tokenAddress));
+        order.decimals = value.decimals;
+      }
+
+      // DCA holdings are accumulated, not managed by stop-loss/take-profit
+      result = await this.tokenSniper.buyToken(order.tokenAddress, amountInSol, {
+        slippage: order.slippage,
+        riskSettings: riskPolicy.getSettings(order.ownerId),
+        trackPosition: false,
+        feeProfile: 'dca', // Nothing is lost by landing a DCA buy a few slots later
+        userId: order.ownerId
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    database.recordTrade({
+      id: `trade_${Date.now()}`,
+      type: 'DCA_BUY',
+      userId: order.ownerId,
+      orderId: order.id,
+      tokenAddress: order.tokenAddress,
+      amountInSol,
+      success: result.success,
+      signature: result.signature || null,
+      feeSol: result.feeSol ?? null,
+      priorityFee: result.priorityFee || null,
+      error: result.error || null,
+      timestamp: new Date()
+    });
+
+    if (!result.success) {
+      order.failures.push({ timestamp: Date.now(), error: result.error });
+      order.consecutiveFailures += 1;
+      logger.error(`DCA buy for order ${order.id} failed: ${result.error}`);
+      this.emit('buyFailed', { order, error: result.error });
+
+      if (order.consecutiveFailures >= this.maxConsecutiveFailures) {
+        order.status = 'paused';
+        order.pausedAt = Date.now();
+        order.pauseReason = `${order.consecutiveFailures} buys failed in a row`;
+        logger.warn(`DCA order ${order.id} paused after ${order.consecutiveFailures} failed buys`);
+        this.emit('orderPaused', order);
+      }
+      return false;
+    }
+
+    // Prefer the fill read from the confirmed transaction over the quote
+    const tokenAmount = result.tokenAmount ?? Number(result.outAmount || 0) / (10 ** order.decimals);
+    const fill = {
+      timestamp: Date.now(),
+      amountInSol,
+      tokenAmount,
+      price: result.price ?? (tokenAmount > 0 ? amountInSol / tokenAmount : null),
+      signature: result.signature
+    };
+
+    order.fills.push(fill);
+    order.spentSol = Math.round((order.spentSol + amountInSol) * 1e9) / 1e9;
+    order.tokensAcquired += tokenAmount;
+    order.consecutiveFailures = 0;
+
+    logger.info(`DCA buy for order ${order.id} filled: ${amountInSol} SOL. Transaction: ${result.signature}`);
+    this.emit('buyExecuted', { order, fill });
+
+    if (this.getRemainingBudget(order) <= 0) {
+      order.status = 'completed';
+      order.closedAt = Date.now();
+      logger.info(`DCA order ${order.id} completed, budget spent`);
+      this.emit('orderCompleted', order);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get an order or throw if it doesn't exist
+   * @param {string} orderId - Order ID
+   * @returns {Object} The order
+   * @private
+   */
+  getExistingOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    return order;
+  }
+
+  /**
+   * Validate an order's parameters
+   * @param {Object} order - DCA order
+   * @private
+   */
+  validateOrder(order) {
+    if (!(order.amountPerBuy > 0)) {
+      throw new Error('Amount per buy must be a positive number');
+    }
+    if (!(order.intervalHours > 0)) {
+      throw new Error('Interval must be a positive number of hours');
+    }
+    if (!(order.totalBudget >= order.amountPerBuy)) {
+      throw new Error('Total budget must cover at least one buy');
+    }
+    if (!MISSED_SLOT_POLICIES.includes(order.missedSlotPolicy)) {
+      throw new Error(`Missed slot policy must be one of: ${MISSED_SLOT_POLICIES.join(', ')}`);
+    }
+  }
+}
+
+module.exports = DCAManager;
@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const riskPolicy = require('./risk-policy');
+
+/**
+ * LimitOrderManager class to execute limit buy and sell orders
+ * Orders are persisted and watched through PositionManager's price polling.
+ * A buy fills when the price drops to or below the limit price, a sell when it
+ * rises to or above it. Swaps go through TokenSniper.
+ * Extends EventEmitter to provide events for order fills, failures and expiry
+ */
+class LimitOrderManager extends EventEmitter {
+  constructor(tokenSniper, positionManager) {
+    super();
+    this.tokenSniper = tokenSniper;
+    this.positionManager = positionManager;
+    this.orders = new Map();
+
+    // Configuration
+    this.defaultBuySlippage = 2;
+    this.defaultSellSlippage = 2;
+    this.expiryCheckMs = 60000; // Orders on tokens without price updates still expire
+    this.expiryInterval = null;
+
+    this.loadOrders();
+
+    this.positionManager.on('priceUpdate', ({ tokenAddress, price }) => {
+      this.handlePriceUpdate(tokenAddress, price).catch(error => {
+        logger.error(`Error handling limit orders for ${tokenAddress}: ${error.message}`);
+      });
+    });
+
+    logger.info('Limit order manager initialized');
+  }
+
+  /**
+   * Load orders from the database and resume watching active ones
+   */
+  loadOrders() {
+    const orders = database.loadData('limit-orders', []);
+
+    orders.forEach(order => {
+      // A swap may or may not have landed before the restart, so never resubmit it
+      if (order.status === 'executing') {
+        order.status = 'failed';
+        order.error = 'Bot restarted while the order was executing - check your wallet before re-creating it';
+      }
+
+      this.orders.set(order.id, order);
+      if (order.status === 'active') {
+        this.positionManager.watchToken(order.tokenAddress);
+      }
+    });
+
+    logger.info(`Loaded ${this.orders.size} limit orders from database`);
+    this.startExpiryChecks();
+  }
+
+  /**
+   * Save orders to the database
+   */
+  saveOrders() {
+    database.saveData('limit-orders', Array.from(this.orders.values()));
+  }
+
+  /**
+   * Create a limit order
+   * @param {Object} params - Order parameters
+   * @param {number} params.ownerId - Telegram user ID that owns the order
+   * @param {number} params.chatId - Chat to notify on fill or failure
+   * @param {string} params.type - 'buy' or 'sell'
+   * @param {string} params.tokenAddress - Token mint address
+   * @param {number} params.price - Limit price in SOL per token
+   * @param {number} params.amount - SOL to spend (buy) or tokens to sell (sell)
+   * @param {number} params.sellPercentage - Sell this % of the wallet balance instead of a fixed amount
+   * @param {number|null} params.expiresAt - Expiry timestamp in ms, null for good-til-cancelled
+   * @returns {Object} The created order
+   */
+  createOrder({ ownerId, chatId, type, tokenAddress, price, amount, sellPercentage, expiresAt = null, slippage }) {
+    const order = {
+      id: `limit_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      ownerId,
+      chatId,
+      type,
+      tokenAddress,
+      price,
+      amount: amount || null,
+      sellPercentage: sellPercentage || null,
+      slippage: slippage || (type === 'buy' ? this.defaultBuySlippage : this.defaultSellSlippage),
+      expiresAt,
+      createdAt: Date.now(),
+      status: 'active'
+    };
+
+    this.validateOrder(order);
+
+    this.orders.set(order.id, order);
+    this.saveOrders();
+    this.positionManager.watchToken(tokenAddress);
+    this.startExpiryChecks();
+
+    logger.info(`Limit ${type} order ${order.id} created for ${tokenAddress} at ${price} SOL`);
+    return order;
+  }
+
+  /**
+   * Edit an active order's price, amount or expiry
+   * @param {string} orderId - Order ID
+   * @param {Object} updates - price, amount, sellPercentage, expiresAt
+   * @returns {Object} The updated order
+   */
+  updateOrder(orderId, updates) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (order.status !== 'active') {
+      throw new Error(`Order is ${order.status} and can no longer be edited`);
+    }
+
+    const allowed = ['price', 'amount', 'sellPercentage', 'expiresAt'];
+    const changes = Object.fromEntries(Object.entries(updates).filter(([key]) => allowed.includes(key)));
+    const updated = { ...order, ...changes };
+    this.validateOrder(updated);
+
+    Object.assign(order, changes, { updatedAt: Date.now() });
+    this.saveOrders();
+    this.startExpiryChecks();
+
+    logger.info(`Limit order ${orderId} updated`);
+    return order;
+  }
+
+  /**
+   * Cancel an active order
+   * @param {string} orderId - Order ID
+   * @returns {Object} The cancelled order
+   */
+  cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (order.status !== 'active') {
+      throw new Error(`Order is ${order.status} and can no longer be cancelled`);
+    }
+
+    this.finishOrder(order, 'cancelled');
+    logger.info(`Limit order ${orderId} cancelled`);
+    return order;
+  }
+
+  /**
+   * Get an order by ID
+   * @param {string} orderId - Order ID
+   * @returns {Object|null} The order or null if not found
+   */
+  getOrder(orderId) {
+    return this.orders.get(orderId) || null;
+  }
+
+  /**
+   * Get a user's orders, newest first
+   * @param {number} ownerId - Telegram user ID
+   * @param {Object} filters - Filters to apply (status)
+   * @returns {Array} Orders
+   */
+  getOrders(ownerId, filters = {}) {
+    return Array.from(this.orders.values())
+      .filter(order => String(order.ownerId) === String(ownerId))
+      .filter(order => !filters.status || order.status === filters.status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Check a token's active orders against a new price
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} price - Current price in SOL
+   */
+  async handlePriceUpdate(tokenAddress, price) {
+    const orders = Array.from(this.orders.values())
+      .filter(order => order.tokenAddress === tokenAddress && order.status === 'active');
+
+    for (const order of orders) {
+      if (this.isExpired(order)) {
+        this.expireOrder(order);
+        continue;
+      }
+
+      const triggered = order.type === 'buy' ? price <= order.price : price >= order.price;
+      if (triggered) {
+        logger.info(`Limit ${order.type} order ${order.id} triggered at ${price} SOL (limit ${order.price} SOL)`);
+        await this.executeOrder(order, price);
+      }
+    }
+  }
+
+  /**
+   * Check expiries on a timer while any active order has one
+   * Price updates only arrive for tokens with a quote, so they can't be relied on.
+   */
+  startExpiryChecks() {
+    if (this.expiryInterval || !this.hasExpiringOrders()) return;
+
+    this.expiryInterval = setInterval(() => {
+      Array.from(this.orders.values())
+        .filter(order => order.status === 'active' && this.isExpired(order))
+        .forEach(order => this.expireOrder(order));
+
+      if (!this.hasExpiringOrders()) {
+        this.stopExpiryChecks();
+      }
+    }, this.expiryCheckMs);
+  }
+
+  /**
+   * Stop the expiry timer
+   */
+  stopExpiryChecks() {
+    if (this.expiryInterval) {
+      clearInterval(this.expiryInterval);
+      this.expiryInterval = null;
+    }
+  }
+
+  /**
+   * Whether any active order has an expiry
+   * @returns {boolean} True if the expiry timer is needed
+   * @private
+   */
+  hasExpiringOrders() {
+    return Array.from(this.orders.values()).some(order => order.status === 'active' && order.expiresAt);
+  }
+
+  /**
+   * Whether an order is past its expiry
+   * @param {Object} order - Order
+   * @returns {boolean} True if expired
+   * @private
+   */
+  isExpired(order) {
+    return Boolean(order.expiresAt) && Date.now() >= order.expiresAt;
+  }
+
+  /**
+   * Expire an active order
+   * @param {Object} order - Order
+   * @private
+   */
+  expireOrder(order) {
+    this.finishOrder(order, 'expired');
+    logger.info(`Limit order ${order.id} expired`);
+    this.emit('orderExpired', order);
+  }
+
+  /**
+   * Execute a triggered order through TokenSniper
+   * @param {Object} order - Order to execute
+   * @param {number} triggerPrice - Price that triggered the order
+   * @returns {Promise<boolean>} Success status
+   */
+  async executeOrder(order, triggerPrice) {
+    order.status = 'executing';
+    order.triggeredAt = Date.now();
+    order.triggerPrice = triggerPrice;
+    this.saveOrders();
+
+    let result;
+    try {
+      if (order.type === 'buy') {
+        result = await this.tokenSniper.buyToken(order.tokenAddress, order.amount, {
+          slippage: order.slippage,
+          riskSettings: riskPolicy.getSettings(order.ownerId),
+          userId: order.ownerId
+        });
+      } else {
+        const tokenAmount = await this.getSellAmount(order);
+        result = await this.tokenSniper.sellToken(order.tokenAddress, tokenAmount, {
+          slippage: order.slippage,
+          userId: order.ownerId
+        });
+      }
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    database.recordTrade({
+      id: `trade_${Date.now()}`,
+      type: order.type === 'buy' ? 'LIMIT_BUY' : 'LIMIT_SELL',
+      userId: order.ownerId,
+      orderId: order.id,
+      tokenAddress: order.tokenAddress,
+      amountInSol: order.type === 'buy' ? order.amount : result.amountSol || null,
+      tokenAmount: order.type === 'sell' ? result.tokenAmount || null : null,
+      price: triggerPrice,
+      success: result.success,
+      signature: result.signature || null,
+      positionId: result.positionId || null,
+      feeSol: result.feeSol ?? null,
+      priorityFee: result.priorityFee || null,
+      error: result.error || null,
+      timestamp: new Date()
+    });
+
+    if (!result.success) {
+      order.error = result.error;
+      this.finishOrder(order, 'failed');
+      logger.error(`Limit order ${order.id} failed: ${result.error}`);
+      this.emit('orderFailed', order);
+      return false;
+    }
+
+    Object.assign(order, {
+      filledAt: Date.now(),
+      signature: result.signature,
+      positionId: result.positionId || null,
+      amountSol: result.amountSol || null,
+      tokenAmount: result.tokenAmount || null
+    });
+    this.finishOrder(order, 'filled');
+
+    if (order.type === 'sell' && order.tokenAmount) {
+      this.positionManager.reducePositions(order.tokenAddress, order.ownerId, order.tokenAmount, {
+        price: order.amountSol ? order.amountSol / order.tokenAmount : triggerPrice,
+        soldForSol: order.amountSol,
+        txid: order.signature,
+        reason: 'LIMIT_SELL'
+      });
+    }
+
+    logger.info(`Limit order ${order.id} filled. Transaction: ${result.signature}`);
+    this.emit('orderFilled', order);
+    return true;
+  }
+
+  /**
+   * Get the token amount a sell order should sell
+   * @param {Object} order - Sell order
+   * @returns {Promise<number>} Token amount
+   * @private
+   */
+  async getSellAmount(order) {
+    if (!order.sellPercentage) {
+      return order.amount;
+    }
+
+    const balances = await this.tokenSniper.getWallet(order.ownerId, { allowShared: true }).getTokenBalances();
+    const holding = balances.find(balance => balance.mint === order.tokenAddress);
+    if (!holding || !(holding.balance > 0)) {
+      throw new Error('No balance of this token left to sell');
+    }
+
+    return holding.balance * (order.sellPercentage / 100);
+  }
+
+  /**
+   * Move an order to a final status and stop watching its token
+   * @param {Object} order - Order
+   * @param {string} status - Final status
+   * @private
+   */
+  finishOrder(order, status) {
+    order.status = status;
+    order.closedAt = Date.now();
+    this.saveOrders();
+    this.positionManager.unwatchToken(order.tokenAddress);
+  }
+
+  /**
+   * Validate an order's parameters
+   * @param {Object} order - Order
+   * @private
+   */
+  validateOrder(order) {
+    if (!['buy', 'sell'].includes(order.type)) {
+      throw new Error('Order type must be buy or sell');
+    }
+    if (!(order.price > 0)) {
+      throw new Error('Limit price must be a positive number');
+    }
+    if (order.type === 'sell' && order.sellPercentage) {
+      if (!(order.sellPercentage > 0 && order.sellPercentage <= 100)) {
+        throw new Error('Sell percentage must be between 0 and 100');
+      }
+    } else if (!(order.amount > 0)) {
+      throw new Error('Order amount must be a positive number');
+    }
+    if (order.expiresAt !== null && !(order.expiresAt > Date.now())) {
+      throw new Error('Expiry must be in the future');
+    }
+  }
+}
+
+module.exports = LimitOrderManager;
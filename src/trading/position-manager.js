@@ -2,6 +2,8 @@ const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const database = require('../utils/database');
+const ledger = require('../utils/ledger');
+const { ERROR_TYPES } = require('../utils/transaction-sender');
 const axios = require('axios');
 
 /**
@@ -13,6 +15,7 @@ class PositionManager extends EventEmitter {
     super();
     this.connection = connection;
     this.wallet = wallet;
+    this.userWallets = null;
     this.positions = new Map();
     this.monitoring = false;
     this.monitorInterval = null;
@@ -38,6 +41,9 @@ class PositionManager extends EventEmitter {
     this.positionSellAttempts = new Map(); // Track retry counts for sell attempts
     this.partialSellsExecuted = new Map(); // Track which partial take-profits have been executed
     
+    // Tokens other components want prices for (token address -> watcher count)
+    this.watchedTokens = new Map();
+    
     // Load positions from database
     this.loadPositions();
     
@@ -53,6 +59,24 @@ class PositionManager extends EventEmitter {
     logger.info('Jupiter client connected to position manager');
   }
 
+  /**
+   * Set the per-user wallet manager, positions then sell from their owner's wallet
+   * @param {UserWalletManager} userWallets - Per-user wallet manager
+   */
+  setUserWallets(userWallets) {
+    this.userWallets = userWallets;
+  }
+
+  /**
+   * Get the wallet holding a position's tokens
+   * A position opened from the shared wallet is closed from it, whoever owns it.
+   * @param {Object} position - Position
+   * @returns {WalletManager} The owner's wallet, or the shared wallet
+   */
+  getPositionWallet(position) {
+    return this.userWallets ? this.userWallets.getWalletFor(position.ownerId, { allowShared: true }) : this.wallet;
+  }
+
   /**
    * Load positions from the database
    */
@@ -88,12 +112,25 @@ class PositionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Save a single position to the database
+   * Cheaper than savePositions on hot paths such as price ticks.
+   * @param {Object} position - Position to save
+   */
+  savePosition(position) {
+    try {
+      database.savePosition(position);
+    } catch (error) {
+      logger.error(`Failed to save position ${position.id} to database: ${error.message}`);
+    }
+  }
+
   /**
    * Add a new trading position
    * @param {string} tokenAddress - Token mint address
-   * @param {number} entryPrice - Entry price in SOL
+   * @param {number} entryPrice - Entry price in SOL per token
    * @param {number} amount - Amount of tokens purchased
-   * @param {Object} options - Additional options (stopLoss, takeProfit, trailingStop)
+   * @param {Object} options - Additional options (stopLoss, takeProfit, trailingStop, amountInSol, entryFeeSol, entryPriorityFee, entryTxid, fillEstimated, strategyId, ownerId)
    * @returns {Object} The created position
    */
   addPosition(tokenAddress, entryPrice, amount, options = {}) {
@@ -109,6 +146,13 @@ class PositionManager extends EventEmitter {
       trailingStop: options.trailingStop || null,
       partialTakeProfitLevels: options.partialTakeProfitLevels || [...this.defaultPartialTakeProfitLevels],
       maxHoldTime: options.maxHoldTime || null, // Max hold time in minutes
+      amountInSol: options.amountInSol || null, // SOL spent opening the position
+      entryFeeSol: options.entryFeeSol ?? null, // Network fee paid by the buy
+      entryPriorityFee: options.entryPriorityFee || null, // Priority fee the buy bid, from the fee oracle
+      entryTxid: options.entryTxid || null, // Transaction that filled the buy
+      fillEstimated: options.fillEstimated || false, // Fill taken from the quote, not the confirmed transaction
+      strategyId: options.strategyId || null, // AutoTrader strategy that opened the position
+      ownerId: options.ownerId ?? null, // Telegram user whose wallet holds the tokens, null for the bot wallet
       status: 'OPEN',
       createdAt: new Date(),
       highestPrice: entryPrice,
@@ -148,18 +192,21 @@ class PositionManager extends EventEmitter {
 
   /**
    * Get all positions
+   * @param {number} ownerId - Only positions of this Telegram user
    * @returns {Array} Array of all positions
    */
-  getAllPositions() {
-    return Array.from(this.positions.values());
+  getAllPositions(ownerId) {
+    return Array.from(this.positions.values())
+      .filter(position => ownerId === undefined || position.ownerId === ownerId);
   }
 
   /**
    * Get all open positions
+   * @param {number} ownerId - Only positions of this Telegram user
    * @returns {Array} Array of open positions
    */
-  getOpenPositions() {
-    return Array.from(this.positions.values())
+  getOpenPositions(ownerId) {
+    return this.getAllPositions(ownerId)
       .filter(position => position.status === 'OPEN');
   }
 
@@ -225,6 +272,33 @@ class PositionManager extends EventEmitter {
     return position;
   }
 
+  /**
+   * Include a token in price polling even without an open position
+   * Each poll emits 'priceUpdate' for watched tokens. Calls are counted, so
+   * every watchToken needs a matching unwatchToken.
+   * @param {string} tokenAddress - Token mint address
+   */
+  watchToken(tokenAddress) {
+    this.watchedTokens.set(tokenAddress, (this.watchedTokens.get(tokenAddress) || 0) + 1);
+    
+    if (!this.monitoring) {
+      this.startMonitoring();
+    }
+  }
+
+  /**
+   * Stop polling a token watched with watchToken
+   * @param {string} tokenAddress - Token mint address
+   */
+  unwatchToken(tokenAddress) {
+    const count = this.watchedTokens.get(tokenAddress) || 0;
+    if (count <= 1) {
+      this.watchedTokens.delete(tokenAddress);
+    } else {
+      this.watchedTokens.set(tokenAddress, count - 1);
+    }
+  }
+
   /**
    * Start monitoring positions
    */
@@ -262,8 +336,8 @@ class PositionManager extends EventEmitter {
   async checkPositions() {
     const openPositions = this.getOpenPositions();
     
-    if (openPositions.length === 0) {
-      // No open positions, stop monitoring
+    if (openPositions.length === 0 && this.watchedTokens.size === 0) {
+      // No open positions or watched tokens, stop monitoring
       logger.debug('No open positions to monitor, stopping position monitor');
       this.stopMonitoring();
       return;
@@ -272,6 +346,10 @@ class PositionManager extends EventEmitter {
     // Group positions by token to minimize API calls
     const tokenGroups = new Map();
     
+    for (const tokenAddress of this.watchedTokens.keys()) {
+      tokenGroups.set(tokenAddress, []);
+    }
+    
     openPositions.forEach(position => {
       if (!tokenGroups.has(position.tokenAddress)) {
         tokenGroups.set(position.tokenAddress, []);
@@ -296,6 +374,11 @@ class PositionManager extends EventEmitter {
             return;
           }
           
+          // Only real quotes land in the price cache - fallback and simulated prices must not trigger orders
+          if (this.watchedTokens.has(tokenAddress) && this.priceCache.get(tokenAddress)?.price === currentPrice) {
+            this.emit('priceUpdate', { tokenAddress, price: currentPrice });
+          }
+          
           const positions = tokenGroups.get(tokenAddress);
           logger.debug(`Checking ${positions.length} positions for token ${tokenAddress}, current price: ${currentPrice}`);
           
@@ -319,7 +402,7 @@ class PositionManager extends EventEmitter {
               position.highestPrice = currentPrice;
               logger.debug(`New highest price for position ${position.id}: ${currentPrice} (was: ${previousHigh})`);
               this.positions.set(position.id, position);
-              this.savePositions();
+              this.savePosition(position);
             }
             
             // Check partial take profits
@@ -489,6 +572,52 @@ class PositionManager extends EventEmitter {
       .filter(position => position.tokenAddress === tokenAddress);
   }
 
+  /**
+   * Take tokens sold outside the position manager off a user's open positions
+   * The oldest positions are reduced first, and a position with nothing left is closed.
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} ownerId - Telegram user whose wallet sold the tokens
+   * @param {number} tokenAmount - Tokens sold
+   * @param {Object} sale - price (SOL per token), soldForSol, txid and reason (e.g. LIMIT_SELL)
+   * @returns {Array<Object>} Positions reduced or closed
+   */
+  reducePositions(tokenAddress, ownerId, tokenAmount, { price, soldForSol = null, txid = null, reason }) {
+    const reduced = [];
+    let unassigned = tokenAmount;
+    
+    for (const position of this.getOpenPositions(ownerId)) {
+      if (!(unassigned > 0)) break;
+      if (position.tokenAddress !== tokenAddress || !(position.amountRemaining > 0)) continue;
+      
+      const amount = Math.min(unassigned, position.amountRemaining);
+      unassigned -= amount;
+      
+      position.partialSells = position.partialSells || [];
+      position.partialSells.push({
+        timestamp: new Date(),
+        amount,
+        price,
+        reason,
+        soldForSol: soldForSol !== null ? soldForSol * (amount / tokenAmount) : null,
+        txid
+      });
+      position.amountRemaining -= amount;
+      
+      // Float remainders of a full sell count as nothing left
+      if (position.amountRemaining <= position.amount * 1e-9) {
+        position.amountRemaining = 0;
+        this.closePosition(position.id, price, reason);
+      } else {
+        this.updatePosition(position.id, { amountRemaining: position.amountRemaining });
+      }
+      
+      logger.info(`Position ${position.id} reduced by ${amount} tokens sold by ${reason}, ${position.amountRemaining} left`);
+      reduced.push(position);
+    }
+    
+    return reduced;
+  }
+
   /**
    * Execute a partial sell transaction
    * @param {Object} position - Position to partially sell
@@ -513,19 +642,27 @@ class PositionManager extends EventEmitter {
       let sellResult = null;
       
       // Use Jupiter client for real sells if available
-      if (this.jupiterClient && !this.wallet.demoMode) {
+      const wallet = this.getPositionWallet(position);
+      if (this.jupiterClient && !wallet.demoMode) {
         try {
           // Execute sell transaction
           sellResult = await this.jupiterClient.executeSwap(
             position.tokenAddress,
             'SOL',
             amountToSell,
-            this.wallet,
-            { slippage: 2.5 } // Higher slippage for sells to ensure they go through
+            wallet,
+            {
+              slippage: 2.5, // Higher slippage for sells to ensure they go through
+              feeProfile: 'sell',
+              userId: position.ownerId
+            }
           );
           
           if (!sellResult.success) {
-            throw new Error(`Swap failed: ${sellResult.error}`);
+            throw Object.assign(new Error(`Swap failed: ${sellResult.error}`), {
+              errorType: sellResult.errorType,
+              maybeSucceeded: sellResult.maybeSucceeded
+            });
           }
           
           logger.info(`Partial sell successful, txid: ${sellResult.signature}, received ${sellResult.outAmount} SOL`);
@@ -543,6 +680,8 @@ class PositionManager extends EventEmitter {
         };
       }
       
+      const entry = await this.recordSell(position, 'PARTIAL_SELL', sellResult, amountToSell);
+      
       // Update position
       const amountRemaining = position.amountRemaining - amountToSell;
       
@@ -553,7 +692,9 @@ class PositionManager extends EventEmitter {
         amount: amountToSell,
         price: currentPrice,
         reason,
-        soldForSol: sellResult.outAmount / LAMPORTS_PER_SOL,
+        soldForSol: entry.solDelta,
+        feeSol: entry.feeSol,
+        priorityFee: entry.priorityFee,
         txid: sellResult.signature
       });
       
@@ -575,6 +716,11 @@ class PositionManager extends EventEmitter {
       return true;
     } catch (error) {
       logger.error(`Error executing partial sell for position ${position.id}: ${error.message}`);
+      this.updatePosition(position.id, {
+        sellError: error.message,
+        sellErrorType: error.errorType || null,
+        lastSellAttempt: new Date()
+      });
       return false;
     }
   }
@@ -623,30 +769,41 @@ class PositionManager extends EventEmitter {
       let sellResult = null;
       
       // Use Jupiter client for real sells if available
-      if (this.jupiterClient && !this.wallet.demoMode) {
+      const wallet = this.getPositionWallet(position);
+      if (this.jupiterClient && !wallet.demoMode) {
         try {
           // Execute sell transaction
           sellResult = await this.jupiterClient.executeSwap(
             position.tokenAddress,
             'SOL',
             position.amountRemaining,
-            this.wallet,
+            wallet,
             { 
               slippage: reason === 'STOP_LOSS' ? 5 : 2, // Higher slippage for stop loss
               skipPreflight: reason === 'STOP_LOSS', // Skip preflight for stop loss for faster execution
-              priorityFee: reason === 'STOP_LOSS' ? 100000 : 40000 // Higher priority for stop loss
+              feeProfile: reason === 'STOP_LOSS' ? 'stop-loss' : 'sell', // Stop losses bid urgently
+              userId: position.ownerId
             }
           );
           
           if (!sellResult.success) {
-            throw new Error(`Swap failed: ${sellResult.error}`);
+            throw Object.assign(new Error(`Swap failed: ${sellResult.error}`), {
+              errorType: sellResult.errorType,
+              maybeSucceeded: sellResult.maybeSucceeded
+            });
           }
           
           logger.info(`Sell successful for position ${positionId}, txid: ${sellResult.signature}, received ${sellResult.outAmount / LAMPORTS_PER_SOL} SOL`);
         } catch (swapError) {
           logger.error(`Swap error in sell: ${swapError.message}`);
           
-          // For some errors, we want to retry
+          // A sell that may have landed must not be sent again, and one without the tokens cannot succeed
+          if (swapError.maybeSucceeded || swapError.errorType === ERROR_TYPES.INSUFFICIENT_FUNDS) {
+            this.positionSellAttempts.set(positionId, this.sellMaxRetries);
+            throw swapError;
+          }
+          
+          // For other errors, we want to retry - the retry quotes the swap again
           if (attempts < this.sellMaxRetries) {
             logger.info(`Will retry selling position ${positionId} in ${this.sellRetryDelay}ms (attempt ${attempts + 1}/${this.sellMaxRetries})`);
             setTimeout(() => this.executeSell(position, currentPrice, reason), this.sellRetryDelay);
@@ -665,11 +822,15 @@ class PositionManager extends EventEmitter {
         };
       }
       
+      const entry = await this.recordSell(position, 'SELL', sellResult, position.amountRemaining);
+      
       // Mark position as closed
       const closed = this.closePosition(positionId, currentPrice, reason);
       if (closed) {
         closed.exitTxid = sellResult.signature;
-        closed.exitAmountSol = sellResult.outAmount / LAMPORTS_PER_SOL;
+        closed.exitAmountSol = entry.solDelta;
+        closed.exitFeeSol = entry.feeSol;
+        closed.exitPriorityFee = entry.priorityFee;
         this.positions.set(positionId, closed);
         this.savePositions();
       }
@@ -681,7 +842,7 @@ class PositionManager extends EventEmitter {
         price: currentPrice,
         reason,
         transactionId: sellResult.signature,
-        amountSol: sellResult.outAmount / LAMPORTS_PER_SOL
+        amountSol: entry.solDelta
       });
       
       return true;
@@ -691,12 +852,41 @@ class PositionManager extends EventEmitter {
       // Update position with error
       this.updatePosition(position.id, { 
         sellError: error.message,
+        sellErrorType: error.errorType || null,
         lastSellAttempt: new Date()
       });
       
       return false;
     }
   }
+
+  /**
+   * Record a sell of a position's tokens in the ledger
+   * @param {Object} position - Position the tokens belong to
+   * @param {string} type - SELL or PARTIAL_SELL
+   * @param {Object} sellResult - Swap result (signature, outAmount in lamports, priorityFee)
+   * @param {number} tokenAmount - Tokens sold
+   * @returns {Promise<Object>} The ledger entry
+   * @private
+   */
+  async recordSell(position, type, sellResult, tokenAmount) {
+    const wallet = this.getPositionWallet(position);
+    const changes = await ledger.getTransactionChanges(this.connection, sellResult.signature, wallet.getPublicKey(), position.tokenAddress);
+    
+    return ledger.recordTransaction({
+      type,
+      userId: position.ownerId,
+      strategyId: position.strategyId,
+      positionId: position.id,
+      signature: sellResult.signature,
+      mint: position.tokenAddress,
+      feeSol: changes ? changes.feeSol : null,
+      priorityFee: sellResult.priorityFee || null,
+      tip: sellResult.tip,
+      changes,
+      estimate: { solDelta: sellResult.outAmount / LAMPORTS_PER_SOL, tokenDelta: -tokenAmount }
+    });
+  }
 }
 
 module.exports = PositionManager; 
\ No newline at end of file
@@ -1,21 +1,414 @@
-const { PublicKey } = require('@solana/web3.js');
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  AccountLayout,
+  AccountState,
+  ExtensionType,
+  unpackMint,
+  getExtensionTypes,
+  getTransferFeeConfig,
+  getPermanentDelegate,
+  getTransferHook,
+  getDefaultAccountState,
+  getAssociatedTokenAddressSync
+} = require('@solana/spl-token');
 const logger = require('../utils/logger');
+const database = require('../utils/database');
+const CreatorReputation = require('./creator-reputation');
 const axios = require('axios');
 
+// getTokenLargestAccounts returns at most this many accounts
+const LARGEST_ACCOUNTS_LIMIT = 20;
+
+// Token account owners that never count as holders
+const KNOWN_EXCLUDED_OWNERS = {
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': { type: 'pool', name: 'Raydium AMM' },
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL': { type: 'pool', name: 'Raydium CPMM' },
+  '1nc1nerator11111111111111111111111111111111': { type: 'burn', name: 'Incinerator' },
+  '11111111111111111111111111111111': { type: 'burn', name: 'System Program' }
+};
+
+// Programs whose PDAs own pool vaults
+const POOL_PROGRAMS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'Raydium AMM',
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'Raydium CLMM',
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'Raydium CPMM',
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'Orca Whirlpool',
+  '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP': 'Orca',
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'Meteora DLMM',
+  'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'Meteora Pools',
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'Pump.fun'
+};
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Signature fee for a single-signer transaction
+const SIMULATION_BASE_FEE_LAMPORTS = 5000;
+
+const SEVERITIES = ['none', 'low', 'medium', 'high', 'critical'];
+
+/**
+ * Map a 0-100 rule score to a severity
+ * @param {number} score - Rule score
+ * @returns {string} Severity
+ */
+const severityForScore = (score) => {
+  if (score <= 0) return 'none';
+  if (score < 25) return 'low';
+  if (score < 50) return 'medium';
+  if (score < 80) return 'high';
+  return 'critical';
+};
+
+/**
+ * Built-in risk rules
+ * A rule's evaluate(context) returns { score (0-100), severity, reason, warnings },
+ * or null when the rule doesn't apply. Critical results floor the overall score
+ * at their own score, so a deal-breaker can't be averaged away.
+ */
+const BUILT_IN_RULES = [
+  {
+    id: 'contract',
+    name: 'Mint & Extensions',
+    weight: 0.4,
+    evaluate: ({ contract }) => {
+      // Holders could never sell, which is as risky as a token gets
+      const critical = !contract.valid || contract.defaultFrozen || contract.nonTransferable;
+      return {
+        score: critical ? 100 : contract.riskScore,
+        severity: critical ? 'critical' : severityForScore(contract.riskScore),
+        reason: contract.warnings.length > 0 ? contract.warnings.join('; ') : 'No mint or freeze authority and no risky extensions',
+        warnings: contract.warnings
+      };
+    }
+  },
+  {
+    id: 'holders',
+    name: 'Holder Distribution',
+    weight: 0.25,
+    evaluate: ({ holders }) => ({
+      score: holders.riskScore,
+      severity: severityForScore(holders.riskScore),
+      reason: holders.warnings.length > 0 ? holders.warnings.join('; ') : 'Supply is well distributed',
+      warnings: holders.warnings
+    })
+  },
+  {
+    id: 'liquidity',
+    name: 'Liquidity Depth',
+    weight: 0.2,
+    evaluate: ({ liquidity }) => ({
+      score: liquidity.riskScore,
+      severity: severityForScore(liquidity.riskScore),
+      reason: liquidity.warnings.length > 0 ? liquidity.warnings.join('; ') : 'Enough depth to exit a normal position',
+      warnings: liquidity.warnings
+    })
+  },
+  {
+    id: 'sellability',
+    name: 'Sell Simulation',
+    weight: 0.15,
+    evaluate: ({ sellability }, analyzer) => {
+      if (sellability.canSell === false) {
+        return {
+          score: 100,
+          severity: 'critical',
+          reason: sellability.error || 'Token cannot be sold',
+          warnings: sellability.warnings
+        };
+      }
+      
+      // Unverified is not safe, the risk policy refuses it as well
+      if (sellability.canSell === null) {
+        return {
+          score: 50,
+          severity: 'medium',
+          reason: `Sell could not be simulated: ${sellability.error || 'unknown reason'}`,
+          warnings: sellability.warnings
+        };
+      }
+      
+      const highestTax = Math.max(sellability.buyTaxPct || 0, sellability.sellTaxPct || 0);
+      const reason = `Round-trip loss ${sellability.roundTripLossPct.toFixed(1)}%, ` +
+        `tax ${(sellability.buyTaxPct || 0).toFixed(1)}% buy / ${(sellability.sellTaxPct || 0).toFixed(1)}% sell`;
+      
+      if (highestTax > analyzer.maxAcceptableTaxPct) {
+        return { score: 70, severity: 'critical', reason, warnings: sellability.warnings };
+      }
+      
+      const score = Math.min(60, Math.round(highestTax * 4));
+      return { score, severity: severityForScore(score), reason, warnings: sellability.warnings };
+    }
+  },
+  {
+    id: 'creator',
+    name: 'Creator Reputation',
+    weight: 0.2,
+    evaluate: ({ creator }) => {
+      // Unknown creators are neither rewarded nor penalized
+      if (!creator || !creator.deployer) return null;
+      
+      const { rugged, lpPulled } = creator.stats;
+      return {
+        score: creator.riskScore,
+        severity: rugged + lpPulled >= 2 ? 'critical' : severityForScore(creator.riskScore),
+        reason: creator.warnings.length > 0 ? creator.warnings.join('; ') : `No rugs in ${creator.stats.total} previous launches`,
+        warnings: creator.warnings
+      };
+    }
+  }
+];
+
+/**
+ * Combine rule results into an overall risk level
+ * The weighted average of the results, floored by any critical result.
+ * @param {Array<Object>} breakdown - Rule results (id, weight, score, severity)
+ * @param {Object} weights - Weights by rule ID replacing the results' own
+ * @returns {number} Risk level (0-100)
+ */
+const combineRuleScores = (breakdown, weights = {}) => {
+  const weightOf = item => weights[item.id] ?? item.weight;
+  const totalWeight = breakdown.reduce((sum, item) => sum + weightOf(item), 0);
+  
+  let riskLevel = totalWeight > 0
+    ? Math.round(breakdown.reduce((sum, item) => sum + item.score * weightOf(item), 0) / totalWeight)
+    : 0;
+  breakdown
+    .filter(item => item.severity === 'critical')
+    .forEach(item => {
+      riskLevel = Math.max(riskLevel, item.score);
+    });
+  
+  return Math.min(100, riskLevel);
+};
+
+// Pool account layouts, only the mint and vault fields are read
+const POOL_LAYOUTS = [
+  {
+    name: 'Raydium AMM',
+    programId: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+    dataSize: 752,
+    vaultAOffset: 336, // baseVault
+    vaultBOffset: 368, // quoteVault
+    mintAOffset: 400,  // baseMint
+    mintBOffset: 432,  // quoteMint
+    lpMintOffset: 464, // lpMint
+    lpReserveOffset: 720, // lpReserve - LP supply as accounted by the pool, burns don't reduce it
+    sliceOffset: 336,
+    sliceLength: 392
+  },
+  {
+    name: 'Orca Whirlpool',
+    programId: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+    dataSize: 653,
+    mintAOffset: 101,  // tokenMintA
+    vaultAOffset: 133, // tokenVaultA
+    mintBOffset: 181,  // tokenMintB
+    vaultBOffset: 213, // tokenVaultB
+    sliceOffset: 101,
+    sliceLength: 144
+  }
+];
+
 /**
  * RiskAnalyzer class to assess token risks before sniping
  */
 class RiskAnalyzer {
-  constructor(connection) {
+  constructor(connection, options = {}) {
     this.connection = connection;
+    this.jupiterClient = null;
+    this.creatorReputation = new CreatorReputation(connection);
+    
+    // Persistent risk result cache, keyed by mint
+    this.cacheTtlMs = parseInt(process.env.RISK_CACHE_TTL_MS || '600000', 10); // 10 minutes
+    this.maxCacheEntries = 200;
+    this.riskCache = new Map(Object.entries(database.loadData('risk-cache', {})));
+    
+    // Rule registry, keyed by rule ID
+    this.rules = new Map();
+    BUILT_IN_RULES.forEach(rule => this.registerRule(rule));
+    Object.entries(options.ruleWeights || {}).forEach(([ruleId, weight]) => this.setRuleWeight(ruleId, weight));
+
+    // Liquidity depth probing
+    this.depthProbeSizesSOL = [0.1, 0.5, 1, 5, 10, 50];
+    this.maxExitImpactPct = 5; // Exits above this price impact are not viable
+    this.minLpBurnedPct = 95;  // LP counts as burned at or above this share
+
+    // Honeypot simulation
+    this.honeypotProbeSOL = 0.01;
+    this.honeypotSlippage = 50;   // High so taxes show up as loss instead of a slippage failure
+    this.maxAcceptableTaxPct = 10; // Effective buy/sell tax above this is treated as high risk
+  }
+
+  /**
+   * Set the Jupiter client used for depth probing
+   * @param {Object} jupiterClient - Jupiter client instance
+   */
+  setJupiterClient(jupiterClient) {
+    this.jupiterClient = jupiterClient;
+  }
+
+  /**
+   * Register a risk rule, replacing any rule with the same ID
+   * @param {Object} rule - Rule ({id, name, weight, evaluate(context, analyzer)})
+   */
+  registerRule(rule) {
+    if (!rule.id || typeof rule.evaluate !== 'function') {
+      throw new Error('A risk rule needs an id and an evaluate function');
+    }
+    if (!(rule.weight >= 0)) {
+      throw new Error(`Risk rule ${rule.id} needs a weight of zero or more`);
+    }
+    
+    this.rules.set(rule.id, { name: rule.id, ...rule });
+  }
+
+  /**
+   * Remove a risk rule
+   * @param {string} ruleId - Rule ID
+   * @returns {boolean} Whether the rule was removed
+   */
+  unregisterRule(ruleId) {
+    return this.rules.delete(ruleId);
+  }
+
+  /**
+   * Change the weight of a registered rule
+   * @param {string} ruleId - Rule ID
+   * @param {number} weight - New weight (zero or more)
+   */
+  setRuleWeight(ruleId, weight) {
+    const rule = this.rules.get(ruleId);
+    if (!rule) {
+      throw new Error(`Unknown risk rule: ${ruleId}`);
+    }
+    if (!(weight >= 0)) {
+      throw new Error(`Risk rule ${ruleId} needs a weight of zero or more`);
+    }
+    
+    rule.weight = weight;
+  }
+
+  /**
+   * Get the registered rules
+   * @returns {Array<Object>} Rule IDs, names and weights
+   */
+  getRules() {
+    return Array.from(this.rules.values()).map(({ id, name, weight }) => ({ id, name, weight }));
   }
 
   /**
    * Analyze a token for potential risks
+   * Results are cached per mint. A cached result is reused while it is younger
+   * than the TTL and the mint's supply, authorities and top holders are unchanged.
    * @param {string} tokenAddress - The token mint address
+   * @param {Object} options - forceRefresh, maxAgeMs (overrides the cache TTL)
    * @returns {Promise<Object>} Risk analysis result
    */
-  async analyzeToken(tokenAddress) {
+  async analyzeToken(tokenAddress, options = {}) {
+    const maxAgeMs = options.maxAgeMs ?? this.cacheTtlMs;
+    const cached = this.riskCache.get(tokenAddress);
+    
+    if (cached && !options.forceRefresh && Date.now() - cached.analyzedAt < maxAgeMs) {
+      const fingerprint = await this.getTokenFingerprint(tokenAddress).catch(() => null);
+      if (fingerprint && fingerprint === cached.fingerprint) {
+        logger.info(`Using cached risk analysis for ${tokenAddress}: Risk level ${cached.result.riskLevel}%`);
+        return { ...cached.result, cached: true, analyzedAt: new Date(cached.analyzedAt) };
+      }
+      logger.info(`Token ${tokenAddress} changed since its last analysis, re-analyzing`);
+    }
+    
+    const [result, fingerprint] = await Promise.all([
+      this.runAnalysis(tokenAddress),
+      this.getTokenFingerprint(tokenAddress).catch(() => null)
+    ]);
+    
+    const analyzedAt = Date.now();
+    if (result.success && fingerprint) {
+      this.cacheResult(tokenAddress, { result, fingerprint, analyzedAt });
+    }
+    
+    return { ...result, cached: false, analyzedAt: new Date(analyzedAt) };
+  }
+
+  /**
+   * Get the cached analysis for a mint without re-validating it
+   * @param {string} tokenAddress - The token mint address
+   * @returns {Object|null} Cached entry (result, fingerprint, analyzedAt) or null
+   */
+  getCachedAnalysis(tokenAddress) {
+    return this.riskCache.get(tokenAddress) || null;
+  }
+
+  /**
+   * Drop a mint from the risk cache
+   * @param {string} tokenAddress - The token mint address
+   */
+  invalidateCache(tokenAddress) {
+    if (this.riskCache.delete(tokenAddress)) {
+      database.saveData('risk-cache', Object.fromEntries(this.riskCache));
+    }
+  }
+
+  /**
+   * Store an analysis in the risk cache and persist it
+   * @param {string} tokenAddress - The token mint address
+   * @param {Object} entry - Cache entry (result, fingerprint, analyzedAt)
+   * @private
+   */
+  cacheResult(tokenAddress, entry) {
+    // Re-insert so Map order stays oldest-first
+    this.riskCache.delete(tokenAddress);
+    this.riskCache.set(tokenAddress, entry);
+    
+    while (this.riskCache.size > this.maxCacheEntries) {
+      this.riskCache.delete(this.riskCache.keys().next().value);
+    }
+    
+    database.saveData('risk-cache', Object.fromEntries(this.riskCache));
+  }
+
+  /**
+   * Build a fingerprint of the on-chain state a risk result depends on
+   * Covers supply, mint and freeze authorities, and the set of top holder accounts.
+   * @param {string} tokenAddress - The token mint address
+   * @returns {Promise<string>} Fingerprint
+   */
+  async getTokenFingerprint(tokenAddress) {
+    const tokenMint = new PublicKey(tokenAddress);
+    const [mintAccount, largestResult] = await Promise.all([
+      this.connection.getAccountInfo(tokenMint),
+      this.connection.getTokenLargestAccounts(tokenMint)
+    ]);
+    
+    if (!mintAccount) {
+      throw new Error('Token account does not exist');
+    }
+    
+    const mint = unpackMint(tokenMint, mintAccount, mintAccount.owner);
+    
+    // Balances move on every trade, so only the holder set is compared
+    const topHolders = largestResult.value
+      .slice(0, 10)
+      .map(account => account.address.toString())
+      .sort();
+    
+    return JSON.stringify({
+      supply: mint.supply.toString(),
+      mintAuthority: mint.mintAuthority ? mint.mintAuthority.toString() : null,
+      freezeAuthority: mint.freezeAuthority ? mint.freezeAuthority.toString() : null,
+      topHolders
+    });
+  }
+
+  /**
+   * Run a full risk analysis, bypassing the cache
+   * @param {string} tokenAddress - The token mint address
+   * @returns {Promise<Object>} Risk analysis result
+   * @private
+   */
+  async runAnalysis(tokenAddress) {
     logger.info(`Analyzing token: ${tokenAddress}`);
     
     try {
@@ -25,42 +418,67 @@ class RiskAnalyzer {
       const [
         contractInfo,
         holderInfo,
-        liquidityInfo
+        liquidityInfo,
+        sellabilityInfo,
+        creatorInfo
       ] = await Promise.all([
         this.analyzeContract(tokenMint),
         this.analyzeHolderDistribution(tokenMint),
-        this.analyzeLiquidity(tokenMint)
+        this.analyzeLiquidity(tokenMint),
+        this.simulateRoundTrip(tokenMint),
+        this.analyzeCreator(tokenMint)
       ]);
       
-      // Calculate overall risk score
-      const riskLevel = this.calculateRiskScore(contractInfo, holderInfo, liquidityInfo);
+      // Remember this launch's liquidity so a later drain shows on the creator's record
+      this.creatorReputation.recordSnapshot(tokenAddress, {
+        liquiditySOL: liquidityInfo.liquiditySOL,
+        lpBurnedPct: liquidityInfo.lpBurnedPct,
+        supply: contractInfo.supply
+      });
       
-      // Compile warnings
-      const warnings = [
-        ...(contractInfo.warnings || []),
-        ...(holderInfo.warnings || []),
-        ...(liquidityInfo.warnings || [])
-      ];
+      const honeypot = !contractInfo.valid ||
+        contractInfo.defaultFrozen ||
+        contractInfo.nonTransferable ||
+        sellabilityInfo.canSell === false;
+      
+      // Score every registered rule against the analyses
+      const { riskLevel, breakdown, warnings } = await this.evaluateRules({
+        tokenAddress,
+        tokenMint,
+        connection: this.connection,
+        jupiterClient: this.jupiterClient,
+        contract: contractInfo,
+        holders: holderInfo,
+        liquidity: liquidityInfo,
+        sellability: sellabilityInfo,
+        creator: creatorInfo
+      });
       
-      logger.info(`Risk analysis completed for ${tokenAddress}: Risk level ${riskLevel}%`);
+      logger.info(`Risk analysis completed for ${tokenAddress}: Risk level ${honeypot ? 100 : riskLevel}%`);
       
       return {
+        success: true,
         tokenAddress,
-        riskLevel,
+        riskLevel: honeypot ? 100 : riskLevel,
         warnings,
+        breakdown,
         details: {
           contract: contractInfo,
           holders: holderInfo,
-          liquidity: liquidityInfo
+          liquidity: liquidityInfo,
+          sellability: sellabilityInfo,
+          creator: creatorInfo
         },
-        honeypot: contractInfo.riskScore > 50,
+        honeypot,
         rugPull: holderInfo.riskScore > 60 || liquidityInfo.riskScore > 70,
-        liquidityLocked: liquidityInfo.riskScore < 30,
-        ownershipRenounced: contractInfo.riskScore < 20
+        liquidityLocked: liquidityInfo.lpBurned === true,
+        ownershipRenounced: contractInfo.valid && !contractInfo.mintAuthority && !contractInfo.freezeAuthority
       };
     } catch (error) {
       logger.error(`Error analyzing token ${tokenAddress}: ${error.message}`);
       return {
+        success: false,
+        tokenAddress,
         riskLevel: 100,
         warnings: ['Error analyzing token: ' + error.message],
         honeypot: true,
@@ -73,6 +491,8 @@ class RiskAnalyzer {
 
   /**
    * Analyze token contract
+   * Parses the mint account (legacy Token or Token-2022) for authorities,
+   * supply and extensions that let the issuer control holders' tokens.
    * @param {PublicKey} tokenMint - Token mint public key
    * @returns {Promise<Object>} Contract analysis result
    */
@@ -89,22 +509,65 @@ class RiskAnalyzer {
         };
       }
       
-      // Check owner is token program
-      const isTokenProgram = tokenInfo.owner.equals(
-        new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA')
-      );
+      const isLegacyToken = tokenInfo.owner.equals(TOKEN_PROGRAM_ID);
+      const isToken2022 = tokenInfo.owner.equals(TOKEN_2022_PROGRAM_ID);
       
-      const warnings = [];
-      if (!isTokenProgram) {
-        warnings.push('Token account not owned by token program');
+      if (!isLegacyToken && !isToken2022) {
+        return {
+          valid: false,
+          warnings: ['Token account not owned by a token program'],
+          riskScore: 100
+        };
       }
       
-      // Additional checks would go here in a production version
+      const mint = unpackMint(tokenMint, tokenInfo, tokenInfo.owner);
+      
+      const contract = {
+        valid: true,
+        tokenProgram: isToken2022 ? 'token-2022' : 'token',
+        mintAuthority: mint.mintAuthority ? mint.mintAuthority.toString() : null,
+        freezeAuthority: mint.freezeAuthority ? mint.freezeAuthority.toString() : null,
+        supply: mint.supply.toString(),
+        decimals: mint.decimals,
+        extensions: [],
+        transferFeeBps: 0,
+        maxTransferFee: null,
+        permanentDelegate: null,
+        transferHookProgramId: null,
+        defaultFrozen: false,
+        nonTransferable: false
+      };
+      
+      if (isToken2022) {
+        contract.extensions = getExtensionTypes(mint.tlvData).map(type => ExtensionType[type]);
+        
+        const transferFeeConfig = getTransferFeeConfig(mint);
+        if (transferFeeConfig) {
+          // The newer fee takes over at its epoch, so report whichever is higher
+          const fees = [transferFeeConfig.olderTransferFee, transferFeeConfig.newerTransferFee];
+          const highest = fees.reduce((max, fee) => fee.transferFeeBasisPoints > max.transferFeeBasisPoints ? fee : max);
+          contract.transferFeeBps = highest.transferFeeBasisPoints;
+          contract.maxTransferFee = highest.maximumFee.toString();
+        }
+        
+        const permanentDelegate = getPermanentDelegate(mint);
+        if (permanentDelegate && !permanentDelegate.delegate.equals(PublicKey.default)) {
+          contract.permanentDelegate = permanentDelegate.delegate.toString();
+        }
+        
+        const transferHook = getTransferHook(mint);
+        if (transferHook && !transferHook.programId.equals(PublicKey.default)) {
+          contract.transferHookProgramId = transferHook.programId.toString();
+        }
+        
+        const defaultAccountState = getDefaultAccountState(mint);
+        contract.defaultFrozen = defaultAccountState?.state === AccountState.Frozen;
+        contract.nonTransferable = contract.extensions.includes('NonTransferable');
+      }
       
       return {
-        valid: isTokenProgram,
-        warnings,
-        riskScore: warnings.length > 0 ? 80 : 0
+        ...contract,
+        ...this.scoreContract(contract)
       };
     } catch (error) {
       logger.error(`Error in contract analysis: ${error.message}`);
@@ -116,34 +579,148 @@ class RiskAnalyzer {
     }
   }
 
+  /**
+   * Score parsed mint properties
+   * @param {Object} contract - Parsed contract details from analyzeContract
+   * @returns {{riskScore: number, warnings: Array<string>}} Score (0-100) and explanations
+   */
+  scoreContract(contract) {
+    const warnings = [];
+    let riskScore = 0;
+    
+    if (contract.supply === '0') {
+      riskScore += 20;
+      warnings.push('Token has no supply minted');
+    }
+    
+    if (contract.mintAuthority) {
+      riskScore += 30;
+      warnings.push('Mint authority is active - supply can be inflated');
+    }
+    
+    if (contract.freezeAuthority) {
+      riskScore += 25;
+      warnings.push('Freeze authority is active - holder accounts can be frozen');
+    }
+    
+    if (contract.transferFeeBps > 1000) {
+      riskScore += 40;
+      warnings.push(`Transfer fee of ${contract.transferFeeBps / 100}% on every transfer`);
+    } else if (contract.transferFeeBps > 0) {
+      riskScore += 20;
+      warnings.push(`Transfer fee of ${contract.transferFeeBps / 100}% on every transfer`);
+    }
+    
+    if (contract.permanentDelegate) {
+      riskScore += 40;
+      warnings.push('Permanent delegate can transfer or burn tokens from any holder');
+    }
+    
+    if (contract.transferHookProgramId) {
+      riskScore += 25;
+      warnings.push('Transfer hook runs a custom program on every transfer');
+    }
+    
+    if (contract.defaultFrozen) {
+      riskScore += 40;
+      warnings.push('New token accounts start frozen');
+    }
+    
+    if (contract.nonTransferable) {
+      riskScore += 100;
+      warnings.push('Token is non-transferable and cannot be sold');
+    }
+    
+    return { riskScore: Math.min(100, riskScore), warnings };
+  }
+
   /**
    * Analyze token holder distribution
+   * Uses the largest token accounts and mint supply. Accounts held by AMM pools
+   * or burn addresses are excluded from the holder ranking, and burned tokens
+   * are excluded from the circulating supply.
    * @param {PublicKey} tokenMint - Token mint public key
    * @returns {Promise<Object>} Holder distribution analysis
    */
   async analyzeHolderDistribution(tokenMint) {
     try {
-      // This would need to be implemented with a service like Helius
-      // or by scanning for largest token accounts
-      
-      // Demo implementation for now
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      const warnings = [];
-      let riskScore = 0;
-      
-      // In demo mode, generate a random score
-      riskScore = Math.floor(Math.random() * 50);
-      
-      if (riskScore > 30) {
-        warnings.push('High concentration of tokens in few wallets');
+      const [supplyResult, largestResult] = await Promise.all([
+        this.connection.getTokenSupply(tokenMint),
+        this.connection.getTokenLargestAccounts(tokenMint)
+      ]);
+
+      const totalSupply = BigInt(supplyResult.value.amount);
+      const accounts = largestResult.value.filter(account => BigInt(account.amount) > 0n);
+
+      if (totalSupply === 0n) {
+        return {
+          warnings: ['Token has no supply minted'],
+          riskScore: 100,
+          holderCount: 0
+        };
       }
-      
+
+      // Classify accounts so pools and burns don't count as holders
+      const labels = await this.classifyTokenAccounts(accounts.map(account => account.address));
+
+      let burnedAmount = 0n;
+      const excludedAccounts = [];
+      const holders = [];
+
+      for (const account of accounts) {
+        const label = labels.get(account.address.toString());
+        const amount = BigInt(account.amount);
+
+        if (label) {
+          if (label.type === 'burn') burnedAmount += amount;
+          excludedAccounts.push({
+            address: account.address.toString(),
+            owner: label.owner,
+            label: label.name,
+            amount: account.amount
+          });
+        } else {
+          holders.push({ address: account.address.toString(), amount });
+        }
+      }
+
+      const circulatingSupply = totalSupply - burnedAmount;
+      const toPercentage = (amount) => circulatingSupply > 0n
+        ? Number((amount * 10000n) / circulatingSupply) / 100
+        : 0;
+
+      const topHolderPercentage = holders.length > 0 ? toPercentage(holders[0].amount) : 0;
+      const top10Percentage = toPercentage(
+        holders.slice(0, 10).reduce((sum, holder) => sum + holder.amount, 0n)
+      );
+      const ofTotalSupply = (amount) => Number((amount * 10000n) / totalSupply) / 100;
+      const burnedPercentage = ofTotalSupply(burnedAmount);
+
+      for (const excluded of excludedAccounts) {
+        excluded.percentage = ofTotalSupply(BigInt(excluded.amount));
+      }
+
+      // The RPC returns at most 20 accounts, so a shorter list is the complete holder set
+      const holderCount = largestResult.value.length < LARGEST_ACCOUNTS_LIMIT ? holders.length : null;
+
+      const { riskScore, warnings } = this.scoreHolderDistribution({
+        topHolderPercentage,
+        top10Percentage,
+        holderCount
+      });
+
       return {
         warnings,
         riskScore,
-        holderCount: Math.floor(Math.random() * 5000) + 100, // Demo data
-        topHolderPercentage: Math.floor(Math.random() * 80) + 20 // Demo data
+        holderCount,
+        topHolderPercentage,
+        top10Percentage,
+        burnedPercentage,
+        excludedAccounts,
+        topHolders: holders.slice(0, 10).map(holder => ({
+          address: holder.address,
+          percentage: toPercentage(holder.amount)
+        }))
       };
     } catch (error) {
       logger.error(`Error in holder analysis: ${error.message}`);
@@ -154,36 +731,133 @@ class RiskAnalyzer {
     }
   }
 
+  /**
+   * Identify token accounts owned by AMM pools or burn addresses
+   * @param {Array<PublicKey>} addresses - Token account addresses
+   * @returns {Promise<Map<string, Object>>} Map of account address to label ({type, name, owner})
+   */
+  async classifyTokenAccounts(addresses) {
+    const labels = new Map();
+    if (addresses.length === 0) return labels;
+
+    const tokenAccounts = await this.connection.getMultipleParsedAccounts(addresses);
+
+    const owners = tokenAccounts.value.map(account => account?.data?.parsed?.info?.owner || null);
+
+    // Pool vaults are usually owned by a PDA of the AMM program, so look up the owners' programs
+    const ownerKeys = owners.filter(owner => owner && !KNOWN_EXCLUDED_OWNERS[owner]);
+    const uniqueOwnerKeys = [...new Set(ownerKeys)];
+    const ownerAccounts = uniqueOwnerKeys.length > 0
+      ? await this.connection.getMultipleAccountsInfo(uniqueOwnerKeys.map(owner => new PublicKey(owner)))
+      : [];
+
+    const ownerPrograms = new Map();
+    uniqueOwnerKeys.forEach((owner, index) => {
+      const info = ownerAccounts[index];
+      if (info) ownerPrograms.set(owner, info.owner.toString());
+    });
+
+    addresses.forEach((address, index) => {
+      const owner = owners[index];
+      if (!owner) return;
+
+      if (KNOWN_EXCLUDED_OWNERS[owner]) {
+        labels.set(address.toString(), { ...KNOWN_EXCLUDED_OWNERS[owner], owner });
+        return;
+      }
+
+      const program = ownerPrograms.get(owner);
+      if (program && POOL_PROGRAMS[program]) {
+        labels.set(address.toString(), { type: 'pool', name: POOL_PROGRAMS[program], owner });
+      }
+    });
+
+    return labels;
+  }
+
+  /**
+   * Score a holder distribution
+   * @param {Object} distribution - topHolderPercentage, top10Percentage and holderCount
+   * @returns {{riskScore: number, warnings: Array<string>}} Score (0-100) and explanations
+   */
+  scoreHolderDistribution({ topHolderPercentage, top10Percentage, holderCount }) {
+    const warnings = [];
+    let riskScore = 0;
+
+    if (topHolderPercentage > 50) {
+      riskScore += 50;
+      warnings.push(`Top holder owns ${topHolderPercentage.toFixed(1)}% of circulating supply (over 50%)`);
+    } else if (topHolderPercentage > 20) {
+      riskScore += 25;
+      warnings.push(`Top holder owns ${topHolderPercentage.toFixed(1)}% of circulating supply (over 20%)`);
+    } else if (topHolderPercentage > 10) {
+      riskScore += 10;
+      warnings.push(`Top holder owns ${topHolderPercentage.toFixed(1)}% of circulating supply (over 10%)`);
+    }
+
+    if (top10Percentage > 80) {
+      riskScore += 35;
+      warnings.push(`Top 10 holders own ${top10Percentage.toFixed(1)}% of circulating supply (over 80%)`);
+    } else if (top10Percentage > 50) {
+      riskScore += 20;
+      warnings.push(`Top 10 holders own ${top10Percentage.toFixed(1)}% of circulating supply (over 50%)`);
+    } else if (top10Percentage > 30) {
+      riskScore += 10;
+      warnings.push(`Top 10 holders own ${top10Percentage.toFixed(1)}% of circulating supply (over 30%)`);
+    }
+
+    if (holderCount !== null && holderCount < 10) {
+      riskScore += 15;
+      warnings.push(`Only ${holderCount} wallets hold this token`);
+    }
+
+    return { riskScore: Math.min(100, riskScore), warnings };
+  }
+
   /**
    * Analyze token liquidity
+   * Measures tradable depth by probing Jupiter buy and sell quotes at increasing
+   * SOL sizes, and reads SOL-paired Raydium/Orca pool vaults where available.
    * @param {PublicKey} tokenMint - Token mint public key
    * @returns {Promise<Object>} Liquidity analysis
    */
   async analyzeLiquidity(tokenMint) {
     try {
-      // This would check liquidity pools for the token
-      // Demo implementation for now
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const warnings = [];
-      let riskScore = 0;
-      
-      // In demo mode, generate a random score
-      riskScore = Math.floor(Math.random() * 60);
-      
-      if (riskScore > 40) {
-        warnings.push('Low liquidity detected');
-      }
-      
-      if (riskScore > 70) {
-        warnings.push('Extremely low liquidity - high slippage expected');
-      }
-      
+      const [pools, depth] = await Promise.all([
+        this.findPools(tokenMint).catch(error => {
+          logger.warn(`Pool lookup failed for ${tokenMint.toString()}: ${error.message}`);
+          return [];
+        }),
+        this.measureDepth(tokenMint)
+      ]);
+
+      const liquiditySOL = pools.reduce((sum, pool) => sum + pool.liquiditySOL, 0);
+      const solPriceUsd = await this.getSolPriceUsd();
+
+      // LP burn is judged on the deepest pool that has an LP token
+      const lpPool = pools
+        .filter(pool => pool.lpBurnedPct !== null)
+        .sort((a, b) => b.liquiditySOL - a.liquiditySOL)[0];
+      const lpBurnedPct = lpPool ? lpPool.lpBurnedPct : null;
+
+      const { riskScore, warnings } = this.scoreLiquidity({
+        hasRoute: depth.hasRoute,
+        viableExitSizeSOL: depth.viableExitSizeSOL,
+        liquiditySOL: pools.length > 0 ? liquiditySOL : null
+      });
+
       return {
         warnings,
         riskScore,
-        liquidityUSD: Math.floor(Math.random() * 100000) + 1000, // Demo data
-        liquiditySOL: Math.floor(Math.random() * 100) + 1, // Demo data
+        liquiditySOL: pools.length > 0 ? liquiditySOL : null,
+        liquidityUSD: pools.length > 0 && solPriceUsd ? liquiditySOL * solPriceUsd : null,
+        pools,
+        lpBurnedPct,
+        lpBurned: lpBurnedPct === null ? null : lpBurnedPct >= this.minLpBurnedPct,
+        hasRoute: depth.hasRoute,
+        priceImpactCurve: depth.curve,
+        viableExitSizeSOL: depth.viableExitSizeSOL,
+        maxExitImpactPct: this.maxExitImpactPct
       };
     } catch (error) {
       logger.error(`Error in liquidity analysis: ${error.message}`);
@@ -195,27 +869,496 @@ class RiskAnalyzer {
   }
 
   /**
-   * Calculate overall risk score from component analyses
-   * @param {Object} contractInfo - Contract analysis results 
-   * @param {Object} holderInfo - Holder distribution analysis
-   * @param {Object} liquidityInfo - Liquidity analysis
-   * @returns {number} Overall risk score (0-100)
+   * Probe Jupiter quotes at increasing SOL sizes to build a price impact curve
+   * Each size is bought (SOL -> token) and the tokens received are quoted back
+   * to SOL, so the curve shows what an exit of that size would cost.
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<Object>} hasRoute, curve and viableExitSizeSOL
+   */
+  async measureDepth(tokenMint) {
+    const result = { hasRoute: null, curve: [], viableExitSizeSOL: null };
+    if (!this.jupiterClient) return result;
+
+    const mint = tokenMint.toString();
+    const { value: supply } = await this.connection.getTokenSupply(tokenMint);
+    const decimals = supply.decimals;
+
+    result.hasRoute = false;
+    result.viableExitSizeSOL = 0;
+
+    // Probe sequentially - bigger sizes are pointless once the pool is exhausted
+    for (const sizeSOL of this.depthProbeSizesSOL) {
+      const buyQuote = await this.jupiterClient.getQuote('SOL', mint, sizeSOL);
+      if (!buyQuote.success || !(Number(buyQuote.outAmount) > 0)) break;
+      result.hasRoute = true;
+
+      const tokenAmount = Number(buyQuote.outAmount) / (10 ** decimals);
+      const sellQuote = await this.jupiterClient.getQuote(mint, 'SOL', tokenAmount, {
+        inputDecimals: decimals
+      });
+
+      const point = {
+        sizeSOL,
+        buyImpactPct: Number(buyQuote.priceImpactPct || 0) * 100,
+        sellImpactPct: null,
+        roundTripLossPct: null
+      };
+
+      if (sellQuote.success) {
+        const solBack = Number(sellQuote.outAmount) / LAMPORTS_PER_SOL;
+        point.sellImpactPct = Number(sellQuote.priceImpactPct || 0) * 100;
+        point.roundTripLossPct = (1 - solBack / sizeSOL) * 100;
+      }
+
+      result.curve.push(point);
+
+      if (point.sellImpactPct === null || point.sellImpactPct > this.maxExitImpactPct) break;
+      result.viableExitSizeSOL = sizeSOL;
+    }
+
+    return result;
+  }
+
+  /**
+   * Find SOL-paired Raydium AMM and Orca Whirlpool pools for a token
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<Array>} Pools with their SOL vault balance
+   */
+  async findPools(tokenMint) {
+    const pools = [];
+
+    for (const layout of POOL_LAYOUTS) {
+      // Token can sit on either side of the pair
+      const sides = [
+        { tokenOffset: layout.mintAOffset, solOffset: layout.mintBOffset, solVaultOffset: layout.vaultBOffset },
+        { tokenOffset: layout.mintBOffset, solOffset: layout.mintAOffset, solVaultOffset: layout.vaultAOffset }
+      ];
+
+      for (const side of sides) {
+        const accounts = await this.connection.getProgramAccounts(new PublicKey(layout.programId), {
+          dataSlice: { offset: layout.sliceOffset, length: layout.sliceLength },
+          filters: [
+            { dataSize: layout.dataSize },
+            { memcmp: { offset: side.tokenOffset, bytes: tokenMint.toBase58() } },
+            { memcmp: { offset: side.solOffset, bytes: WSOL_MINT } }
+          ]
+        });
+
+        for (const { pubkey, account } of accounts) {
+          const vaultStart = side.solVaultOffset - layout.sliceOffset;
+          const solVault = new PublicKey(account.data.subarray(vaultStart, vaultStart + 32));
+          const balance = await this.connection.getTokenAccountBalance(solVault);
+
+          const pool = {
+            dex: layout.name,
+            address: pubkey.toString(),
+            solVault: solVault.toString(),
+            liquiditySOL: Number(balance.value.uiAmount || 0),
+            lpBurnedPct: null
+          };
+
+          // Pools with an LP mint: LP tokens burned are the ones missing from the mint supply
+          if (layout.lpMintOffset !== undefined) {
+            const lpMintStart = layout.lpMintOffset - layout.sliceOffset;
+            const lpMint = new PublicKey(account.data.subarray(lpMintStart, lpMintStart + 32));
+            const lpReserve = account.data.readBigUInt64LE(layout.lpReserveOffset - layout.sliceOffset);
+            const { value: lpSupply } = await this.connection.getTokenSupply(lpMint);
+
+            pool.lpMint = lpMint.toString();
+            if (lpReserve > 0n) {
+              const burned = lpReserve - BigInt(lpSupply.amount);
+              pool.lpBurnedPct = burned > 0n ? Number((burned * 10000n) / lpReserve) / 100 : 0;
+            }
+          }
+
+          pools.push(pool);
+        }
+      }
+    }
+
+    return pools;
+  }
+
+  /**
+   * Analyze the reputation of the wallets that deployed and funded the token
+   * Previous launches linked to the deployer or its funder are checked for rugs,
+   * pulled LP and abandonment.
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<Object|null>} Creator analysis, null if the creator is unknown
+   */
+  async analyzeCreator(tokenMint) {
+    try {
+      const reputation = await this.creatorReputation.getReputation(tokenMint, async (mint) => {
+        const pools = await this.findPools(mint);
+        const lpPool = pools
+          .filter(pool => pool.lpBurnedPct !== null)
+          .sort((a, b) => b.liquiditySOL - a.liquiditySOL)[0];
+        return {
+          liquiditySOL: pools.reduce((sum, pool) => sum + pool.liquiditySOL, 0),
+          lpBurnedPct: lpPool ? lpPool.lpBurnedPct : null
+        };
+      });
+      if (!reputation) return null;
+      
+      return { ...reputation, ...this.scoreCreator(reputation.stats) };
+    } catch (error) {
+      logger.error(`Error in creator analysis: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Score a creator's previous launches
+   * @param {Object} stats - Outcome counts of previous launches
+   * @returns {Object} riskScore and warnings
+   * @private
+   */
+  scoreCreator(stats) {
+    const warnings = [];
+    let riskScore = 0;
+    
+    const rugs = stats.rugged + stats.lpPulled;
+    if (rugs >= 2) {
+      riskScore = 90;
+      warnings.push(`Serial rugger: ${rugs} of ${stats.total} previous launches were rugged or had LP pulled`);
+    } else if (rugs === 1) {
+      riskScore = 60;
+      warnings.push('Creator has a previous launch that was rugged or had LP pulled');
+    }
+    
+    if (stats.abandoned >= 3) {
+      riskScore = Math.max(riskScore, 40);
+      warnings.push(`Creator abandoned ${stats.abandoned} previous launches`);
+    } else if (stats.abandoned > 0) {
+      riskScore = Math.max(riskScore, 20);
+    }
+    
+    if (stats.total === 0) {
+      // Fresh wallets are common for both honest launches and throwaway rugs
+      riskScore = 10;
+    }
+    
+    return { riskScore, warnings };
+  }
+
+  /**
+   * Get the SOL price in USD from Jupiter
+   * @returns {Promise<number|null>} SOL price in USD
+   * @private
+   */
+  async getSolPriceUsd() {
+    if (!this.jupiterClient) return null;
+
+    const usdcPriceSol = await this.jupiterClient.getTokenPrice(this.jupiterClient.USDC_MINT);
+    return usdcPriceSol > 0 ? 1 / usdcPriceSol : null;
+  }
+
+  /**
+   * Score measured liquidity
+   * @param {Object} liquidity - hasRoute, viableExitSizeSOL and liquiditySOL (null when unknown)
+   * @returns {{riskScore: number, warnings: Array<string>}} Score (0-100) and explanations
+   */
+  scoreLiquidity({ hasRoute, viableExitSizeSOL, liquiditySOL }) {
+    const warnings = [];
+    let riskScore = 0;
+
+    if (hasRoute === false && !liquiditySOL) {
+      return { riskScore: 90, warnings: ['No tradable route or SOL pool found for this token'] };
+    }
+
+    if (hasRoute === false) {
+      riskScore += 40;
+      warnings.push('Jupiter found no route for this token');
+    } else if (viableExitSizeSOL !== null) {
+      const smallestProbe = this.depthProbeSizesSOL[0];
+      if (viableExitSizeSOL === 0) {
+        riskScore += 50;
+        warnings.push(`Exiting even ${smallestProbe} SOL moves the price more than ${this.maxExitImpactPct}%`);
+      } else if (viableExitSizeSOL < 1) {
+        riskScore += 30;
+        warnings.push(`Only ${viableExitSizeSOL} SOL can be exited under ${this.maxExitImpactPct}% price impact`);
+      } else if (viableExitSizeSOL < 5) {
+        riskScore += 15;
+        warnings.push(`Only ${viableExitSizeSOL} SOL can be exited under ${this.maxExitImpactPct}% price impact`);
+      }
+    }
+
+    if (liquiditySOL !== null && liquiditySOL !== undefined) {
+      if (liquiditySOL < 5) {
+        riskScore += 30;
+        warnings.push(`Extremely low liquidity - pools hold only ${liquiditySOL.toFixed(2)} SOL`);
+      } else if (liquiditySOL < 20) {
+        riskScore += 15;
+        warnings.push(`Low liquidity detected - pools hold ${liquiditySOL.toFixed(2)} SOL`);
+      }
+    }
+
+    return { riskScore: Math.min(100, riskScore), warnings };
+  }
+
+  /**
+   * Simulate a buy and sell round-trip through Jupiter
+   * Both swaps are simulated from an existing holder's wallet with signature
+   * verification skipped, so the sell runs against a real token balance
+   * without the bot having to own the token first. The holder is never the
+   * deployer or a mint authority, which transfer hooks can whitelist.
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<Object>} Sell-ability result (canSell is null when it could not be simulated)
+   */
+  async simulateRoundTrip(tokenMint) {
+    const result = {
+      simulated: false,
+      canSell: null,
+      buyTaxPct: null,
+      sellTaxPct: null,
+      roundTripLossPct: null,
+      error: null,
+      warnings: []
+    };
+    
+    if (!this.jupiterClient) {
+      result.error = 'Jupiter client not available';
+      return result;
+    }
+    
+    try {
+      const mint = tokenMint.toString();
+      const holder = await this.findSimulationHolder(tokenMint);
+      if (!holder) {
+        result.error = 'No holder wallet available to simulate from';
+        return result;
+      }
+      
+      // 1. Buy: SOL -> token, measure tokens received against the quote
+      const buyQuote = await this.jupiterClient.getQuote('SOL', mint, this.honeypotProbeSOL, {
+        slippage: this.honeypotSlippage
+      });
+      if (!buyQuote.success) {
+        result.error = `No buy route: ${buyQuote.error}`;
+        return result;
+      }
+      
+      const buySim = await this.simulateSwap(buyQuote, holder.owner, [holder.tokenAccount]);
+      result.simulated = true;
+      
+      if (buySim.err) {
+        result.error = `Buy simulation failed: ${this.describeSimulationError(buySim)}`;
+        result.warnings.push(result.error);
+        return result;
+      }
+      
+      const postBuyAmount = AccountLayout.decode(
+        Buffer.from(buySim.accounts[0].data[0], 'base64')
+      ).amount;
+      const received = postBuyAmount - holder.amount;
+      const quotedTokens = BigInt(buyQuote.outAmount);
+      result.buyTaxPct = quotedTokens > 0n
+        ? Math.max(0, 100 - Number((received * 10000n) / quotedTokens) / 100)
+        : null;
+      
+      // 2. Sell: token -> SOL from the holder's existing balance
+      const sellRaw = received < holder.amount ? received : holder.amount;
+      if (sellRaw <= 0n) {
+        result.error = 'Buy simulation returned no tokens';
+        result.warnings.push(result.error);
+        return result;
+      }
+      
+      const sellQuote = await this.jupiterClient.getQuote(mint, 'SOL', Number(sellRaw) / (10 ** holder.decimals), {
+        inputDecimals: holder.decimals,
+        slippage: this.honeypotSlippage
+      });
+      if (!sellQuote.success) {
+        result.canSell = false;
+        result.error = `No sell route: ${sellQuote.error}`;
+        result.warnings.push('Sell simulation failed - no route to sell this token');
+        return result;
+      }
+      
+      const sellSim = await this.simulateSwap(sellQuote, holder.owner, [holder.owner]);
+      if (sellSim.err) {
+        result.canSell = false;
+        result.error = `Sell simulation failed: ${this.describeSimulationError(sellSim)}`;
+        result.warnings.push('Sell simulation failed - token may be a honeypot');
+        return result;
+      }
+      
+      result.canSell = true;
+      
+      // Base fee is charged to the holder as fee payer, add it back to get swap output
+      const solBack = sellSim.accounts[0].lamports - holder.lamports + SIMULATION_BASE_FEE_LAMPORTS;
+      const quotedLamports = Number(sellQuote.outAmount);
+      result.sellTaxPct = quotedLamports > 0 ? Math.max(0, (1 - solBack / quotedLamports) * 100) : null;
+      
+      // Scale the SOL spent to the share of bought tokens that was sold
+      const solSpent = this.honeypotProbeSOL * LAMPORTS_PER_SOL * (Number(sellRaw) / Number(received));
+      result.roundTripLossPct = (1 - solBack / solSpent) * 100;
+      
+      if (result.buyTaxPct > 2) {
+        result.warnings.push(`Effective buy tax of ${result.buyTaxPct.toFixed(1)}%`);
+      }
+      if (result.sellTaxPct > 2) {
+        result.warnings.push(`Effective sell tax of ${result.sellTaxPct.toFixed(1)}%`);
+      }
+      if (result.roundTripLossPct > 20) {
+        result.warnings.push(`Buying and selling loses ${result.roundTripLossPct.toFixed(1)}% of the SOL spent`);
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error(`Error in sell simulation: ${error.message}`);
+      result.error = error.message;
+      return result;
+    }
+  }
+
+  /**
+   * Find a wallet holding the token that can pay for swap simulations
+   * Wallets behind the token are skipped: a honeypot can let them sell while
+   * blocking everyone else.
+   * @param {PublicKey} tokenMint - Token mint public key
+   * @returns {Promise<Object|null>} Holder (owner, tokenAccount, amount, decimals, lamports) or null
    */
-  calculateRiskScore(contractInfo, holderInfo, liquidityInfo) {
-    // Weight the different components
-    const contractWeight = 0.5;
-    const holderWeight = 0.3;
-    const liquidityWeight = 0.2;
+  async findSimulationHolder(tokenMint) {
+    const [mintAccount, largestResult, deployer] = await Promise.all([
+      this.connection.getAccountInfo(tokenMint),
+      this.connection.getTokenLargestAccounts(tokenMint),
+      this.creatorReputation.getDeployer(tokenMint).catch(error => {
+        logger.debug(`Could not find deployer of ${tokenMint.toString()}: ${error.message}`);
+        return null;
+      })
+    ]);
+    if (!mintAccount) return null;
+    
+    const mint = unpackMint(tokenMint, mintAccount, mintAccount.owner);
+    const insiders = new Set([deployer, mint.mintAuthority?.toString(), mint.freezeAuthority?.toString()].filter(Boolean));
+    
+    const accounts = largestResult.value.filter(account => BigInt(account.amount) > 0n);
+    if (accounts.length === 0) return null;
+    
+    const parsedAccounts = await this.connection.getMultipleParsedAccounts(accounts.map(account => account.address));
+    
+    // Only regular wallets can act as fee payer, and Jupiter swaps from the owner's ATA
+    const candidates = [];
+    accounts.forEach((account, index) => {
+      const info = parsedAccounts.value[index]?.data?.parsed?.info;
+      if (!info || info.state !== 'initialized') return;
+      
+      const owner = new PublicKey(info.owner);
+      if (!PublicKey.isOnCurve(owner.toBytes()) || insiders.has(info.owner)) return;
+      
+      const ata = getAssociatedTokenAddressSync(tokenMint, owner, false, mintAccount.owner);
+      if (!ata.equals(new PublicKey(account.address))) return;
+      
+      candidates.push({
+        owner,
+        tokenAccount: ata,
+        amount: BigInt(account.amount),
+        decimals: account.decimals ?? info.tokenAmount.decimals
+      });
+    });
+    
+    if (candidates.length === 0) return null;
+    
+    const ownerAccounts = await this.connection.getMultipleAccountsInfo(candidates.map(candidate => candidate.owner));
+    const minLamports = (this.honeypotProbeSOL + 0.05) * LAMPORTS_PER_SOL;
+    
+    for (let i = 0; i < candidates.length; i++) {
+      const ownerAccount = ownerAccounts[i];
+      if (ownerAccount && ownerAccount.lamports >= minLamports) {
+        return { ...candidates[i], lamports: ownerAccount.lamports };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Build a Jupiter swap for a quote and simulate it as the given wallet
+   * @param {Object} quote - Jupiter quote result
+   * @param {PublicKey} userPublicKey - Wallet to simulate as
+   * @param {Array<PublicKey>} accountAddresses - Accounts to return post-simulation state for
+   * @returns {Promise<Object>} Simulation result value
+   */
+  async simulateSwap(quote, userPublicKey, accountAddresses) {
+    const swap = await this.jupiterClient.getSwapTransaction(quote, userPublicKey, {
+      prioritizationFeeLamports: 0
+    });
+    if (!swap.success) {
+      throw new Error(`Could not build swap transaction: ${swap.error}`);
+    }
+    
+    const { value } = await this.connection.simulateTransaction(swap.transaction, {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment: 'confirmed',
+      accounts: {
+        encoding: 'base64',
+        addresses: accountAddresses.map(address => address.toString())
+      }
+    });
+    
+    return value;
+  }
+
+  /**
+   * Describe a failed simulation using its error and the last program log
+   * @param {Object} simulation - Simulation result value
+   * @returns {string} Error description
+   * @private
+   */
+  describeSimulationError(simulation) {
+    const error = typeof simulation.err === 'string' ? simulation.err : JSON.stringify(simulation.err);
+    const lastLog = (simulation.logs || []).filter(line => line.includes('Error') || line.includes('failed')).pop();
+    return lastLog ? `${error} (${lastLog})` : error;
+  }
+
+  /**
+   * Evaluate all registered rules and combine them into an overall score
+   * The overall score is the weighted average of applicable rules, floored by
+   * any critical result.
+   * @param {Object} context - Analyses and clients available to rules
+   * @returns {Promise<Object>} riskLevel (0-100), per-rule breakdown and warnings
+   */
+  async evaluateRules(context) {
+    const breakdown = [];
+    
+    for (const rule of this.rules.values()) {
+      let result;
+      try {
+        result = await rule.evaluate(context, this);
+      } catch (error) {
+        logger.error(`Risk rule ${rule.id} failed: ${error.message}`);
+        result = { score: 50, severity: 'medium', reason: `Rule failed: ${error.message}` };
+      }
+      
+      // Rules return null when they don't apply to this token
+      if (!result) continue;
+      
+      const score = Math.max(0, Math.min(100, Math.round(result.score)));
+      breakdown.push({
+        id: rule.id,
+        name: rule.name,
+        weight: rule.weight,
+        score,
+        severity: SEVERITIES.includes(result.severity) ? result.severity : severityForScore(score),
+        reason: result.reason,
+        warnings: result.warnings || (score > 0 && result.reason ? [result.reason] : [])
+      });
+    }
+    
+    const totalWeight = breakdown.reduce((sum, item) => sum + item.weight, 0);
+    breakdown.forEach(item => {
+      item.contribution = totalWeight > 0 ? (item.score * item.weight) / totalWeight : 0;
+    });
     
-    return Math.min(
-      100,
-      Math.round(
-        contractInfo.riskScore * contractWeight +
-        holderInfo.riskScore * holderWeight +
-        liquidityInfo.riskScore * liquidityWeight
-      )
-    );
+    return {
+      riskLevel: combineRuleScores(breakdown),
+      breakdown,
+      warnings: breakdown.flatMap(item => item.warnings)
+    };
   }
 }
 
-module.exports = RiskAnalyzer;
\ No newline at end of file
+module.exports = RiskAnalyzer;
+module.exports.combineRuleScores = combineRuleScores;
\ No newline at end of file
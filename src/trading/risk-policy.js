@@ -0,0 +1,178 @@
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const { combineRuleScores } = require('./risk-analyzer');
+
+// Default token risk settings for users who haven't changed theirs
+const DEFAULT_RISK_SETTINGS = {
+  maxRiskScore: 50,
+  requireLpBurned: true,
+  allowMintAuthority: false,
+  allowFreezeAuthority: false,
+  allowTransferTax: false,
+  minLiquiditySol: 5,
+  ruleWeights: {} // Weights by risk rule ID replacing the analyzer's, none by default
+};
+
+// Simulated buy/sell loss above this counts as a transfer tax
+const SIMULATED_TAX_THRESHOLD_PCT = 2;
+
+/**
+ * RiskPolicy class holding each user's token risk settings
+ * Settings are persisted per Telegram user ID and applied to RiskAnalyzer results
+ * by the snipe/buy pipeline and the AutoTrader.
+ */
+class RiskPolicy {
+  constructor() {
+    this.settingsByUser = database.loadData('risk-settings', {});
+  }
+
+  /**
+   * Get the default risk settings
+   * @returns {Object} A copy of the default settings
+   */
+  getDefaultSettings() {
+    return { ...DEFAULT_RISK_SETTINGS };
+  }
+
+  /**
+   * Get a user's risk settings
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Object} The user's settings merged over the defaults
+   */
+  getSettings(userId) {
+    return {
+      ...DEFAULT_RISK_SETTINGS,
+      ...(userId !== undefined && userId !== null ? this.settingsByUser[userId] : {})
+    };
+  }
+
+  /**
+   * Update a user's risk settings
+   * @param {number|string} userId - Telegram user ID
+   * @param {Object} updates - Settings to change
+   * @returns {Object} The updated settings
+   */
+  updateSettings(userId, updates) {
+    const settings = { ...this.getSettings(userId), ...updates };
+
+    if (!Number.isInteger(settings.maxRiskScore) || settings.maxRiskScore < 0 || settings.maxRiskScore > 100) {
+      throw new Error('Max risk score must be a whole number between 0 and 100');
+    }
+    if (typeof settings.minLiquiditySol !== 'number' || !(settings.minLiquiditySol >= 0)) {
+      throw new Error('Min liquidity must be zero or a positive number of SOL');
+    }
+    const weights = settings.ruleWeights;
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights) ||
+      Object.values(weights).some(weight => typeof weight !== 'number' || !(weight >= 0) || !Number.isFinite(weight))) {
+      throw new Error('Rule weights must be zero or positive numbers by rule ID');
+    }
+    for (const key of ['requireLpBurned', 'allowMintAuthority', 'allowFreezeAuthority', 'allowTransferTax']) {
+      if (typeof settings[key] !== 'boolean') {
+        throw new Error(`${key} must be true or false`);
+      }
+    }
+
+    this.settingsByUser[userId] = settings;
+    database.saveData('risk-settings', this.settingsByUser);
+    logger.info(`Risk settings updated for user ${userId}`);
+
+    return settings;
+  }
+
+  /**
+   * Get the risk level of an analysis under a user's rule weights
+   * @param {Object} riskResult - Result from RiskAnalyzer.analyzeToken
+   * @param {Object} settings - Risk settings to apply
+   * @returns {number} Risk level (0-100), 100 for honeypots
+   */
+  getRiskLevel(riskResult, settings = DEFAULT_RISK_SETTINGS) {
+    if (riskResult.honeypot) return 100;
+
+    const weights = settings.ruleWeights || {};
+    if (!Array.isArray(riskResult.breakdown) || Object.keys(weights).length === 0) {
+      return riskResult.riskLevel;
+    }
+    return combineRuleScores(riskResult.breakdown, weights);
+  }
+
+  /**
+   * Check a risk analysis against risk settings
+   * @param {Object} riskResult - Result from RiskAnalyzer.analyzeToken
+   * @param {Object} settings - Risk settings to apply
+   * @returns {Array<{rule: string, message: string}>} Rules the token violates
+   */
+  evaluate(riskResult, settings = DEFAULT_RISK_SETTINGS) {
+    const violations = [];
+    const contract = riskResult.details?.contract || {};
+    const liquidity = riskResult.details?.liquidity || {};
+    const sellability = riskResult.details?.sellability || {};
+
+    if (riskResult.success === false) {
+      violations.push({ rule: 'analysis', message: 'Risk analysis failed' });
+    }
+
+    if (riskResult.honeypot) {
+      violations.push({ rule: 'sellable', message: 'Token failed the sell check (possible honeypot)' });
+    } else if (sellability.canSell === null) {
+      violations.push({
+        rule: 'sellable',
+        message: `Token could not be checked for a sell: ${sellability.error || 'unknown reason'}`
+      });
+    }
+
+    const riskLevel = this.getRiskLevel(riskResult, settings);
+    if (riskLevel > settings.maxRiskScore) {
+      violations.push({
+        rule: 'maxRiskScore',
+        message: `Risk score ${riskLevel} is above your max of ${settings.maxRiskScore}`
+      });
+    }
+
+    if (contract.mintAuthority && !settings.allowMintAuthority) {
+      violations.push({ rule: 'allowMintAuthority', message: 'Mint authority is active' });
+    }
+
+    if (contract.freezeAuthority && !settings.allowFreezeAuthority) {
+      violations.push({ rule: 'allowFreezeAuthority', message: 'Freeze authority is active' });
+    }
+
+    if (!settings.allowTransferTax) {
+      const simulatedTax = Math.max(sellability.buyTaxPct || 0, sellability.sellTaxPct || 0);
+      if (contract.transferFeeBps > 0) {
+        violations.push({
+          rule: 'allowTransferTax',
+          message: `Token-2022 transfer fee of ${contract.transferFeeBps / 100}%`
+        });
+      } else if (simulatedTax > SIMULATED_TAX_THRESHOLD_PCT) {
+        violations.push({
+          rule: 'allowTransferTax',
+          message: `Simulated swaps lose ${simulatedTax.toFixed(1)}% to tax`
+        });
+      }
+    }
+
+    if (settings.requireLpBurned && liquidity.lpBurned !== true) {
+      violations.push({
+        rule: 'requireLpBurned',
+        message: liquidity.lpBurned === false
+          ? `Only ${liquidity.lpBurnedPct.toFixed(1)}% of LP tokens are burned`
+          : 'LP burn could not be verified'
+      });
+    }
+
+    if (settings.minLiquiditySol > 0) {
+      if (typeof liquidity.liquiditySOL !== 'number') {
+        violations.push({ rule: 'minLiquiditySol', message: 'Pool liquidity could not be measured' });
+      } else if (liquidity.liquiditySOL < settings.minLiquiditySol) {
+        violations.push({
+          rule: 'minLiquiditySol',
+          message: `Liquidity of ${liquidity.liquiditySOL.toFixed(2)} SOL is below your min of ${settings.minLiquiditySol} SOL`
+        });
+      }
+    }
+
+    return violations;
+  }
+}
+
+module.exports = new RiskPolicy();
@@ -6,35 +6,67 @@ const {
 } = require('@solana/web3.js');
 const { Token, u64 } = require('@solana/spl-token');
 const logger = require('../utils/logger');
+const ledger = require('../utils/ledger');
 const JupiterClient = require('../utils/jupiter');
+const riskPolicy = require('./risk-policy');
 
 /**
  * TokenSniper class for sniping Solana tokens using Jupiter DEX
  */
 class TokenSniper {
-  constructor(connection, wallet, riskAnalyzer, positionManager) {
+  constructor(connection, wallet, riskAnalyzer, positionManager, jupiterClient = null) {
     this.connection = connection;
     this.wallet = wallet;
+    this.userWallets = null;
     this.riskAnalyzer = riskAnalyzer;
     this.positionManager = positionManager;
-    this.jupiterClient = new JupiterClient(connection);
+    this.jupiterClient = jupiterClient || new JupiterClient(connection);
+    this.maxRiskAnalysisAgeMs = 60000; // Cached risk results older than this are re-run before buying
     
     logger.info('TokenSniper initialized with Jupiter DEX integration');
   }
 
+  /**
+   * Set the per-user wallet manager
+   * @param {UserWalletManager} userWallets - Per-user wallet manager
+   */
+  setUserWallets(userWallets) {
+    this.userWallets = userWallets;
+  }
+
+  /**
+   * Set the Jupiter client for executing swaps
+   * @param {JupiterClient} jupiterClient - Jupiter client instance
+   */
+  setJupiterClient(jupiterClient) {
+    this.jupiterClient = jupiterClient;
+  }
+
+  /**
+   * Get the wallet a user trades with
+   * @param {number} userId - Telegram user ID, omitted for the bot wallet
+   * @param {Object} options - allowShared to read the shared wallet, see UserWalletManager.getWalletFor
+   * @returns {WalletManager} The user's wallet, or the shared wallet
+   */
+  getWallet(userId, options = {}) {
+    return this.userWallets ? this.userWallets.getWalletFor(userId, options) : this.wallet;
+  }
+
   /**
    * Snipe a token by purchasing it with SOL
    * @param {string} tokenAddress - Token mint address
    * @param {number} amountInSol - Amount of SOL to spend
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (riskSettings, maxRisk, force skips the risk policy, userId of the buying user,
+   *   feeProfile, 'snipe' unless given)
    * @returns {Promise<Object>} Snipe result
    */
   async snipeToken(tokenAddress, amountInSol, options = {}) {
     try {
       logger.info(`Starting snipe operation for token ${tokenAddress} with ${amountInSol} SOL`);
+      const wallet = this.getWallet(options.userId);
       
       // Demo mode handling
-      if (this.wallet.demoMode) {
+      if (wallet.demoMode) {
         logger.info(`Demo mode: Simulating snipe for token ${tokenAddress} with ${amountInSol} SOL`);
         await new Promise(resolve => setTimeout(resolve, 1500)); // Simulate delay
         
@@ -43,29 +75,45 @@ class TokenSniper {
         logger.info(`Demo mode: Risk analysis completed with level ${riskResult.riskLevel}%`);
         
         // Generate a fake position ID
-        const positionId = `demo_${Date.now().toString()}`;
+        let positionId = `demo_${Date.now().toString()}`;
         
         // Create a simulated position in demo mode
         if (this.positionManager) {
           const demoEntryPrice = 0.0001; // Fake price
           const demoAmount = amountInSol * 1000; // Simulate token amount
           
-          this.positionManager.addPosition(
+          const position = this.positionManager.addPosition(
             tokenAddress,
             demoEntryPrice,
             demoAmount,
             {
               stopLoss: options.stopLoss || 20,
-              takeProfit: options.takeProfit || 50
+              takeProfit: options.takeProfit || 50,
+              amountInSol,
+              strategyId: options.strategyId,
+              ownerId: options.userId
             }
           );
+          positionId = position.id;
         }
         
+        const signature = `demo_tx_${Date.now().toString(16)}`;
+        ledger.recordTransaction({
+          type: 'BUY',
+          userId: options.userId,
+          strategyId: options.strategyId,
+          positionId,
+          signature,
+          mint: tokenAddress,
+          changes: null,
+          estimate: { solDelta: -amountInSol, tokenDelta: amountInSol * 1000 }
+        });
+        
         return {
           success: true,
           tokenAddress,
           amountInSol,
-          signature: `demo_tx_${Date.now().toString(16)}`,
+          signature,
           positionId,
           demoMode: true
         };
@@ -73,10 +121,20 @@ class TokenSniper {
       
       // REAL MODE - Production implementation
       
-      // 1. Run risk analysis first
-      const riskResult = await this.riskAnalyzer.analyzeToken(tokenAddress);
-      if (riskResult.riskLevel > (options.maxRisk || 70)) {
-        throw new Error(`Token risk too high: ${riskResult.riskLevel}%. ${riskResult.warnings.join(', ')}`);
+      // 1. Run risk analysis and apply the risk policy - a forced buy skips the policy
+      // Buying right away, so only accept a recent cached analysis
+      const riskResult = await this.riskAnalyzer.analyzeToken(tokenAddress, { maxAgeMs: this.maxRiskAnalysisAgeMs });
+      const riskSettings = { ...(options.riskSettings || riskPolicy.getDefaultSettings()) };
+      if (options.maxRisk !== undefined) {
+        riskSettings.maxRiskScore = options.maxRisk;
+      }
+      
+      const violations = riskPolicy.evaluate(riskResult, riskSettings).map(violation => violation.message);
+      if (violations.length > 0) {
+        if (!options.force) {
+          throw new Error(`Token violates risk policy: ${violations.join('; ')}`);
+        }
+        logger.warn(`Forced buy of ${tokenAddress} despite risk policy violations: ${violations.join('; ')}`);
       }
       
       logger.info(`Risk analysis passed for ${tokenAddress} with level ${riskResult.riskLevel}%`);
@@ -85,38 +143,53 @@ class TokenSniper {
       const snipeResult = await this.jupiterClient.snipeToken(
         tokenAddress,
         amountInSol,
-        this.wallet,
+        wallet,
         {
           slippage: options.slippage || 5,
           skipPreflight: options.skipPreflight !== false, // Default to true for sniping
-          maxRetries: options.maxRetries || 3
+          maxAttempts: options.maxAttempts || 3,
+          feeProfile: options.feeProfile || 'snipe',
+          userId: options.userId
         }
       );
       
       if (!snipeResult.success) {
-        throw new Error(`Jupiter swap failed: ${snipeResult.error}`);
+        throw Object.assign(new Error(`Jupiter swap failed: ${snipeResult.error}`), {
+          errorType: snipeResult.errorType,
+          signature: snipeResult.signature,
+          maybeSucceeded: snipeResult.maybeSucceeded
+        });
       }
       
       logger.info(`Successfully sniped token ${tokenAddress}. Transaction: ${snipeResult.signature}`);
       
-      // 3. Create position tracking with stop loss/take profit if requested
+      // 3. Work out the fill from what the confirmed transaction actually moved
+      const changes = await ledger.getTransactionChanges(this.connection, snipeResult.signature, wallet.getPublicKey(), tokenAddress);
+      const fill = await this.getFill(tokenAddress, amountInSol, snipeResult, changes);
+      
+      // 4. Create position tracking with stop loss/take profit if requested
       if (this.positionManager && options.trackPosition !== false) {
         try {
-          // Get token price for position tracking
-          const currentPrice = await this.jupiterClient.getTokenPrice(tokenAddress);
-          
-          // Estimate token amount from swap output
-          const tokenAmount = snipeResult.outAmount || amountInSol * 1000; // Fallback if not available
+          if (!fill) {
+            throw new Error('Fill unknown, cannot compute an entry price');
+          }
           
-          // Add position to tracking
+          // Add position to tracking, SL/TP are measured from the price actually paid
           const position = this.positionManager.addPosition(
             tokenAddress,
-            currentPrice,
-            tokenAmount,
+            fill.price,
+            fill.tokenAmount,
             {
               stopLoss: options.stopLoss,
               takeProfit: options.takeProfit,
-              trailingStop: options.trailingStop
+              trailingStop: options.trailingStop,
+              amountInSol: fill.solSpent,
+              entryFeeSol: fill.feeSol,
+              entryPriorityFee: snipeResult.priorityFee,
+              entryTxid: snipeResult.signature,
+              fillEstimated: fill.estimated,
+              strategyId: options.strategyId,
+              ownerId: options.userId
             }
           );
           
@@ -130,6 +203,19 @@ class TokenSniper {
         }
       }
       
+      ledger.recordTransaction({
+        type: 'BUY',
+        userId: options.userId,
+        strategyId: options.strategyId,
+        positionId: snipeResult.positionId,
+        signature: snipeResult.signature,
+        mint: tokenAddress,
+        priorityFee: snipeResult.priorityFee,
+        tip: snipeResult.tip,
+        changes,
+        estimate: { solDelta: -amountInSol, tokenDelta: fill ? fill.tokenAmount : 0 }
+      });
+      
       return {
         success: true,
         tokenAddress,
@@ -138,6 +224,11 @@ class TokenSniper {
         positionId: snipeResult.positionId || snipeResult.signature,
         inAmount: snipeResult.inAmount,
         outAmount: snipeResult.outAmount,
+        tokenAmount: fill ? fill.tokenAmount : null,
+        solSpent: fill ? fill.solSpent : amountInSol,
+        feeSol: fill ? fill.feeSol : null,
+        priorityFee: snipeResult.priorityFee,
+        price: fill ? fill.price : null,
         priceImpact: snipeResult.priceImpactPct
       };
     } catch (error) {
@@ -145,11 +236,67 @@ class TokenSniper {
       return {
         success: false,
         tokenAddress,
-        error: error.message
+        error: error.message,
+        errorType: error.errorType || null,
+        signature: error.signature || null,
+        maybeSucceeded: error.maybeSucceeded || false
       };
     }
   }
 
+  /**
+   * Get the fill of a buy
+   * Taken from the confirmed transaction's balance changes. Without them the
+   * quoted output, converted with the mint's decimals, is used instead and the
+   * fill is flagged as estimated. Rent for the new token account and a landed
+   * bundle tip are fees, not part of the price: the rent is taken out of the SOL
+   * spent, the tip is paid by a transaction of its own.
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} amountInSol - SOL the buy was for
+   * @param {Object} swapResult - Swap result (outAmount in base units, tip)
+   * @param {Object|null} changes - Balance changes from ledger.getTransactionChanges
+   * @returns {Promise<Object|null>} tokenAmount, solSpent, feeSol (network fee, rent and tip), rentSol, tipSol, price
+   *   and estimated, or null if unknown
+   * @private
+   */
+  async getFill(tokenAddress, amountInSol, swapResult, changes) {
+    const tipSol = swapResult.tip && swapResult.tip.landed ? swapResult.tip.costLamports / LAMPORTS_PER_SOL : 0;
+    
+    if (changes && changes.tokenDelta > 0) {
+      const rentSol = changes.rentSol || 0;
+      const solSpent = -(changes.solDelta + rentSol);
+      return {
+        tokenAmount: changes.tokenDelta,
+        solSpent,
+        feeSol: changes.feeSol + rentSol + tipSol,
+        rentSol,
+        tipSol,
+        price: solSpent / changes.tokenDelta,
+        estimated: false
+      };
+    }
+    
+    try {
+      const decimals = await this.jupiterClient.getTokenDecimals(tokenAddress);
+      const tokenAmount = Number(swapResult.outAmount || 0) / (10 ** decimals);
+      if (!(tokenAmount > 0)) return null;
+      
+      logger.warn(`Using the quoted output for the fill of ${swapResult.signature}`);
+      return {
+        tokenAmount,
+        solSpent: amountInSol,
+        feeSol: null,
+        rentSol: null,
+        tipSol,
+        price: amountInSol / tokenAmount,
+        estimated: true
+      };
+    } catch (error) {
+      logger.error(`Error estimating the fill of ${swapResult.signature}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Buy a token (similar to snipe but with more user-friendly parameters)
    * @param {string} tokenAddress - Token mint address
@@ -159,9 +306,9 @@ class TokenSniper {
    */
   async buyToken(tokenAddress, amountInSol, options = {}) {
     return this.snipeToken(tokenAddress, amountInSol, {
-      maxRisk: 50,  // Lower default risk tolerance for regular buys
       slippage: options.slippage || 2, // Lower default slippage
       skipPreflight: false, // Regular buys can use preflight
+      feeProfile: 'buy',
       ...options
     });
   }
@@ -170,24 +317,45 @@ class TokenSniper {
    * Sell a token
    * @param {string} tokenAddress - Token mint address
    * @param {number} tokenAmount - Amount of tokens to sell
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (slippage, positionId, userId of the selling user, feeProfile, 'sell' unless given)
    * @returns {Promise<Object>} Sell result
    */
   async sellToken(tokenAddress, tokenAmount, options = {}) {
     try {
       logger.info(`Selling ${tokenAmount} of token ${tokenAddress}`);
+      const { userId, ...swapOptions } = options;
+      const wallet = this.getWallet(userId);
+      const position = options.positionId && this.positionManager
+        ? this.positionManager.getPosition(options.positionId)
+        : null;
+      const ledgerEntry = {
+        type: 'SELL',
+        userId,
+        strategyId: position ? position.strategyId : null,
+        positionId: position ? position.id : null,
+        mint: tokenAddress
+      };
       
       // Demo mode handling
-      if (this.wallet.demoMode) {
+      if (wallet.demoMode) {
         logger.info(`Demo mode: Simulating sell for ${tokenAmount} of token ${tokenAddress}`);
         await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate delay
         
+        const signature = `demo_tx_${Date.now().toString(16)}`;
+        const amountSol = tokenAmount * 0.0001; // Fake conversion rate
+        ledger.recordTransaction({
+          ...ledgerEntry,
+          signature,
+          changes: null,
+          estimate: { solDelta: amountSol, tokenDelta: -tokenAmount }
+        });
+        
         return {
           success: true,
           tokenAddress,
           tokenAmount,
-          amountSol: tokenAmount * 0.0001, // Fake conversion rate
-          signature: `demo_tx_${Date.now().toString(16)}`,
+          amountSol,
+          signature,
           demoMode: true
         };
       }
@@ -197,25 +365,43 @@ class TokenSniper {
         tokenAddress,  // Input is the token
         'SOL',         // Output is SOL
         tokenAmount,   // Amount of tokens to sell
-        this.wallet,
+        wallet,
         {
           slippage: options.slippage || 2,
-          ...options
+          feeProfile: 'sell',
+          userId,
+          ...swapOptions
         }
       );
       
       if (!sellResult.success) {
-        throw new Error(`Jupiter swap failed: ${sellResult.error}`);
+        throw Object.assign(new Error(`Jupiter swap failed: ${sellResult.error}`), {
+          errorType: sellResult.errorType,
+          signature: sellResult.signature,
+          maybeSucceeded: sellResult.maybeSucceeded
+        });
       }
       
       logger.info(`Successfully sold ${tokenAmount} of token ${tokenAddress}. Transaction: ${sellResult.signature}`);
       
-      // If position is being tracked, close it
-      if (options.positionId && this.positionManager) {
+      // Record what the swap actually moved from the confirmed transaction
+      const changes = await ledger.getTransactionChanges(this.connection, sellResult.signature, wallet.getPublicKey(), tokenAddress);
+      const entry = ledger.recordTransaction({
+        ...ledgerEntry,
+        signature: sellResult.signature,
+        priorityFee: sellResult.priorityFee,
+        tip: sellResult.tip,
+        changes,
+        estimate: { solDelta: sellResult.outAmount / LAMPORTS_PER_SOL, tokenDelta: -tokenAmount }
+      });
+      const tokensSold = -entry.tokenDelta || tokenAmount;
+      
+      // If position is being tracked, close it at the price the sell got
+      if (position) {
         try {
           this.positionManager.closePosition(
-            options.positionId,
-            sellResult.inAmount / sellResult.outAmount, // Approximate exchange rate
+            position.id,
+            entry.solDelta / tokensSold,
             'MANUAL_SELL'
           );
         } catch (positionError) {
@@ -227,8 +413,10 @@ class TokenSniper {
         success: true,
         tokenAddress,
         tokenAmount,
-        amountSol: sellResult.outAmount / LAMPORTS_PER_SOL,
+        amountSol: entry.solDelta,
         signature: sellResult.signature,
+        feeSol: changes ? changes.feeSol : null,
+        priorityFee: sellResult.priorityFee,
         priceImpact: sellResult.priceImpactPct
       };
     } catch (error) {
@@ -236,7 +424,10 @@ class TokenSniper {
       return {
         success: false,
         tokenAddress,
-        error: error.message
+        error: error.message,
+        errorType: error.errorType || null,
+        signature: error.signature || null,
+        maybeSucceeded: error.maybeSucceeded || false
       };
     }
   }
@@ -0,0 +1,212 @@
+const logger = require('./logger');
+const database = require('./database');
+
+// Roles from least to most privileged - each role can do everything the ones before it can
+const ROLES = ['viewer', 'trader', 'owner'];
+
+// Role needed for each command, null for commands anyone may use
+const COMMAND_ROLES = {
+  start: null,
+  help: null,
+  balance: 'viewer',
+  refresh: 'viewer',
+  wallet: 'viewer',
+  positions: 'viewer',
+  pnl: 'viewer',
+  fund: 'viewer',
+  monitor: 'viewer',
+  analyze: 'viewer',
+  autotrader: 'viewer',
+  snipe: 'trader',
+  buy: 'trader',
+  addstrategy: 'trader',
+  allowlist: 'trader',
+  authenticator: 'trader',
+  maxfee: 'trader',
+  grant: 'owner',
+  revoke: 'owner',
+  importkey: 'owner',
+  exportkey: 'owner',
+  rotatekey: 'owner'
+};
+
+// Role needed for each callback action, matched in order against the callback data
+const ACTION_ROLES = [
+  // Menus and read-only views
+  [/^(wallet|refresh|positions|limitOrders|dcaOrders|settings|referFriends|fund|monitor)$/, 'viewer'],
+  [/^(deposit_phantom|generate_qr|copy_pay_link)$/, 'viewer'],
+  [/^(autotrader|view_strategies)$/, 'viewer'],
+  [/^(token_analysis|analyze_token|recent_analyses|risk_settings|ignore_token)$/, 'viewer'],
+  [/^(token_risk|view_analysis|analyze_token|check_token|alert|stop_monitor)_/, 'viewer'],
+
+  // Bot-wide controls
+  [/^(start_autotrader|stop_autotrader)$/, 'owner'],
+  [/^(confirm_export_key|confirm_rotate_key|cancel_key_action)$/, 'owner'],
+
+  // Buys, orders, strategies and withdrawals
+  [/^(snipe|buy|cancel_snipe|skip_sl_tp|add_strategy|create_limit_buy|create_limit_sell|create_dca)$/, 'trader'],
+  [/^(force_buy|buy_analyzed|slippage|sl_tp|edit_limit|cancel_limit|dca|manage_strategy|toggle_strategy|edit_strategy|delete_strategy)_/, 'trader'],
+  [/^(approve_withdraw|reject_withdraw)_/, 'owner'],
+  [/^(withdraw_phantom|withdraw_token|withdraw_[0-9.]+|withdraw_token_[0-9]+|withdraw_to_[0-9]+|allowlist_add)$/, 'trader'],
+  [/^(confirm_withdraw|cancel_withdraw)_/, 'trader'],
+  [/^(set_max_risk|set_min_liquidity|set_rule_weights|set_lp_burned|set_mint_auth|set_freeze_auth|set_transfer_tax)$/, 'trader']
+];
+
+// Conversation states that only read data, any other state is part of a trading flow
+const VIEWER_STATES = ['waiting_for_token_address', 'WAITING_FOR_MONITOR_TOKEN', 'WAITING_FOR_ALERT_THRESHOLD'];
+
+// Role needed for anything not listed above
+const DEFAULT_ROLE = 'trader';
+
+/**
+ * AccessControl class holding the role of each Telegram user
+ * Users listed in ADMIN_TELEGRAM_IDS are permanent owners. Owners grant and
+ * revoke roles for everyone else, which are persisted. Users without a role
+ * can only use /start and /help.
+ */
+class AccessControl {
+  constructor() {
+    this.roles = database.loadData('roles', {});
+  }
+
+  /**
+   * Get the users configured as permanent owners
+   * @returns {Array<string>} Telegram user IDs from ADMIN_TELEGRAM_IDS
+   */
+  getAdminIds() {
+    return (process.env.ADMIN_TELEGRAM_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Get a user's role
+   * @param {number|string} userId - Telegram user ID
+   * @returns {string|null} The role, or null if the user has none
+   */
+  getRole(userId) {
+    if (userId === undefined || userId === null) return null;
+    if (this.getAdminIds().includes(String(userId))) return 'owner';
+
+    const record = this.roles[String(userId)];
+    return record ? record.role : null;
+  }
+
+  /**
+   * Check whether a user has at least a given role
+   * @param {number|string} userId - Telegram user ID
+   * @param {string|null} minRole - Least role required, null if no role is required
+   * @returns {boolean} True if the user's role is sufficient
+   */
+  hasRole(userId, minRole) {
+    if (!minRole) return true;
+
+    const role = this.getRole(userId);
+    return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+  }
+
+  /**
+   * Give a user a role, replacing their current one
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} role - Role to grant
+   * @param {number|string} grantedBy - Telegram user ID of the granting owner
+   * @returns {Object} The stored role record
+   */
+  grant(userId, role, grantedBy) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (!/^\d+$/.test(String(userId))) {
+      throw new Error('User ID must be a numeric Telegram user ID');
+    }
+    if (this.getAdminIds().includes(String(userId))) {
+      throw new Error('This user is an owner through ADMIN_TELEGRAM_IDS and their role cannot be changed');
+    }
+
+    const record = { role, grantedBy: String(grantedBy), grantedAt: Date.now() };
+    this.roles[String(userId)] = record;
+    this.save();
+
+    logger.info(`User ${grantedBy} granted ${role} to user ${userId}`);
+    return record;
+  }
+
+  /**
+   * Remove a user's role
+   * @param {number|string} userId - Telegram user ID
+   * @param {number|string} revokedBy - Telegram user ID of the revoking owner
+   * @returns {string|null} The revoked role, or null if the user had none
+   */
+  revoke(userId, revokedBy) {
+    if (this.getAdminIds().includes(String(userId))) {
+      throw new Error('This user is an owner through ADMIN_TELEGRAM_IDS and their role cannot be revoked');
+    }
+
+    const record = this.roles[String(userId)];
+    if (!record) return null;
+
+    delete this.roles[String(userId)];
+    this.save();
+
+    logger.info(`User ${revokedBy} revoked ${record.role} from user ${userId}`);
+    return record.role;
+  }
+
+  /**
+   * List every user with a role
+   * @returns {Array<Object>} userId, role and whether the role is permanent, owners first
+   */
+  listRoles() {
+    const permanent = this.getAdminIds().map(userId => ({ userId, role: 'owner', permanent: true }));
+    const granted = Object.entries(this.roles)
+      .filter(([userId]) => !this.getAdminIds().includes(userId))
+      .map(([userId, record]) => ({ userId, ...record, permanent: false }));
+
+    return [...permanent, ...granted]
+      .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role));
+  }
+
+  /**
+   * Get the role an update requires
+   * @param {Object} ctx - Telegram context
+   * @returns {string|null} Least role required, null if anyone may proceed
+   */
+  getRequiredRole(ctx) {
+    if (ctx.callbackQuery) {
+      const data = ctx.callbackQuery.data || '';
+      const match = ACTION_ROLES.find(([pattern]) => pattern.test(data));
+      return match ? match[1] : DEFAULT_ROLE;
+    }
+
+    const text = ctx.message && ctx.message.text;
+    if (!text) return 'viewer';
+
+    if (text.startsWith('/')) {
+      const command = text.slice(1).split(/[\s@]/)[0].toLowerCase();
+      return Object.prototype.hasOwnProperty.call(COMMAND_ROLES, command) ? COMMAND_ROLES[command] : DEFAULT_ROLE;
+    }
+
+    const state = ctx.session && ctx.session.state;
+    if (state === 'WAITING_FOR_IMPORT_KEY') return 'owner';
+    return VIEWER_STATES.includes(state) ? 'viewer' : DEFAULT_ROLE;
+  }
+
+  /**
+   * Get all roles, least privileged first
+   * @returns {Array<string>} Role names
+   */
+  getRoles() {
+    return [...ROLES];
+  }
+
+  /**
+   * Persist granted roles
+   * @private
+   */
+  save() {
+    database.saveData('roles', this.roles);
+  }
+}
+
+module.exports = new AccessControl();
@@ -1,14 +1,26 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const JournalStore = require('./journal-store');
+const { writeFileAtomic } = JournalStore;
 
 /**
  * Database utility for persisting data to disk
+ * Positions and trades live in journaled stores, so a price tick or a trade
+ * appends one record instead of rewriting the whole file. Other data is kept
+ * in small JSON files written atomically.
  */
 class Database {
   constructor() {
     this.dataDir = path.join(process.cwd(), 'data');
     this.ensureDataDirectory();
+
+    this.positionStore = new JournalStore(this.dataDir, 'positions', { indexes: ['status', 'tokenAddress', 'ownerId'] });
+    this.tradeStore = new JournalStore(this.dataDir, 'trades', { indexes: ['strategyId', 'tokenAddress', 'success', 'type', 'userId'] });
+    this.importLegacyFiles();
+
+    // Trades are keyed by a sequence number so equal trade IDs never overwrite each other
+    this.nextTradeKey = this.tradeStore.keys().reduce((max, key) => Math.max(max, Number(key) + 1), 0);
   }
 
   /**
@@ -25,25 +37,66 @@ class Database {
     }
   }
 
+  /**
+   * Import positions.json and trading-history.json into the journaled stores
+   * Runs once, when a store has never been written to. The old files are kept
+   * with an .imported suffix.
+   * @private
+   */
+  importLegacyFiles() {
+    const imports = [
+      {
+        store: this.positionStore,
+        file: 'positions.json',
+        // Saved as { positions: [...] }, older files as a bare array
+        toEntries: data => (Array.isArray(data) ? data : data.positions || []).map(position => [position.id, position])
+      },
+      {
+        store: this.tradeStore,
+        file: 'trading-history.json',
+        toEntries: data => data.map((trade, index) => [index, trade])
+      }
+    ];
+
+    imports.forEach(({ store, file, toEntries }) => {
+      const filePath = path.join(this.dataDir, file);
+      if (!store.isNew() || !fs.existsSync(filePath)) return;
+
+      try {
+        const entries = toEntries(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        store.replaceAll(entries);
+        fs.renameSync(filePath, `${filePath}.imported`);
+        logger.info(`Imported ${entries.length} records from ${file}`);
+      } catch (error) {
+        logger.error(`Failed to import ${file}: ${error.message}`);
+      }
+    });
+  }
+
   /**
    * Save positions to disk
+   * Only positions that changed since the last save are written.
    * @param {Map} positions - Map of positions
    * @returns {boolean} Success status
    */
   savePositions(positions) {
     try {
-      const filePath = path.join(this.dataDir, 'positions.json');
-      
-      // Convert Map to Array for JSON serialization
-      const positionsArray = Array.from(positions.values());
-      
-      // Save with our expected format - an object with a positions array
-      fs.writeFileSync(
-        filePath,
-        JSON.stringify({ positions: positionsArray }, null, 2)
-      );
-      
-      logger.info(`Saved ${positionsArray.length} positions to disk`);
+      let written = 0;
+
+      positions.forEach(position => {
+        if (this.positionStore.put(position.id, position)) written++;
+      });
+
+      this.positionStore.keys()
+        .filter(id => !positions.has(id))
+        .forEach(id => {
+          this.positionStore.delete(id);
+          written++;
+        });
+
+      if (written > 0) {
+        logger.debug(`Saved ${written} changed positions to disk`);
+      }
       return true;
     } catch (error) {
       logger.error(`Failed to save positions: ${error.message}`);
@@ -51,43 +104,54 @@ class Database {
     }
   }
 
+  /**
+   * Save a single position to disk
+   * @param {Object} position - Position
+   * @returns {boolean} Success status
+   */
+  savePosition(position) {
+    try {
+      this.positionStore.put(position.id, position);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save position ${position.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Remove every position from disk
+   * @returns {boolean} Success status
+   */
+  clearPositions() {
+    try {
+      this.positionStore.replaceAll([]);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to clear positions: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Load positions from disk
+   * @param {Object} filters - Filters to apply (status, tokenAddress, ownerId)
    * @returns {Map} Map of positions
    */
-  loadPositions() {
+  loadPositions(filters = {}) {
     try {
-      const filePath = path.join(this.dataDir, 'positions.json');
-      
-      if (!fs.existsSync(filePath)) {
-        logger.info('No positions file found, starting with empty positions');
-        return new Map();
-      }
-      
-      const data = fs.readFileSync(filePath, 'utf8');
-      const jsonData = JSON.parse(data);
-      
-      // Check if the parsed data is an object with a positions array
-      // or directly an array of positions
-      const positionsArray = Array.isArray(jsonData) ? jsonData : 
-                            (jsonData.positions && Array.isArray(jsonData.positions)) ? 
-                            jsonData.positions : [];
-      
-      // Create a new map from the array
       const positions = new Map();
-      
-      // Only iterate if we have positions
-      if (positionsArray && positionsArray.length > 0) {
-        positionsArray.forEach(position => {
-          // Restore Date objects which were serialized as strings
-          if (position.createdAt) position.createdAt = new Date(position.createdAt);
-          if (position.closedAt) position.closedAt = new Date(position.closedAt);
-          if (position.entryTimestamp) position.entryTimestamp = new Date(position.entryTimestamp);
-          
-          positions.set(position.id, position);
-        });
-      }
-      
+      const query = { status: filters.status, tokenAddress: filters.tokenAddress, ownerId: filters.ownerId };
+
+      this.positionStore.find(query).forEach(position => {
+        // Restore Date objects which were serialized as strings
+        if (position.createdAt) position.createdAt = new Date(position.createdAt);
+        if (position.closedAt) position.closedAt = new Date(position.closedAt);
+        if (position.entryTimestamp) position.entryTimestamp = new Date(position.entryTimestamp);
+
+        positions.set(position.id, position);
+      });
+
       logger.info(`Loaded ${positions.size} positions from disk`);
       return positions;
     } catch (error) {
@@ -106,10 +170,7 @@ class Database {
     try {
       const filePath = path.join(this.dataDir, `${key}.json`);
       
-      fs.writeFileSync(
-        filePath,
-        JSON.stringify(data, null, 2)
-      );
+      writeFileAtomic(filePath, JSON.stringify(data, null, 2));
       
       logger.info(`Saved data '${key}' to disk`);
       return true;
@@ -167,6 +228,43 @@ class Database {
     return strategies;
   }
 
+  /**
+   * Add a token analysis to a user's analysis history
+   * @param {number|string} userId - Telegram user ID
+   * @param {Object} analysis - Analysis summary (tokenAddress, tokenName, tokenSymbol, riskScore)
+   * @param {number} maxEntries - Maximum entries kept per user
+   * @returns {boolean} Success status
+   */
+  recordTokenAnalysis(userId, analysis, maxEntries = 50) {
+    const history = this.loadData('analysis-history', {});
+    const entries = history[userId] || [];
+    
+    entries.unshift({ ...analysis, timestamp: analysis.timestamp || Date.now() });
+    history[userId] = entries.slice(0, maxEntries);
+    
+    return this.saveData('analysis-history', history);
+  }
+
+  /**
+   * Get a user's token analysis history, newest first
+   * @param {number|string} userId - Telegram user ID
+   * @param {Object} filters - Filters to apply (tokenAddress, limit)
+   * @returns {Array} Analysis history
+   */
+  getTokenAnalysisHistory(userId, filters = {}) {
+    let entries = this.loadData('analysis-history', {})[userId] || [];
+    
+    if (filters.tokenAddress) {
+      entries = entries.filter(entry => entry.tokenAddress === filters.tokenAddress);
+    }
+    
+    if (filters.limit) {
+      entries = entries.slice(0, filters.limit);
+    }
+    
+    return entries;
+  }
+
   /**
    * Add a trade to the trading history
    * @param {Object} trade - Trade data
@@ -174,24 +272,9 @@ class Database {
    */
   recordTrade(trade) {
     try {
-      const filePath = path.join(this.dataDir, 'trading-history.json');
-      let history = [];
-      
-      // Load existing history if available
-      if (fs.existsSync(filePath)) {
-        const data = fs.readFileSync(filePath, 'utf8');
-        history = JSON.parse(data);
-      }
-      
-      // Add the new trade with timestamp
       trade.timestamp = trade.timestamp || new Date();
-      history.push(trade);
-      
-      // Save updated history
-      fs.writeFileSync(
-        filePath,
-        JSON.stringify(history, null, 2)
-      );
+      this.tradeStore.put(this.nextTradeKey, trade);
+      this.nextTradeKey++;
       
       logger.info(`Recorded trade ${trade.id} in trading history`);
       return true;
@@ -203,34 +286,25 @@ class Database {
 
   /**
    * Get trading history, optionally filtered by parameters
+   * strategyId, tokenAddress, type, success and userId are answered from indexes.
    * @param {Object} filters - Filters to apply
-   * @returns {Array} Filtered trade history
+   * @returns {Array} Filtered trade history, oldest first
    */
   getTradingHistory(filters = {}) {
     try {
-      const filePath = path.join(this.dataDir, 'trading-history.json');
-      
-      if (!fs.existsSync(filePath)) {
-        return [];
-      }
-      
-      const data = fs.readFileSync(filePath, 'utf8');
-      let history = JSON.parse(data);
+      let history = this.tradeStore.find({
+        strategyId: filters.strategyId || undefined,
+        tokenAddress: filters.tokenAddress || undefined,
+        type: filters.type || undefined,
+        success: filters.success,
+        userId: filters.userId
+      });
       
       // Convert timestamps to Date objects
       history.forEach(trade => {
         if (trade.timestamp) trade.timestamp = new Date(trade.timestamp);
       });
       
-      // Apply filters if provided
-      if (filters.strategyId) {
-        history = history.filter(trade => trade.strategyId === filters.strategyId);
-      }
-      
-      if (filters.tokenAddress) {
-        history = history.filter(trade => trade.tokenAddress === filters.tokenAddress);
-      }
-      
       if (filters.startDate) {
         const startDate = new Date(filters.startDate);
         history = history.filter(trade => trade.timestamp >= startDate);
@@ -241,10 +315,6 @@ class Database {
         history = history.filter(trade => trade.timestamp <= endDate);
       }
       
-      if (filters.success !== undefined) {
-        history = history.filter(trade => trade.success === filters.success);
-      }
-      
       return history;
     } catch (error) {
       logger.error(`Failed to get trading history: ${error.message}`);
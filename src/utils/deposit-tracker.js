@@ -0,0 +1,246 @@
+const { PublicKey } = require('@solana/web3.js');
+const { findReference, validateTransfer, FindReferenceError, ValidateTransferError } = require('@solana/pay');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const database = require('./database');
+const ledger = require('./ledger');
+
+/**
+ * DepositTracker class confirming Solana Pay deposits
+ * Each deposit link or QR code carries a unique reference key. Outstanding
+ * references are polled on a fixed tick; a transaction found for one is checked
+ * with validateTransfer, then credited to the user's ledger. Requests nobody
+ * pays before they expire are closed.
+ * Extends EventEmitter to provide events for confirmed, rejected and expired deposits
+ */
+class DepositTracker extends EventEmitter {
+  /**
+   * @param {Connection} connection - Solana connection
+   */
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.requests = new Map();
+    this.running = false;
+    this.checkInterval = null;
+    this.checking = false;
+
+    // Configuration
+    this.checkFrequencyMs = 15000;              // Look for payments every 15 seconds
+    this.requestTtlMs = 30 * 60 * 1000;         // Close requests after 30 minutes
+    this.maxPendingPerUser = 5;                 // Oldest pending request is closed beyond this
+    this.maxValidationFailures = 5;             // Reject a found payment that fails validation this often
+
+    this.loadRequests();
+  }
+
+  /**
+   * Load requests from the database and start tracking if any are pending
+   */
+  loadRequests() {
+    const requests = database.loadData('deposit-requests', []);
+    requests.forEach(request => this.requests.set(request.reference, request));
+
+    logger.info(`Loaded ${this.getPendingRequests().length} pending deposit requests`);
+
+    if (this.getPendingRequests().length > 0) {
+      this.start();
+    }
+  }
+
+  /**
+   * Save requests to the database
+   * Closed requests older than a day are dropped.
+   */
+  saveRequests() {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    const requests = Array.from(this.requests.values())
+      .filter(request => request.status === 'pending' || request.createdAt >= cutoff);
+    database.saveData('deposit-requests', requests);
+  }
+
+  /**
+   * Start tracking a deposit request
+   * @param {Object} params - Request parameters
+   * @param {string} params.reference - Solana Pay reference public key
+   * @param {number} params.userId - Telegram user making the deposit
+   * @param {number} params.chatId - Chat to notify
+   * @param {string} params.recipient - Wallet address receiving the deposit
+   * @returns {Object} The tracked request
+   */
+  track({ reference, userId, chatId, recipient }) {
+    const request = {
+      reference,
+      userId,
+      chatId,
+      recipient,
+      status: 'pending',
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.requestTtlMs
+    };
+    this.requests.set(reference, request);
+
+    // Each new link supersedes the user's oldest one beyond the limit
+    const pending = this.getPendingRequests().filter(item => item.userId === userId);
+    pending.slice(0, Math.max(0, pending.length - this.maxPendingPerUser)).forEach(item => {
+      item.status = 'superseded';
+      item.closedAt = Date.now();
+    });
+
+    this.saveRequests();
+    this.start();
+
+    logger.info(`Tracking deposit reference ${reference} for user ${userId}`);
+    return request;
+  }
+
+  /**
+   * Get all pending requests
+   * @returns {Array} Pending requests, oldest first
+   */
+  getPendingRequests() {
+    return Array.from(this.requests.values())
+      .filter(request => request.status === 'pending')
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    logger.info('Deposit tracker started');
+
+    this.checkInterval = setInterval(() => {
+      this.checkPendingRequests().catch(error => {
+        logger.error(`Error checking deposits: ${error.message}`);
+      });
+    }, this.checkFrequencyMs);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.running = false;
+    logger.info('Deposit tracker stopped');
+  }
+
+  /**
+   * Check every pending request for a payment, expiring stale ones
+   */
+  async checkPendingRequests() {
+    // A slow RPC must not let the next tick credit the same deposit again
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const pending = this.getPendingRequests();
+      if (pending.length === 0) {
+        this.stop();
+        return;
+      }
+
+      for (const request of pending) {
+        await this.checkRequest(request);
+      }
+
+      this.saveRequests();
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Look for and validate the payment of one request
+   * The expiry is checked whatever the lookup returned, so a lookup that keeps
+   * failing can't leave a request pending forever.
+   * @param {Object} request - Deposit request
+   * @private
+   */
+  async checkRequest(request) {
+    let signatureInfo = null;
+    try {
+      signatureInfo = await findReference(this.connection, new PublicKey(request.reference), { finality: 'confirmed' });
+    } catch (error) {
+      // FindReferenceError means not paid yet, anything else is retried next tick
+      if (!(error instanceof FindReferenceError)) {
+        logger.error(`Error looking up deposit reference ${request.reference}: ${error.message}`);
+      }
+    }
+
+    // A failed payment attempt leaves the request open for another try
+    if (signatureInfo && !signatureInfo.err) {
+      await this.validateRequest(request, signatureInfo.signature);
+    }
+
+    if (request.status === 'pending' && Date.now() > request.expiresAt) {
+      request.status = 'expired';
+      request.closedAt = Date.now();
+      logger.info(`Deposit request ${request.reference} expired`);
+      this.emit('depositExpired', request);
+    }
+  }
+
+  /**
+   * Validate a payment found for a request and credit it
+   * Errors other than an invalid transfer are retried, up to maxValidationFailures.
+   * @param {Object} request - Deposit request
+   * @param {string} signature - Transaction carrying the request's reference
+   * @private
+   */
+  async validateRequest(request, signature) {
+    try {
+      const response = await validateTransfer(
+        this.connection,
+        signature,
+        { recipient: new PublicKey(request.recipient), amount: 0, reference: new PublicKey(request.reference) },
+        { commitment: 'confirmed' }
+      );
+
+      const changes = ledger.getBalanceChanges(response, request.recipient);
+      const amountSol = changes.solDelta;
+      if (!(amountSol > 0)) {
+        throw new ValidateTransferError('amount not transferred');
+      }
+
+      ledger.recordTransaction({
+        type: 'DEPOSIT',
+        userId: request.userId,
+        signature,
+        reference: request.reference,
+        changes
+      });
+
+      request.status = 'confirmed';
+      request.signature = signature;
+      request.amountSol = amountSol;
+      request.closedAt = Date.now();
+
+      logger.info(`Deposit of ${amountSol} SOL confirmed for user ${request.userId}: ${signature}`);
+      this.emit('depositConfirmed', request);
+    } catch (error) {
+      if (!(error instanceof ValidateTransferError)) {
+        request.validationFailures = (request.validationFailures || 0) + 1;
+        logger.error(`Error validating deposit ${signature} (attempt ${request.validationFailures}/${this.maxValidationFailures}): ${error.message}`);
+        if (request.validationFailures < this.maxValidationFailures) return;
+      }
+
+      request.status = 'rejected';
+      request.signature = signature;
+      request.error = error.message;
+      request.closedAt = Date.now();
+
+      logger.warn(`Deposit ${signature} for reference ${request.reference} rejected: ${error.message}`);
+      this.emit('depositRejected', request);
+    }
+  }
+}
+
+module.exports = DepositTracker;
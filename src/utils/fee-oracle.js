@@ -0,0 +1,254 @@
+const {
+  PublicKey,
+  VersionedTransaction,
+  TransactionMessage,
+  ComputeBudgetProgram,
+  LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
+const logger = require('./logger');
+const database = require('./database');
+
+// How each kind of operation bids for block space: the percentile of recent
+// fees paid on the same accounts, the least price in microLamports per CU, and
+// how much the price grows with each rebuilt attempt
+const FEE_PROFILES = {
+  snipe: { percentile: 90, minMicroLamports: 100000, escalation: 2 },       // Aggressive, racing other buyers
+  'stop-loss': { percentile: 95, minMicroLamports: 100000, escalation: 2 }, // Urgent, every slot costs money
+  sell: { percentile: 75, minMicroLamports: 40000, escalation: 1.5 },
+  buy: { percentile: 75, minMicroLamports: 30000, escalation: 1.5 },
+  transfer: { percentile: 50, minMicroLamports: 5000, escalation: 1.5 },
+  dca: { percentile: 25, minMicroLamports: 1000, escalation: 1.25 }         // Cheap, a late buy costs nothing
+};
+
+const DEFAULT_PROFILE = 'transfer';
+
+// Priority fee a user pays per transaction at most, unless they change it
+const DEFAULT_MAX_FEE_LAMPORTS = 0.005 * LAMPORTS_PER_SOL;
+
+// Compute unit limits
+const DEFAULT_COMPUTE_UNITS = 200000;
+const MAX_COMPUTE_UNITS = 1400000;
+
+// getRecentPrioritizationFees accepts at most this many accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+/**
+ * FeeOracle class pricing priority fees
+ * Prices come from getRecentPrioritizationFees for the writable accounts a
+ * transaction locks, so a swap through a busy pool bids against that pool's
+ * recent fees. The operation's profile picks the percentile and floor, each
+ * rebuilt attempt escalates the price, and the total is capped by the user's
+ * maximum priority fee. Compute unit limits are sized by simulating the
+ * transaction.
+ */
+class FeeOracle {
+  constructor() {
+    this.maxFees = database.loadData('fee-settings', {});
+    this.feeCache = new Map();
+
+    // Configuration
+    this.feeCacheMs = 10000;         // Reuse recent fees for 10 seconds
+    this.maxFeeCacheEntries = 100;   // Most account sets kept in the fee cache
+    this.computeUnitMargin = 1.15;   // Headroom over the simulated compute units
+  }
+
+  /**
+   * Get the fee profiles
+   * @returns {Object} Profiles by name
+   */
+  getProfiles() {
+    return { ...FEE_PROFILES };
+  }
+
+  /**
+   * Get a user's maximum priority fee
+   * @param {number|string} userId - Telegram user ID, null for the bot wallet
+   * @returns {number} Lamports per transaction
+   */
+  getMaxFee(userId) {
+    const maxFee = userId !== undefined && userId !== null ? this.maxFees[String(userId)] : undefined;
+    return maxFee ?? DEFAULT_MAX_FEE_LAMPORTS;
+  }
+
+  /**
+   * Set a user's maximum priority fee
+   * @param {number|string} userId - Telegram user ID
+   * @param {number} lamports - Lamports per transaction
+   * @returns {number} The new maximum
+   */
+  setMaxFee(userId, lamports) {
+    if (!Number.isInteger(lamports) || lamports < 0) {
+      throw new Error('Max priority fee must be zero or a positive amount');
+    }
+
+    this.maxFees[String(userId)] = lamports;
+    database.saveData('fee-settings', this.maxFees);
+    logger.info(`Max priority fee for user ${userId} set to ${lamports} lamports`);
+
+    return lamports;
+  }
+
+  /**
+   * Price the priority fee of a transaction
+   * @param {Connection} connection - Solana connection
+   * @param {Object} params - Fee parameters
+   * @param {Array<PublicKey|string>} params.accounts - Writable accounts the transaction locks
+   * @param {string} params.profile - Fee profile name
+   * @param {number} params.attempt - Attempt number, from 1, escalating the price
+   * @param {number} params.computeUnits - Compute unit limit of the transaction
+   * @param {number} params.userId - User whose maximum caps the fee
+   * @param {number} params.baseMicroLamports - Price to start from instead of the recent fees
+   * @returns {Promise<Object>} profile, microLamports, computeUnits, lamports, attempt and capped
+   */
+  async getPriorityFee(connection, { accounts = [], profile = DEFAULT_PROFILE, attempt = 1, computeUnits = DEFAULT_COMPUTE_UNITS, userId = null, baseMicroLamports = null } = {}) {
+    const settings = FEE_PROFILES[profile] || FEE_PROFILES[DEFAULT_PROFILE];
+
+    let base = baseMicroLamports;
+    if (base === null || base === undefined) {
+      const fees = await this.getRecentFees(connection, accounts);
+      base = Math.max(settings.minMicroLamports, this.percentile(fees, settings.percentile));
+    }
+
+    const escalated = Math.ceil(base * settings.escalation ** (attempt - 1));
+    const maxMicroLamports = Math.floor(this.getMaxFee(userId) * 1e6 / computeUnits);
+    const microLamports = Math.min(escalated, maxMicroLamports);
+
+    const fee = {
+      profile,
+      microLamports,
+      computeUnits,
+      lamports: Math.ceil(microLamports * computeUnits / 1e6),
+      attempt,
+      capped: microLamports < escalated
+    };
+
+    logger.debug(`Priority fee (${profile}, attempt ${attempt}): ${microLamports} microLamports/CU for ${computeUnits} CU${fee.capped ? ', capped' : ''}`);
+    return fee;
+  }
+
+  /**
+   * Size the compute unit limit of a set of instructions by simulating them
+   * @param {Connection} connection - Solana connection
+   * @param {Array<TransactionInstruction>} instructions - Instructions without compute budget instructions
+   * @param {PublicKey} payer - Fee payer
+   * @returns {Promise<number>} Compute unit limit, the default if the simulation fails
+   */
+  async estimateComputeUnits(connection, instructions, payer) {
+    try {
+      // Simulate with the highest limit so the simulation itself can't run out
+      const message = new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: PublicKey.default.toBase58(),
+        instructions: [ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }), ...instructions]
+      }).compileToV0Message();
+
+      const { value } = await connection.simulateTransaction(new VersionedTransaction(message), {
+        sigVerify: false,
+        replaceRecentBlockhash: true
+      });
+
+      if (value.err || !value.unitsConsumed) {
+        logger.warn(`Compute unit simulation failed (${JSON.stringify(value.err)}), using ${DEFAULT_COMPUTE_UNITS}`);
+        return DEFAULT_COMPUTE_UNITS;
+      }
+
+      return Math.min(MAX_COMPUTE_UNITS, Math.ceil(value.unitsConsumed * this.computeUnitMargin));
+    } catch (error) {
+      logger.warn(`Error simulating compute units: ${error.message}`);
+      return DEFAULT_COMPUTE_UNITS;
+    }
+  }
+
+  /**
+   * Build the compute budget instructions for a priced fee
+   * @param {Object} fee - Fee from getPriorityFee
+   * @returns {Array<TransactionInstruction>} Compute unit limit and price instructions
+   */
+  getComputeBudgetInstructions(fee) {
+    return [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: fee.computeUnits }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: fee.microLamports })
+    ];
+  }
+
+  /**
+   * Get the writable accounts of a set of instructions
+   * @param {Array<TransactionInstruction>} instructions - Instructions
+   * @returns {Array<string>} Account addresses
+   */
+  getWritableAccounts(instructions) {
+    const accounts = instructions
+      .flatMap(instruction => instruction.keys)
+      .filter(key => key.isWritable)
+      .map(key => key.pubkey.toBase58());
+    return [...new Set(accounts)];
+  }
+
+  /**
+   * Get recent prioritization fees paid on a set of accounts
+   * @param {Connection} connection - Solana connection
+   * @param {Array<PublicKey|string>} accounts - Writable accounts
+   * @returns {Promise<Array<number>>} Fees in microLamports per CU, empty if unavailable
+   * @private
+   */
+  async getRecentFees(connection, accounts) {
+    const keys = [...new Set(accounts.map(account => account.toString()))].sort().slice(0, MAX_FEE_ACCOUNTS);
+    const cacheKey = keys.join(',');
+
+    const cached = this.feeCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < this.feeCacheMs) {
+      return cached.fees;
+    }
+
+    try {
+      const recent = await connection.getRecentPrioritizationFees({
+        lockedWritableAccounts: keys.map(key => new PublicKey(key))
+      });
+      const fees = recent.map(item => item.prioritizationFee);
+      this.cacheFees(cacheKey, fees);
+      return fees;
+    } catch (error) {
+      logger.warn(`Error fetching recent prioritization fees: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Cache fees for an account set, dropping expired entries and the oldest
+   * ones beyond the size cap
+   * @param {string} cacheKey - Sorted writable accounts, comma separated
+   * @param {Array<number>} fees - Fees in microLamports per CU
+   * @private
+   */
+  cacheFees(cacheKey, fees) {
+    const now = Date.now();
+    for (const [key, entry] of this.feeCache) {
+      if (now - entry.fetchedAt >= this.feeCacheMs) this.feeCache.delete(key);
+    }
+
+    // Re-insert so the entry moves to the end of the eviction order
+    this.feeCache.delete(cacheKey);
+    this.feeCache.set(cacheKey, { fees, fetchedAt: now });
+
+    while (this.feeCache.size > this.maxFeeCacheEntries) {
+      this.feeCache.delete(this.feeCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Get a percentile of a list of fees
+   * @param {Array<number>} fees - Fees
+   * @param {number} percentile - Percentile, 0 to 100
+   * @returns {number} The fee at that percentile, 0 for an empty list
+   * @private
+   */
+  percentile(fees, percentile) {
+    if (fees.length === 0) return 0;
+
+    const sorted = [...fees].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil(percentile / 100 * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+}
+
+module.exports = new FeeOracle();
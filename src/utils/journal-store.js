@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Write a file atomically
+ * Data goes to a temporary file that is flushed and renamed over the target,
+ * so a crash leaves either the old or the new file, never a partial one.
+ * @param {string} filePath - Target file path
+ * @param {string} data - File contents
+ */
+const writeFileAtomic = (filePath, data) => {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * JournalStore class, an embedded key-value store with secondary indexes
+ * Every change is appended to a journal file and flushed before it is applied,
+ * so writes cost one small append instead of rewriting the whole data set.
+ * When the journal grows past a threshold it is compacted into a snapshot
+ * written atomically. Replaying a journal over a snapshot is idempotent, so a
+ * crash at any point loses at most the write in progress.
+ */
+class JournalStore {
+  /**
+   * @param {string} dataDir - Directory holding the store files
+   * @param {string} name - Store name, used for file names
+   * @param {Object} options - indexes (fields indexed for equality lookups), compactThreshold
+   */
+  constructor(dataDir, name, options = {}) {
+    this.name = name;
+    this.snapshotPath = path.join(dataDir, `${name}.snapshot.json`);
+    this.journalPath = path.join(dataDir, `${name}.journal`);
+    this.indexedFields = options.indexes || [];
+    this.compactThreshold = options.compactThreshold || 1000;
+
+    this.records = new Map();     // key -> serialized record
+    this.indexes = new Map();     // field -> (value -> Set of keys)
+    this.insertionOrder = new Map(); // key -> position, index buckets lose insertion order on updates
+    this.nextPosition = 0;
+    this.indexedFields.forEach(field => this.indexes.set(field, new Map()));
+    this.journalLength = 0;
+
+    this.load();
+  }
+
+  /**
+   * Whether the store has never been written to
+   * @returns {boolean} True if neither a snapshot nor a journal exists
+   */
+  isNew() {
+    return !fs.existsSync(this.snapshotPath) && !fs.existsSync(this.journalPath);
+  }
+
+  /**
+   * Load the snapshot and replay the journal
+   * @private
+   */
+  load() {
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      Object.entries(snapshot.records).forEach(([key, value]) => this.apply({ op: 'put', key, value }));
+    }
+
+    if (!fs.existsSync(this.journalPath)) return;
+
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+    let validLength = 0;
+
+    for (const line of lines) {
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Only the last append can be torn by a crash - drop it and anything after
+        logger.warn(`Discarding incomplete entry at the end of the ${this.name} journal`);
+        break;
+      }
+
+      this.apply(entry);
+      this.journalLength++;
+      validLength += Buffer.byteLength(line) + 1;
+    }
+
+    if (validLength !== fs.statSync(this.journalPath).size) {
+      fs.truncateSync(this.journalPath, validLength);
+    }
+  }
+
+  /**
+   * Get a record
+   * @param {string} key - Record key
+   * @returns {Object|undefined} A copy of the record
+   */
+  get(key) {
+    const serialized = this.records.get(String(key));
+    return serialized === undefined ? undefined : JSON.parse(serialized);
+  }
+
+  /**
+   * Check whether a record exists
+   * @param {string} key - Record key
+   * @returns {boolean} True if the record exists
+   */
+  has(key) {
+    return this.records.has(String(key));
+  }
+
+  /**
+   * Insert or replace a record
+   * Unchanged records are not written again.
+   * @param {string} key - Record key
+   * @param {Object} value - Record
+   * @returns {boolean} Whether anything was written
+   */
+  put(key, value) {
+    const serialized = JSON.stringify(value);
+    if (this.records.get(String(key)) === serialized) return false;
+
+    this.append({ op: 'put', key: String(key), value: JSON.parse(serialized) });
+    return true;
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - Record key
+   * @returns {boolean} Whether the record existed
+   */
+  delete(key) {
+    if (!this.records.has(String(key))) return false;
+
+    this.append({ op: 'del', key: String(key) });
+    return true;
+  }
+
+  /**
+   * Get every record key
+   * @returns {Array<string>} Keys in insertion order
+   */
+  keys() {
+    return Array.from(this.records.keys());
+  }
+
+  /**
+   * Find records matching all given field values
+   * Indexed fields are looked up through their index, where a number and its
+   * string form match the same records, so 123 finds '123'. Other fields are scanned.
+   * @param {Object} query - Field -> required value
+   * @returns {Array<Object>} Copies of the matching records, in insertion order
+   */
+  find(query = {}) {
+    const conditions = Object.entries(query).filter(([, value]) => value !== undefined);
+    const indexed = conditions.filter(([field]) => this.indexes.has(field));
+    const scanned = conditions.filter(([field]) => !this.indexes.has(field));
+
+    let keys;
+    if (indexed.length > 0) {
+      // Start from the smallest index bucket and check the rest against it
+      const [smallest, ...others] = indexed
+        .map(([field, value]) => this.indexes.get(field).get(this.indexValue(value)) || new Set())
+        .sort((a, b) => a.size - b.size);
+      keys = Array.from(smallest)
+        .filter(key => others.every(bucket => bucket.has(key)))
+        .sort((a, b) => this.insertionOrder.get(a) - this.insertionOrder.get(b));
+    } else {
+      keys = this.keys();
+    }
+
+    return keys
+      .map(key => JSON.parse(this.records.get(key)))
+      .filter(record => scanned.every(([field, value]) => record[field] === value));
+  }
+
+  /**
+   * Replace every record in a single snapshot write
+   * Used for bulk imports, which then either land completely or not at all.
+   * @param {Array<[string, Object]>} entries - Key and record pairs
+   */
+  replaceAll(entries) {
+    this.records.clear();
+    this.insertionOrder.clear();
+    this.indexes.forEach(index => index.clear());
+    entries.forEach(([key, value]) => this.apply({ op: 'put', key: String(key), value: JSON.parse(JSON.stringify(value)) }));
+    this.compact();
+  }
+
+  /**
+   * Rewrite the store as a snapshot and start an empty journal
+   */
+  compact() {
+    const records = {};
+    this.records.forEach((serialized, key) => {
+      records[key] = JSON.parse(serialized);
+    });
+
+    writeFileAtomic(this.snapshotPath, JSON.stringify({ name: this.name, compactedAt: Date.now(), records }));
+    fs.writeFileSync(this.journalPath, '');
+    this.journalLength = 0;
+
+    logger.info(`Compacted ${this.name} store (${this.records.size} records)`);
+  }
+
+  /**
+   * Flush a journal entry to disk, then apply it in memory
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  append(entry) {
+    const fd = fs.openSync(this.journalPath, 'a');
+    try {
+      fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.apply(entry);
+    this.journalLength++;
+
+    if (this.journalLength >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Apply a journal entry to the in-memory records and indexes
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  apply(entry) {
+    const previous = this.records.get(entry.key);
+    if (previous !== undefined) {
+      this.unindex(entry.key, JSON.parse(previous));
+    }
+
+    if (entry.op === 'put') {
+      this.records.set(entry.key, JSON.stringify(entry.value));
+      this.index(entry.key, entry.value);
+      if (!this.insertionOrder.has(entry.key)) this.insertionOrder.set(entry.key, this.nextPosition++);
+    } else {
+      this.records.delete(entry.key);
+      this.insertionOrder.delete(entry.key);
+    }
+  }
+
+  /**
+   * Add a record to the indexes
+   * @param {string} key - Record key
+   * @param {Object} value - Record
+   * @private
+   */
+  index(key, value) {
+    this.indexes.forEach((index, field) => {
+      const indexValue = this.indexValue(value[field]);
+      if (!index.has(indexValue)) index.set(indexValue, new Set());
+      index.get(indexValue).add(key);
+    });
+  }
+
+  /**
+   * Remove a record from the indexes
+   * @param {string} key - Record key
+   * @param {Object} value - Record
+   * @private
+   */
+  unindex(key, value) {
+    this.indexes.forEach((index, field) => {
+      const bucket = index.get(this.indexValue(value[field]));
+      if (!bucket) return;
+      bucket.delete(key);
+      if (bucket.size === 0) index.delete(this.indexValue(value[field]));
+    });
+  }
+
+  /**
+   * Normalize a field value for use as an index key
+   * Scalars are keyed by their string form, as user IDs arrive from Telegram
+   * as numbers but are stored as strings elsewhere.
+   * @param {any} value - Field value
+   * @returns {string} Index key
+   * @private
+   */
+  indexValue(value) {
+    if (value === undefined || value === null) return 'null:';
+    return typeof value === 'object' ? `json:${JSON.stringify(value)}` : `value:${String(value)}`;
+  }
+}
+
+module.exports = JournalStore;
+module.exports.writeFileAtomic = writeFileAtomic;
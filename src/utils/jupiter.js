@@ -1,28 +1,49 @@
 const axios = require('axios');
 const { 
   PublicKey, 
-  Transaction, 
   VersionedTransaction, 
   TransactionMessage,
   Connection,
-  LAMPORTS_PER_SOL,
-  ComputeBudgetProgram
+  LAMPORTS_PER_SOL
 } = require('@solana/web3.js');
 const logger = require('./logger');
+const feeOracle = require('./fee-oracle');
+const TransactionSender = require('./transaction-sender');
+const SubmissionRouter = require('./submitters');
+const { ERROR_TYPES } = TransactionSender;
+
+const DEFAULT_API_BASE_URL = 'https://quote-api.jup.ag/v6';
 
 /**
  * JupiterClient - A utility class for interacting with Jupiter DEX API v6
- * This allows for real trading operations on the Solana blockchain
+ * This allows for real trading operations on the Solana blockchain. It is the
+ * bot's only Jupiter client: a swap is quoted with /quote, built by /swap from
+ * that quote and signed as a versioned transaction. Requests go through an
+ * HTTP client with axios' get/post interface, which tests replace with
+ * recorded responses.
  */
 class JupiterClient {
-  constructor(connection) {
+  /**
+   * @param {Connection} connection - Solana connection
+   * @param {Object} options - http client (axios unless given), apiBaseUrl, asLegacyTransaction for wallets without
+   *   versioned transaction support
+   */
+  constructor(connection, options = {}) {
     this.connection = connection;
-    this.apiBaseUrl = 'https://quote-api.jup.ag/v6';
+    this.http = options.http || axios;
+    this.apiBaseUrl = options.apiBaseUrl || DEFAULT_API_BASE_URL;
+    this.asLegacyTransaction = options.asLegacyTransaction === true;
     
     // Common token mints
     this.SOL_MINT = 'So11111111111111111111111111111111111111112'; // Wrapped SOL
     this.USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'; // USDC
     
+    this.sender = new TransactionSender(connection);
+    this.submission = new SubmissionRouter(connection);
+    
+    // Mint decimals never change, so they are looked up once
+    this.decimalsCache = new Map();
+    
     logger.info('Jupiter DEX client initialized');
   }
 
@@ -31,7 +52,8 @@ class JupiterClient {
    * @param {string} inputMint - Input token mint address (or 'SOL' for native SOL)
    * @param {string} outputMint - Output token mint address (or 'SOL' for native SOL)
    * @param {number} amount - Amount in input token (or SOL)
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (slippage in percent, onlyDirectRoutes, inputDecimals to skip the lookup,
+   *   asLegacyTransaction to quote for a legacy transaction)
    * @returns {Promise<Object>} The quote result
    */
   async getQuote(inputMint, outputMint, amount, options = {}) {
@@ -42,7 +64,7 @@ class JupiterClient {
       
       // Convert amount to proper format
       const inputDecimals = inputMint === this.SOL_MINT ? 9 : 
-                           (options.inputDecimals || 9);
+                           (options.inputDecimals ?? await this.getTokenDecimals(inputMint));
       const inputAmount = inputMint === this.SOL_MINT ? 
                         Math.round(amount * LAMPORTS_PER_SOL) : 
                         Math.round(amount * (10 ** inputDecimals));
@@ -52,13 +74,18 @@ class JupiterClient {
         outputMint,
         amount: inputAmount.toString(),
         slippageBps: options.slippage ? Math.round(options.slippage * 100) : 50, // Convert percentage to basis points
-        onlyDirectRoutes: options.onlyDirectRoutes || false,
-        asLegacyTransaction: !options.useVersionedTransaction,
+        onlyDirectRoutes: options.onlyDirectRoutes || false
       };
       
+      // Routes for legacy transactions are restricted, so they are only asked for when needed
+      const asLegacyTransaction = options.asLegacyTransaction ?? this.asLegacyTransaction;
+      if (asLegacyTransaction) {
+        params.asLegacyTransaction = true;
+      }
+      
       logger.debug(`Requesting Jupiter quote: ${JSON.stringify(params)}`);
       
-      const response = await axios.get(`${this.apiBaseUrl}/quote`, { params });
+      const response = await this.http.get(`${this.apiBaseUrl}/quote`, { params });
       
       logger.debug(`Jupiter quote received: ${JSON.stringify({
         inAmount: response.data.inAmount,
@@ -71,13 +98,15 @@ class JupiterClient {
         ...response.data,
         inputMint,
         outputMint,
-        originalAmount: amount
+        originalAmount: amount,
+        asLegacyTransaction
       };
     } catch (error) {
-      logger.error(`Error getting Jupiter quote: ${error.message}`);
+      const message = error.response?.data?.error || error.message;
+      logger.error(`Error getting Jupiter quote: ${message}`);
       return {
         success: false,
-        error: error.message || 'Unknown error fetching Jupiter quote',
+        error: message || 'Unknown error fetching Jupiter quote',
         inputMint,
         outputMint,
         originalAmount: amount
@@ -85,14 +114,82 @@ class JupiterClient {
     }
   }
 
+  /**
+   * Get the decimals of a token mint
+   * @param {string} tokenMint - Token mint address
+   * @returns {Promise<number>} Mint decimals
+   */
+  async getTokenDecimals(tokenMint) {
+    if (tokenMint === 'SOL' || tokenMint === this.SOL_MINT) return 9;
+    
+    if (!this.decimalsCache.has(tokenMint)) {
+      const { value } = await this.connection.getTokenSupply(new PublicKey(tokenMint));
+      this.decimalsCache.set(tokenMint, value.decimals);
+    }
+    return this.decimalsCache.get(tokenMint);
+  }
+
+  /**
+   * Builds a swap transaction for a quote via Jupiter's /swap endpoint
+   * @param {Object} quoteResult - Result from getQuote
+   * @param {string} userPublicKey - Wallet that signs and pays for the swap
+   * @param {Object} options - Additional options (prioritizationFeeLamports)
+   * @returns {Promise<Object>} The unsigned versioned transaction
+   */
+  async getSwapTransaction(quoteResult, userPublicKey, options = {}) {
+    try {
+      // Strip the fields getQuote adds on top of Jupiter's quote response
+      const { success, originalAmount, asLegacyTransaction, ...quoteResponse } = quoteResult;
+      
+      const response = await this.http.post(`${this.apiBaseUrl}/swap`, {
+        quoteResponse,
+        userPublicKey: userPublicKey.toString(),
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+        prioritizationFeeLamports: options.prioritizationFeeLamports ?? 'auto',
+        asLegacyTransaction: asLegacyTransaction || false // Must match the quote
+      });
+      
+      // Legacy transactions deserialize as versioned ones with a legacy message
+      const transaction = VersionedTransaction.deserialize(
+        Buffer.from(response.data.swapTransaction, 'base64')
+      );
+      
+      return {
+        success: true,
+        transaction,
+        lastValidBlockHeight: response.data.lastValidBlockHeight,
+        computeUnitLimit: response.data.computeUnitLimit
+      };
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      logger.error(`Error building Jupiter swap transaction: ${message}`);
+      return {
+        success: false,
+        error: message || 'Unknown error building Jupiter swap transaction'
+      };
+    }
+  }
+
   /**
    * Executes a swap using Jupiter
+   * The swap is quoted, built and signed, then landed by the transaction
+   * sender. If the blockhash expires before it lands, it is quoted again at the
+   * current price and re-signed with an escalated priority fee.
+   * The priority fee is priced by the fee oracle from recent fees on the route's
+   * pools, using the operation's fee profile and capped by the user's maximum.
+   * Jupiter sizes the compute unit limit by simulating the swap, and each
+   * attempt prices its fee for the limit the previous one was given.
+   * Operations configured for bundles are sent to the block engine with a tip
+   * instead of the public RPC, see SubmissionRouter.
    * @param {string} inputMint - Input token mint (or 'SOL' for native SOL)
    * @param {string} outputMint - Output token mint (or 'SOL' for native SOL)  
    * @param {number} amount - Amount to swap
    * @param {Object} wallet - Wallet for signing transactions
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} The swap result
+   * @param {Object} options - Additional options (slippage, skipPreflight, maxAttempts, feeProfile, userId whose maximum caps the fee,
+   *   priorityFee in microLamports per CU to start from instead of recent fees, computeUnits, submission 'bundle' or 'rpc'
+   *   to override the operation's configuration)
+   * @returns {Promise<Object>} The swap result, with the sender's status and errorType when it failed
    */
   async executeSwap(inputMint, outputMint, amount, wallet, options = {}) {
     try {
@@ -102,21 +199,20 @@ class JupiterClient {
       
       logger.info(`Executing swap: ${amount} ${inputMint} -> ${outputMint}`);
       
-      // 1. Get quote from Jupiter
-      const quoteResult = await this.getQuote(inputMint, outputMint, amount, options);
-      
-      if (!quoteResult.success || !quoteResult.swapTransaction) {
-        throw new Error(`Failed to get quote: ${quoteResult.error || 'Unknown error'}`);
+      const resolvedInputMint = inputMint === 'SOL' ? this.SOL_MINT : inputMint;
+      const resolvedOutputMint = outputMint === 'SOL' ? this.SOL_MINT : outputMint;
+      if (resolvedInputMint === resolvedOutputMint) {
+        throw new Error(`Input and output tokens cannot be the same: ${resolvedInputMint}`);
       }
       
-      // 2. Deserialize and prepare transaction for signing
-      let swapTransaction;
-      const rawTransaction = Buffer.from(quoteResult.swapTransaction, 'base64');
-      
-      // Demo mode check - don't actually execute if in demo mode
+      // Demo mode check - quote only, don't actually execute
       if (wallet.demoMode) {
-        logger.info('Demo mode: Not executing actual transaction');
+        const quoteResult = await this.getQuote(inputMint, outputMint, amount, options);
+        if (!quoteResult.success) {
+          throw new Error(`Failed to get quote: ${quoteResult.error}`);
+        }
         
+        logger.info('Demo mode: Not executing actual transaction');
         return {
           success: true,
           inAmount: quoteResult.inAmount,
@@ -127,162 +223,81 @@ class JupiterClient {
         };
       }
       
-      const {
-        skipPreflight = false,
-        maxRetries = 2,
-        priorityFee = 50000, // 50,000 micro-lamports per CU
-        computeUnits = 200000, // 200,000 is the default compute unit limit
-        useVersionedTransaction = false
-      } = options;
-
-      if (useVersionedTransaction) {
-        // For versioned transactions (future support)
-        swapTransaction = VersionedTransaction.deserialize(rawTransaction);
-      } else {
-        // For legacy transactions
-        swapTransaction = Transaction.from(rawTransaction);
-        
-        // Add compute budget instruction for priority fee (only for legacy transactions)
-        // Note: For versioned transactions, Jupiter's quote API should already include this
-        swapTransaction.instructions.unshift(
-          ComputeBudgetProgram.setComputeUnitLimit({
-            units: computeUnits
-          }),
-          ComputeBudgetProgram.setComputeUnitPrice({
-            microLamports: priorityFee
-          })
-        );
-        
-        // Get a fresh blockhash
-        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
-        swapTransaction.recentBlockhash = blockhash;
-        swapTransaction.feePayer = new PublicKey(wallet.getPublicKey());
-      }
-      
-      // 3. Sign and send transaction
-      logger.info(`Signing and sending swap transaction with priority fee: ${priorityFee} microLamports per CU`);
-      
-      if (this.connection.rpcEndpoint.includes('devnet')) {
+      if (this.connection.rpcEndpoint && this.connection.rpcEndpoint.includes('devnet')) {
         logger.warn('WARNING: Executing swap on devnet. This is not recommended for real trades.');
       }
       
-      // Real execution with improved error handling and confirmation
-      let signature;
-      try {
-        // Send transaction
-        signature = await wallet.sendTransaction(
-          swapTransaction, 
-          this.connection,
-          { 
-            skipPreflight, 
-            maxRetries,
-            priorityFee,
-            computeUnits,
-            commitment: 'confirmed' 
-          }
-        );
-        
-        logger.info(`Swap transaction sent with signature: ${signature}`);
-      } catch (sendError) {
-        logger.error(`Error sending transaction: ${sendError.message}`);
-        return {
-          success: false,
-          error: `Transaction sending failed: ${sendError.message}`,
-          inputMint,
-          outputMint,
-          phase: 'send'
-        };
-      }
+      let computeUnits = options.computeUnits || 200000;
       
-      // 4. Confirm transaction with improved handling
-      try {
-        // Wait for confirmation with timeout
-        const confirmationPromise = this.connection.confirmTransaction({
-          signature,
-          blockhash: swapTransaction.recentBlockhash,
-          lastValidBlockHeight: lastValidBlockHeight
-        }, 'confirmed');
+      // Every attempt quotes again, so a rebuilt swap trades at the current price
+      let quoteResult = null;
+      let priorityFee = null;
+      const build = async (attempt) => {
+        quoteResult = await this.getQuote(inputMint, outputMint, amount, options);
+        if (!quoteResult.success) {
+          throw new Error(`Failed to get quote: ${quoteResult.error}`);
+        }
         
-        // Create a timeout promise
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Transaction confirmation timeout')), 60000); // 60 second timeout
+        // The route's pools are the accounts other traders compete for
+        priorityFee = await feeOracle.getPriorityFee(this.connection, {
+          accounts: (quoteResult.routePlan || []).map(step => step.swapInfo.ammKey),
+          profile: options.feeProfile,
+          attempt,
+          computeUnits,
+          userId: options.userId,
+          baseMicroLamports: options.priorityFee
         });
         
-        // Race the confirmation against the timeout
-        const confirmation = await Promise.race([confirmationPromise, timeoutPromise]);
-        
-        if (confirmation.value?.err) {
-          const errorMsg = typeof confirmation.value.err === 'string' 
-            ? confirmation.value.err 
-            : JSON.stringify(confirmation.value.err);
-          
-          throw new Error(`Transaction failed: ${errorMsg}`);
+        const swap = await this.getSwapTransaction(quoteResult, wallet.getPublicKey(), {
+          prioritizationFeeLamports: priorityFee.lamports
+        });
+        if (!swap.success) {
+          throw new Error(`Failed to build swap: ${swap.error}`);
         }
+        computeUnits = swap.computeUnitLimit || computeUnits;
         
-        logger.info(`Swap successfully confirmed: ${signature}`);
-        
-        // 5. Return successful result with detailed information
-        return {
-          success: true,
-          signature,
+        swap.transaction.sign([wallet.getKeypair()]);
+        logger.info(`Swap ${inputMint} -> ${outputMint} signed (attempt ${attempt}), quoted out amount ${quoteResult.outAmount}, priority fee ${priorityFee.lamports} lamports`);
+        return { transaction: swap.transaction, lastValidBlockHeight: swap.lastValidBlockHeight };
+      };
+      
+      const outcome = await this.sender.send(build, {
+        skipPreflight: options.skipPreflight ?? false,
+        maxAttempts: options.maxAttempts,
+        submitter: this.submission.forOperation(options.feeProfile, options.submission),
+        signer: wallet.getKeypair(),
+        label: `Swap ${inputMint} -> ${outputMint}`
+      });
+      
+      const result = {
+        ...outcome,
+        inputMint,
+        outputMint,
+        slippage: options.slippage || 0.5,
+        priorityFee,
+        timestamp: Date.now()
+      };
+      
+      if (quoteResult && quoteResult.success) {
+        Object.assign(result, {
           inAmount: quoteResult.inAmount,
           outAmount: quoteResult.outAmount,
           priceImpactPct: quoteResult.priceImpactPct,
-          route: quoteResult.routePlan,
-          inputMint: quoteResult.inputMint,
-          outputMint: quoteResult.outputMint,
-          slippage: options.slippage || 0.5,
-          timestamp: Date.now()
-        };
-      } catch (confirmError) {
-        // For confirmation errors, we'll check if transaction was actually successful
-        // Sometimes RPC nodes disconnect during confirmation, but tx still goes through
-        try {
-          logger.warn(`Confirmation error: ${confirmError.message}. Checking transaction status...`);
-          const status = await this.connection.getSignatureStatus(signature);
-          
-          if (status && status.value && !status.value.err) {
-            logger.info(`Transaction actually succeeded despite confirmation error: ${signature}`);
-            return {
-              success: true,
-              signature,
-              confirmationError: confirmError.message,
-              inAmount: quoteResult.inAmount,
-              outAmount: quoteResult.outAmount,
-              inputMint: quoteResult.inputMint,
-              outputMint: quoteResult.outputMint,
-              timestamp: Date.now()
-            };
-          }
-          
-          // If we get here, transaction really did fail
-          const errorDetails = status && status.value && status.value.err 
-            ? JSON.stringify(status.value.err) 
-            : confirmError.message;
-          
-          throw new Error(`Transaction confirmation failed: ${errorDetails}`);
-        } catch (statusCheckError) {
-          logger.error(`Failed to check transaction status: ${statusCheckError.message}`);
-          return {
-            success: false,
-            error: `Transaction confirmation failed: ${confirmError.message}`,
-            maybeSucceeded: true, // We're not sure if it failed or not
-            signature,
-            inputMint,
-            outputMint,
-            phase: 'confirm'
-          };
-        }
+          route: quoteResult.routePlan
+        });
       }
+      
+      return result;
     } catch (error) {
       logger.error(`Swap execution failed: ${error.message}`);
       
       return {
         success: false,
+        status: 'failed',
+        errorType: ERROR_TYPES.UNKNOWN,
         error: error.message || 'Unknown error during swap execution',
         inputMint,
-        outputMint,
-        phase: 'unknown'
+        outputMint
       };
     }
   }
@@ -303,13 +318,11 @@ class JupiterClient {
       const snipeOptions = {
         slippage: options.slippage || 5, // Higher default slippage for sniping
         skipPreflight: options.hasOwnProperty('skipPreflight') ? options.skipPreflight : true, // Default to true for sniping
-        maxRetries: options.maxRetries || 3,
+        maxAttempts: options.maxAttempts || 3,
         onlyDirectRoutes: options.hasOwnProperty('onlyDirectRoutes') ? options.onlyDirectRoutes : true, // Default to true for faster execution
-        useVersionedTransaction: false, // Stick with legacy transactions for compatibility
 
-        // Snipes need higher priority fees to compete
-        priorityFee: options.priorityFee || 100000, // 100,000 microLamports for snipes (higher priority)
-        computeUnits: options.computeUnits || 200000,
+        // Snipes bid aggressively for block space to compete
+        feeProfile: 'snipe',
         
         // Additional info for tracking
         isSnipe: true,
@@ -323,7 +336,7 @@ class JupiterClient {
         tokenMint,
         amountInSol,
         slippage: snipeOptions.slippage,
-        priorityFee: snipeOptions.priorityFee,
+        feeProfile: snipeOptions.feeProfile,
         skipPreflight: snipeOptions.skipPreflight,
         onlyDirectRoutes: snipeOptions.onlyDirectRoutes
       })}`);
@@ -374,16 +387,20 @@ class JupiterClient {
    */
   async getTokenPrice(tokenMint) {
     try {
+      if (tokenMint === 'SOL' || tokenMint === this.SOL_MINT) return 1;
+      
       // Use a small amount for price quote to minimize price impact
       const smallAmount = 0.01; // 0.01 SOL
       
       // First try SOL to token direction (buying the token)
       let quoteResult = await this.getQuote('SOL', tokenMint, smallAmount);
       
+      const decimals = await this.getTokenDecimals(tokenMint);
+      
       if (quoteResult.success) {
         // Calculate price: outAmount tokens per smallAmount SOL
         // Price = SOL per token = smallAmount / outTokens
-        const outTokens = parseFloat(quoteResult.outAmount);
+        const outTokens = parseFloat(quoteResult.outAmount) / (10 ** decimals);
         if (outTokens > 0) {
           const price = smallAmount / outTokens;
           logger.debug(`Price for ${tokenMint}: ${price} SOL per token (buy direction)`);
@@ -394,11 +411,11 @@ class JupiterClient {
       // If first direction fails, try reverse direction (selling the token)
       // We'll try to sell 1 token to get a price estimate
       const tokenAmount = 1;
-      quoteResult = await this.getQuote(tokenMint, 'SOL', tokenAmount);
+      quoteResult = await this.getQuote(tokenMint, 'SOL', tokenAmount, { inputDecimals: decimals });
       
       if (quoteResult.success) {
         // This directly gives us price in SOL
-        const price = parseFloat(quoteResult.outAmount);
+        const price = parseFloat(quoteResult.outAmount) / LAMPORTS_PER_SOL;
         logger.debug(`Price for ${tokenMint}: ${price} SOL per token (sell direction)`);
         return price;
       }
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const logger = require('./logger');
+const database = require('./database');
+const { writeFileAtomic } = require('./journal-store');
+
+const KEYSTORE_VERSION = 1;
+
+// scrypt cost parameters, stored with the keystore so they can be raised later
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1, keyLength: 32 };
+
+// Encrypted with the derived key so a wrong passphrase is detected even without a key stored
+const VERIFIER_PLAINTEXT = 'tradertony-keystore';
+
+/**
+ * Keystore class holding the bot's trading key encrypted at rest
+ * The key is encrypted with AES-256-GCM under a key derived from a passphrase
+ * with scrypt. The keystore is unlocked once at startup and the passphrase is
+ * never stored, only the derived key is kept in memory. Keys replaced by an
+ * import or a rotation are kept as retired keys so funds left on them stay
+ * recoverable.
+ */
+class Keystore {
+  constructor() {
+    this.filePath = process.env.KEYSTORE_PATH || path.join(database.dataDir, 'trading.keystore');
+    this.data = null;
+    this.derivedKey = null;
+    this.keypair = null;
+  }
+
+  /**
+   * Whether a keystore file exists
+   * @returns {boolean} True if the keystore was created
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Whether the keystore is unlocked
+   * @returns {boolean} True once unlock succeeded
+   */
+  isUnlocked() {
+    return this.derivedKey !== null;
+  }
+
+  /**
+   * Whether the keystore holds a trading key
+   * @returns {boolean} True if a key is stored
+   */
+  hasKey() {
+    return this.keypair !== null;
+  }
+
+  /**
+   * Unlock the keystore, creating it on first use
+   * @param {string} passphrase - Keystore passphrase
+   */
+  unlock(passphrase) {
+    if (!passphrase) {
+      throw new Error('Keystore passphrase is required');
+    }
+
+    if (!this.exists()) {
+      const salt = crypto.randomBytes(16);
+      this.derivedKey = this.deriveKey(passphrase, salt, KDF_PARAMS);
+      this.data = {
+        version: KEYSTORE_VERSION,
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), ...KDF_PARAMS },
+        verifier: this.encrypt(Buffer.from(VERIFIER_PLAINTEXT)),
+        current: null,
+        retired: [],
+        createdAt: Date.now()
+      };
+      this.save();
+      logger.info(`Created keystore at ${this.filePath}`);
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (data.version > KEYSTORE_VERSION) {
+      throw new Error(`Keystore is at version ${data.version}, this version of the bot only supports ${KEYSTORE_VERSION}`);
+    }
+
+    const derivedKey = this.deriveKey(passphrase, Buffer.from(data.kdf.salt, 'base64'), data.kdf);
+    try {
+      this.decrypt(data.verifier, derivedKey);
+    } catch (error) {
+      throw new Error('Wrong keystore passphrase');
+    }
+
+    this.data = data;
+    this.derivedKey = derivedKey;
+    this.keypair = data.current
+      ? Keypair.fromSecretKey(this.decrypt(data.current, derivedKey))
+      : null;
+
+    logger.info(`Keystore unlocked${this.keypair ? `, trading key ${this.keypair.publicKey.toString()}` : ', no trading key stored'}`);
+  }
+
+  /**
+   * Forget the derived key and the decrypted trading key
+   */
+  lock() {
+    this.derivedKey = null;
+    this.keypair = null;
+  }
+
+  /**
+   * Get the trading keypair
+   * @returns {Keypair|null} The keypair or null if none is stored
+   */
+  getKeypair() {
+    this.assertUnlocked();
+    return this.keypair;
+  }
+
+  /**
+   * Store a trading key, retiring the current one
+   * @param {string} secretKey - Secret key as base58 or a JSON byte array
+   * @returns {string} The new trading address
+   */
+  importKey(secretKey) {
+    this.assertUnlocked();
+    return this.replaceKey(this.parseSecretKey(secretKey), 'imported');
+  }
+
+  /**
+   * Export the trading key
+   * @returns {string} The secret key as base58
+   */
+  exportKey() {
+    this.assertUnlocked();
+    if (!this.keypair) {
+      throw new Error('No trading key stored');
+    }
+    return bs58.encode(this.keypair.secretKey);
+  }
+
+  /**
+   * Replace the trading key with a newly generated one
+   * Funds stay on the previous address, whose key is kept as a retired key.
+   * @returns {Object} previousPublicKey and publicKey
+   */
+  rotate() {
+    this.assertUnlocked();
+    const previousPublicKey = this.keypair ? this.keypair.publicKey.toString() : null;
+    const publicKey = this.replaceKey(Keypair.generate(), 'rotated');
+    return { previousPublicKey, publicKey };
+  }
+
+  /**
+   * Get the addresses of retired keys
+   * @returns {Array<Object>} publicKey and retiredAt of each retired key, newest first
+   */
+  getRetiredKeys() {
+    if (!this.data) return [];
+    return this.data.retired
+      .map(({ publicKey, retiredAt }) => ({ publicKey, retiredAt }))
+      .sort((a, b) => b.retiredAt - a.retiredAt);
+  }
+
+  /**
+   * Read the passphrase from the terminal without echoing it
+   * @returns {Promise<string|null>} The passphrase, or null when not attached to a terminal
+   */
+  async promptPassphrase() {
+    if (!process.stdin.isTTY) {
+      return null;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    return new Promise(resolve => {
+      rl.question('Keystore passphrase: ', answer => {
+        rl.close();
+        process.stdout.write('\n');
+        resolve(answer);
+      });
+      // Mask everything typed after the prompt
+      rl._writeToOutput = text => {
+        if (text.startsWith('Keystore passphrase')) rl.output.write(text);
+      };
+    });
+  }
+
+  /**
+   * Store a new current key and retire the old one
+   * @param {Keypair} keypair - New trading keypair
+   * @param {string} reason - Why the key was replaced
+   * @returns {string} The new trading address
+   * @private
+   */
+  replaceKey(keypair, reason) {
+    if (this.data.current) {
+      this.data.retired.push({ ...this.data.current, retiredAt: Date.now(), reason });
+    }
+
+    this.data.current = {
+      publicKey: keypair.publicKey.toString(),
+      ...this.encrypt(Buffer.from(keypair.secretKey)),
+      createdAt: Date.now()
+    };
+    this.save();
+    this.keypair = keypair;
+
+    logger.info(`Keystore trading key ${reason}: ${keypair.publicKey.toString()}`);
+    return keypair.publicKey.toString();
+  }
+
+  /**
+   * Parse a secret key from base58 or a JSON byte array
+   * @param {string} input - Secret key
+   * @returns {Keypair} The keypair
+   * @private
+   */
+  parseSecretKey(input) {
+    const text = String(input).trim();
+    try {
+      const bytes = text.startsWith('[') ? Uint8Array.from(JSON.parse(text)) : bs58.decode(text);
+      return Keypair.fromSecretKey(bytes);
+    } catch (error) {
+      throw new Error('Not a valid Solana secret key - expected base58 or a JSON byte array');
+    }
+  }
+
+  /**
+   * Derive the encryption key from a passphrase
+   * @param {string} passphrase - Keystore passphrase
+   * @param {Buffer} salt - KDF salt
+   * @param {Object} params - scrypt parameters (N, r, p, keyLength)
+   * @returns {Buffer} Derived key
+   * @private
+   */
+  deriveKey(passphrase, salt, params) {
+    return crypto.scryptSync(passphrase, salt, params.keyLength, {
+      N: params.N,
+      r: params.r,
+      p: params.p,
+      maxmem: 256 * params.N * params.r
+    });
+  }
+
+  /**
+   * Encrypt data with the derived key
+   * @param {Buffer} plaintext - Data to encrypt
+   * @returns {Object} ciphertext, iv and authTag, base64 encoded
+   * @private
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.derivedKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+      ciphertext: ciphertext.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt data encrypted by encrypt
+   * @param {Object} box - ciphertext, iv and authTag
+   * @param {Buffer} key - Derived key
+   * @returns {Uint8Array} Plaintext
+   * @private
+   */
+  decrypt(box, key) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(box.authTag, 'base64'));
+    return new Uint8Array(Buffer.concat([
+      decipher.update(Buffer.from(box.ciphertext, 'base64')),
+      decipher.final()
+    ]));
+  }
+
+  /**
+   * Write the keystore file, readable by the bot's user only
+   * @private
+   */
+  save() {
+    writeFileAtomic(this.filePath, JSON.stringify(this.data, null, 2));
+    fs.chmodSync(this.filePath, 0o600);
+  }
+
+  /**
+   * Throw unless the keystore is unlocked
+   * @private
+   */
+  assertUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error('Keystore is locked');
+    }
+  }
+}
+
+module.exports = new Keystore();
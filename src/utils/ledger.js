@@ -0,0 +1,357 @@
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const logger = require('./logger');
+const database = require('./database');
+const JournalStore = require('./journal-store');
+
+// Account on the other side of the wallet for each entry type
+const COUNTER_ACCOUNTS = {
+  DEPOSIT: 'external',
+  WITHDRAWAL: 'external',
+  BUY: 'market',
+  SELL: 'market',
+  PARTIAL_SELL: 'market',
+  FEE: 'fees'
+};
+
+const SELL_TYPES = ['SELL', 'PARTIAL_SELL'];
+
+/**
+ * Ledger class recording balance changes per user
+ * Every buy, sell, partial sell, network fee, deposit and withdrawal is an
+ * entry with its SOL and token deltas, taken from the confirmed transaction's
+ * metadata. Each entry posts the wallet's change against a counter account
+ * (market, external or fees), so every entry balances to zero per asset.
+ * Entries are keyed by their type and the transaction that caused them, so
+ * recording the same transaction twice never counts it twice. Cost basis,
+ * realized and unrealized PnL and fees paid are derived from the entries.
+ */
+class Ledger {
+  constructor() {
+    this.store = new JournalStore(database.dataDir, 'ledger', { indexes: ['userId', 'type', 'strategyId', 'positionId'] });
+
+    // Confirmed transactions can take a moment to show up in getTransaction
+    this.fetchRetries = 3;
+    this.fetchRetryDelayMs = 2000;
+  }
+
+  /**
+   * Record a balance change
+   * @param {Object} entry - Ledger entry
+   * @param {string} entry.type - Entry type: DEPOSIT, WITHDRAWAL, BUY, SELL, PARTIAL_SELL or FEE
+   * @param {number|string} entry.userId - Telegram user the entry belongs to, null for the bot wallet
+   * @param {string} entry.signature - Transaction that caused the change
+   * @param {number} entry.solDelta - SOL added to (positive) or removed from (negative) the wallet
+   * @param {string} entry.mint - Token mint, for entries that move a token
+   * @param {number} entry.tokenDelta - Tokens added to or removed from the wallet
+   * @returns {boolean} False if the entry was already recorded
+   */
+  record(entry) {
+    const key = `${entry.type}:${entry.signature}`;
+    if (this.store.has(key)) {
+      return false;
+    }
+
+    const solDelta = entry.solDelta || 0;
+    const tokenDelta = entry.mint ? entry.tokenDelta || 0 : 0;
+    const counterAccount = COUNTER_ACCOUNTS[entry.type] || 'external';
+
+    const postings = [];
+    if (solDelta !== 0) {
+      postings.push({ account: 'wallet', asset: 'SOL', amount: solDelta });
+      postings.push({ account: counterAccount, asset: 'SOL', amount: -solDelta });
+    }
+    if (tokenDelta !== 0) {
+      postings.push({ account: 'wallet', asset: entry.mint, amount: tokenDelta });
+      postings.push({ account: counterAccount, asset: entry.mint, amount: -tokenDelta });
+    }
+
+    this.store.put(key, {
+      ...entry,
+      userId: entry.userId === undefined || entry.userId === null ? null : String(entry.userId),
+      strategyId: entry.strategyId || null,
+      positionId: entry.positionId || null,
+      mint: entry.mint || null,
+      solDelta,
+      tokenDelta,
+      postings,
+      timestamp: entry.timestamp || Date.now()
+    });
+    logger.info(`Ledger ${entry.type} for user ${entry.userId}: ${solDelta} SOL${tokenDelta ? `, ${tokenDelta} of ${entry.mint}` : ''} (${entry.signature})`);
+    return true;
+  }
+
+  /**
+   * Record a transaction and the network fee it paid
+   * The deltas come from the transaction's metadata. Without metadata, as in
+   * demo mode or when the RPC never returns the transaction, the caller's
+   * estimate is recorded and the entry is flagged as estimated.
+   * @param {Object} params - Entry fields (type, userId, signature, mint, strategyId, positionId)
+   * @param {Object|null} params.changes - Balance changes from getTransactionChanges
+   * @param {Object} params.estimate - solDelta and tokenDelta to record without changes
+   * @param {Object} params.tip - Bundle tip from the send outcome (signature, costLamports, landed)
+   * @returns {Object} The recorded (or previously recorded) entry
+   */
+  recordTransaction({ changes, estimate = {}, tip = null, ...entry }) {
+    // Rent for a token account the wallet opened is a fee, not part of the trade
+    const rentSol = changes ? changes.rentSol || 0 : 0;
+    const deltas = changes
+      ? { solDelta: changes.solDelta + rentSol, tokenDelta: changes.tokenDelta }
+      : { solDelta: estimate.solDelta || 0, tokenDelta: estimate.tokenDelta || 0, estimated: true };
+
+    this.record({ ...entry, ...deltas });
+
+    if (changes && changes.feeSol > 0) {
+      this.record({
+        type: 'FEE',
+        userId: entry.userId,
+        signature: entry.signature,
+        strategyId: entry.strategyId,
+        positionId: entry.positionId,
+        solDelta: -changes.feeSol,
+        feeFor: entry.type
+      });
+    }
+
+    if (rentSol > 0) {
+      this.record({
+        type: 'FEE',
+        userId: entry.userId,
+        signature: `${entry.signature}:rent`,
+        strategyId: entry.strategyId,
+        positionId: entry.positionId,
+        solDelta: -rentSol,
+        feeFor: entry.type,
+        rentFor: entry.signature
+      });
+    }
+
+    // A bundle tip is paid by a transaction of its own
+    if (tip && tip.landed) {
+      this.record({
+        type: 'FEE',
+        userId: entry.userId,
+        signature: tip.signature,
+        strategyId: entry.strategyId,
+        positionId: entry.positionId,
+        solDelta: -tip.costLamports / LAMPORTS_PER_SOL,
+        feeFor: entry.type,
+        tipFor: entry.signature
+      });
+    }
+
+    return this.store.get(`${entry.type}:${entry.signature}`);
+  }
+
+  /**
+   * Fetch a confirmed transaction and get the balance changes of one wallet
+   * @param {Connection} connection - Solana connection
+   * @param {string} signature - Transaction signature
+   * @param {string} owner - Wallet address
+   * @param {string} mint - Token mint whose balance change to include
+   * @returns {Promise<Object|null>} Balance changes, or null if the transaction is unavailable
+   */
+  async getTransactionChanges(connection, signature, owner, mint = null) {
+    if (!signature || signature.startsWith('demo_')) return null;
+
+    for (let attempt = 1; attempt <= this.fetchRetries; attempt++) {
+      try {
+        const response = await connection.getTransaction(signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        });
+        if (response && response.meta) {
+          return this.getBalanceChanges(response, owner, mint);
+        }
+      } catch (error) {
+        logger.warn(`Error fetching transaction ${signature} for the ledger: ${error.message}`);
+      }
+
+      if (attempt < this.fetchRetries) {
+        await new Promise(resolve => setTimeout(resolve, this.fetchRetryDelayMs));
+      }
+    }
+
+    logger.error(`Transaction ${signature} not available, recording estimated amounts`);
+    return null;
+  }
+
+  /**
+   * Get the balance changes of one wallet from a transaction response
+   * @param {Object} response - Transaction response from getTransaction
+   * @param {string} owner - Wallet address
+   * @param {string} mint - Token mint whose balance change to include
+   * @returns {Object} solDelta (excluding the fee), feeSol (paid by the wallet), rentSol (paid by the wallet for
+   *   token accounts of the mint it opened, included in solDelta), tokenDelta and decimals
+   */
+  getBalanceChanges(response, owner, mint = null) {
+    const { meta } = response;
+    const ownerKey = new PublicKey(owner);
+    const accountKeys = response.transaction.message
+      .getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses })
+      .keySegments()
+      .flat();
+
+    const index = accountKeys.findIndex(key => key.equals(ownerKey));
+    const lamports = index === -1 ? 0 : meta.postBalances[index] - meta.preBalances[index];
+    // The first account pays the fee
+    const feeLamports = index === 0 ? meta.fee : 0;
+
+    let tokenDelta = 0;
+    let decimals = null;
+    let rentLamports = 0;
+    if (mint) {
+      const sumRaw = (balances = []) => balances
+        .filter(balance => balance.mint === mint && balance.owner === owner)
+        .reduce((sum, balance) => {
+          decimals = balance.uiTokenAmount.decimals;
+          return sum + BigInt(balance.uiTokenAmount.amount);
+        }, 0n);
+
+      const rawDelta = sumRaw(meta.postTokenBalances) - sumRaw(meta.preTokenBalances);
+      tokenDelta = decimals === null ? 0 : Number(rawDelta) / (10 ** decimals);
+
+      // Token accounts that only exist after the transaction were opened by it, with rent from the fee payer
+      if (index === 0) {
+        const existing = new Set((meta.preTokenBalances || []).map(balance => balance.accountIndex));
+        rentLamports = (meta.postTokenBalances || [])
+          .filter(balance => balance.mint === mint && balance.owner === owner && !existing.has(balance.accountIndex))
+          .reduce((sum, balance) => sum + meta.postBalances[balance.accountIndex] - meta.preBalances[balance.accountIndex], 0);
+      }
+    }
+
+    return {
+      solDelta: (lamports + feeLamports) / LAMPORTS_PER_SOL,
+      feeSol: feeLamports / LAMPORTS_PER_SOL,
+      rentSol: rentLamports / LAMPORTS_PER_SOL,
+      tokenDelta,
+      decimals
+    };
+  }
+
+  /**
+   * Get ledger entries
+   * @param {number|string} userId - Telegram user ID
+   * @param {Object} filters - Filters to apply (type, strategyId, positionId)
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  getEntries(userId, filters = {}) {
+    return this.store.find({
+      userId: userId === undefined ? undefined : String(userId),
+      type: filters.type,
+      strategyId: filters.strategyId,
+      positionId: filters.positionId
+    }).sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Get a user's wallet balance of one asset according to the ledger
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} asset - 'SOL' or a token mint
+   * @returns {number} Balance
+   */
+  getBalance(userId, asset = 'SOL') {
+    const total = this.getEntries(userId)
+      .flatMap(entry => entry.postings)
+      .filter(posting => posting.account === 'wallet' && posting.asset === asset)
+      .reduce((sum, posting) => sum + posting.amount, 0);
+    return Math.round(total * 1e9) / 1e9;
+  }
+
+  /**
+   * Get the strategies with entries for a user
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Array<string>} Strategy IDs
+   */
+  getStrategyIds(userId) {
+    return [...new Set(this.getEntries(userId).map(entry => entry.strategyId).filter(Boolean))];
+  }
+
+  /**
+   * Get the realized PnL of a position
+   * Once a position is closed this is its full result: SOL received from
+   * sells minus SOL spent on the buy and on network fees.
+   * @param {string} positionId - Position ID
+   * @returns {number|null} SOL gained (positive) or lost (negative), null if the position has no entries
+   */
+  getPositionPnL(positionId) {
+    const entries = this.getEntries(undefined, { positionId });
+    if (entries.length === 0) return null;
+
+    const total = entries.reduce((sum, entry) => sum + entry.solDelta, 0);
+    return Math.round(total * 1e9) / 1e9;
+  }
+
+  /**
+   * Derive PnL from the ledger using average cost per token
+   * @param {Object} filter - userId, strategyId and/or positionId
+   * @param {Object} prices - Current price in SOL per token mint, for unrealized PnL
+   * @returns {Object} realizedPnl, unrealizedPnl, feesPaid, netPnl, costBasis, deposited, withdrawn and holdings
+   */
+  getPnL(filter = {}, prices = {}) {
+    const holdings = new Map();
+    const totals = { realizedPnl: 0, feesPaid: 0, deposited: 0, withdrawn: 0, trades: 0 };
+
+    const getHolding = (mint) => {
+      if (!holdings.has(mint)) holdings.set(mint, { mint, amount: 0, costBasis: 0 });
+      return holdings.get(mint);
+    };
+
+    // Tokens leaving the wallet take their share of the cost basis with them
+    const removeTokens = (holding, amount) => {
+      const share = holding.amount > 0 ? Math.min(1, amount / holding.amount) : 1;
+      const cost = holding.costBasis * share;
+      holding.amount = Math.max(0, holding.amount - amount);
+      holding.costBasis -= cost;
+      return cost;
+    };
+
+    for (const entry of this.getEntries(filter.userId, { strategyId: filter.strategyId, positionId: filter.positionId })) {
+      if (entry.type === 'BUY') {
+        const holding = getHolding(entry.mint);
+        holding.amount += entry.tokenDelta;
+        holding.costBasis += -entry.solDelta;
+        totals.trades += 1;
+      } else if (SELL_TYPES.includes(entry.type)) {
+        const cost = removeTokens(getHolding(entry.mint), -entry.tokenDelta);
+        totals.realizedPnl += entry.solDelta - cost;
+        totals.trades += 1;
+      } else if (entry.type === 'FEE') {
+        totals.feesPaid += -entry.solDelta;
+      } else if (entry.type === 'DEPOSIT') {
+        totals.deposited += entry.solDelta;
+      } else if (entry.type === 'WITHDRAWAL') {
+        if (entry.mint) {
+          removeTokens(getHolding(entry.mint), -entry.tokenDelta);
+        } else {
+          totals.withdrawn += -entry.solDelta;
+        }
+      }
+    }
+
+    const openHoldings = Array.from(holdings.values())
+      .filter(holding => holding.amount > 0)
+      .map(holding => {
+        const price = prices[holding.mint];
+        const marketValue = price > 0 ? holding.amount * price : null;
+        return {
+          ...holding,
+          averageCost: holding.costBasis / holding.amount,
+          price: price > 0 ? price : null,
+          marketValue,
+          unrealizedPnl: marketValue === null ? null : marketValue - holding.costBasis
+        };
+      });
+
+    const unrealizedPnl = openHoldings.reduce((sum, holding) => sum + (holding.unrealizedPnl || 0), 0);
+
+    return {
+      ...totals,
+      unrealizedPnl,
+      netPnl: totals.realizedPnl + unrealizedPnl - totals.feesPaid,
+      costBasis: openHoldings.reduce((sum, holding) => sum + holding.costBasis, 0),
+      holdings: openHoldings
+    };
+  }
+}
+
+module.exports = new Ledger();
@@ -2,10 +2,12 @@
  * Phantom Wallet Integration Utilities
  * Provides functionality for Phantom Connect integration and Solana Pay
  */
-const { PublicKey, Transaction } = require('@solana/web3.js');
-const { encodeURL, createQR, findTransactionSignature, validateTransfer, parseURL } = require('@solana/pay');
+const { Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+const { encodeURL, createQR, findReference, FindReferenceError, validateTransfer, parseURL } = require('@solana/pay');
 const QRCode = require('qrcode');
 const logger = require('./logger');
+const withdrawalPolicy = require('./withdrawal-policy');
+const ledger = require('./ledger');
 
 /**
  * PhantomConnectManager - Handles Phantom wallet connections and transfers
@@ -30,11 +32,10 @@ class PhantomConnectManager {
       // Create a new reference if none provided
       let referencePublicKeys = [];
       if (!reference) {
-        // Generate a random reference
-        const randomBytes = new Uint8Array(16);
-        crypto.getRandomValues(randomBytes);
-        reference = Buffer.from(randomBytes).toString('hex');
-        referencePublicKeys.push(new PublicKey(randomBytes));
+        // A fresh public key, so the payment can be found by looking up the reference
+        const referenceKey = Keypair.generate().publicKey;
+        reference = referenceKey.toString();
+        referencePublicKeys.push(referenceKey);
       } else if (typeof reference === 'string') {
         try {
           // If it's a string that can be converted to a PublicKey, do so
@@ -124,12 +125,11 @@ class PhantomConnectManager {
       let signature = null;
 
       while (!signature) {
-        signature = await findTransactionSignature(
-          this.connection,
-          referencePublicKey,
-          undefined,
-          'confirmed'
-        );
+        try {
+          signature = await findReference(this.connection, referencePublicKey, { finality: 'confirmed' });
+        } catch (error) {
+          if (!(error instanceof FindReferenceError)) throw error;
+        }
 
         // Check if we've reached the timeout
         if (!signature && Date.now() - startTime > timeout) {
@@ -159,35 +159,75 @@ class PhantomConnectManager {
   /**
    * Generate a withdrawal transaction
    * @param {string} recipientAddress - Recipient Phantom wallet address
-   * @param {number} amount - Amount in SOL to withdraw
+   * @param {number} amount - Amount to withdraw, in SOL or in whole tokens
+   * @param {number} userId - Telegram user withdrawing from their wallet
+   * @param {string} mint - Token mint for SPL token withdrawals, omitted for SOL
    * @returns {Promise<Object>} Transaction details
    */
-  async generateWithdrawalTransaction(recipientAddress, amount) {
+  async generateWithdrawalTransaction(recipientAddress, amount, userId, mint = null) {
     try {
       // Validate inputs
       if (!recipientAddress) throw new Error('Recipient address is required');
       if (!amount || amount <= 0) throw new Error('Valid amount is required');
 
-      // Get wallet from Solana client
-      const wallet = this.solanaClient.walletManager;
-      if (!wallet || !wallet.keypair) {
+      // Get the user's wallet from Solana client
+      const wallet = this.solanaClient.getWalletManager(userId);
+      if (!wallet || !wallet.getKeypair()) {
         throw new Error('No wallet keypair available for signing');
       }
 
       // Create transaction
-      const transaction = await this.solanaClient.transactionUtility.createSOLTransferTransaction(
-        wallet.getPublicKey().toString(),
-        recipientAddress,
-        amount
-      );
+      const transaction = mint
+        ? await this.solanaClient.transactionUtility.createTokenTransferTransaction(recipientAddress, mint, amount, { userId })
+        : await this.solanaClient.transactionUtility.createSOLTransferTransaction(recipientAddress, amount, { userId });
 
-      logger.info(`Generated withdrawal transaction to ${recipientAddress} for ${amount} SOL`);
+      logger.info(`Generated withdrawal transaction to ${recipientAddress} for ${amount} ${mint || 'SOL'}`);
       return transaction;
     } catch (error) {
       logger.error(`Error generating withdrawal transaction: ${error.message}`);
       throw error;
     }
   }
+
+  /**
+   * Execute an approved withdrawal request from WithdrawalPolicy
+   * The request is claimed before signing so it can only be sent once.
+   * @param {string} requestId - Withdrawal request ID
+   * @returns {Promise<Object>} The request and the transaction result (success, signature, error)
+   */
+  async executeWithdrawal(requestId) {
+    const request = withdrawalPolicy.claim(requestId);
+
+    let result;
+    try {
+      const transaction = await this.generateWithdrawalTransaction(request.address, request.amount, request.userId, request.mint);
+      result = await this.solanaClient.transactionUtility.sendTransaction(transaction, { userId: request.userId });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    withdrawalPolicy.complete(requestId, result);
+
+    if (result.success) {
+      const owner = this.solanaClient.getWalletAddress(request.userId);
+      const changes = await ledger.getTransactionChanges(this.solanaClient.connection, result.signature, owner, request.mint);
+      ledger.recordTransaction({
+        type: 'WITHDRAWAL',
+        userId: request.userId,
+        signature: result.signature,
+        mint: request.mint,
+        withdrawalId: requestId,
+        tip: result.tip,
+        changes,
+        estimate: request.mint
+          ? { tokenDelta: -request.amount }
+          : { solDelta: -request.amount }
+      });
+    }
+
+    logger.info(`Withdrawal ${requestId} ${result.success ? `sent: ${result.signature}` : `failed: ${result.error}`}`);
+    return { request, result };
+  }
 }
 
 module.exports = PhantomConnectManager; 
\ No newline at end of file
@@ -0,0 +1,145 @@
+const logger = require('./logger');
+const database = require('./database');
+
+// Bump when the stored session shape changes and add a migration below
+const SESSION_SCHEMA_VERSION = 1;
+
+// Session fields that moved to their own persisted stores
+const RETIRED_SESSION_FIELDS = ['limitOrders', 'dcaOrders', 'recentAnalyses'];
+
+/**
+ * Session migrations, keyed by the version they upgrade to
+ * Each receives the stored data at the previous version and returns it at the new one.
+ */
+const MIGRATIONS = {
+  // Unversioned file: a plain map of session key -> session
+  1: (data) => {
+    const sessions = {};
+    Object.entries(data.sessions || data).forEach(([key, session]) => {
+      if (!session || typeof session !== 'object') return;
+      RETIRED_SESSION_FIELDS.forEach(field => delete session[field]);
+      sessions[key] = session;
+    });
+    return { sessions };
+  }
+};
+
+/**
+ * SessionStore class persisting Telegraf sessions through the database
+ * Implements the store interface of Telegraf's session middleware (get/set/delete)
+ * and lets background jobs enumerate and update sessions. get returns the live
+ * session object, so changes made by a background job are seen by handlers.
+ * Telegraf stores the session after every update, so writes are batched: the
+ * file is rewritten at most once per saveDelayMs, and on exit. Signal handlers
+ * call flush, as 'exit' handlers don't run when a signal ends the process.
+ */
+class SessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.saveDelayMs = parseInt(process.env.SESSION_SAVE_DELAY_MS || '1000', 10);
+    this.saveTimer = null;
+    this.loadSessions();
+
+    process.once('exit', () => this.flush());
+  }
+
+  /**
+   * Load sessions from disk, migrating older schema versions
+   */
+  loadSessions() {
+    let data = database.loadData('sessions', null);
+    if (!data) return;
+
+    const storedVersion = Number.isInteger(data.version) ? data.version : 0;
+    if (storedVersion > SESSION_SCHEMA_VERSION) {
+      throw new Error(`Session store is at schema version ${storedVersion}, this version of the bot only supports ${SESSION_SCHEMA_VERSION}`);
+    }
+
+    for (let version = storedVersion + 1; version <= SESSION_SCHEMA_VERSION; version++) {
+      data = MIGRATIONS[version](data);
+      logger.info(`Migrated session store to schema version ${version}`);
+    }
+
+    Object.entries(data.sessions).forEach(([key, session]) => this.sessions.set(key, session));
+
+    if (storedVersion !== SESSION_SCHEMA_VERSION) {
+      this.save();
+    }
+
+    logger.info(`Loaded ${this.sessions.size} sessions from database`);
+  }
+
+  /**
+   * Get a session
+   * @param {string} key - Session key (Telegram user ID)
+   * @returns {Object|undefined} The session
+   */
+  get(key) {
+    return this.sessions.get(String(key));
+  }
+
+  /**
+   * Store a session
+   * @param {string} key - Session key (Telegram user ID)
+   * @param {Object} session - Session data
+   */
+  set(key, session) {
+    this.sessions.set(String(key), session);
+    this.scheduleSave();
+  }
+
+  /**
+   * Remove a session
+   * @param {string} key - Session key (Telegram user ID)
+   */
+  delete(key) {
+    if (this.sessions.delete(String(key))) {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Get all sessions
+   * @returns {Array<[string, Object]>} Session key and session pairs
+   */
+  entries() {
+    return Array.from(this.sessions.entries());
+  }
+
+  /**
+   * Save within saveDelayMs, together with any other changes made meanwhile
+   * @private
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write a pending save now
+   */
+  flush() {
+    if (!this.saveTimer) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.save();
+  }
+
+  /**
+   * Persist all sessions
+   */
+  save() {
+    database.saveData('sessions', {
+      version: SESSION_SCHEMA_VERSION,
+      sessions: Object.fromEntries(this.sessions)
+    });
+  }
+}
+
+module.exports = new SessionStore();
@@ -3,19 +3,23 @@ const { Connection, PublicKey, Keypair, LAMPORTS_PER_SOL } = require('@solana/we
 const bs58 = require('bs58');
 const logger = require('./logger');
 const WalletManager = require('./wallet');
+const UserWalletManager = require('./user-wallets');
+const keystore = require('./keystore');
 const TransactionUtility = require('./transactions');
 const TokenSniper = require('../trading/sniper');
 const RiskAnalyzer = require('../trading/risk-analyzer');
 const PositionManager = require('../trading/position-manager');
 const axios = require('axios');
-const JupiterClient = require('../trading/jupiter-client');
+const JupiterClient = require('./jupiter');
 const PhantomConnectManager = require('./phantom');
+const DepositTracker = require('./deposit-tracker');
 
 class SolanaClient {
   constructor() {
     this.connection = null;
     this.wallet = null;
     this.walletManager = null;
+    this.userWallets = null;
     this.jupiterClient = null;
     this.transactionUtility = null;
     this.riskAnalyzer = null;
@@ -80,6 +84,21 @@ class SolanaClient {
         this.demoWalletAddress = process.env.DEMO_WALLET_ADDRESS || '2PS57B26Sh5Xa22dPSEt9bRgP5FhNsoyFvGUV8t5X232';
         logger.info(`Demo mode enabled with wallet address: ${this.demoWalletAddress}`);
       }
+      // Prefer the encrypted keystore over a raw key in the environment
+      else if (keystore.exists() || process.env.KEYSTORE_PASSPHRASE) {
+        try {
+          const publicKey = await this.loadKeystoreWallet();
+          if (!publicKey) {
+            throw new Error('Keystore holds no trading key - import one with /importkey');
+          }
+          logger.info(`Wallet initialized from keystore with address: ${publicKey}`);
+        } catch (error) {
+          logger.error(`Failed to load wallet from keystore: ${error.message}`);
+          this.demoMode = true;
+          this.walletManager.demoMode = true; // Set demo mode on wallet manager
+          logger.info('Falling back to demo mode due to keystore failure');
+        }
+      }
       // Set up wallet if private key is available
       else if (process.env.SOLANA_PRIVATE_KEY) {
         try {
@@ -120,6 +139,9 @@ class SolanaClient {
         }
       }
       
+      // Per-user custodial wallets, falling back to the wallet above without a master key
+      this.userWallets = new UserWalletManager(this.connection, this.walletManager);
+      
       // Initialize risk analyzer
       this.riskAnalyzer = new RiskAnalyzer(this.connection);
       
@@ -132,6 +154,7 @@ class SolanaClient {
         this.walletManager,
         this.riskAnalyzer
       );
+      this.tokenSniper.setUserWallets(this.userWallets);
       
       // Initialize position manager if not already done
       if (!this.positionManager) {
@@ -145,6 +168,7 @@ class SolanaClient {
         // Force reload positions to ensure they're available
         this.positionManager.loadPositions();
       }
+      this.positionManager.setUserWallets(this.userWallets);
       
       // Initialize Jupiter client for DEX integration
       await this.initJupiterClient();
@@ -152,6 +176,9 @@ class SolanaClient {
       // Initialize Phantom Connect manager
       this.phantomConnectManager = new PhantomConnectManager(this);
       
+      // Initialize deposit tracker for Solana Pay deposit links
+      this.depositTracker = new DepositTracker(this.connection);
+      
       // Set up position manager event listeners
       this.setupPositionEventListeners();
       
@@ -164,6 +191,39 @@ class SolanaClient {
     }
   }
 
+  /**
+   * Unlock the keystore and load its trading key
+   * A key still in SOLANA_PRIVATE_KEY is moved into an empty keystore.
+   * @returns {Promise<string|null>} Wallet address, or null if the keystore holds no key
+   * @private
+   */
+  async loadKeystoreWallet() {
+    const passphrase = process.env.KEYSTORE_PASSPHRASE || await keystore.promptPassphrase();
+    keystore.unlock(passphrase);
+    
+    if (!keystore.hasKey() && process.env.SOLANA_PRIVATE_KEY) {
+      keystore.importKey(process.env.SOLANA_PRIVATE_KEY);
+      logger.warn('Moved SOLANA_PRIVATE_KEY into the encrypted keystore - remove it from your environment');
+    }
+    
+    if (!keystore.hasKey()) {
+      return null;
+    }
+    
+    return this.walletManager.loadWalletFromKeypair(keystore.getKeypair());
+  }
+
+  /**
+   * Switch the bot wallet to a new trading key from the keystore
+   * @returns {Object} publicKey, and restartRequired when the bot runs in demo mode
+   */
+  reloadTradingKey() {
+    const publicKey = this.walletManager.loadWalletFromKeypair(keystore.getKeypair());
+    
+    // Leaving demo mode touches every trading component, so that waits for a restart
+    return { publicKey, restartRequired: this.demoMode };
+  }
+
   /**
    * Setup position manager event listeners
    */
@@ -183,37 +243,61 @@ class SolanaClient {
     });
   }
 
+  /**
+   * Get the wallet a user trades with
+   * @param {number} userId - Telegram user ID, omitted for the bot wallet
+   * @param {Object} options - allowShared to read the shared wallet, see UserWalletManager.getWalletFor
+   * @returns {WalletManager} The user's wallet, or the shared wallet
+   */
+  getWalletManager(userId, options = {}) {
+    return this.userWallets ? this.userWallets.getWalletFor(userId, options) : this.walletManager;
+  }
+
+  /**
+   * Create a user's wallet if per-user wallets are enabled and they don't have one
+   * @param {number} userId - Telegram user ID
+   * @returns {string} The user's wallet address
+   */
+  ensureUserWallet(userId) {
+    if (this.userWallets && this.userWallets.isEnabled()) {
+      this.userWallets.createWallet(userId);
+    }
+    return this.getWalletAddress(userId);
+  }
+
   /**
    * Get all open positions
+   * @param {number} ownerId - Only positions of this Telegram user
    * @returns {Array} Open positions
    */
-  getOpenPositions() {
+  getOpenPositions(ownerId) {
     if (!this.initialized) {
       logger.warn('Attempted to get positions before initialization');
       
       // Even if not initialized, return positions in demo mode
       if (this.demoMode && this.positionManager) {
         logger.info('Retrieving positions in demo mode despite not being fully initialized');
-        return this.positionManager.getOpenPositions();
+        return this.positionManager.getOpenPositions(ownerId);
       }
       
       return [];
     }
     
-    return this.positionManager.getOpenPositions();
+    return this.positionManager.getOpenPositions(ownerId);
   }
 
   /**
    * Get all positions (open and closed)
+   * @param {number} ownerId - Only positions of this Telegram user
    * @returns {Array} All positions
    */
-  getAllPositions() {
+  getAllPositions(ownerId) {
     if (!this.initialized) {
       logger.warn('Attempted to get positions before initialization');
       return [];
     }
     
-    return this.positionManager.getAllPositions();
+    return this.positionManager.getAllPositions(ownerId);
   }
 
   /**
@@ -322,9 +406,10 @@ class SolanaClient {
 
   /**
    * Get the balance of the wallet
+   * @param {number} userId - Telegram user whose wallet to check, omitted for the bot wallet
    * @returns {Promise<number>} Balance in SOL
    */
-  async getBalance() {
+  async getBalance(userId) {
     if (!this.initialized) {
       await this.init();
     }
@@ -338,7 +423,7 @@ class SolanaClient {
       // In read-only mode with real wallet, fetch actual balance from blockchain
       if (this.readOnlyMode && this.demoWalletAddress) {
         try {
-          const pubkey = new PublicKey(this.demoWalletAddress);
+          const pubkey = new PublicKey(this.getWalletAddress(userId));
           const balance = await this.connection.getBalance(pubkey);
           return balance / LAMPORTS_PER_SOL; // Convert from lamports to SOL
         } catch (err) {
@@ -348,7 +433,7 @@ class SolanaClient {
       }
       
       // Get real balance from wallet manager (for fully authenticated wallet)
-      return await this.walletManager.getBalance();
+      return await this.getWalletManager(userId, { allowShared: true }).getBalance();
     } catch (error) {
       logger.error(`Error getting balance: ${error.message}`);
       throw error;
@@ -357,9 +442,10 @@ class SolanaClient {
 
   /**
    * Get token balances for the wallet
+   * @param {number} userId - Telegram user whose wallet to check, omitted for the bot wallet
    * @returns {Promise<Array>} Array of token balances
    */
-  async getTokenBalances() {
+  async getTokenBalances(userId) {
     if (!this.initialized) {
       await this.init();
     }
@@ -388,7 +474,7 @@ class SolanaClient {
       // In read-only mode with real wallet, fetch actual token balances
       if (this.readOnlyMode && this.demoWalletAddress) {
         try {
-          const pubkey = new PublicKey(this.demoWalletAddress);
+          const pubkey = new PublicKey(this.getWalletAddress(userId));
           
           // Get SOL balance
           const solBalance = await this.connection.getBalance(pubkey);
@@ -440,7 +526,7 @@ class SolanaClient {
       }
       
       // Get real token balances from wallet manager (for fully authenticated wallet)
-      return await this.walletManager.getTokenBalances();
+      return await this.getWalletManager(userId, { allowShared: true }).getTokenBalances();
     } catch (error) {
       logger.error(`Error getting token balances: ${error.message}`);
       return [];
@@ -449,9 +535,15 @@ class SolanaClient {
 
   /**
    * Get the wallet address
-   * @returns {string} Wallet address
+   * @param {number} userId - Telegram user whose address to get, omitted for the bot wallet
+   * @returns {string|null} Wallet address, null for a user who has no wallet yet
    */
-  getWalletAddress() {
+  getWalletAddress(userId) {
+    // Read from the wallet records, so looking up an address never unlocks or creates a wallet
+    if (this.userWallets && this.userWallets.isEnabled() && userId !== undefined && userId !== null) {
+      return this.userWallets.getAddress(userId);
+    }
+    
     if (this.demoMode) {
       return this.demoWalletAddress;
     }
@@ -609,7 +701,7 @@ class SolanaClient {
    * @param {string} tokenAddress - Token address to buy
    * @param {number} amountSol - Amount of SOL to spend
    * @param {number} slippage - Slippage percentage
-   * @param {Object} options - Additional options (stopLoss, takeProfit)
+   * @param {Object} options - Additional options (stopLoss, takeProfit, userId of the buying user)
    * @returns {Promise<Object>} Transaction result
    */
   async buyToken(tokenAddress, amountSol, slippage, options = {}) {
@@ -619,7 +711,7 @@ class SolanaClient {
     
     try {
       // Execute the buy transaction
-      const result = await this.transactionUtility.buyToken(tokenAddress, amountSol, slippage);
+      const result = await this.transactionUtility.buyToken(tokenAddress, amountSol, slippage, { userId: options.userId });
       
       if (!result.success) {
         return result;
@@ -634,7 +726,8 @@ class SolanaClient {
           {
             stopLoss: options.stopLoss || null,
             takeProfit: options.takeProfit || null,
-            trailingStop: options.trailingStop || null
+            trailingStop: options.trailingStop || null,
+            ownerId: options.userId
           }
         );
         
@@ -657,21 +750,22 @@ class SolanaClient {
    * @param {string} tokenAddress - Token address to sell
    * @param {number} tokenAmount - Amount of token to sell
    * @param {number} slippage - Slippage percentage
+   * @param {Object} options - Additional options (userId of the selling user)
    * @returns {Promise<Object>} Transaction result
    */
-  async sellToken(tokenAddress, tokenAmount, slippage) {
+  async sellToken(tokenAddress, tokenAmount, slippage, options = {}) {
     if (!this.initialized) {
       await this.init();
     }
     
-    return await this.transactionUtility.sellToken(tokenAddress, tokenAmount, slippage);
+    return await this.transactionUtility.sellToken(tokenAddress, tokenAmount, slippage, { userId: options.userId });
   }
   
   /**
    * Snipe a token
    * @param {string} tokenAddress - Token address to snipe
    * @param {number} amountSol - Amount of SOL to spend
-   * @param {Object} options - Snipe options (slippage, maxRisk, stopLoss, takeProfit)
+   * @param {Object} options - Snipe options (slippage, maxRisk, stopLoss, takeProfit, userId of the buying user)
    * @returns {Promise<Object>} Snipe result
    */
   async snipeToken(tokenAddress, amountSol, options = {}) {
@@ -748,7 +842,6 @@ class SolanaClient {
    */
   async initJupiterClient() {
     try {
-      const JupiterClient = require('../utils/jupiter');
       this.jupiterClient = new JupiterClient(this.connection);
       
       // Connect Jupiter client to position manager if available
@@ -756,6 +849,16 @@ class SolanaClient {
         this.positionManager.setJupiterClient(this.jupiterClient);
       }
       
+      // Risk analyzer probes Jupiter quotes to measure liquidity depth
+      if (this.riskAnalyzer) {
+        this.riskAnalyzer.setJupiterClient(this.jupiterClient);
+      }
+      
+      // The sniper swaps through the same client
+      if (this.tokenSniper) {
+        this.tokenSniper.setJupiterClient(this.jupiterClient);
+      }
+      
       logger.info('Jupiter client initialized');
     } catch (error) {
       logger.error(`Failed to initialize Jupiter client: ${error.message}`);
@@ -0,0 +1,228 @@
+const axios = require('axios');
+const bs58 = require('bs58');
+const { PublicKey, Transaction, SystemProgram } = require('@solana/web3.js');
+const logger = require('./logger');
+
+// Operations (fee profiles) sent as bundles when a block engine is configured
+const DEFAULT_BUNDLE_OPERATIONS = ['snipe', 'buy', 'sell', 'stop-loss'];
+
+// Least tip block engines accept
+const MIN_TIP_LAMPORTS = 1000;
+
+// Every transaction pays this per signature on top of any priority fee
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+/**
+ * RpcSubmitter class sending transactions to the RPC node
+ */
+class RpcSubmitter {
+  /**
+   * @param {Connection} connection - Solana connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+    this.name = 'rpc';
+    this.fallback = null;
+  }
+
+  /**
+   * Submit a signed transaction
+   * @param {Transaction|VersionedTransaction} transaction - Signed transaction
+   * @param {Object} options - skipPreflight, commitment
+   * @returns {Promise<Object>} via, the submitter that sent it
+   */
+  async submit(transaction, options = {}) {
+    await this.connection.sendRawTransaction(transaction.serialize(), {
+      skipPreflight: options.skipPreflight ?? false,
+      preflightCommitment: options.commitment,
+      maxRetries: 0 // Rebroadcasting is done by the transaction sender
+    });
+    return { via: this.name };
+  }
+}
+
+/**
+ * BundleSubmitter class sending transactions as Jito-style bundles
+ * The transaction goes to a block engine in a bundle with a second transaction
+ * that tips one of the engine's tip accounts. A bundle lands whole or not at
+ * all, so the tip is only paid when the transaction lands, and the transaction
+ * is never forwarded through the public RPC where it could be frontrun. If the
+ * block engine can't be reached or rejects the bundle, the transaction is sent
+ * to the RPC instead, without a tip.
+ */
+class BundleSubmitter {
+  /**
+   * @param {Connection} connection - Solana connection, for the RPC fallback
+   * @param {Object} options - endpoint, tipLamports, tipAccounts, fallback (false sends bundles only), timeoutMs
+   */
+  constructor(connection, options = {}) {
+    this.name = 'bundle';
+    this.endpoint = options.endpoint.replace(/\/+$/, '');
+    this.fallback = options.fallback === false ? null : new RpcSubmitter(connection);
+
+    // Configuration
+    this.tipLamports = Math.max(MIN_TIP_LAMPORTS, options.tipLamports || 10000);
+    this.tipAccounts = options.tipAccounts || null; // Fetched from the block engine when not configured
+    this.timeoutMs = options.timeoutMs || 5000;
+  }
+
+  /**
+   * Submit a signed transaction in a bundle with a tip
+   * Only the first submit falls back to the RPC. Once the block engine has the
+   * bundle, a rebroadcast that fails (rate limited, already received) must not
+   * leak the transaction to the public RPC, so its error is thrown instead.
+   * @param {Transaction|VersionedTransaction} transaction - Signed transaction
+   * @param {Object} options - signer paying the tip, rebroadcast for resubmits, skipPreflight and commitment for the fallback
+   * @returns {Promise<Object>} via, bundleId and tip (signature, lamports and costLamports) when sent as a bundle
+   */
+  async submit(transaction, options = {}) {
+    try {
+      if (!options.signer) {
+        throw new Error('No signer to pay the bundle tip');
+      }
+
+      const tipTransaction = await this.createTipTransaction(transaction, options.signer);
+      const bundleId = await this.request('sendBundle', [
+        [transaction, tipTransaction].map(item => bs58.encode(item.serialize()))
+      ]);
+
+      logger.debug(`Bundle ${bundleId} sent to ${this.endpoint}`);
+      return {
+        via: this.name,
+        bundleId,
+        tip: {
+          signature: bs58.encode(tipTransaction.signature),
+          lamports: this.tipLamports,
+          costLamports: this.tipLamports + LAMPORTS_PER_SIGNATURE
+        }
+      };
+    } catch (error) {
+      if (!this.fallback || options.rebroadcast) throw error;
+
+      logger.warn(`Bundle submission failed, sending through the RPC: ${error.message}`);
+      return this.fallback.submit(transaction, options);
+    }
+  }
+
+  /**
+   * Build the transaction tipping the block engine
+   * It uses the bundled transaction's blockhash, so both expire together.
+   * @param {Transaction|VersionedTransaction} transaction - Transaction being bundled
+   * @param {Keypair} signer - Wallet paying the tip
+   * @returns {Promise<Transaction>} Signed tip transaction
+   * @private
+   */
+  async createTipTransaction(transaction, signer) {
+    const tipAccounts = await this.getTipAccounts();
+    // Picked by the transaction's signature, so tips spread over the accounts
+    // while every rebroadcast of a transaction carries the same tip transaction
+    const signature = transaction.signatures[0].signature || transaction.signatures[0];
+    const tipAccount = tipAccounts[signature[0] % tipAccounts.length];
+
+    const tipTransaction = new Transaction().add(
+      SystemProgram.transfer({
+        fromPubkey: signer.publicKey,
+        toPubkey: new PublicKey(tipAccount),
+        lamports: this.tipLamports
+      })
+    );
+    tipTransaction.recentBlockhash = transaction.recentBlockhash || transaction.message.recentBlockhash;
+    tipTransaction.feePayer = signer.publicKey;
+    tipTransaction.sign(signer);
+
+    return tipTransaction;
+  }
+
+  /**
+   * Get the block engine's tip accounts
+   * @returns {Promise<Array<string>>} Tip account addresses
+   * @private
+   */
+  async getTipAccounts() {
+    if (!this.tipAccounts || this.tipAccounts.length === 0) {
+      const accounts = await this.request('getTipAccounts', []);
+      if (!Array.isArray(accounts) || accounts.length === 0) {
+        throw new Error('Block engine returned no tip accounts');
+      }
+      this.tipAccounts = accounts;
+    }
+    return this.tipAccounts;
+  }
+
+  /**
+   * Call the block engine's bundle API
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - Method parameters
+   * @returns {Promise<*>} The result
+   * @private
+   */
+  async request(method, params) {
+    let response;
+    try {
+      response = await axios.post(`${this.endpoint}/api/v1/bundles`, {
+        jsonrpc: '2.0',
+        id: 1,
+        method,
+        params
+      }, { timeout: this.timeoutMs });
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      throw new Error(`Block engine ${method} failed: ${message}`);
+    }
+
+    if (response.data.error) {
+      throw new Error(`Block engine ${method} failed: ${response.data.error.message}`);
+    }
+    return response.data.result;
+  }
+}
+
+/**
+ * SubmissionRouter class choosing how each operation's transactions are sent
+ * Bundles are used for the operations in BUNDLE_OPERATIONS once
+ * JITO_BLOCK_ENGINE_URL is set, everything else goes to the RPC.
+ */
+class SubmissionRouter {
+  /**
+   * @param {Connection} connection - Solana connection
+   * @param {Object} options - Overrides for the environment settings (endpoint, tipLamports, operations, fallback)
+   */
+  constructor(connection, options = {}) {
+    const endpoint = options.endpoint ?? process.env.JITO_BLOCK_ENGINE_URL;
+    const operations = options.operations
+      || (process.env.BUNDLE_OPERATIONS ? process.env.BUNDLE_OPERATIONS.split(',').map(item => item.trim()) : DEFAULT_BUNDLE_OPERATIONS);
+
+    this.operations = operations.filter(Boolean);
+    this.rpc = new RpcSubmitter(connection);
+    this.bundle = endpoint
+      ? new BundleSubmitter(connection, {
+        endpoint,
+        tipLamports: options.tipLamports ?? parseInt(process.env.JITO_TIP_LAMPORTS, 10),
+        fallback: options.fallback ?? process.env.BUNDLE_FALLBACK_TO_RPC !== 'false'
+      })
+      : null;
+  }
+
+  /**
+   * Get the submitter for an operation
+   * @param {string} operation - Fee profile of the operation (snipe, buy, sell, stop-loss, dca, transfer)
+   * @param {string} mode - 'bundle' or 'rpc' to override the configuration
+   * @returns {RpcSubmitter|BundleSubmitter} The submitter
+   */
+  forOperation(operation, mode = null) {
+    const useBundle = mode ? mode === 'bundle' : this.operations.includes(operation);
+    if (!useBundle) return this.rpc;
+
+    if (!this.bundle) {
+      if (mode === 'bundle') {
+        logger.warn('Bundle submission requested but JITO_BLOCK_ENGINE_URL is not set, using the RPC');
+      }
+      return this.rpc;
+    }
+    return this.bundle;
+  }
+}
+
+module.exports = SubmissionRouter;
+module.exports.RpcSubmitter = RpcSubmitter;
+module.exports.BundleSubmitter = BundleSubmitter;
@@ -0,0 +1,241 @@
+const bs58 = require('bs58');
+const logger = require('./logger');
+const { RpcSubmitter } = require('./submitters');
+
+// Why a transaction did not land, as reported in a send outcome
+const ERROR_TYPES = {
+  SLIPPAGE_EXCEEDED: 'SLIPPAGE_EXCEEDED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  BLOCKHASH_NOT_FOUND: 'BLOCKHASH_NOT_FOUND',
+  BLOCKHASH_EXPIRED: 'BLOCKHASH_EXPIRED',
+  BUILD_FAILED: 'BUILD_FAILED',
+  TRANSACTION_FAILED: 'TRANSACTION_FAILED',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// Error types worth another attempt with a freshly built transaction
+const RETRYABLE_ERROR_TYPES = [ERROR_TYPES.BLOCKHASH_NOT_FOUND, ERROR_TYPES.BLOCKHASH_EXPIRED];
+
+// Jupiter's SlippageToleranceExceeded program error
+const JUPITER_SLIPPAGE_ERROR = 6001;
+
+/**
+ * TransactionSender class landing signed transactions
+ * A transaction is built and signed by a callback, then broadcast again on a
+ * fixed tick until it confirms or its blockhash expires. Status comes from a
+ * signature subscription, with status polling as a fallback when the
+ * websocket is slow or unavailable. Once the blockhash has expired the old
+ * transaction can no longer land, so the callback is asked for a new one, which
+ * re-quotes and re-signs it. Every send ends in a structured outcome.
+ * Transactions are handed to a submitter: the RPC by default, or a block
+ * engine bundle. A bundle that never lands falls back to the RPC for the
+ * rebuilt transaction.
+ */
+class TransactionSender {
+  /**
+   * @param {Connection} connection - Solana connection
+   * @param {Object} options - rebroadcastIntervalMs, maxAttempts, commitment, submitter
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+
+    // Configuration
+    this.rebroadcastIntervalMs = options.rebroadcastIntervalMs || 2000; // Rebroadcast and poll every 2 seconds
+    this.maxAttempts = options.maxAttempts || 3;                         // Transactions built before giving up
+    this.unknownExpiryTimeoutMs = options.unknownExpiryTimeoutMs || 90000; // Give up following a send without lastValidBlockHeight
+    this.commitment = options.commitment || 'confirmed';
+    this.submitter = options.submitter || new RpcSubmitter(connection);
+  }
+
+  /**
+   * Build, send and confirm a transaction
+   * @param {Function} build - async (attempt) => { transaction, lastValidBlockHeight }, returning a signed
+   *   Transaction or VersionedTransaction. Called again with a fresh blockhash after an expiry.
+   * @param {Object} options - skipPreflight, maxAttempts, commitment, label for logs, submitter (RPC unless given),
+   *   signer paying a bundle tip
+   * @returns {Promise<Object>} Outcome: success, status (confirmed, failed, expired or unknown), signature,
+   *   errorType, error, attempts, slot, submittedVia, and bundleId and tip for bundles
+   */
+  async send(build, options = {}) {
+    const maxAttempts = options.maxAttempts || this.maxAttempts;
+    const commitment = options.commitment || this.commitment;
+    const label = options.label || 'Transaction';
+    let submitter = options.submitter || this.submitter;
+
+    let outcome = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let built;
+      try {
+        built = await build(attempt);
+      } catch (error) {
+        return this.failure('failed', ERROR_TYPES.BUILD_FAILED, error.message, { attempts: attempt });
+      }
+
+      outcome = await this.sendOnce(built, { ...options, commitment, submitter });
+      outcome.attempts = attempt;
+
+      if (outcome.success || !RETRYABLE_ERROR_TYPES.includes(outcome.errorType) || attempt === maxAttempts) {
+        break;
+      }
+      logger.warn(`${label} attempt ${attempt}/${maxAttempts} did not land (${outcome.errorType}), rebuilding`);
+
+      // A bundle the block engine accepted but no leader included goes to the RPC next
+      if (outcome.status === 'expired' && outcome.submittedVia === 'bundle' && submitter.fallback) {
+        logger.warn(`${label} bundle expired, sending the rebuilt transaction through the ${submitter.fallback.name}`);
+        submitter = submitter.fallback;
+      }
+    }
+
+    if (outcome.success) {
+      logger.info(`${label} confirmed: ${outcome.signature} (attempt ${outcome.attempts})`);
+    } else {
+      logger.error(`${label} failed: ${outcome.errorType} ${outcome.error}`);
+    }
+    return outcome;
+  }
+
+  /**
+   * Classify an error from a send or a failed transaction
+   * @param {Error|Object|string} error - Thrown error or the transaction's err field
+   * @param {Array<string>} logs - Program logs, if known
+   * @returns {string} One of ERROR_TYPES
+   */
+  classifyError(error, logs = []) {
+    const instructionError = error && error.InstructionError;
+    if (instructionError && instructionError[1] && instructionError[1].Custom === JUPITER_SLIPPAGE_ERROR) {
+      return ERROR_TYPES.SLIPPAGE_EXCEEDED;
+    }
+
+    const text = [
+      typeof error === 'string' ? error : error && error.message,
+      error && !error.message ? JSON.stringify(error) : '',
+      ...((logs && logs.length ? logs : error && error.logs) || [])
+    ].join(' ');
+
+    if (/slippage|0x1771\b/i.test(text)) return ERROR_TYPES.SLIPPAGE_EXCEEDED;
+    if (/insufficient (lamports|funds)|InsufficientFunds|no record of a prior credit/i.test(text)) return ERROR_TYPES.INSUFFICIENT_FUNDS;
+    if (/blockhash not found|BlockhashNotFound/i.test(text)) return ERROR_TYPES.BLOCKHASH_NOT_FOUND;
+    if (/block ?height exceeded|has expired/i.test(text)) return ERROR_TYPES.BLOCKHASH_EXPIRED;
+    if (error && (error.InstructionError || error.logs)) return ERROR_TYPES.TRANSACTION_FAILED;
+    return ERROR_TYPES.UNKNOWN;
+  }
+
+  /**
+   * Send one signed transaction and follow it until it confirms, fails or expires
+   * @param {Object} built - transaction and lastValidBlockHeight
+   * @param {Object} options - skipPreflight, commitment, submitter, signer
+   * @returns {Promise<Object>} Outcome
+   * @private
+   */
+  async sendOnce({ transaction, lastValidBlockHeight }, options) {
+    const signature = bs58.encode(transaction.signatures[0].signature || transaction.signatures[0]);
+    const submitOptions = { skipPreflight: options.skipPreflight ?? false, commitment: options.commitment, signer: options.signer };
+
+    let submission;
+    try {
+      submission = await options.submitter.submit(transaction, submitOptions);
+    } catch (error) {
+      const logs = error.logs || (typeof error.getLogs === 'function' ? await error.getLogs(this.connection).catch(() => []) : []);
+      return this.failure('failed', this.classifyError(error, logs), error.message, { signature, logs, submittedVia: options.submitter.name });
+    }
+    const details = { signature, submittedVia: submission.via, bundleId: submission.bundleId, tip: submission.tip };
+    
+    // Rebroadcasts go where the first submit went, a bundle is never rebroadcast through the RPC
+    const rebroadcaster = submission.via === options.submitter.name ? options.submitter : options.submitter.fallback;
+
+    let settled = null;
+    let subscriptionId = null;
+    try {
+      subscriptionId = this.connection.onSignature(signature, (result, context) => {
+        settled = settled || { err: result.err, slot: context.slot };
+      }, options.commitment);
+    } catch (error) {
+      logger.debug(`Signature subscription unavailable, polling ${signature}: ${error.message}`);
+    }
+
+    const startedAt = Date.now();
+    try {
+      while (!settled) {
+        await new Promise(resolve => setTimeout(resolve, this.rebroadcastIntervalMs));
+        if (settled) break;
+
+        settled = await this.getStatus(signature, options.commitment);
+        if (settled) break;
+
+        if (lastValidBlockHeight) {
+          // Once the blockhash has expired the transaction can never land
+          const blockHeight = await this.connection.getBlockHeight(options.commitment).catch(() => null);
+          if (blockHeight !== null && blockHeight > lastValidBlockHeight) {
+            // A processed transaction may still confirm, rebuilding now could execute it twice
+            const processed = await this.getStatus(signature, 'processed');
+            if (processed) continue;
+            return this.failure('expired', ERROR_TYPES.BLOCKHASH_EXPIRED, `Blockhash expired at height ${lastValidBlockHeight}`, details);
+          }
+        } else if (Date.now() - startedAt > this.unknownExpiryTimeoutMs) {
+          // Without the expiry height there is no telling whether it can still land
+          return this.failure('unknown', ERROR_TYPES.UNKNOWN, 'Transaction not confirmed in time', { ...details, maybeSucceeded: true });
+        }
+
+        await rebroadcaster.submit(transaction, { ...submitOptions, skipPreflight: true, rebroadcast: true })
+          .catch(error => logger.debug(`Rebroadcast of ${signature} failed: ${error.message}`));
+      }
+    } finally {
+      if (subscriptionId !== null) {
+        this.connection.removeSignatureListener(subscriptionId).catch(() => {});
+      }
+    }
+
+    if (settled.err) {
+      return this.failure('failed', this.classifyError(settled.err), JSON.stringify(settled.err), { ...details, slot: settled.slot });
+    }
+
+    // The tip only lands with the bundle, the transaction may have landed through the fallback
+    if (details.tip) {
+      const tipStatus = await this.getStatus(details.tip.signature, 'processed');
+      details.tip = { ...details.tip, landed: Boolean(tipStatus && !tipStatus.err) };
+    }
+    return { success: true, status: 'confirmed', ...details, slot: settled.slot };
+  }
+
+  /**
+   * Poll the status of a signature
+   * @param {string} signature - Transaction signature
+   * @param {string} commitment - Commitment the status must have reached
+   * @returns {Promise<Object|null>} err and slot once settled, null while pending or unknown
+   * @private
+   */
+  async getStatus(signature, commitment) {
+    let status;
+    try {
+      const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: false });
+      status = value && value[0];
+    } catch (error) {
+      logger.debug(`Error polling status of ${signature}: ${error.message}`);
+      return null;
+    }
+    if (!status) return null;
+
+    // A failed transaction is final at any commitment
+    if (status.err) return { err: status.err, slot: status.slot };
+
+    const levels = ['processed', 'confirmed', 'finalized'];
+    const reached = status.confirmationStatus ? levels.indexOf(status.confirmationStatus) : 0;
+    return reached >= levels.indexOf(commitment) ? { err: null, slot: status.slot } : null;
+  }
+
+  /**
+   * Build a failed outcome
+   * @param {string} status - failed, expired or unknown
+   * @param {string} errorType - One of ERROR_TYPES
+   * @param {string} error - Error message
+   * @param {Object} details - Extra outcome fields
+   * @returns {Object} Outcome
+   * @private
+   */
+  failure(status, errorType, error, details = {}) {
+    return { success: false, status, errorType, error, ...details };
+  }
+}
+
+module.exports = TransactionSender;
+module.exports.ERROR_TYPES = ERROR_TYPES;
@@ -9,9 +9,45 @@ const {
 const { 
   Token, 
   TOKEN_PROGRAM_ID, 
-  ASSOCIATED_TOKEN_PROGRAM_ID 
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  getMint,
+  getTransferFeeConfig,
+  calculateEpochFee,
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  createTransferCheckedWithFeeInstruction
 } = require('@solana/spl-token');
 const logger = require('./logger');
+const feeOracle = require('./fee-oracle');
+const TransactionSender = require('./transaction-sender');
+const SubmissionRouter = require('./submitters');
+
+/**
+ * Convert a token amount to base units without floating point rounding
+ * @param {number|string} amount - Amount in whole tokens
+ * @param {number} decimals - Mint decimals
+ * @returns {bigint} Amount in base units
+ */
+const toBaseUnits = (amount, decimals) => {
+  const [whole, fraction = ''] = String(amount).split('.');
+  if (!/^\d+$/.test(whole || '0') || !/^\d*$/.test(fraction)) {
+    throw new Error(`Invalid token amount: ${amount}`);
+  }
+  if (fraction.length > decimals) {
+    throw new Error(`Token amount has more than ${decimals} decimal places`);
+  }
+  return BigInt((whole || '0') + fraction.padEnd(decimals, '0'));
+};
+
+/**
+ * Convert base units to a token amount
+ * @param {bigint} baseUnits - Amount in base units
+ * @param {number} decimals - Mint decimals
+ * @returns {number} Amount in whole tokens
+ */
+const fromBaseUnits = (baseUnits, decimals) => Number(baseUnits) / (10 ** decimals);
 
 /**
  * Transaction utility class
@@ -26,7 +62,7 @@ class TransactionUtility {
    * @param {string} tokenAddress - The token mint address
    * @param {number} amountSol - The amount of SOL to spend
    * @param {number} slippage - Slippage tolerance percentage
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (userId selects the wallet)
    * @returns {Promise<Object>} Transaction result
    */
   async buyToken(tokenAddress, amountSol, slippage = 1, options = {}) {
@@ -44,21 +80,23 @@ class TransactionUtility {
         throw new Error('Jupiter client not initialized');
       }
       
-      const walletManager = this.solanaClient.walletManager;
+      const walletManager = this.solanaClient.getWalletManager(options.userId);
       if (!walletManager || !walletManager.getKeypair()) {
         throw new Error('Wallet not initialized');
       }
       
       // Combine provided options with defaults
+      const { userId, ...swapOverrides } = options;
       const buyOptions = {
         slippage,
         // Default options for buying
         skipPreflight: options.skipPreflight ?? false,
-        maxRetries: options.maxRetries ?? 2,
-        priorityFee: options.priorityFee ?? 30000, // 30,000 microLamports (medium priority)
+        maxAttempts: options.maxAttempts ?? 2,
+        feeProfile: 'buy',
+        userId,
         onlyDirectRoutes: options.onlyDirectRoutes ?? false,
         // Add any other options provided
-        ...options
+        ...swapOverrides
       };
       
       // Execute the swap using Jupiter
@@ -104,7 +142,7 @@ class TransactionUtility {
    * @param {string} tokenAddress - The token mint address
    * @param {number} tokenAmount - The amount of token to sell
    * @param {number} slippage - Slippage tolerance percentage
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (userId selects the wallet)
    * @returns {Promise<Object>} Transaction result
    */
   async sellToken(tokenAddress, tokenAmount, slippage = 1, options = {}) {
@@ -138,21 +176,23 @@ class TransactionUtility {
         throw new Error('Jupiter client not initialized');
       }
       
-      const walletManager = this.solanaClient.walletManager;
+      const walletManager = this.solanaClient.getWalletManager(options.userId);
       if (!walletManager || !walletManager.getKeypair()) {
         throw new Error('Wallet not initialized');
       }
       
       // Combine provided options with defaults for selling
+      const { userId, ...swapOverrides } = options;
       const sellOptions = {
         slippage,
         // Default options for selling
         skipPreflight: options.skipPreflight ?? false,
-        maxRetries: options.maxRetries ?? 3, // Extra retry for sells
-        priorityFee: options.priorityFee ?? 40000, // 40,000 microLamports (higher priority for sells)
+        maxAttempts: options.maxAttempts ?? 3, // Extra attempt for sells
+        feeProfile: 'sell',
+        userId,
         onlyDirectRoutes: options.onlyDirectRoutes ?? false,
         // Add any other options provided
-        ...options
+        ...swapOverrides
       };
       
       // Execute the swap using Jupiter
@@ -197,12 +237,12 @@ class TransactionUtility {
    * Create a SOL transfer transaction
    * @param {string} toAddress - Recipient address
    * @param {number} amountSol - Amount to send in SOL
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (priorityFee, userId selects the sending wallet)
    * @returns {Promise<Transaction>} The transaction object
    */
   async createSOLTransferTransaction(toAddress, amountSol, options = {}) {
     try {
-      const walletManager = this.solanaClient.walletManager;
+      const walletManager = this.solanaClient.getWalletManager(options.userId);
       if (!walletManager || !walletManager.getKeypair()) {
         throw new Error('Wallet not initialized');
       }
@@ -244,49 +284,202 @@ class TransactionUtility {
   }
   
   /**
-   * Send a transaction to the network
+   * Work out how an SPL token transfer will be made
+   * Handles both the Token and Token-2022 programs. For Token-2022 mints with a
+   * transfer fee the fee is withheld from the amount the recipient receives.
+   * @param {string} toAddress - Recipient wallet address
+   * @param {string} mintAddress - Token mint address
+   * @param {number|string} amount - Amount to send in whole tokens
+   * @param {Object} options - Additional options (userId selects the sending wallet)
+   * @returns {Promise<Object>} programId, decimals, rawAmount, fee, received, source, destination, createsRecipientAccount
+   */
+  async getTokenTransferDetails(toAddress, mintAddress, amount, options = {}) {
+    const walletManager = this.solanaClient.getWalletManager(options.userId);
+    if (!walletManager || !walletManager.getKeypair()) {
+      throw new Error('Wallet not initialized');
+    }
+    
+    const connection = this.solanaClient.connection;
+    const owner = walletManager.getKeypair().publicKey;
+    const mint = new PublicKey(mintAddress);
+    const recipient = new PublicKey(toAddress);
+    
+    // The mint account's owner tells which token program the token uses
+    const mintAccount = await connection.getAccountInfo(mint);
+    if (!mintAccount) {
+      throw new Error('Token mint not found');
+    }
+    const programId = mintAccount.owner.equals(TOKEN_2022_PROGRAM_ID) ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+    if (!mintAccount.owner.equals(programId)) {
+      throw new Error('Address is not a token mint');
+    }
+    
+    const mintInfo = await getMint(connection, mint, 'confirmed', programId);
+    const rawAmount = toBaseUnits(amount, mintInfo.decimals);
+    if (rawAmount <= 0n) {
+      throw new Error('Token amount must be positive');
+    }
+    
+    let fee = 0n;
+    const feeConfig = programId.equals(TOKEN_2022_PROGRAM_ID) ? getTransferFeeConfig(mintInfo) : null;
+    if (feeConfig) {
+      const { epoch } = await connection.getEpochInfo();
+      fee = calculateEpochFee(feeConfig, BigInt(epoch), rawAmount);
+    }
+    
+    let destination;
+    try {
+      destination = await getAssociatedTokenAddress(mint, recipient, false, programId);
+    } catch (error) {
+      throw new Error('Recipient must be a wallet address');
+    }
+    const source = options.sourceTokenAccount
+      ? new PublicKey(options.sourceTokenAccount)
+      : await getAssociatedTokenAddress(mint, owner, false, programId);
+    
+    return {
+      programId,
+      decimals: mintInfo.decimals,
+      rawAmount,
+      rawFee: fee,
+      fee: fromBaseUnits(fee, mintInfo.decimals),
+      received: fromBaseUnits(rawAmount - fee, mintInfo.decimals),
+      source,
+      destination,
+      createsRecipientAccount: !(await connection.getAccountInfo(destination))
+    };
+  }
+  
+  /**
+   * Create an SPL token transfer transaction
+   * Creates the recipient's associated token account when it is missing, paid by the sender.
+   * @param {string} toAddress - Recipient wallet address
+   * @param {string} mintAddress - Token mint address
+   * @param {number|string} amount - Amount to send in whole tokens
+   * @param {Object} options - Additional options (priorityFee, sourceTokenAccount, userId selects the sending wallet)
+   * @returns {Promise<Transaction>} The transaction object
+   */
+  async createTokenTransferTransaction(toAddress, mintAddress, amount, options = {}) {
+    try {
+      const details = await this.getTokenTransferDetails(toAddress, mintAddress, amount, options);
+      const keypair = this.solanaClient.getWalletManager(options.userId).getKeypair();
+      const mint = new PublicKey(mintAddress);
+      
+      const transaction = new Transaction();
+      
+      // Add compute budget instruction for priority fees (if enabled)
+      if (options.priorityFee) {
+        transaction.add(
+          ComputeBudgetProgram.setComputeUnitPrice({
+            microLamports: options.priorityFee
+          })
+        );
+      }
+      
+      if (details.createsRecipientAccount) {
+        transaction.add(
+          createAssociatedTokenAccountIdempotentInstruction(
+            keypair.publicKey,
+            details.destination,
+            new PublicKey(toAddress),
+            mint,
+            details.programId
+          )
+        );
+      }
+      
+      // Mints with a transfer fee reject transfers that don't state the expected fee
+      transaction.add(
+        details.rawFee > 0n
+          ? createTransferCheckedWithFeeInstruction(
+            details.source, mint, details.destination, keypair.publicKey,
+            details.rawAmount, details.decimals, details.rawFee, [], details.programId
+          )
+          : createTransferCheckedInstruction(
+            details.source, mint, details.destination, keypair.publicKey,
+            details.rawAmount, details.decimals, [], details.programId
+          )
+      );
+      
+      // Get recent blockhash
+      const { blockhash } = await this.solanaClient.connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = keypair.publicKey;
+      
+      return transaction;
+    } catch (error) {
+      logger.error(`Error creating token transfer transaction: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Send a transaction to the network and wait for it to confirm
+   * The transaction is signed with a fresh blockhash, and signed again with a
+   * new one if it expires before landing. Unless it already has compute budget
+   * instructions, its compute unit limit is sized by simulation and each
+   * attempt bids the fee oracle's priority fee, escalating on retries.
    * @param {Transaction} transaction - The transaction to send
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Transaction result
+   * @param {Object} options - Additional options (userId selects the signing wallet, feeProfile, skipPreflight, maxAttempts, commitment,
+   *   submission 'bundle' or 'rpc' to override the operation's configuration)
+   * @returns {Promise<Object>} Send outcome (success, status, signature, errorType, error, priorityFee)
    */
   async sendTransaction(transaction, options = {}) {
     try {
-      const walletManager = this.solanaClient.walletManager;
+      const walletManager = this.solanaClient.getWalletManager(options.userId);
       if (!walletManager || !walletManager.getKeypair()) {
         throw new Error('Wallet not initialized');
       }
       
+      if (!this.sender) {
+        this.sender = new TransactionSender(this.solanaClient.connection);
+        this.submission = new SubmissionRouter(this.solanaClient.connection);
+      }
+      
+      const keypair = walletManager.getKeypair();
       const connection = this.solanaClient.connection;
+      const commitment = options.commitment ?? 'confirmed';
       
-      // Set options with defaults
-      const txOptions = {
-        skipPreflight: options.skipPreflight ?? false,
-        maxRetries: options.maxRetries ?? 2,
-        commitment: options.commitment ?? 'confirmed',
-        ...options
+      // A compute budget set by the caller is kept as is
+      const instructions = transaction.instructions.slice();
+      const priced = !instructions.some(instruction => instruction.programId.equals(ComputeBudgetProgram.programId));
+      let computeUnits = null;
+      let priorityFee = null;
+      
+      // Each attempt signs the same instructions with a fresh blockhash
+      const build = async (attempt) => {
+        if (priced) {
+          computeUnits = computeUnits || await feeOracle.estimateComputeUnits(connection, instructions, keypair.publicKey);
+          priorityFee = await feeOracle.getPriorityFee(connection, {
+            accounts: feeOracle.getWritableAccounts(instructions),
+            profile: options.feeProfile,
+            attempt,
+            computeUnits,
+            userId: options.userId
+          });
+          transaction.instructions = [...feeOracle.getComputeBudgetInstructions(priorityFee), ...instructions];
+        }
+        
+        const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(commitment);
+        transaction.recentBlockhash = blockhash;
+        transaction.feePayer = keypair.publicKey;
+        transaction.sign(keypair);
+        return { transaction, lastValidBlockHeight };
       };
       
-      // Send transaction using wallet manager
       logger.info('Sending transaction to network...');
-      const signature = await walletManager.sendTransaction(transaction, connection, txOptions);
-      
-      // Confirm transaction
-      logger.info(`Transaction sent with signature: ${signature}`);
-      const confirmation = await connection.confirmTransaction({
-        signature,
-        blockhash: transaction.recentBlockhash,
-        lastValidBlockHeight: options.lastValidBlockHeight
-      }, txOptions.commitment);
-      
-      if (confirmation.value?.err) {
-        throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
-      }
-      
-      logger.info(`Transaction confirmed: ${signature}`);
+      const outcome = await this.sender.send(build, {
+        skipPreflight: options.skipPreflight ?? false,
+        maxAttempts: options.maxAttempts,
+        commitment,
+        submitter: this.submission.forOperation(options.feeProfile || 'transfer', options.submission),
+        signer: keypair,
+        label: 'Transaction'
+      });
       
       return {
-        success: true,
-        signature,
+        ...outcome,
+        priorityFee,
         timestamp: Date.now()
       };
     } catch (error) {
@@ -297,6 +490,7 @@ class TransactionUtility {
       };
     }
   }
+
   
   /**
    * Set up a stop-loss/take-profit order
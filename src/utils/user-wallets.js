@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { Keypair } = require('@solana/web3.js');
+const logger = require('./logger');
+const database = require('./database');
+const accessControl = require('./access-control');
+const WalletManager = require('./wallet');
+
+/**
+ * UserWalletManager class holding a custodial keypair per Telegram user
+ * Secret keys are encrypted at rest with AES-256-GCM under the master key from
+ * WALLET_MASTER_KEY, bound to the owning user ID. Without a master key only
+ * owners may trade and withdraw, from the shared wallet. With USER_WALLETS=true
+ * a missing master key stops the bot from starting instead.
+ */
+class UserWalletManager {
+  /**
+   * @param {Connection} connection - Solana connection
+   * @param {WalletManager} sharedWallet - Wallet used when per-user wallets are disabled
+   * @param {string} masterKey - 32-byte master key, hex or base64 encoded
+   */
+  constructor(connection, sharedWallet, masterKey = process.env.WALLET_MASTER_KEY) {
+    this.connection = connection;
+    this.sharedWallet = sharedWallet;
+    this.masterKey = masterKey ? this.parseMasterKey(masterKey) : null;
+    this.wallets = new Map(); // user ID -> unlocked WalletManager
+    this.records = database.loadData('user-wallets', {});
+
+    if (this.masterKey) {
+      logger.info(`User wallets enabled, ${Object.keys(this.records).length} wallets on file`);
+    } else if (process.env.USER_WALLETS === 'true') {
+      throw new Error('USER_WALLETS is enabled but WALLET_MASTER_KEY is not set - refusing to start with a shared wallet');
+    } else {
+      logger.warn('WALLET_MASTER_KEY not set - only owners can trade and withdraw, from the bot wallet');
+    }
+  }
+
+  /**
+   * Whether users get their own wallets
+   * @returns {boolean} True if a master key is configured
+   */
+  isEnabled() {
+    return this.masterKey !== null;
+  }
+
+  /**
+   * Check whether a user already has a wallet
+   * @param {number|string} userId - Telegram user ID
+   * @returns {boolean} True if the user has a wallet
+   */
+  hasWallet(userId) {
+    return Boolean(this.records[String(userId)]);
+  }
+
+  /**
+   * Create a user's wallet if they don't have one yet
+   * @param {number|string} userId - Telegram user ID
+   * @returns {string} The wallet address
+   */
+  createWallet(userId) {
+    if (!this.isEnabled()) {
+      throw new Error('User wallets are disabled, set WALLET_MASTER_KEY to enable them');
+    }
+
+    const key = String(userId);
+    if (this.records[key]) {
+      return this.records[key].publicKey;
+    }
+
+    const keypair = Keypair.generate();
+    this.records[key] = {
+      publicKey: keypair.publicKey.toString(),
+      ...this.encryptSecretKey(key, keypair.secretKey),
+      createdAt: Date.now()
+    };
+
+    if (!database.saveData('user-wallets', this.records)) {
+      delete this.records[key];
+      throw new Error('Failed to save the new wallet');
+    }
+
+    this.wallets.set(key, this.createWalletManager(keypair));
+    logger.info(`Created wallet ${keypair.publicKey.toString()} for user ${key}`);
+    return keypair.publicKey.toString();
+  }
+
+  /**
+   * Get the wallet a user trades with
+   * Wallets are only created by createWallet, on /start, so updates from users
+   * who never started the bot don't create custodial wallets. Without per-user wallets, other users' trades and withdrawals would spend
+   * the owners' funds, so only owners get the shared wallet to sign with.
+   * @param {number|string} userId - Telegram user ID, omitted for bot-level operations
+   * @param {Object} options - allowShared for reading balances or selling what the shared wallet already holds
+   * @returns {WalletManager} The user's wallet, or the shared wallet
+   */
+  getWalletFor(userId, options = {}) {
+    if (userId === undefined || userId === null) {
+      return this.sharedWallet;
+    }
+    
+    if (!this.isEnabled()) {
+      const sharedAllowed = options.allowShared || accessControl.hasRole(userId, 'owner') ||
+        Boolean(this.sharedWallet && this.sharedWallet.demoMode);
+      if (!sharedAllowed) {
+        throw new Error('Per-user wallets are disabled (WALLET_MASTER_KEY is not set), only owners can trade from the bot wallet');
+      }
+      return this.sharedWallet;
+    }
+
+    const key = String(userId);
+    if (!this.wallets.has(key)) {
+      if (!this.records[key]) {
+        throw new Error('You have no wallet yet - send /start to create one');
+      }
+      const secretKey = this.decryptSecretKey(key, this.records[key]);
+      this.wallets.set(key, this.createWalletManager(Keypair.fromSecretKey(secretKey)));
+    }
+
+    return this.wallets.get(key);
+  }
+
+  /**
+   * Get a user's wallet address without unlocking the wallet
+   * @param {number|string} userId - Telegram user ID
+   * @returns {string|null} The address or null if the user has no wallet
+   */
+  getAddress(userId) {
+    const record = this.records[String(userId)];
+    return record ? record.publicKey : null;
+  }
+
+  /**
+   * Create a wallet manager for a user's keypair
+   * @param {Keypair} keypair - User keypair
+   * @returns {WalletManager} Wallet manager
+   * @private
+   */
+  createWalletManager(keypair) {
+    const wallet = new WalletManager(this.connection);
+    wallet.demoMode = Boolean(this.sharedWallet && this.sharedWallet.demoMode);
+    wallet.loadWalletFromKeypair(keypair);
+    return wallet;
+  }
+
+  /**
+   * Encrypt a secret key under the master key
+   * @param {string} userId - Owning user ID, authenticated with the ciphertext
+   * @param {Uint8Array} secretKey - Secret key
+   * @returns {Object} encryptedKey, iv and authTag, base64 encoded
+   * @private
+   */
+  encryptSecretKey(userId, secretKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.masterKey, iv);
+    cipher.setAAD(Buffer.from(userId));
+    const encryptedKey = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+    return {
+      encryptedKey: encryptedKey.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a stored secret key
+   * @param {string} userId - Owning user ID
+   * @param {Object} record - Stored wallet record
+   * @returns {Uint8Array} Secret key
+   * @private
+   */
+  decryptSecretKey(userId, record) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.masterKey, Buffer.from(record.iv, 'base64'));
+      decipher.setAAD(Buffer.from(userId));
+      decipher.setAuthTag(Buffer.from(record.authTag, 'base64'));
+      return new Uint8Array(Buffer.concat([
+        decipher.update(Buffer.from(record.encryptedKey, 'base64')),
+        decipher.final()
+      ]));
+    } catch (error) {
+      throw new Error(`Failed to decrypt wallet of user ${userId} - wrong master key or corrupted record`);
+    }
+  }
+
+  /**
+   * Parse the master key
+   * @param {string} masterKey - 32-byte key, hex or base64 encoded
+   * @returns {Buffer} Key bytes
+   * @private
+   */
+  parseMasterKey(masterKey) {
+    const key = /^[0-9a-fA-F]{64}$/.test(masterKey)
+      ? Buffer.from(masterKey, 'hex')
+      : Buffer.from(masterKey, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error('WALLET_MASTER_KEY must be 32 bytes, hex or base64 encoded');
+    }
+    return key;
+  }
+}
+
+module.exports = UserWalletManager;
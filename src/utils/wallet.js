@@ -1,6 +1,7 @@
 const { Keypair, PublicKey, LAMPORTS_PER_SOL, ComputeBudgetProgram } = require('@solana/web3.js');
-const { Token, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { Token, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
 const bs58 = require('bs58');
+const feeOracle = require('./fee-oracle');
 
 class WalletManager {
   constructor(connection) {
@@ -20,6 +21,16 @@ class WalletManager {
     }
   }
 
+  /**
+   * Use an already decoded keypair
+   * @param {Keypair} keypair - Wallet keypair
+   * @returns {string} Wallet address
+   */
+  loadWalletFromKeypair(keypair) {
+    this.wallet = keypair;
+    return this.wallet.publicKey.toString();
+  }
+
   async getBalance() {
     if (this.demoMode) {
       return this.demoBalance;
@@ -48,23 +59,33 @@ class WalletManager {
     
     if (!this.wallet) throw new Error('Wallet not loaded');
     
-    const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(
-      this.wallet.publicKey,
-      { programId: TOKEN_PROGRAM_ID }
-    );
+    // Token-2022 mints live in their own program's accounts
+    const balances = [];
+    for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+      const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(
+        this.wallet.publicKey,
+        { programId }
+      );
+      
+      tokenAccounts.value.forEach(account => {
+        const accountData = account.account.data.parsed.info;
+        balances.push({
+          mint: accountData.mint,
+          balance: accountData.tokenAmount.uiAmount,
+          decimals: accountData.tokenAmount.decimals,
+          amount: accountData.tokenAmount.amount, // Raw amount in base units
+          tokenAccount: account.pubkey.toString(),
+          programId: programId.toString()
+        });
+      });
+    }
     
-    return tokenAccounts.value.map(account => {
-      const accountData = account.account.data.parsed.info;
-      return {
-        mint: accountData.mint,
-        balance: accountData.tokenAmount.uiAmount,
-        decimals: accountData.tokenAmount.decimals
-      };
-    });
+    return balances;
   }
 
   getPublicKey() {
-    if (this.demoMode) {
+    // Custodial user wallets keep their own address in demo mode
+    if (this.demoMode && !this.wallet) {
       const demoWalletAddress = process.env.DEMO_WALLET_ADDRESS || '2PS57B26Sh5Xa22dPSEt9bRgP5FhNsoyFvGUV8t5X232';
       return demoWalletAddress;
     }
@@ -79,7 +100,8 @@ class WalletManager {
    * Sends a transaction to the Solana network
    * @param {Transaction} transaction - The transaction to send
    * @param {Connection} connection - The Solana connection
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (skipPreflight, maxRetries, commitment, feeProfile, attempt escalating the fee,
+   *   userId whose maximum caps the fee, priorityFee in microLamports per CU to start from, computeUnits)
    * @returns {Promise<string>} Transaction signature
    */
   async sendTransaction(transaction, connection = this.connection, options = {}) {
@@ -98,8 +120,6 @@ class WalletManager {
         skipPreflight = false,
         maxRetries = 3,
         commitment = 'confirmed',
-        priorityFee = 5000, // 5000 micro-lamports per CU is a reasonable default
-        computeUnits = 200000, // 200,000 is the default compute unit limit
       } = options;
       
       // For versioned transactions (VersionedTransaction)
@@ -132,24 +152,29 @@ class WalletManager {
         instr => instr.programId.equals(ComputeBudgetProgram.programId)
       );
       
-      if (!hasComputeBudget && priorityFee > 0) {
+      if (!hasComputeBudget) {
+        // Size the limit by simulation and price it from recent fees on the same accounts
+        const computeUnits = options.computeUnits
+          || await feeOracle.estimateComputeUnits(connection, transaction.instructions, transaction.feePayer);
+        const fee = await feeOracle.getPriorityFee(connection, {
+          accounts: feeOracle.getWritableAccounts(transaction.instructions),
+          profile: options.feeProfile,
+          attempt: options.attempt || 1,
+          computeUnits,
+          userId: options.userId,
+          baseMicroLamports: options.priorityFee
+        });
+        
         // Prepend compute budget instructions
-        transaction.instructions.unshift(
-          ComputeBudgetProgram.setComputeUnitLimit({
-            units: computeUnits
-          }),
-          ComputeBudgetProgram.setComputeUnitPrice({
-            microLamports: priorityFee
-          })
-        );
+        transaction.instructions.unshift(...feeOracle.getComputeBudgetInstructions(fee));
       }
       
       // 4. Sign the transaction
-      const signedTransaction = await this.wallet.signTransaction(transaction);
+      transaction.sign(this.wallet);
       
       // 5. Send the signed transaction
       const signature = await connection.sendRawTransaction(
-        signedTransaction.serialize(),
+        transaction.serialize(),
         {
           skipPreflight,
           maxRetries,
@@ -0,0 +1,587 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const logger = require('./logger');
+const database = require('./database');
+const accessControl = require('./access-control');
+
+// Requests not confirmed, approved or executed within this time expire
+const REQUEST_TTL_MS = 15 * 60 * 1000;
+
+// Daily limits are checked over a rolling window
+const DAILY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Request statuses that count toward a user's daily limit
+const COUNTED_STATUSES = ['awaiting_code', 'awaiting_approval', 'approved', 'processing', 'completed', 'unconfirmed'];
+
+// Statuses a request can still move on from
+const OPEN_STATUSES = ['awaiting_code', 'awaiting_approval', 'approved'];
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Wrong authenticator codes allowed before a request is cancelled, and before
+// a user is locked out of code entry, counted over the lockout period
+const MAX_CODE_FAILURES_PER_REQUEST = 3;
+const MAX_CODE_FAILURES_PER_USER = 5;
+const CODE_LOCKOUT_MS = 60 * 60 * 1000;
+
+/**
+ * WithdrawalPolicy class deciding which withdrawals may be signed
+ * Withdrawals only go to a user's allowlisted addresses, and new addresses
+ * become usable after a cool-down. Each withdrawal must stay within the
+ * per-transaction and daily caps. Withdrawals above the confirmation threshold
+ * also need a code from the user's authenticator app, or approval from
+ * another owner for users without one. Token withdrawals count toward the
+ * same SOL caps at their quoted value, and always need a code or approval as
+ * that value is only an estimate.
+ */
+class WithdrawalPolicy {
+  constructor() {
+    this.maxPerTxSol = parseFloat(process.env.WITHDRAWAL_MAX_PER_TX_SOL || 5);
+    this.dailyLimitSol = parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT_SOL || 10);
+    this.confirmAboveSol = parseFloat(process.env.WITHDRAWAL_CONFIRM_ABOVE_SOL || 1);
+    this.addressCooldownHours = parseFloat(process.env.WITHDRAWAL_ADDRESS_COOLDOWN_HOURS || 24);
+
+    const data = database.loadData('withdrawals', {});
+    this.allowlists = data.allowlists || {}; // user ID -> allowlisted addresses
+    this.requests = data.requests || [];
+    this.authenticators = data.authenticators || {}; // user ID -> TOTP secret
+    this.codeFailures = data.codeFailures || {}; // user ID -> recent wrong code times and lockout
+  }
+
+  /**
+   * Get a user's allowlisted addresses
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Array<Object>} address, label, addedAt, usableAt and usable of each entry
+   */
+  getAllowlist(userId) {
+    return (this.allowlists[String(userId)] || [])
+      .map(entry => ({ ...entry, usable: Date.now() >= entry.usableAt }));
+  }
+
+  /**
+   * Add an address to a user's allowlist
+   * The address can receive withdrawals once the cool-down has passed.
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} address - Destination address
+   * @param {string} label - Optional name for the address
+   * @returns {Object} The allowlist entry
+   */
+  addAddress(userId, address, label = null) {
+    try {
+      new PublicKey(address);
+    } catch (error) {
+      throw new Error('Invalid Solana address');
+    }
+
+    const key = String(userId);
+    const allowlist = this.allowlists[key] || [];
+    if (allowlist.some(entry => entry.address === address)) {
+      throw new Error('Address is already on your allowlist');
+    }
+
+    const entry = {
+      address,
+      label,
+      addedAt: Date.now(),
+      usableAt: Date.now() + this.addressCooldownHours * 3600000
+    };
+    this.allowlists[key] = [...allowlist, entry];
+    this.save();
+
+    logger.info(`User ${key} allowlisted withdrawal address ${address}`);
+    return { ...entry, usable: this.addressCooldownHours <= 0 };
+  }
+
+  /**
+   * Remove an address from a user's allowlist
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} address - Destination address
+   * @returns {boolean} Whether the address was on the allowlist
+   */
+  removeAddress(userId, address) {
+    const key = String(userId);
+    const allowlist = this.allowlists[key] || [];
+    if (!allowlist.some(entry => entry.address === address)) return false;
+
+    this.allowlists[key] = allowlist.filter(entry => entry.address !== address);
+    this.save();
+
+    logger.info(`User ${key} removed withdrawal address ${address} from their allowlist`);
+    return true;
+  }
+
+  /**
+   * Get the SOL a user has withdrawn or has pending over the last 24 hours
+   * Token withdrawals count at their SOL value when requested.
+   * @param {number|string} userId - Telegram user ID
+   * @returns {number} Amount in SOL
+   */
+  getWithdrawnToday(userId) {
+    this.expireRequests();
+    const since = Date.now() - DAILY_WINDOW_MS;
+
+    const total = this.requests
+      .filter(request => request.userId === String(userId) && request.createdAt >= since)
+      .filter(request => COUNTED_STATUSES.includes(request.status))
+      .reduce((sum, request) => sum + (request.mint ? request.valueSol || 0 : request.amount), 0);
+    return Math.round(total * 1e9) / 1e9;
+  }
+
+  /**
+   * Get how much a user can still withdraw in one transaction
+   * @param {number|string} userId - Telegram user ID
+   * @returns {number} Amount in SOL
+   */
+  getAvailableToWithdraw(userId) {
+    const remainingToday = Math.max(0, this.dailyLimitSol - this.getWithdrawnToday(userId));
+    return Math.round(Math.min(this.maxPerTxSol, remainingToday) * 1e9) / 1e9;
+  }
+
+  /**
+   * Create a withdrawal request, checked against the allowlist and caps
+   * @param {Object} params - Request parameters
+   * @param {number} params.userId - Telegram user withdrawing from their wallet
+   * @param {number} params.chatId - Chat to report the outcome to
+   * @param {string} params.address - Destination address
+   * @param {number} params.amount - Amount in SOL, or in whole tokens for token withdrawals
+   * @param {string} params.mint - Token mint for token withdrawals, omitted for SOL
+   * @param {number} params.valueSol - SOL value of a token withdrawal, from a price lookup
+   * @returns {Object} The request, approved or awaiting a code or approval
+   */
+  createRequest({ userId, chatId, address, amount, mint = null, valueSol = null }) {
+    const key = String(userId);
+
+    if (!(amount > 0)) {
+      throw new Error('Withdrawal amount must be a positive number');
+    }
+
+    const entry = this.getAllowlist(key).find(item => item.address === address);
+    if (!entry) {
+      throw new Error('Address is not on your withdrawal allowlist');
+    }
+    if (!entry.usable) {
+      throw new Error(`Address becomes usable ${new Date(entry.usableAt).toLocaleString()}`);
+    }
+
+    // Without a price a token withdrawal could not be held to the caps
+    if (mint && !(Number.isFinite(valueSol) && valueSol >= 0)) {
+      throw new Error('No price found for this token, so the withdrawal cannot be checked against the SOL limits');
+    }
+
+    const capped = mint ? valueSol : amount;
+    const worth = mint ? ` (this one is worth about ${Math.round(capped * 10000) / 10000} SOL)` : '';
+    if (capped > this.maxPerTxSol) {
+      throw new Error(`Withdrawals are limited to ${this.maxPerTxSol} SOL per transaction${worth}`);
+    }
+    const withdrawnToday = this.getWithdrawnToday(key);
+    if (withdrawnToday + capped > this.dailyLimitSol) {
+      throw new Error(`Daily withdrawal limit is ${this.dailyLimitSol} SOL, ${withdrawnToday} SOL already withdrawn or pending in the last 24 hours${worth}`);
+    }
+
+    let status = 'approved';
+    if (mint || amount > this.confirmAboveSol) {
+      if (this.hasAuthenticator(key)) {
+        this.assertCodeEntryAllowed(key);
+        status = 'awaiting_code';
+      } else if (this.getApprovers(key).length > 0) {
+        status = 'awaiting_approval';
+      } else {
+        throw new Error(`${mint ? 'Token withdrawals' : `Withdrawals above ${this.confirmAboveSol} SOL`} need an authenticator code - set one up with /authenticator`);
+      }
+    }
+
+    const request = {
+      id: `wd_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      userId: key,
+      chatId,
+      address,
+      label: entry.label,
+      amount,
+      mint,
+      valueSol: mint ? valueSol : null,
+      status,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + REQUEST_TTL_MS
+    };
+    this.requests.push(request);
+    this.save();
+
+    logger.info(`Withdrawal request ${request.id}: ${amount} ${mint || 'SOL'} from user ${key} to ${address} (${status})`);
+    return { ...request };
+  }
+
+  /**
+   * Get a withdrawal request
+   * @param {string} requestId - Request ID
+   * @returns {Object|null} A copy of the request or null if not found
+   */
+  getRequest(requestId) {
+    this.expireRequests();
+    const request = this.requests.find(item => item.id === requestId);
+    return request ? { ...request } : null;
+  }
+
+  /**
+   * Approve a request with the requester's authenticator code
+   * Too many wrong codes cancel the request, and lock the user out of code entry.
+   * @param {string} requestId - Request ID
+   * @param {number|string} userId - Telegram user entering the code
+   * @param {string} code - Authenticator code
+   * @returns {Object} The approved request
+   */
+  verifyCode(requestId, userId, code) {
+    const request = this.getOpenRequest(requestId, 'awaiting_code');
+    if (request.userId !== String(userId)) {
+      throw new Error('This withdrawal belongs to another user');
+    }
+    this.assertCodeEntryAllowed(request.userId);
+
+    if (!this.checkAuthenticatorCode(request.userId, code)) {
+      request.codeFailures = (request.codeFailures || 0) + 1;
+      const lockedOut = this.recordCodeFailure(request.userId, `withdrawal ${requestId}`);
+
+      if (lockedOut || request.codeFailures >= MAX_CODE_FAILURES_PER_REQUEST) {
+        request.status = 'cancelled';
+        request.error = 'Too many wrong authenticator codes';
+        this.save();
+        logger.warn(`Withdrawal request ${requestId} cancelled after ${request.codeFailures} wrong authenticator codes`);
+        throw new Error(lockedOut
+          ? `Invalid authenticator code. Withdrawal cancelled and code entry locked for ${CODE_LOCKOUT_MS / 60000} minutes`
+          : 'Invalid authenticator code. Withdrawal cancelled after too many wrong codes');
+      }
+
+      this.save();
+      throw new Error('Invalid authenticator code');
+    }
+
+    request.status = 'approved';
+    request.approvedBy = 'authenticator';
+    this.save();
+
+    return { ...request };
+  }
+
+  /**
+   * Approve a request as a second owner
+   * @param {string} requestId - Request ID
+   * @param {number|string} approverId - Telegram user ID of the approving owner
+   * @returns {Object} The approved request
+   */
+  approve(requestId, approverId) {
+    const request = this.getOpenRequest(requestId, 'awaiting_approval');
+    if (!this.getApprovers(request.userId).includes(String(approverId))) {
+      throw new Error('Only another owner can approve this withdrawal');
+    }
+
+    request.status = 'approved';
+    request.approvedBy = String(approverId);
+    this.save();
+
+    logger.info(`Withdrawal request ${requestId} approved by ${approverId}`);
+    return { ...request };
+  }
+
+  /**
+   * Reject a request awaiting approval
+   * @param {string} requestId - Request ID
+   * @param {number|string} approverId - Telegram user ID of the rejecting owner
+   * @returns {Object} The rejected request
+   */
+  reject(requestId, approverId) {
+    const request = this.getOpenRequest(requestId, 'awaiting_approval');
+    if (!this.getApprovers(request.userId).includes(String(approverId))) {
+      throw new Error('Only another owner can reject this withdrawal');
+    }
+
+    request.status = 'rejected';
+    request.rejectedBy = String(approverId);
+    this.save();
+
+    logger.info(`Withdrawal request ${requestId} rejected by ${approverId}`);
+    return { ...request };
+  }
+
+  /**
+   * Cancel an open request
+   * @param {string} requestId - Request ID
+   * @param {number|string} userId - Telegram user cancelling it
+   * @returns {Object} The cancelled request
+   */
+  cancel(requestId, userId) {
+    const request = this.getOpenRequest(requestId);
+    if (request.userId !== String(userId)) {
+      throw new Error('This withdrawal belongs to another user');
+    }
+
+    request.status = 'cancelled';
+    this.save();
+    return { ...request };
+  }
+
+  /**
+   * Claim an approved request for execution
+   * A request can be claimed once, so it is never sent twice.
+   * @param {string} requestId - Request ID
+   * @returns {Object} The request, now processing
+   */
+  claim(requestId) {
+    const request = this.getOpenRequest(requestId, 'approved');
+    request.status = 'processing';
+    this.save();
+    return { ...request };
+  }
+
+  /**
+   * Record the outcome of an executed request
+   * Failed withdrawals no longer count toward the daily limit.
+   * @param {string} requestId - Request ID
+   * @param {Object} result - success, signature and error
+   */
+  complete(requestId, result) {
+    const request = this.requests.find(item => item.id === requestId);
+    if (!request) return;
+
+    // A send that timed out without an expiry height may still have landed
+    request.status = result.success ? 'completed' : result.maybeSucceeded ? 'unconfirmed' : 'failed';
+    request.signature = result.signature || null;
+    request.error = result.error || null;
+    request.completedAt = Date.now();
+    this.save();
+  }
+
+  /**
+   * Get the owners who may approve a user's withdrawals
+   * @param {number|string} userId - Telegram user ID of the requester
+   * @returns {Array<string>} Telegram user IDs
+   */
+  getApprovers(userId) {
+    return accessControl.listRoles()
+      .filter(entry => entry.role === 'owner' && entry.userId !== String(userId))
+      .map(entry => entry.userId);
+  }
+
+  /**
+   * Whether a user has an authenticator set up
+   * @param {number|string} userId - Telegram user ID
+   * @returns {boolean} True once setup was confirmed with a code
+   */
+  hasAuthenticator(userId) {
+    const record = this.authenticators[String(userId)];
+    return Boolean(record && record.enabled);
+  }
+
+  /**
+   * Start authenticator setup with a new secret
+   * The secret is only used once setup is confirmed with confirmAuthenticator.
+   * @param {number|string} userId - Telegram user ID
+   * @returns {Object} secret (base32) and uri (otpauth link for authenticator apps)
+   */
+  setupAuthenticator(userId) {
+    const key = String(userId);
+    if (this.hasAuthenticator(key)) {
+      throw new Error('An authenticator is already set up');
+    }
+
+    const secret = this.encodeBase32(crypto.randomBytes(20));
+    this.authenticators[key] = { secret, enabled: false, createdAt: Date.now() };
+    this.save();
+
+    return {
+      secret,
+      uri: `otpauth://totp/TraderTony:${key}?secret=${secret}&issuer=TraderTony&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`
+    };
+  }
+
+  /**
+   * Confirm authenticator setup with a code from the app
+   * @param {number|string} userId - Telegram user ID
+   * @param {string} code - Authenticator code
+   */
+  confirmAuthenticator(userId, code) {
+    const key = String(userId);
+    if (!this.authenticators[key]) {
+      throw new Error('No authenticator setup in progress');
+    }
+    this.assertCodeEntryAllowed(key);
+    if (!this.checkAuthenticatorCode(key, code)) {
+      const lockedOut = this.recordCodeFailure(key, 'authenticator setup');
+      this.save();
+      throw new Error(lockedOut
+        ? `Invalid authenticator code. Code entry locked for ${CODE_LOCKOUT_MS / 60000} minutes`
+        : 'Invalid authenticator code');
+    }
+
+    this.authenticators[key].enabled = true;
+    this.save();
+    logger.info(`User ${key} set up an authenticator for withdrawals`);
+  }
+
+  /**
+   * Throw if a user is locked out of code entry
+   * @param {string} userId - Telegram user ID
+   * @private
+   */
+  assertCodeEntryAllowed(userId) {
+    const record = this.codeFailures[userId];
+    if (record && record.lockedUntil > Date.now()) {
+      throw new Error(`Too many wrong authenticator codes, code entry is locked until ${new Date(record.lockedUntil).toLocaleString()}`);
+    }
+  }
+
+  /**
+   * Count a wrong code, locking the user out after too many
+   * The caller saves.
+   * @param {string} userId - Telegram user ID
+   * @param {string} context - What the code was for, for the log
+   * @returns {boolean} True if the user is now locked out
+   * @private
+   */
+  recordCodeFailure(userId, context) {
+    const since = Date.now() - CODE_LOCKOUT_MS;
+    const record = this.codeFailures[userId] || { failedAt: [], lockedUntil: 0 };
+    record.failedAt = [...record.failedAt.filter(time => time >= since), Date.now()];
+
+    logger.warn(`Wrong authenticator code from user ${userId} for ${context} (${record.failedAt.length} in the last ${CODE_LOCKOUT_MS / 60000} minutes)`);
+
+    let lockedOut = false;
+    if (record.failedAt.length >= MAX_CODE_FAILURES_PER_USER) {
+      record.lockedUntil = Date.now() + CODE_LOCKOUT_MS;
+      record.failedAt = [];
+      lockedOut = true;
+      logger.warn(`User ${userId} locked out of authenticator code entry until ${new Date(record.lockedUntil).toISOString()}`);
+    }
+
+    this.codeFailures[userId] = record;
+    return lockedOut;
+  }
+
+  /**
+   * Check an authenticator code, accepting one step of clock drift
+   * Each code is accepted once.
+   * @param {string} userId - Telegram user ID
+   * @param {string} code - Authenticator code
+   * @returns {boolean} True if the code is valid
+   * @private
+   */
+  checkAuthenticatorCode(userId, code) {
+    const record = this.authenticators[userId];
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!record || !/^\d+$/.test(normalized)) return false;
+
+    const counter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (const step of [counter - 1, counter, counter + 1]) {
+      if (step <= (record.lastUsedStep || 0)) continue;
+      if (this.generateCode(record.secret, step) === normalized) {
+        record.lastUsedStep = step;
+        delete this.codeFailures[userId];
+        this.save();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Generate the TOTP code for a time step (RFC 6238)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step
+   * @returns {string} Code
+   * @private
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.decodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Encode bytes as base32
+   * @param {Buffer} bytes - Data
+   * @returns {string} Base32 text without padding
+   * @private
+   */
+  encodeBase32(bytes) {
+    let bits = '';
+    bytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  /**
+   * Decode base32 text
+   * @param {string} text - Base32 text
+   * @returns {Buffer} Data
+   * @private
+   */
+  decodeBase32(text) {
+    const bits = text.replace(/=+$/, '').toUpperCase().split('')
+      .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+      .join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Get an open request or throw
+   * @param {string} requestId - Request ID
+   * @param {string} status - Status the request must have, any open status if omitted
+   * @returns {Object} The stored request
+   * @private
+   */
+  getOpenRequest(requestId, status = null) {
+    this.expireRequests();
+    const request = this.requests.find(item => item.id === requestId);
+    if (!request) {
+      throw new Error('Withdrawal request not found');
+    }
+    if (status ? request.status !== status : !OPEN_STATUSES.includes(request.status)) {
+      throw new Error(`Withdrawal request is ${request.status.replace('_', ' ')}`);
+    }
+    return request;
+  }
+
+  /**
+   * Expire open requests past their deadline
+   * @private
+   */
+  expireRequests() {
+    let changed = false;
+    this.requests.forEach(request => {
+      if (OPEN_STATUSES.includes(request.status) && Date.now() > request.expiresAt) {
+        request.status = 'expired';
+        changed = true;
+      }
+    });
+    if (changed) this.save();
+  }
+
+  /**
+   * Persist allowlists, requests and authenticators
+   * @private
+   */
+  save() {
+    database.saveData('withdrawals', {
+      allowlists: this.allowlists,
+      requests: this.requests,
+      authenticators: this.authenticators,
+      codeFailures: this.codeFailures
+    });
+  }
+}
+
+module.exports = new WithdrawalPolicy();